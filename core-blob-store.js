@@ -0,0 +1,248 @@
+/**
+ * 文件存储模块 - 在IndexedDB中保存字体等二进制文件
+ *
+ * 核心功能：
+ * - 文件按内容的SHA-256哈希保存，相同文件只存一份，数据中只引用哈希
+ * - localStorage和SillyTavern设置只适合保存文本，文件只保存在本设备，不会同步到服务器
+ * - 导出时可以把文件转换为data URL嵌入，导入时再写回
+ * - 另有一个记录仓库（entries），保存只属于本设备的小型记录（如字体缓存清单）
+ *
+ * 每条文件记录：{hash, blob, name, type, size, createdAt}
+ * 每条普通记录：{key, ...}
+ */
+
+const DB_VERSION = 2;
+const STORE_NAME = 'files';
+const ENTRY_STORE_NAME = 'entries';
+
+/**
+ * 把IndexedDB请求包装为Promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class BlobStore {
+  /**
+   * @param {string} namespace - 命名空间（数据库名为 命名空间_files）
+   */
+  constructor(namespace) {
+    this.dbName = `${namespace}_files`;
+    this.db = null;
+    this.opening = null;
+  }
+
+  /**
+   * 打开数据库（首次调用时创建对象仓库）
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+    if (this.opening) return this.opening;
+
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('当前浏览器不支持IndexedDB，无法保存本地文件'));
+    }
+
+    const request = indexedDB.open(this.dbName, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'hash' });
+      }
+      if (!request.result.objectStoreNames.contains(ENTRY_STORE_NAME)) {
+        request.result.createObjectStore(ENTRY_STORE_NAME, { keyPath: 'key' });
+      }
+    };
+
+    this.opening = promisify(request).then(db => {
+      this.db = db;
+      this.opening = null;
+      return db;
+    }, error => {
+      this.opening = null;
+      throw error;
+    });
+
+    return this.opening;
+  }
+
+  /**
+   * 在对象仓库上执行一个请求
+   * @param {string} mode - 'readonly' | 'readwrite'
+   * @param {Function} operation - (store) => IDBRequest
+   * @param {string} storeName - 对象仓库，默认为文件仓库
+   */
+  async run(mode, operation, storeName = STORE_NAME) {
+    const db = await this.open();
+    const transaction = db.transaction(storeName, mode);
+
+    // 写入要等事务提交后才算完成，监听需在请求完成前设置
+    const committed = mode === 'readwrite'
+      ? new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('写入被中止'));
+      })
+      : null;
+
+    const [result] = await Promise.all([promisify(operation(transaction.objectStore(storeName))), committed]);
+    return result;
+  }
+
+  /**
+   * 计算文件内容的SHA-256哈希
+   * @param {Blob} blob - 文件
+   * @returns {Promise<string>} 十六进制哈希
+   */
+  async hash(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * 保存文件，已存在相同内容时直接返回
+   * @param {Blob|File} blob - 文件
+   * @param {Object} metadata - name: 文件名
+   * @returns {Promise<Object>} {hash, name, type, size, createdAt}
+   */
+  async put(blob, metadata = {}) {
+    const hash = await this.hash(blob);
+
+    const existing = await this.getRecord(hash);
+    if (existing) {
+      return this.describe(existing);
+    }
+
+    const record = {
+      hash,
+      blob,
+      name: metadata.name || blob.name || hash.slice(0, 12),
+      type: blob.type || '',
+      size: blob.size,
+      createdAt: new Date().toISOString()
+    };
+    await this.run('readwrite', store => store.put(record));
+
+    return this.describe(record);
+  }
+
+  /**
+   * 读取文件记录
+   * @returns {Promise<Object|null>}
+   */
+  async getRecord(hash) {
+    const record = await this.run('readonly', store => store.get(hash));
+    return record || null;
+  }
+
+  /**
+   * 读取文件
+   * @param {string} hash - 文件哈希
+   * @returns {Promise<Blob|null>}
+   */
+  async get(hash) {
+    const record = await this.getRecord(hash);
+    return record ? record.blob : null;
+  }
+
+  /**
+   * 是否已保存该文件
+   */
+  async has(hash) {
+    const key = await this.run('readonly', store => store.getKey(hash));
+    return key !== undefined;
+  }
+
+  /**
+   * 删除文件
+   * @returns {Promise<boolean>} 文件是否存在
+   */
+  async remove(hash) {
+    if (!(await this.has(hash))) return false;
+    await this.run('readwrite', store => store.delete(hash));
+    return true;
+  }
+
+  /**
+   * 所有文件的信息（不含内容）
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    const records = await this.run('readonly', store => store.getAll());
+    return records.map(record => this.describe(record));
+  }
+
+  /**
+   * 把文件转换为data URL（用于导出时嵌入）
+   * @returns {Promise<string|null>}
+   */
+  async toDataURL(hash) {
+    const blob = await this.get(hash);
+    if (!blob) return null;
+
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * 从data URL写回文件（导入时使用）
+   * @param {string} dataURL - data URL
+   * @param {Object} metadata - name: 文件名
+   * @returns {Promise<Object>} 同 put
+   */
+  async putDataURL(dataURL, metadata = {}) {
+    const blob = await (await fetch(dataURL)).blob();
+    return this.put(blob, metadata);
+  }
+
+  /**
+   * 读取记录
+   * @param {string} key - 记录键
+   * @returns {Promise<Object|null>}
+   */
+  async getEntry(key) {
+    const entry = await this.run('readonly', store => store.get(key), ENTRY_STORE_NAME);
+    return entry || null;
+  }
+
+  /**
+   * 保存记录（同键覆盖）
+   * @param {Object} entry - 记录，必须有 key 字段
+   */
+  async setEntry(entry) {
+    await this.run('readwrite', store => store.put(entry), ENTRY_STORE_NAME);
+    return entry;
+  }
+
+  /**
+   * 删除记录
+   */
+  async removeEntry(key) {
+    await this.run('readwrite', store => store.delete(key), ENTRY_STORE_NAME);
+  }
+
+  /**
+   * 列出记录
+   * @param {string} prefix - 只返回键以此开头的记录
+   * @returns {Promise<Array<Object>>}
+   */
+  async listEntries(prefix = '') {
+    const entries = await this.run('readonly', store => store.getAll(), ENTRY_STORE_NAME);
+    return entries.filter(entry => entry.key.startsWith(prefix));
+  }
+
+  /**
+   * 文件信息（不含内容）
+   */
+  describe(record) {
+    const { hash, name, type, size, createdAt } = record;
+    return { hash, name, type, size, createdAt };
+  }
+}
@@ -0,0 +1,334 @@
+/**
+ * 配色方案模块 - 判断页面当前是浅色还是深色，供样式按方案切换
+ *
+ * 核心功能：
+ * - 跟随SillyTavern主题（按主题背景色的亮度判断）、跟随系统（prefers-color-scheme）或固定为浅色/深色
+ * - 把结果写到 <html data-pp-scheme="dark|light">，深色/浅色样式通过这个属性生效，切换时不改写自定义CSS
+ * - 方案变化时发布 colorScheme:changed 事件
+ *
+ * 作者可以直接写 :root[data-pp-scheme="dark"] .mes_text { ... }；
+ * 中文格式的"消息文本（深色） {"和可视化编辑器的深色/浅色样式会编译成同样的选择器
+ *
+ * 模式存储在 colorScheme 键中：'theme' | 'system' | 'light' | 'dark'
+ */
+
+export const SCHEME_ATTRIBUTE = 'data-pp-scheme';
+
+// 配色方案
+export const COLOR_SCHEMES = {
+  light: { label: '浅色', suffix: '（浅色）' },
+  dark: { label: '深色', suffix: '（深色）' }
+};
+
+// 判断模式
+export const SCHEME_MODES = {
+  theme: '跟随SillyTavern主题',
+  system: '跟随系统',
+  light: '始终浅色',
+  dark: '始终深色'
+};
+
+const STORAGE_KEY = 'colorScheme';
+const DEFAULT_MODE = 'theme';
+
+// 主题背景色和文字颜色，按背景判断，背景透明时按文字判断
+const THEME_BACKGROUND_VARIABLE = '--SmartThemeBlurTintColor';
+const THEME_TEXT_VARIABLE = '--SmartThemeBodyColor';
+
+// 背景不透明度低于此值时认为看不出背景色
+const MIN_BACKGROUND_ALPHA = 0.2;
+
+// 主题变量变化后等待的时间（SillyTavern会连续设置多个变量）
+const THEME_CHECK_DELAY = 100;
+
+/**
+ * 给选择器加上配色方案前缀（逗号分隔的每一项都加）
+ * @param {string} selector - CSS选择器
+ * @param {string|null} scheme - 'light' | 'dark'，为空时原样返回
+ * @returns {string} 如 :root[data-pp-scheme="dark"] .mes_text
+ */
+export function scopeSelector(selector, scheme) {
+  if (!scheme || !COLOR_SCHEMES[scheme]) return selector;
+
+  const prefix = `:root[${SCHEME_ATTRIBUTE}="${scheme}"]`;
+  return splitSelectorList(selector)
+    .map(part => part === ':root' || part === 'html' ? prefix : `${prefix} ${part}`)
+    .join(', ');
+}
+
+/**
+ * 拆出选择器的配色方案前缀
+ * @param {string} selector - CSS选择器
+ * @returns {{scheme: string|null, selector: string}} 没有前缀时 scheme 为 null
+ */
+export function parseScopedSelector(selector) {
+  const parts = splitSelectorList(selector);
+  const pattern = new RegExp(`^:root\\[${SCHEME_ATTRIBUTE}="(light|dark)"\\]\\s*(.*)$`);
+  const matches = parts.map(part => part.match(pattern));
+
+  if (parts.length === 0 || matches.some(match => !match) ||
+    matches.some(match => match[1] !== matches[0][1])) {
+    return { scheme: null, selector };
+  }
+
+  return {
+    scheme: matches[0][1],
+    selector: matches.map(match => match[2] || ':root').join(', ')
+  };
+}
+
+/**
+ * 按顶层逗号拆分选择器列表（忽略括号和引号内的逗号）
+ */
+function splitSelectorList(selector) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of selector) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current.trim());
+
+  return parts.filter(Boolean);
+}
+
+/**
+ * 解析CSS颜色为 {r, g, b, a}，无法解析时返回null
+ */
+function parseColor(value) {
+  const color = (value || '').trim();
+
+  const hex = color.match(/^#([0-9a-f]{3,8})$/i);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits.split('').map(digit => digit + digit).join('');
+    }
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+    };
+  }
+
+  const rgb = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/i);
+  if (rgb) {
+    let alpha = rgb[4] === undefined ? 1 : parseFloat(rgb[4]);
+    if (rgb[4] && rgb[4].endsWith('%')) alpha /= 100;
+    return { r: +rgb[1], g: +rgb[2], b: +rgb[3], a: alpha };
+  }
+
+  return null;
+}
+
+/**
+ * 相对亮度（0 黑 ~ 1 白）
+ */
+function getLuminance({ r, g, b }) {
+  const channel = (value) => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+export class ColorSchemeManager {
+  /**
+   * @param {CoreStorage} storage - 存储实例
+   * @param {EventBus} eventBus - 事件总线
+   */
+  constructor(storage, eventBus) {
+    this.storage = storage;
+    this.eventBus = eventBus;
+
+    this.mode = DEFAULT_MODE;
+    this.scheme = 'light';
+
+    // 编辑深色/浅色样式时临时预览的方案（不保存）
+    this.previewScheme = null;
+
+    this.mediaQuery = null;
+    this.themeObserver = null;
+    this.checkTimer = null;
+    this.handleSystemChange = () => {
+      if (this.mode === 'system') this.update();
+    };
+  }
+
+  /**
+   * 初始化：加载模式并开始监听主题和系统配色变化
+   */
+  async init() {
+    await this.loadMode();
+
+    if (typeof window.matchMedia === 'function') {
+      this.mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+      this.mediaQuery.addEventListener('change', this.handleSystemChange);
+    }
+
+    // SillyTavern把主题颜色写在 <html> 的内联样式中
+    this.themeObserver = new MutationObserver(() => this.scheduleThemeCheck());
+    this.themeObserver.observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: ['style']
+    });
+
+    this.eventBus.on('theme:changed', () => this.scheduleThemeCheck());
+    this.eventBus.on('profile:switched', () => this.reloadMode());
+    this.eventBus.on('storage:restored', ({ keys }) => {
+      if (keys.includes(STORAGE_KEY)) {
+        this.reloadMode();
+      }
+    });
+
+    this.update();
+    console.log(`[ColorScheme] 配色方案: ${this.scheme}（${SCHEME_MODES[this.mode]}）`);
+  }
+
+  /**
+   * 从存储加载模式
+   */
+  async loadMode() {
+    const saved = await this.storage.get(STORAGE_KEY);
+    this.mode = SCHEME_MODES[saved] ? saved : DEFAULT_MODE;
+  }
+
+  /**
+   * 重新加载模式（切换配置档案或恢复后）
+   */
+  async reloadMode() {
+    await this.loadMode();
+    this.update();
+  }
+
+  /**
+   * 设置判断模式
+   * @param {string} mode - 'theme' | 'system' | 'light' | 'dark'
+   */
+  async setMode(mode) {
+    if (!SCHEME_MODES[mode]) {
+      throw new Error(`未知的配色模式: ${mode}`);
+    }
+
+    this.mode = mode;
+    await this.storage.set(STORAGE_KEY, mode);
+    this.update();
+  }
+
+  /**
+   * 主题变量变化后延迟检查，合并连续的变化
+   */
+  scheduleThemeCheck() {
+    if (this.mode !== 'theme') return;
+
+    clearTimeout(this.checkTimer);
+    this.checkTimer = setTimeout(() => this.update(), THEME_CHECK_DELAY);
+  }
+
+  /**
+   * 按当前模式计算配色方案
+   * @returns {string} 'light' | 'dark'
+   */
+  detect() {
+    if (this.mode === 'light' || this.mode === 'dark') {
+      return this.mode;
+    }
+    if (this.mode === 'theme') {
+      const themeScheme = this.detectThemeScheme();
+      if (themeScheme) return themeScheme;
+    }
+    return this.mediaQuery && this.mediaQuery.matches ? 'dark' : 'light';
+  }
+
+  /**
+   * 按SillyTavern主题颜色判断，无法判断时返回null
+   */
+  detectThemeScheme() {
+    const computed = getComputedStyle(document.documentElement);
+
+    const background = parseColor(computed.getPropertyValue(THEME_BACKGROUND_VARIABLE));
+    if (background && background.a >= MIN_BACKGROUND_ALPHA) {
+      return getLuminance(background) < 0.5 ? 'dark' : 'light';
+    }
+
+    // 浅色文字说明背景是深色
+    const text = parseColor(computed.getPropertyValue(THEME_TEXT_VARIABLE));
+    if (text) {
+      return getLuminance(text) > 0.5 ? 'dark' : 'light';
+    }
+
+    return null;
+  }
+
+  /**
+   * 重新计算并写入配色方案，变化时发布事件
+   */
+  update() {
+    const scheme = this.previewScheme || this.detect();
+    document.documentElement.setAttribute(SCHEME_ATTRIBUTE, scheme);
+
+    if (scheme === this.scheme) return;
+
+    this.scheme = scheme;
+    this.eventBus.emit('colorScheme:changed', { scheme, mode: this.mode });
+  }
+
+  /**
+   * 临时以指定方案显示页面（编辑深色/浅色样式时使用），传null恢复自动判断
+   * @param {string|null} scheme - 'light' | 'dark' | null
+   */
+  preview(scheme) {
+    this.previewScheme = COLOR_SCHEMES[scheme] ? scheme : null;
+    this.update();
+  }
+
+  /**
+   * 当前配色方案
+   * @returns {string} 'light' | 'dark'
+   */
+  getScheme() {
+    return this.scheme;
+  }
+
+  /**
+   * 停止监听并移除页面属性
+   */
+  destroy() {
+    clearTimeout(this.checkTimer);
+    if (this.mediaQuery) {
+      this.mediaQuery.removeEventListener('change', this.handleSystemChange);
+    }
+    if (this.themeObserver) {
+      this.themeObserver.disconnect();
+      this.themeObserver = null;
+    }
+    document.documentElement.removeAttribute(SCHEME_ATTRIBUTE);
+  }
+
+  /**
+   * 获取统计信息
+   */
+  getStats() {
+    return {
+      mode: this.mode,
+      scheme: this.scheme,
+      preview: this.previewScheme
+    };
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * 文本压缩 - 用于压缩写入localStorage的大数据
+ *
+ * 使用LZW算法，输出每个字符只占15位（范围 32 ~ 32799），
+ * 不会产生代理对字符，可以安全地存入localStorage。
+ * 同步执行，便于在存储的同步读取路径中直接解压。
+ */
+
+const LITERAL_CODE = 0; // 后跟两个字符，表示一个新出现的原始字符
+const RESET_CODE = 1; // 字典已满，清空重新开始
+const FIRST_CODE = 2;
+const MAX_CODE = 32768;
+const CHAR_OFFSET = 32;
+
+/**
+ * 压缩文本
+ * @param {string} text - 原始文本
+ * @returns {string} 压缩后的文本
+ */
+export function compressText(text) {
+  const output = [];
+  const emit = code => output.push(String.fromCharCode(code + CHAR_OFFSET));
+
+  let dictionary = new Map();
+  let nextCode = FIRST_CODE;
+  let phrase = '';
+
+  for (let i = 0; i < text.length; i++) {
+    // 字典满时先输出当前短语再重置
+    if (nextCode >= MAX_CODE) {
+      if (phrase) emit(dictionary.get(phrase));
+      emit(RESET_CODE);
+      dictionary = new Map();
+      nextCode = FIRST_CODE;
+      phrase = '';
+    }
+
+    const char = text[i];
+
+    if (!dictionary.has(char)) {
+      if (phrase) emit(dictionary.get(phrase));
+      const charCode = char.charCodeAt(0);
+      emit(LITERAL_CODE);
+      emit(charCode >> 8);
+      emit(charCode & 0xff);
+      dictionary.set(char, nextCode++);
+      phrase = '';
+      continue;
+    }
+
+    const extended = phrase + char;
+    if (dictionary.has(extended)) {
+      phrase = extended;
+    } else {
+      emit(dictionary.get(phrase));
+      dictionary.set(extended, nextCode++);
+      phrase = char;
+    }
+  }
+
+  if (phrase) emit(dictionary.get(phrase));
+
+  return output.join('');
+}
+
+/**
+ * 解压文本
+ * @param {string} packed - compressText 的输出
+ * @returns {string} 原始文本
+ */
+export function decompressText(packed) {
+  const output = [];
+  let entries = [];
+  let previous = null;
+  let i = 0;
+
+  const read = () => packed.charCodeAt(i++) - CHAR_OFFSET;
+  const entryAt = code => entries[code - FIRST_CODE];
+
+  while (i < packed.length) {
+    const code = read();
+
+    if (code === RESET_CODE) {
+      entries = [];
+      previous = null;
+      continue;
+    }
+
+    if (code === LITERAL_CODE) {
+      const char = String.fromCharCode((read() << 8) | read());
+      entries.push(char);
+      output.push(char);
+      previous = null;
+      continue;
+    }
+
+    let entry = entryAt(code);
+    if (entry === undefined) {
+      // 编码器刚加入字典就使用的短语（cScSc 情况）
+      if (previous === null || code !== FIRST_CODE + entries.length) {
+        throw new Error('压缩数据已损坏');
+      }
+      entry = previous + previous[0];
+    }
+
+    if (previous !== null) {
+      entries.push(previous + entry[0]);
+    }
+
+    output.push(entry);
+    previous = entry;
+  }
+
+  return output.join('');
+}
@@ -1,12 +1,16 @@
 /**
  * 核心引擎模块 - 提供基础DOM操作和样式管理
- * 功能：元素创建、类名管理、样式应用、脚本执行
+ * 功能：元素创建、类名管理、样式应用、脚本执行（支持沙箱模式）
  * 
  * 修改记录：
  * - 2025-09-06: 从core.js重构为独立引擎
  * - 2025-09-06: 增强清理机制，使用更多标记属性
  */
 
+import { ScriptSandbox, SANDBOX_PERMISSIONS } from './core-sandbox.js';
+import { CssPipeline } from './css-enhance-pipeline.js';
+import { DomJournal } from './core-journal.js';
+
 export class CoreEngine {
   constructor(storage, eventBus) {
     this.storage = storage;
@@ -15,12 +19,22 @@ export class CoreEngine {
     // 存储已添加的内容，用于清理
     this.addedElements = new Set();
     this.addedStyles = new Map(); // key: id, value: style element
+    this.incrementalSheets = new Map(); // key: id, value: {sheet, element, rules} 增量更新的样式表
+    this.lastStylePatch = null; // 最近一次增量更新涉及的规则数
     this.addedClasses = new Map(); // key: selector, value: Set of classNames
-    this.modifiedElements = new Map(); // 记录被修改过的元素原始状态
+    this.journal = new DomJournal(() => this.getThemeScope()); // 记录对宿主元素的修改，清理时倒序撤销
+    this.scriptExecutions = new Map(); // key: executionId, value: 脚本注册的定时器/观察器/监听器
+    this.executionCounter = 0;
 
     // 调试模式
     this.debugMode = false;
 
+    // 脚本沙箱：默认开启，主题脚本只能通过受限代理访问页面
+    this.sandboxEnabled = true;
+    this.permissionGrants = {}; // key: 主题标识, value: 已授予的权限数组
+    this.deniedPermissions = new Map(); // 本次会话中被拒绝的权限，避免反复弹窗
+    this.permissionPrompts = new Map(); // 等待用户答复的权限请求，key: 主题标识, value: {permissions, element}
+
     // 清理标记，防止重复清理
     this.isClearing = false;
 
@@ -29,6 +43,9 @@ export class CoreEngine {
     this.EXTENSION_MARKER = 'data-enhanced-css-element';
     this.EXTENSION_ID = 'data-enhanced-css-id';
     this.EXTENSION_TYPE = 'data-enhanced-css-type';
+
+    // 增量样式更新时用于拆分规则
+    this.cssPipeline = new CssPipeline();
   }
 
   /**
@@ -37,6 +54,11 @@ export class CoreEngine {
   async init() {
     this.debugMode = await this.storage.get('debugMode') || false;
 
+    // 加载沙箱设置和已授予的脚本权限
+    const savedSandbox = await this.storage.get('scriptSandboxEnabled');
+    this.sandboxEnabled = savedSandbox !== false;
+    this.permissionGrants = await this.storage.get('scriptPermissionGrants') || {};
+
     // 启动时先清理可能存在的旧元素
     this.cleanupOrphanElements();
 
@@ -131,7 +153,7 @@ export class CoreEngine {
         : options.parent;
 
       if (parent) {
-        parent.appendChild(element);
+        this.journal.appendChild(parent, element);
       }
     }
 
@@ -164,18 +186,11 @@ export class CoreEngine {
       return null;
     }
 
-    // 记录父元素的原始状态（如果还没记录过）
-    if (!this.modifiedElements.has(parent)) {
-      this.modifiedElements.set(parent, {
-        originalPosition: parent.style.position || ''
-      });
-    }
-
-    // 确保父元素有相对定位（如果子元素需要绝对定位）
+    // 确保父元素有相对定位（如果子元素需要绝对定位），修改记录到日志以便恢复
     if (options.style && (options.style.position === 'absolute' || options.style.position === 'fixed')) {
       const computedStyle = getComputedStyle(parent);
       if (computedStyle.position === 'static') {
-        parent.style.position = 'relative';
+        this.journal.setStyle(parent, 'position', 'relative');
       }
     }
 
@@ -189,16 +204,10 @@ export class CoreEngine {
     const elements = document.querySelectorAll(selector);
 
     elements.forEach(el => {
-      // 记录原始类名
-      if (!this.modifiedElements.has(el)) {
-        this.modifiedElements.set(el, {
-          originalClasses: new Set(el.classList)
-        });
-      }
-
       const classes = className.split(' ').filter(Boolean);
       classes.forEach(cls => {
-        el.classList.add(cls);
+        // 元素原本就有的类名不会被记录，清理时也不会被移除
+        this.journal.addClass(el, cls);
 
         // 记录添加的类名，用于清理
         if (!this.addedClasses.has(selector)) {
@@ -224,6 +233,9 @@ export class CoreEngine {
       // 生成唯一ID
       const styleId = id || `enhanced-style-${Date.now()}-${this.elementIdCounter++}`;
 
+      // 同一ID之前以增量方式应用过，先移除
+      this.removeIncrementalSheets(styleId);
+
       // 如果已存在相同ID的样式，先移除
       if (this.addedStyles.has(styleId)) {
         const oldStyle = this.addedStyles.get(styleId);
@@ -262,39 +274,559 @@ export class CoreEngine {
     }
   }
 
+  /**
+   * 应用CSS变量（自定义属性）
+   * 生成 :root { --名称: 值; }，没有变量时移除对应样式
+   * @param {Object} properties - {'--pp-accent': '#4a90d9'}
+   * @param {string} id - 样式ID
+   * @returns {string|null} 样式ID
+   */
+  applyCustomProperties(properties, id) {
+    const declarations = Object.entries(properties)
+      .filter(([name, value]) => name.startsWith('--') && value && !/[;{}]/.test(value))
+      .map(([name, value]) => `  ${name}: ${value};`);
+
+    if (declarations.length === 0) {
+      const existing = this.addedStyles.get(id);
+      if (existing) {
+        existing.remove();
+        this.addedStyles.delete(id);
+      }
+      return null;
+    }
+
+    return this.applyCSS(`:root {\n${declarations.join('\n')}\n}`, id);
+  }
+
+  /**
+   * 增量应用CSS
+   * 与上一次的规则列表对比，只通过insertRule/deleteRule修改变化的部分，
+   * 避免整个<style>重建导致的全量重新计算样式和闪烁。
+   * 构造样式表不支持@import，含@import的CSS整体应用到<style>元素
+   * @param {string} css - CSS内容
+   * @param {string} id - 样式ID
+   * @returns {string} 样式ID
+   */
+  applyCSSIncremental(css, id = null) {
+    try {
+      const styleId = id || `enhanced-style-${Date.now()}-${this.elementIdCounter++}`;
+      const next = this.cssPipeline.splitRules(css);
+
+      if (next.some(text => /^@import\b/i.test(text))) {
+        return this.applyCSS(css, styleId);
+      }
+
+      // 同一ID之前以整体方式应用过，先移除
+      if (this.addedStyles.has(styleId)) {
+        this.addedStyles.get(styleId).remove();
+        this.addedStyles.delete(styleId);
+      }
+
+      let entry = this.incrementalSheets.get(styleId);
+      if (!entry) {
+        entry = this.createIncrementalSheet(styleId);
+        this.incrementalSheets.set(styleId, entry);
+      }
+
+      const previous = entry.rules;
+
+      // 跳过首尾相同的规则，只替换中间变化的部分
+      let start = 0;
+      while (start < previous.length && start < next.length && previous[start].text === next[start]) {
+        start++;
+      }
+
+      let previousEnd = previous.length;
+      let nextEnd = next.length;
+      while (previousEnd > start && nextEnd > start && previous[previousEnd - 1].text === next[nextEnd - 1]) {
+        previousEnd--;
+        nextEnd--;
+      }
+
+      // 样式表中的位置只计算成功插入的规则
+      let sheetIndex = previous.slice(0, start).filter(rule => rule.inserted).length;
+
+      previous.slice(start, previousEnd).forEach(rule => {
+        if (rule.inserted) {
+          entry.sheet.deleteRule(sheetIndex);
+        }
+      });
+
+      let rejected = 0;
+      const inserted = next.slice(start, nextEnd).map(text => {
+        try {
+          entry.sheet.insertRule(text, sheetIndex);
+          sheetIndex++;
+          return { text, inserted: true };
+        } catch (e) {
+          // 无效规则保留记录但不插入，与<style>中一样被忽略
+          console.warn('[CoreEngine] 规则无效，已忽略:', text.split('\n')[0], e.message);
+          rejected++;
+          return { text, inserted: false };
+        }
+      });
+
+      entry.rules = [...previous.slice(0, start), ...inserted, ...previous.slice(previousEnd)];
+
+      this.lastStylePatch = {
+        styleId,
+        inserted: nextEnd - start,
+        deleted: previousEnd - start,
+        touched: (nextEnd - start) + (previousEnd - start),
+        rejected,
+        total: next.length,
+        timestamp: Date.now()
+      };
+
+      if (this.debugMode) {
+        console.log('[CoreEngine] 增量更新样式', this.lastStylePatch);
+      }
+
+      this.eventBus.emit('css:applied', { styleId, css, patch: this.lastStylePatch });
+
+      return styleId;
+    } catch (error) {
+      console.error('[CoreEngine] CSS增量应用失败:', error);
+      this.eventBus.emit('error', { type: 'css', error });
+    }
+  }
+
+  /**
+   * 创建增量更新用的样式表
+   * 支持构造样式表时挂到document.adoptedStyleSheets，否则退回到<style>元素的sheet
+   */
+  createIncrementalSheet(styleId) {
+    if (typeof CSSStyleSheet !== 'undefined' && Array.isArray(document.adoptedStyleSheets)) {
+      try {
+        const sheet = new CSSStyleSheet();
+        document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+        return { sheet, element: null, rules: [] };
+      } catch (e) {
+        // 不支持构造样式表，使用<style>元素
+      }
+    }
+
+    const style = document.createElement('style');
+    style.setAttribute('data-enhanced-css', 'true');
+    style.setAttribute('data-enhanced-css-id', styleId);
+    style.setAttribute('data-enhanced-css-type', 'incremental');
+    style.setAttribute('data-style-id', styleId);
+    style.id = styleId;
+    document.head.appendChild(style);
+
+    return { sheet: style.sheet, element: style, rules: [] };
+  }
+
+  /**
+   * 移除增量样式表
+   * @param {string|null} styleId - 样式ID，为null时移除全部
+   */
+  removeIncrementalSheets(styleId = null) {
+    const ids = styleId ? [styleId] : Array.from(this.incrementalSheets.keys());
+    const sheets = new Set();
+
+    ids.forEach(id => {
+      const entry = this.incrementalSheets.get(id);
+      if (!entry) return;
+
+      if (entry.element) {
+        entry.element.remove();
+      } else {
+        sheets.add(entry.sheet);
+      }
+      this.incrementalSheets.delete(id);
+    });
+
+    if (sheets.size > 0) {
+      document.adoptedStyleSheets = document.adoptedStyleSheets.filter(sheet => !sheets.has(sheet));
+    }
+  }
+
   /**
    * 执行JavaScript代码
+   * @param {string} code - JavaScript代码
+   * @param {Object} options - 执行选项
+   * @param {boolean} options.sandbox - 是否在沙箱中执行（默认跟随沙箱设置）
+   * @param {Array<string>} options.permissions - 主题声明的权限清单
+   * @param {string} options.scope - 权限授予的归属（通常是主题名）
+   * @param {boolean} options.skipPrompt - 直接使用给定权限，不再询问用户
+   * @returns {string|null} 执行ID，可用于disposeExecution释放脚本资源
    */
-  executeScript(code) {
+  executeScript(code, options = {}) {
+    let executionId = null;
+
     try {
       // 在执行前标记，防止执行过程中的元素不被追踪
-      const executionId = `execution-${Date.now()}`;
-
-      // 创建安全的执行环境
-      const safeExecute = new Function(
-        'document',
-        'window',
-        'EnhancedCSS',
-        'executionId',
-        `'use strict';\n${code}`
-      );
-
-      // 执行代码
-      safeExecute(document, window, window.EnhancedCSS, executionId);
+      executionId = `execution-${Date.now()}-${++this.executionCounter}`;
+      this.createExecutionRecord(executionId);
+
+      const useSandbox = options.sandbox !== undefined ? options.sandbox : this.sandboxEnabled;
+
+      if (useSandbox) {
+        const permissions = options.skipPrompt
+          ? (options.permissions || [])
+          : this.resolvePermissions(options.permissions || [], options.scope);
+
+        const sandbox = new ScriptSandbox(this, permissions);
+        sandbox.run(code, executionId);
+      } else {
+        // 创建执行环境（无沙箱，直接访问真实页面）
+        const safeExecute = new Function(
+          'document',
+          'window',
+          'EnhancedCSS',
+          'executionId',
+          `'use strict';\n${code}`
+        );
+
+        // 注入带生命周期辅助方法的EnhancedCSS
+        const api = { ...window.EnhancedCSS, ...this.createLifecycleHelpers(executionId) };
+
+        // 执行代码
+        safeExecute(document, window, api, executionId);
+      }
 
       if (this.debugMode) {
-        console.log('[CoreEngine] JavaScript执行成功');
+        console.log('[CoreEngine] JavaScript执行成功', useSandbox ? '(沙箱)' : '');
       }
 
       // 发布事件
-      this.eventBus.emit('script:executed', { code });
+      this.eventBus.emit('script:executed', { code, executionId, sandboxed: useSandbox });
+
+      return executionId;
     } catch (error) {
       console.error('[CoreEngine] JavaScript执行失败:', error);
+
+      // 执行失败时释放已注册的资源，避免残留半初始化的定时器
+      if (executionId) {
+        this.disposeExecution(executionId);
+      }
+
       this.showError(error.message);
       this.eventBus.emit('error', { type: 'javascript', error });
+      return null;
+    }
+  }
+
+  /**
+   * 创建脚本执行的资源记录
+   */
+  createExecutionRecord(executionId) {
+    const record = {
+      intervals: new Set(),
+      timeouts: new Set(),
+      observers: new Set(),
+      listeners: new Set(),
+      cleanups: []
+    };
+
+    this.scriptExecutions.set(executionId, record);
+    return record;
+  }
+
+  /**
+   * 创建绑定到某次执行的生命周期辅助方法
+   * 通过这些方法注册的资源会在disposeExecution/clearAll时自动释放
+   * @param {string} executionId - 执行ID
+   */
+  createLifecycleHelpers(executionId) {
+    const record = this.scriptExecutions.get(executionId) || this.createExecutionRecord(executionId);
+
+    // 字符串回调会作为全局代码执行（绕过沙箱），只接受函数
+    const requireFunction = (callback, name) => {
+      if (typeof callback !== 'function') {
+        throw new TypeError(`EnhancedCSS.${name} 的回调必须是函数`);
+      }
+    };
+
+    const resolveTargets = (target) => {
+      if (typeof target === 'string') {
+        return Array.from(document.querySelectorAll(target));
+      }
+      if (Array.isArray(target)) {
+        return Array.from(target);
+      }
+      return [target].filter(Boolean);
+    };
+
+    return {
+      setInterval: (callback, delay, ...args) => {
+        requireFunction(callback, 'setInterval');
+        const id = window.setInterval(() => callback(...args), delay);
+        record.intervals.add(id);
+        return id;
+      },
+
+      clearInterval: (id) => {
+        window.clearInterval(id);
+        record.intervals.delete(id);
+      },
+
+      setTimeout: (callback, delay, ...args) => {
+        requireFunction(callback, 'setTimeout');
+        const id = window.setTimeout(() => {
+          record.timeouts.delete(id);
+          callback(...args);
+        }, delay);
+        record.timeouts.add(id);
+        return id;
+      },
+
+      clearTimeout: (id) => {
+        window.clearTimeout(id);
+        record.timeouts.delete(id);
+      },
+
+      observe: (target, callback, options = { childList: true, subtree: true }) => {
+        const observer = new MutationObserver(callback);
+        resolveTargets(target).forEach(node => observer.observe(node, options));
+        record.observers.add(observer);
+
+        return {
+          disconnect: () => {
+            observer.disconnect();
+            record.observers.delete(observer);
+          }
+        };
+      },
+
+      on: (target, type, handler, options) => {
+        const elements = resolveTargets(target);
+        elements.forEach(el => el.addEventListener(type, handler, options));
+
+        const entry = { elements, type, listener: handler, options };
+        record.listeners.add(entry);
+
+        return () => {
+          elements.forEach(el => el.removeEventListener(type, handler, options));
+          record.listeners.delete(entry);
+        };
+      },
+
+      onCleanup: (callback) => {
+        if (typeof callback === 'function') {
+          record.cleanups.push(callback);
+        }
+      }
+    };
+  }
+
+  /**
+   * 统计某次执行仍持有的资源数量
+   */
+  countExecutionResources(record) {
+    return record.intervals.size + record.timeouts.size + record.observers.size +
+      record.listeners.size + record.cleanups.length;
+  }
+
+  /**
+   * 释放某次脚本执行注册的所有资源
+   * @param {string} executionId - 执行ID
+   * @returns {number} 释放的资源数量
+   */
+  disposeExecution(executionId) {
+    const record = this.scriptExecutions.get(executionId);
+    if (!record) return 0;
+
+    const disposed = this.countExecutionResources(record);
+
+    record.intervals.forEach(id => window.clearInterval(id));
+    record.timeouts.forEach(id => window.clearTimeout(id));
+    record.observers.forEach(observer => observer.disconnect());
+    record.listeners.forEach(({ elements, type, listener, options }) => {
+      elements.forEach(el => el.removeEventListener(type, listener, options));
+    });
+
+    // 后注册的清理函数先执行
+    record.cleanups.slice().reverse().forEach(callback => {
+      try {
+        callback();
+      } catch (e) {
+        console.warn('[CoreEngine] 脚本清理函数执行失败:', e);
+      }
+    });
+
+    this.scriptExecutions.delete(executionId);
+
+    if (this.debugMode) {
+      console.log(`[CoreEngine] 已释放执行 ${executionId} 的 ${disposed} 个资源`);
+    }
+
+    this.eventBus.emit('script:disposed', { executionId, disposed });
+
+    return disposed;
+  }
+
+  /**
+   * 释放所有脚本执行的资源
+   */
+  disposeAllExecutions() {
+    let total = 0;
+    Array.from(this.scriptExecutions.keys()).forEach(executionId => {
+      total += this.disposeExecution(executionId);
+    });
+    return total;
+  }
+
+  /**
+   * 根据主题声明的权限清单确定实际授予的权限
+   * 不阻塞执行：本次只使用已授予的权限，未授予过的权限显示非阻塞的授权提示，
+   * 用户答复后发布 script:permissions，由调用方按新的权限重新执行脚本
+   * @param {Array<string>} requested - 声明的权限
+   * @param {string} scope - 主题标识
+   * @returns {Array<string>} 授予的权限
+   */
+  resolvePermissions(requested, scope = 'default') {
+    const known = requested.filter(permission => SANDBOX_PERMISSIONS[permission]);
+    const unknown = requested.filter(permission => !SANDBOX_PERMISSIONS[permission]);
+
+    if (unknown.length > 0) {
+      console.warn('[CoreEngine] 忽略未知的脚本权限:', unknown);
+    }
+
+    const granted = new Set(this.permissionGrants[scope] || []);
+    const denied = this.deniedPermissions.get(scope) || new Set();
+    const pending = known.filter(permission => !granted.has(permission) && !denied.has(permission));
+
+    if (pending.length > 0) {
+      this.requestPermissions(scope, pending);
+    }
+
+    return known.filter(permission => granted.has(permission));
+  }
+
+  /**
+   * 显示授权提示（同一主题只显示一个，新的请求合并到已有提示中）
+   * @param {string} scope - 主题标识
+   * @param {Array<string>} permissions - 待授予的权限
+   */
+  requestPermissions(scope, permissions) {
+    let prompt = this.permissionPrompts.get(scope);
+    if (!prompt) {
+      prompt = { permissions: new Set(), element: null };
+      this.permissionPrompts.set(scope, prompt);
+    }
+
+    const before = prompt.permissions.size;
+    permissions.forEach(permission => prompt.permissions.add(permission));
+
+    if (!prompt.element || prompt.permissions.size !== before) {
+      this.renderPermissionPrompt(scope, prompt);
     }
   }
 
+  /**
+   * 渲染授权提示
+   * 不经过createElement创建：提示不属于扩展创建的元素，沙箱脚本无法修改；
+   * 按钮只响应用户的真实点击，脚本调用click()不会授权
+   */
+  renderPermissionPrompt(scope, prompt) {
+    if (!prompt.element) {
+      prompt.element = document.createElement('div');
+      Object.assign(prompt.element.style, {
+        position: 'fixed',
+        bottom: '20px',
+        right: '20px',
+        background: 'var(--SmartThemeBlurTintColor, #222)',
+        color: 'var(--SmartThemeBodyColor, white)',
+        border: '1px solid var(--SmartThemeBorderColor, #555)',
+        padding: '10px 15px',
+        borderRadius: '5px',
+        zIndex: '10000',
+        maxWidth: '360px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.3)'
+      });
+      document.body.appendChild(prompt.element);
+    }
+
+    const element = prompt.element;
+    element.textContent = '';
+
+    const title = document.createElement('div');
+    title.textContent = `主题「${scope}」中的脚本请求以下权限（允许前脚本在没有这些权限的情况下运行）：`;
+    element.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.style.margin = '6px 0';
+    prompt.permissions.forEach(permission => {
+      const item = document.createElement('li');
+      item.textContent = `${permission}：${SANDBOX_PERMISSIONS[permission]}`;
+      list.appendChild(item);
+    });
+    element.appendChild(list);
+
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.gap = '8px';
+    buttons.style.justifyContent = 'flex-end';
+
+    [['允许', true], ['拒绝', false]].forEach(([label, allowed]) => {
+      const button = document.createElement('button');
+      button.className = 'menu_button';
+      button.textContent = label;
+      button.addEventListener('click', (event) => {
+        if (event.isTrusted) {
+          this.answerPermissionRequest(scope, allowed);
+        }
+      });
+      buttons.appendChild(button);
+    });
+    element.appendChild(buttons);
+  }
+
+  /**
+   * 处理用户对授权提示的答复
+   * @param {string} scope - 主题标识
+   * @param {boolean} allowed - 是否允许
+   */
+  async answerPermissionRequest(scope, allowed) {
+    const prompt = this.permissionPrompts.get(scope);
+    if (!prompt) return;
+
+    this.permissionPrompts.delete(scope);
+    prompt.element.remove();
+
+    const requested = Array.from(prompt.permissions);
+    const granted = new Set(this.permissionGrants[scope] || []);
+
+    if (allowed) {
+      requested.forEach(permission => granted.add(permission));
+      this.permissionGrants[scope] = Array.from(granted);
+      await this.storage.set('scriptPermissionGrants', this.permissionGrants);
+    } else {
+      const denied = this.deniedPermissions.get(scope) || new Set();
+      requested.forEach(permission => denied.add(permission));
+      this.deniedPermissions.set(scope, denied);
+    }
+
+    this.eventBus.emit('script:permissions', { scope, requested, granted: Array.from(granted), allowed });
+  }
+
+  /**
+   * 撤销某个主题（或全部主题）已授予的脚本权限
+   * @param {string|null} scope - 主题标识，为空时撤销全部
+   */
+  async revokePermissions(scope = null) {
+    if (scope) {
+      delete this.permissionGrants[scope];
+      this.deniedPermissions.delete(scope);
+    } else {
+      this.permissionGrants = {};
+      this.deniedPermissions.clear();
+    }
+
+    await this.storage.set('scriptPermissionGrants', this.permissionGrants);
+  }
+
+  /**
+   * 设置沙箱模式
+   */
+  async setSandboxEnabled(enabled) {
+    this.sandboxEnabled = enabled;
+    await this.storage.set('scriptSandboxEnabled', enabled);
+    this.eventBus.emit('script:sandboxChanged', enabled);
+  }
+
   /**
    * 显示错误提示
    */
@@ -342,6 +874,12 @@ export class CoreEngine {
     try {
       console.log('[CoreEngine] 开始深度清理...');
 
+      // 0. 释放脚本注册的定时器、观察器和事件监听器
+      const disposed = this.disposeAllExecutions();
+      if (disposed > 0) {
+        console.log(`[CoreEngine] 已释放 ${disposed} 个脚本资源`);
+      }
+
       // 1. 清除追踪的元素
       const elementsToRemove = Array.from(this.addedElements);
       elementsToRemove.forEach(el => {
@@ -383,49 +921,17 @@ export class CoreEngine {
       // 清空样式Map
       this.addedStyles.clear();
 
-      // 4. 恢复被修改的元素
-      this.modifiedElements.forEach((originalState, element) => {
-        try {
-          // 恢复position样式
-          if (originalState.originalPosition !== undefined) {
-            if (originalState.originalPosition === '') {
-              element.style.removeProperty('position');
-            } else {
-              element.style.position = originalState.originalPosition;
-            }
-          }
+      // 移除增量更新的样式表
+      this.removeIncrementalSheets();
+      this.lastStylePatch = null;
 
-          // 恢复原始类名
-          if (originalState.originalClasses) {
-            // 获取当前类名
-            const currentClasses = new Set(element.classList);
-
-            // 移除不在原始类名中的类
-            currentClasses.forEach(cls => {
-              if (!originalState.originalClasses.has(cls)) {
-                element.classList.remove(cls);
-              }
-            });
-          }
-        } catch (e) {
-          console.warn('[CoreEngine] 恢复元素失败:', e);
-        }
-      });
-      this.modifiedElements.clear();
+      // 4. 倒序回放修改日志，恢复宿主元素的类名、样式、属性和子元素
+      const restored = this.journal.rollback();
+      if (restored > 0) {
+        console.log(`[CoreEngine] 已撤销 ${restored} 处页面修改`);
+      }
 
-      // 5. 清除添加的类名
-      this.addedClasses.forEach((classes, selector) => {
-        try {
-          const elements = document.querySelectorAll(selector);
-          elements.forEach(el => {
-            classes.forEach(className => {
-              el.classList.remove(className);
-            });
-          });
-        } catch (e) {
-          console.warn('[CoreEngine] 清除类名失败:', e);
-        }
-      });
+      // 5. 清除类名记录（类名已随日志撤销）
       this.addedClasses.clear();
 
       // 6. 重置计数器
@@ -441,6 +947,25 @@ export class CoreEngine {
     }
   }
 
+  /**
+   * 撤销部分页面修改
+   * @param {Object} filter - {scope, source, element}，例如只撤销某个主题的修改
+   * @returns {number} 撤销的记录数
+   */
+  rollbackMutations(filter = {}) {
+    const restored = this.journal.rollback(filter);
+    this.eventBus.emit('engine:rolledBack', { filter, restored });
+    return restored;
+  }
+
+  /**
+   * 获取当前主题标识（脚本权限和修改日志按主题区分）
+   */
+  getThemeScope() {
+    const themeSelect = document.getElementById('themes');
+    return (themeSelect && themeSelect.value) || 'default';
+  }
+
   /**
    * 设置调试模式
    */
@@ -452,11 +977,27 @@ export class CoreEngine {
    * 获取统计信息
    */
   getStats() {
+    // 每次执行仍持有的资源数（只列出仍有资源的执行）
+    const scriptResources = {};
+    let liveResources = 0;
+    this.scriptExecutions.forEach((record, executionId) => {
+      const count = this.countExecutionResources(record);
+      if (count > 0) {
+        scriptResources[executionId] = count;
+        liveResources += count;
+      }
+    });
+
     return {
       elements: this.addedElements.size,
-      styles: this.addedStyles.size,
+      styles: this.addedStyles.size + this.incrementalSheets.size,
+      lastStylePatch: this.lastStylePatch,
       classes: this.addedClasses.size,
-      modified: this.modifiedElements.size
+      modified: this.journal.size,
+      journal: this.journal.getStats(),
+      sandboxEnabled: this.sandboxEnabled,
+      scriptResources,
+      liveResources
     };
   }
 }
\ No newline at end of file
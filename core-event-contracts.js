@@ -0,0 +1,93 @@
+/**
+ * 事件契约 - 所有已知事件的名称和载荷结构
+ *
+ * 调试模式下 EventBus 会用这里的声明检查：
+ * - 发布或订阅了未声明的事件（通常是拼写错误）
+ * - 载荷类型不符、缺少必需字段或出现未声明的字段
+ *
+ * 载荷写法：
+ * - null：没有载荷
+ * - 'string'：类型名，可用 | 组合（'string|null'），可选字段在末尾加 ?（'string?'）
+ *   类型：string number boolean object array map element function any null
+ * - {字段: 类型}：对象载荷，逐个检查字段
+ */
+
+export const EVENT_CONTRACTS = {
+  // ===== 扩展和全局设置 =====
+  'extension:toggle': { description: '启用或禁用整个扩展', payload: 'boolean' },
+  'settings:changed': { description: '全局设置变化（只包含修改的字段）', payload: 'object' },
+  'debug:toggle': { description: '调试模式开关', payload: 'boolean' },
+  'theme:changed': { description: 'SillyTavern主题切换', payload: null },
+  'colorScheme:changed': { description: '页面配色方案在浅色和深色之间切换', payload: { scheme: 'string', mode: 'string' } },
+  'tab:switched': { description: '设置页标签切换', payload: 'string' },
+  'error': { description: '引擎错误', payload: { type: 'string', error: 'any' } },
+
+  // ===== 配置档案和存储 =====
+  'profile:saved': { description: '保存配置档案', payload: { name: 'string', created: 'boolean' } },
+  'profile:switched': { description: '切换配置档案，各模块应重新加载设置', payload: { from: 'string|null', to: 'string' } },
+  'profile:renamed': { description: '重命名配置档案', payload: { from: 'string', to: 'string' } },
+  'profile:removed': { description: '删除配置档案', payload: { name: 'string' } },
+  'storage:restored': {
+    description: '从恢复点恢复数据，各模块应按键重新加载',
+    payload: { id: 'string', label: 'string', createdAt: 'string', keys: 'array' }
+  },
+
+  // ===== 核心引擎 =====
+  'css:applied': { description: '样式已写入页面', payload: { styleId: 'string', css: 'string', patch: 'object?' } },
+  'css:cleared': { description: 'CSS增强内容已清除', payload: null },
+  'element:created': { description: '添加了DOM元素', payload: { element: 'element', options: 'object' } },
+  'class:added': { description: '为元素添加了类名', payload: { selector: 'string', className: 'string' } },
+  'engine:cleared': { description: '引擎完成深度清理', payload: null },
+  'engine:rolledBack': { description: '按条件撤销了页面修改', payload: { filter: 'object', restored: 'number' } },
+  'script:executed': {
+    description: '脚本已执行',
+    payload: { code: 'string', executionId: 'string|null', sandboxed: 'boolean' }
+  },
+  'script:disposed': { description: '释放了脚本注册的资源', payload: { executionId: 'string', disposed: 'number' } },
+  'script:permissions': {
+    description: '用户答复了脚本的授权提示',
+    payload: { scope: 'string', requested: 'array', granted: 'array', allowed: 'boolean' }
+  },
+  'script:sandboxChanged': { description: '脚本沙箱开关', payload: 'boolean' },
+
+  // ===== CSS增强 =====
+  'css:input:change': { description: '自定义CSS输入框内容变化', payload: { cssText: 'string', source: 'string' } },
+  'css:processed': { description: 'CSS增强处理完成', payload: 'object' },
+  'css:diagnostics': { description: 'CSS诊断结果', payload: 'object|null' },
+  'cssEnhance:enabledChanged': { description: 'CSS增强功能开关', payload: 'boolean' },
+  'theme:packageImported': { description: '导入了主题包', payload: { metadata: 'object', result: 'object' } },
+
+  // ===== 字体管理 =====
+  'font:added': { description: '添加了字体', payload: 'object' },
+  'font:removed': { description: '删除了字体', payload: 'object' },
+  'font:updated': { description: '修改了字体', payload: { oldName: 'string', font: 'object' } },
+  'font:changed': { description: '当前字体变化', payload: 'string|null' },
+  'font:enabledChanged': { description: '字体功能开关', payload: 'boolean' },
+  'font:imported': { description: '导入了字体', payload: { count: 'number', total: 'number' } },
+  'font:orderChanged': { description: '字体排序变化', payload: 'array' },
+  'font:tagsChanged': { description: '标签变化', payload: { action: 'string', tag: 'string?', font: 'string?' } },
+  'font:allCleared': { description: '清空了所有字体', payload: null },
+  'font:restored': { description: '从恢复点恢复了字体库', payload: { count: 'number' } },
+  'font:layoutChanged': { description: '字体布局新建、切换、删除或槽位设置变化', payload: { action: 'string', layout: 'string', slot: 'string?' } },
+  'font:loadStateChanged': { description: '字体加载状态变化（loading/loaded/failed/timeout）', payload: { font: 'string', status: 'string', error: 'string|null' } },
+  'font:loadFailed': { description: '字体加载失败或超时', payload: { font: 'string', status: 'string', error: 'string|null', fallback: 'string|null' } },
+  'font:fallbackChanged': { description: '后备字体变化', payload: 'string|null' },
+  'font:cacheChanged': {
+    description: '离线缓存变化（cached/failed/removed/cleared/settings）',
+    payload: { action: 'string', font: 'string?', size: 'number?', error: 'string?' }
+  },
+
+  // ===== 样式变量 =====
+  'variables:changed': {
+    description: '添加、修改、删除或重新加载了样式变量',
+    payload: { action: 'string', name: 'string|null' }
+  },
+
+  // ===== 可视化编辑器 =====
+  'visualEditor:enabledChanged': { description: '可视化编辑器开关', payload: 'boolean' },
+  'styles:parsed': { description: '从自定义CSS解析出中文格式样式', payload: 'map' },
+  'styles:batchUpdated': {
+    description: '批量修改了一个元素的样式',
+    payload: { selector: 'string', styles: 'object', allStyles: 'object' }
+  }
+};
@@ -1,31 +1,84 @@
 /**
  * EventBus - 模块间通信协调器
- * 
+ *
  * 核心功能：
  * - 发布/订阅模式事件系统，解耦模块依赖
  * - 事件监听器注册、触发和自动清理
  * - 支持一次性监听器和持久监听器
  * - 避免重复监听冲突，确保事件传递可靠性
+ * - 命名空间通配符（font:*、*）和监听器优先级
+ * - emitAsync 依次等待异步处理器并收集错误
+ * - 调试模式下按事件契约检查事件名和载荷结构
+ * - 事件时间线：记录最近发布的事件、载荷摘要、监听器数量和处理耗时
  */
 
+import { EVENT_CONTRACTS } from './core-event-contracts.js';
+
+// 载荷类型检查
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number',
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  map: value => value instanceof Map,
+  element: value => typeof Element !== 'undefined' && value instanceof Element,
+  function: value => typeof value === 'function',
+  any: () => true,
+  null: value => value === null
+};
+
+// 时间线默认保留的事件数
+const TIMELINE_LIMIT = 500;
+
+// 载荷摘要中字符串的最大长度
+const SUMMARY_TEXT_LIMIT = 80;
+
 export class EventBus {
   constructor() {
-    this.events = new Map();
+    this.events = new Map(); // 事件名或通配符 → 按优先级排序的监听器列表
     this.debugMode = false;
+    this.listenerCounter = 0;
+
+    // 事件契约
+    this.contracts = new Map(Object.entries(EVENT_CONTRACTS));
+    this.warnedEvents = new Set();
+
+    // 事件时间线（环形缓冲）
+    this.recording = false;
+    this.timeline = [];
+    this.timelineLimit = TIMELINE_LIMIT;
+    this.timelineCounter = 0;
+    this.timelineWatchers = new Set();
   }
 
   /**
    * 订阅事件
-   * @param {string} eventName - 事件名称
-   * @param {Function} callback - 回调函数
+   * @param {string} eventName - 事件名称，支持通配符：'font:*' 匹配 font 命名空间下的所有事件，'*' 匹配所有事件
+   * @param {Function} callback - 回调函数；通配符监听器会在参数最后额外收到事件名
+   * @param {Object} options
+   *   priority: 优先级，数值大的先执行，默认0；相同优先级按订阅顺序执行
+   *   once: 只触发一次
    * @returns {Function} 取消订阅的函数
    */
-  on(eventName, callback) {
+  on(eventName, callback, options = {}) {
     if (!this.events.has(eventName)) {
-      this.events.set(eventName, new Set());
+      this.events.set(eventName, []);
     }
 
-    this.events.get(eventName).add(callback);
+    const listeners = this.events.get(eventName);
+    listeners.push({
+      callback,
+      priority: options.priority || 0,
+      once: !!options.once,
+      order: ++this.listenerCounter,
+      wildcard: eventName.endsWith('*')
+    });
+    listeners.sort(compareListeners);
+
+    if (this.debugMode) {
+      this.checkEventName(eventName);
+    }
 
     // 返回取消订阅的函数
     return () => this.off(eventName, callback);
@@ -35,52 +88,300 @@ export class EventBus {
    * 订阅一次性事件
    * @param {string} eventName - 事件名称
    * @param {Function} callback - 回调函数
+   * @param {Object} options - 同 on
+   * @returns {Function} 取消订阅的函数
    */
-  once(eventName, callback) {
-    const wrapper = (...args) => {
-      callback(...args);
-      this.off(eventName, wrapper);
-    };
-
-    this.on(eventName, wrapper);
+  once(eventName, callback, options = {}) {
+    return this.on(eventName, callback, { ...options, once: true });
   }
 
   /**
    * 取消订阅
    * @param {string} eventName - 事件名称
-   * @param {Function} callback - 回调函数
+   * @param {Function} callback - 回调函数，省略时取消该事件的所有监听器
    */
   off(eventName, callback) {
-    if (this.events.has(eventName)) {
-      this.events.get(eventName).delete(callback);
+    if (!this.events.has(eventName)) return;
 
-      // 如果没有监听器了，删除事件
-      if (this.events.get(eventName).size === 0) {
-        this.events.delete(eventName);
-      }
+    if (callback === undefined) {
+      this.events.delete(eventName);
+      return;
+    }
+
+    const listeners = this.events.get(eventName).filter(listener => listener.callback !== callback);
+
+    // 如果没有监听器了，删除事件
+    if (listeners.length === 0) {
+      this.events.delete(eventName);
+    } else {
+      this.events.set(eventName, listeners);
     }
   }
 
   /**
    * 发布事件
+   * 监听器的错误（包括异步监听器被拒绝的Promise）会被记录，不影响其他监听器
    * @param {string} eventName - 事件名称
    * @param {...any} args - 事件参数
+   * @returns {Array<Error>} 同步抛出的错误
    */
   emit(eventName, ...args) {
     if (this.debugMode) {
       console.log(`[EventBus] 发布事件: ${eventName}`, args);
+      this.validatePayload(eventName, args);
     }
 
-    if (this.events.has(eventName)) {
-      const callbacks = this.events.get(eventName);
-      callbacks.forEach(callback => {
-        try {
-          callback(...args);
-        } catch (error) {
-          console.error(`[EventBus] 事件处理器错误 (${eventName}):`, error);
+    const errors = [];
+    const listeners = this.takeListeners(eventName);
+    const durations = [];
+
+    listeners.forEach(listener => {
+      const startedAt = performance.now();
+      try {
+        const result = this.invoke(listener, eventName, args);
+        if (result && typeof result.then === 'function') {
+          result.catch(error => this.reportError(eventName, error));
         }
-      });
+      } catch (error) {
+        errors.push(error);
+        this.reportError(eventName, error);
+      }
+      durations.push(performance.now() - startedAt);
+    });
+
+    if (this.recording) {
+      this.record(eventName, args, durations, errors, false);
+    }
+
+    return errors;
+  }
+
+  /**
+   * 发布事件并按优先级依次等待每个监听器完成
+   * @param {string} eventName - 事件名称
+   * @param {...any} args - 事件参数
+   * @returns {Promise<Object>} {results, errors}，results 为各监听器的返回值
+   */
+  async emitAsync(eventName, ...args) {
+    if (this.debugMode) {
+      console.log(`[EventBus] 发布异步事件: ${eventName}`, args);
+      this.validatePayload(eventName, args);
+    }
+
+    const results = [];
+    const errors = [];
+    const durations = [];
+
+    for (const listener of this.takeListeners(eventName)) {
+      const startedAt = performance.now();
+      try {
+        results.push(await this.invoke(listener, eventName, args));
+      } catch (error) {
+        errors.push(error);
+        this.reportError(eventName, error);
+      }
+      durations.push(performance.now() - startedAt);
+    }
+
+    if (this.recording) {
+      this.record(eventName, args, durations, errors, true);
+    }
+
+    return { results, errors };
+  }
+
+  /**
+   * 取出要执行的监听器（精确匹配和通配符），移除其中的一次性监听器
+   */
+  takeListeners(eventName) {
+    const matched = [];
+
+    this.events.forEach((listeners, pattern) => {
+      if (pattern === eventName || matchesWildcard(pattern, eventName)) {
+        listeners.forEach(listener => matched.push({ pattern, listener }));
+      }
+    });
+
+    matched.sort((a, b) => compareListeners(a.listener, b.listener));
+
+    matched.forEach(({ pattern, listener }) => {
+      if (listener.once) {
+        this.off(pattern, listener.callback);
+      }
+    });
+
+    return matched.map(({ listener }) => listener);
+  }
+
+  /**
+   * 调用监听器
+   */
+  invoke(listener, eventName, args) {
+    return listener.wildcard ? listener.callback(...args, eventName) : listener.callback(...args);
+  }
+
+  /**
+   * 记录监听器错误
+   */
+  reportError(eventName, error) {
+    console.error(`[EventBus] 事件处理器错误 (${eventName}):`, error);
+  }
+
+  // ===== 事件时间线 =====
+
+  /**
+   * 开始或停止记录事件时间线
+   * @param {boolean} enabled - 是否记录
+   * @param {number} limit - 最多保留的事件数
+   */
+  setRecording(enabled, limit = this.timelineLimit) {
+    this.recording = enabled;
+    this.timelineLimit = limit;
+    this.trimTimeline();
+    this.notifyTimeline();
+  }
+
+  /**
+   * 记录一次事件发布
+   * @param {string} eventName - 事件名称
+   * @param {Array} args - 事件参数
+   * @param {Array<number>} durations - 各监听器的耗时（毫秒）
+   * @param {Array<Error>} errors - 监听器抛出的错误
+   * @param {boolean} async - 是否通过 emitAsync 发布
+   */
+  record(eventName, args, durations, errors, async) {
+    this.timeline.push({
+      id: ++this.timelineCounter,
+      time: Date.now(),
+      event: eventName,
+      payload: args.map(arg => summarizeValue(arg)).join(', '),
+      listeners: durations.length,
+      duration: roundDuration(durations.reduce((sum, duration) => sum + duration, 0)),
+      slowest: roundDuration(durations.length ? Math.max(...durations) : 0),
+      errors: errors.map(error => (error && error.message) || String(error)),
+      async
+    });
+
+    this.trimTimeline();
+    this.notifyTimeline();
+  }
+
+  /**
+   * 超出上限时丢弃最早的记录
+   */
+  trimTimeline() {
+    if (this.timeline.length > this.timelineLimit) {
+      this.timeline.splice(0, this.timeline.length - this.timelineLimit);
+    }
+  }
+
+  /**
+   * 获取时间线，从早到晚
+   * @returns {Array} [{id, time, event, payload, listeners, duration, slowest, errors, async}]
+   */
+  getTimeline() {
+    return [...this.timeline];
+  }
+
+  /**
+   * 清空时间线
+   */
+  clearTimeline() {
+    this.timeline = [];
+    this.notifyTimeline();
+  }
+
+  /**
+   * 导出时间线（附在问题反馈中）
+   * @returns {string} JSON字符串
+   */
+  exportTimeline() {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+      listeners: Object.fromEntries(Array.from(this.events, ([eventName, listeners]) => [eventName, listeners.length])),
+      events: this.timeline.map(entry => ({ ...entry, time: new Date(entry.time).toISOString() }))
+    }, null, 2);
+  }
+
+  /**
+   * 订阅时间线变化（不经过事件总线，避免记录自身）
+   * @param {Function} callback - 回调函数
+   * @returns {Function} 取消订阅的函数
+   */
+  watchTimeline(callback) {
+    this.timelineWatchers.add(callback);
+    return () => this.timelineWatchers.delete(callback);
+  }
+
+  /**
+   * 通知时间线订阅者
+   */
+  notifyTimeline() {
+    this.timelineWatchers.forEach(callback => {
+      try {
+        callback(this.timeline);
+      } catch (error) {
+        console.error('[EventBus] 时间线订阅者错误:', error);
+      }
+    });
+  }
+
+  // ===== 事件契约 =====
+
+  /**
+   * 声明事件（插件或新模块的事件）
+   * @param {string} eventName - 事件名称
+   * @param {Object} contract - {description, payload}，payload 写法见 core-event-contracts.js
+   */
+  defineEvent(eventName, contract) {
+    this.contracts.set(eventName, { description: '', payload: 'any', ...contract });
+  }
+
+  /**
+   * 获取事件契约
+   * @returns {Object|null}
+   */
+  getContract(eventName) {
+    return this.contracts.get(eventName) || null;
+  }
+
+  /**
+   * 检查事件名是否已声明（未声明时只警告一次）
+   */
+  checkEventName(eventName) {
+    if (eventName === '*' || this.warnedEvents.has(eventName)) return true;
+
+    const known = eventName.endsWith(':*')
+      ? Array.from(this.contracts.keys()).some(name => matchesWildcard(eventName, name))
+      : this.contracts.has(eventName);
+
+    if (!known) {
+      this.warnedEvents.add(eventName);
+      console.warn(`[EventBus] 未声明的事件: ${eventName}（是否拼写错误？新事件请用 defineEvent 声明）`);
+    }
+
+    return known;
+  }
+
+  /**
+   * 按契约检查载荷，不符合时输出警告
+   * @returns {Array<string>} 问题列表
+   */
+  validatePayload(eventName, args) {
+    if (!this.checkEventName(eventName)) return [];
+
+    const contract = this.contracts.get(eventName);
+    const problems = checkPayload(contract.payload, args[0]);
+    if (args.length > 1) {
+      problems.push(`多出 ${args.length - 1} 个参数，载荷应合并为一个对象`);
     }
+
+    problems.forEach(problem => {
+      console.warn(`[EventBus] 事件 ${eventName} 的载荷不符合声明: ${problem}`);
+    });
+
+    return problems;
   }
 
   /**
@@ -104,7 +405,7 @@ export class EventBus {
    * @returns {number} 监听器数量
    */
   getListenerCount(eventName) {
-    return this.events.has(eventName) ? this.events.get(eventName).size : 0;
+    return this.events.has(eventName) ? this.events.get(eventName).length : 0;
   }
 
   /**
@@ -117,9 +418,126 @@ export class EventBus {
 
   /**
    * 设置调试模式
+   * 开启时检查已订阅的事件名是否都已声明，并开始记录事件时间线
    * @param {boolean} enabled - 是否启用调试
    */
   setDebugMode(enabled) {
     this.debugMode = enabled;
+    this.setRecording(enabled);
+
+    if (enabled) {
+      this.events.forEach((listeners, eventName) => this.checkEventName(eventName));
+    }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * 监听器排序：优先级高的在前，相同优先级按订阅顺序
+ */
+function compareListeners(a, b) {
+  return b.priority - a.priority || a.order - b.order;
+}
+
+/**
+ * 通配符是否匹配事件名：'*' 匹配所有事件，'font:*' 匹配 'font:' 开头的事件
+ */
+function matchesWildcard(pattern, eventName) {
+  if (pattern === '*') return true;
+  return pattern.endsWith(':*') && eventName.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * 耗时保留两位小数
+ */
+function roundDuration(duration) {
+  return Math.round(duration * 100) / 100;
+}
+
+/**
+ * 生成值的简短描述，用于时间线（不保存原始对象，避免占用内存）
+ * @param {*} value - 任意值
+ * @param {number} depth - 展开对象的层数
+ * @returns {string}
+ */
+function summarizeValue(value, depth = 1) {
+  if (value === undefined) return 'undefined';
+  if (value === null) return 'null';
+
+  if (typeof value === 'string') {
+    const text = value.length > SUMMARY_TEXT_LIMIT ? `${value.slice(0, SUMMARY_TEXT_LIMIT)}…(${value.length})` : value;
+    return JSON.stringify(text);
+  }
+  if (typeof value === 'function') return `ƒ ${value.name || 'anonymous'}`;
+  if (typeof value !== 'object') return String(value);
+
+  if (typeof Element !== 'undefined' && value instanceof Element) {
+    const id = value.id ? `#${value.id}` : '';
+    const classes = value.classList.length ? `.${Array.from(value.classList).join('.')}` : '';
+    return `<${value.tagName.toLowerCase()}${id}${classes}>`;
+  }
+  if (value instanceof Map) return `Map(${value.size})`;
+  if (Array.isArray(value)) return `Array(${value.length})`;
+  if (value instanceof Error) return `Error(${value.message})`;
+  if (depth <= 0) return '{…}';
+
+  const fields = Object.entries(value).map(([key, field]) => `${key}: ${summarizeValue(field, depth - 1)}`);
+  return `{${fields.join(', ')}}`;
+}
+
+/**
+ * 检查值是否符合类型声明（如 'string|null'、'number?'）
+ */
+function matchesType(typeSpec, value) {
+  const optional = typeSpec.endsWith('?');
+  const types = typeSpec.replace(/\?$/, '').split('|');
+
+  if (value === undefined) {
+    return optional || types.includes('any');
+  }
+
+  return types.some(type => TYPE_CHECKS[type] && TYPE_CHECKS[type](value));
+}
+
+/**
+ * 描述值的实际类型，用于警告信息
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Map) return 'map';
+  return typeof value;
+}
+
+/**
+ * 按载荷声明检查值
+ * @returns {Array<string>} 问题列表
+ */
+function checkPayload(spec, value) {
+  if (spec === null) {
+    return value === undefined ? [] : [`不应有载荷，实际为 ${describeType(value)}`];
+  }
+
+  if (typeof spec === 'string') {
+    return matchesType(spec, value) ? [] : [`应为 ${spec}，实际为 ${describeType(value)}`];
+  }
+
+  if (!TYPE_CHECKS.object(value)) {
+    return [`应为对象，实际为 ${describeType(value)}`];
+  }
+
+  const problems = [];
+
+  Object.entries(spec).forEach(([field, typeSpec]) => {
+    if (!matchesType(typeSpec, value[field])) {
+      problems.push(`字段 ${field} 应为 ${typeSpec}，实际为 ${describeType(value[field])}`);
+    }
+  });
+
+  Object.keys(value).forEach(field => {
+    if (!(field in spec)) {
+      problems.push(`未声明的字段 ${field}`);
+    }
+  });
+
+  return problems;
+}
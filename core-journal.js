@@ -0,0 +1,241 @@
+/**
+ * DOM修改日志 - 记录扩展对宿主页面元素的每一次修改
+ *
+ * 核心功能：
+ * - 通过日志修改类名、内联样式、属性和子元素，同时记录修改前的状态
+ * - 按主题（scope）和来源（source）标记每条记录
+ * - 倒序回放日志，把SillyTavern的DOM恢复到修改前的样子
+ */
+
+// 日志条数超过该值时清理已脱离文档的元素的记录
+const PRUNE_THRESHOLD = 500;
+
+export class DomJournal {
+  /**
+   * @param {Function} getScope - 返回当前主题标识，用于标记记录
+   */
+  constructor(getScope = () => 'default') {
+    this.getScope = getScope;
+    this.entries = [];
+    this.nextPruneSize = PRUNE_THRESHOLD;
+  }
+
+  /**
+   * 记录数量
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * 设置内联样式
+   * @param {HTMLElement} element - 目标元素
+   * @param {string} property - CSS属性名（短横线格式）
+   * @param {string} value - 属性值
+   * @param {Object} meta - {source, scope}
+   */
+  setStyle(element, property, value, meta = {}) {
+    const previous = element.style.getPropertyValue(property);
+    const priority = element.style.getPropertyPriority(property);
+    const hadAttribute = element.hasAttribute('style');
+
+    element.style.setProperty(property, value);
+
+    this.record({
+      type: 'style', element, property, previous, priority, hadAttribute
+    }, meta);
+  }
+
+  /**
+   * 添加类名（元素已有该类名时不记录）
+   */
+  addClass(element, className, meta = {}) {
+    if (element.classList.contains(className)) return;
+
+    const hadAttribute = element.hasAttribute('class');
+    element.classList.add(className);
+
+    this.record({ type: 'class', element, className, hadAttribute }, meta);
+  }
+
+  /**
+   * 设置属性
+   */
+  setAttribute(element, name, value, meta = {}) {
+    const hadAttribute = element.hasAttribute(name);
+    const previous = element.getAttribute(name);
+
+    element.setAttribute(name, value);
+
+    this.record({ type: 'attribute', element, name, previous, hadAttribute }, meta);
+  }
+
+  /**
+   * 添加子元素
+   */
+  appendChild(parent, child, meta = {}) {
+    parent.appendChild(child);
+
+    this.record({ type: 'child', element: parent, child }, meta);
+  }
+
+  /**
+   * 写入一条记录
+   */
+  record(entry, meta) {
+    entry.scope = meta.scope || this.getScope();
+    entry.source = meta.source || 'engine';
+    entry.timestamp = Date.now();
+    this.entries.push(entry);
+
+    if (this.entries.length >= this.nextPruneSize) {
+      this.prune();
+    }
+  }
+
+  /**
+   * 倒序回放日志，撤销匹配的修改
+   * 同一属性之后还有不匹配的记录时不恢复（否则会覆盖之后的修改），
+   * 而是把修改前的状态交给那条记录，由它撤销时恢复
+   * @param {Object} filter - {scope, source, element}，省略的字段不过滤
+   * @returns {number} 撤销的记录数
+   */
+  rollback(filter = {}) {
+    const matches = entry =>
+      (!filter.scope || entry.scope === filter.scope) &&
+      (!filter.source || entry.source === filter.source) &&
+      (!filter.element || entry.element === filter.element);
+
+    // 元素 → (目标 → 之后最近的一条不匹配的记录)
+    const kept = new Map();
+    let undone = 0;
+
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const entry = this.entries[i];
+      const target = this.getTarget(entry);
+
+      if (!matches(entry)) {
+        if (target) {
+          if (!kept.has(entry.element)) kept.set(entry.element, new Map());
+          kept.get(entry.element).set(target, entry);
+        }
+        continue;
+      }
+
+      const later = target && kept.get(entry.element)?.get(target);
+      if (later) {
+        this.handOver(entry, later);
+      } else {
+        try {
+          this.undo(entry);
+        } catch (e) {
+          console.warn('[DomJournal] 撤销修改失败:', entry.type, e);
+        }
+      }
+
+      this.entries.splice(i, 1);
+      undone++;
+    }
+
+    return undone;
+  }
+
+  /**
+   * 记录修改的目标（同一元素上），子元素记录没有可覆盖的目标
+   */
+  getTarget(entry) {
+    switch (entry.type) {
+      case 'style': return `style:${entry.property}`;
+      case 'class': return `class:${entry.className}`;
+      case 'attribute': return `attribute:${entry.name}`;
+      default: return null;
+    }
+  }
+
+  /**
+   * 把修改前的状态交给之后修改同一目标的记录
+   */
+  handOver(entry, later) {
+    later.hadAttribute = entry.hadAttribute;
+    if (entry.type === 'style') {
+      later.previous = entry.previous;
+      later.priority = entry.priority;
+    } else if (entry.type === 'attribute') {
+      later.previous = entry.previous;
+    }
+  }
+
+  /**
+   * 撤销单条记录
+   */
+  undo(entry) {
+    const { element } = entry;
+
+    switch (entry.type) {
+      case 'style':
+        if (entry.previous) {
+          element.style.setProperty(entry.property, entry.previous, entry.priority);
+        } else {
+          element.style.removeProperty(entry.property);
+        }
+        // 修改前没有style属性时，不留下空的 style=""
+        if (!entry.hadAttribute && element.style.length === 0) {
+          element.removeAttribute('style');
+        }
+        break;
+
+      case 'class':
+        element.classList.remove(entry.className);
+        if (!entry.hadAttribute && element.classList.length === 0) {
+          element.removeAttribute('class');
+        }
+        break;
+
+      case 'attribute':
+        if (entry.hadAttribute) {
+          element.setAttribute(entry.name, entry.previous);
+        } else {
+          element.removeAttribute(entry.name);
+        }
+        break;
+
+      case 'child':
+        if (entry.child.parentNode === element) {
+          entry.child.remove();
+        }
+        break;
+    }
+  }
+
+  /**
+   * 清理已脱离文档的元素的记录（例如聊天切换后被移除的消息）
+   */
+  prune() {
+    this.entries = this.entries.filter(entry => entry.element.isConnected);
+    this.nextPruneSize = Math.max(PRUNE_THRESHOLD, this.entries.length * 2);
+  }
+
+  /**
+   * 按主题和来源统计记录数
+   * @returns {Object} {total, byScope, bySource}
+   */
+  getStats() {
+    const byScope = {};
+    const bySource = {};
+
+    this.entries.forEach(entry => {
+      byScope[entry.scope] = (byScope[entry.scope] || 0) + 1;
+      bySource[entry.source] = (bySource[entry.source] || 0) + 1;
+    });
+
+    return { total: this.entries.length, byScope, bySource };
+  }
+
+  /**
+   * 丢弃所有记录（不撤销）
+   */
+  clear() {
+    this.entries = [];
+    this.nextPruneSize = PRUNE_THRESHOLD;
+  }
+}
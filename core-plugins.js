@@ -0,0 +1,364 @@
+/**
+ * 插件模块 - 供其他扩展注册自己的功能模块
+ *
+ * 核心功能：
+ * - 通过 window.EnhancedCSS.registerModule(definition) 注册插件
+ * - 按依赖顺序加载：依赖的插件（或内置模块）加载后才初始化
+ * - 为每个插件提供独立的存储命名空间、事件总线、标签页注册、CSS处理阶段和可视化编辑器元素注册
+ * - 注销插件时自动撤销它注册的所有内容
+ *
+ * 插件定义：
+ * {
+ *   id: 'my-plugin',              // 必需，小写字母、数字和 -
+ *   version: '1.0.0',
+ *   apiVersion: 1,                // 依赖的插件API版本，主版本不同时拒绝加载
+ *   dependencies: ['font-manager'],
+ *   init(context) {},             // 可以是异步函数，context 见 createContext
+ *   destroy() {}
+ * }
+ *
+ * 本扩展加载前注册的插件可以先放入 window.EnhancedCSSModules 数组，初始化完成后统一加载
+ */
+
+export const PLUGIN_API_VERSION = 1;
+
+// 插件ID格式
+const PLUGIN_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+export class PluginManager {
+  /**
+   * @param {Object} extension - 扩展实例
+   */
+  constructor(extension) {
+    this.extension = extension;
+    this.plugins = new Map(); // id → {definition, status, error, missing, resources}
+    this.started = false;
+    this.loading = null;
+  }
+
+  /**
+   * 注册插件
+   * @param {Object} definition - 插件定义
+   * @returns {Promise<Object>} 插件状态 {id, status, ...}
+   */
+  async register(definition) {
+    this.validate(definition);
+
+    if (this.plugins.has(definition.id) || this.extension.getModule(definition.id)) {
+      throw new Error(`插件ID已被使用: ${definition.id}`);
+    }
+
+    this.plugins.set(definition.id, {
+      definition,
+      status: 'pending',
+      error: null,
+      missing: [],
+      resources: null
+    });
+
+    console.log(`[PluginManager] 注册插件: ${definition.id}`);
+
+    if (this.started) {
+      await this.loadPending();
+    }
+
+    return this.describe(definition.id);
+  }
+
+  /**
+   * 检查插件定义
+   */
+  validate(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('插件定义必须是对象');
+    }
+    if (!PLUGIN_ID_PATTERN.test(definition.id || '')) {
+      throw new Error(`插件ID无效: ${definition.id}（只能包含小写字母、数字和 -）`);
+    }
+    if (typeof definition.init !== 'function') {
+      throw new Error(`插件 ${definition.id} 缺少 init 函数`);
+    }
+
+    const apiVersion = definition.apiVersion || PLUGIN_API_VERSION;
+    if (Math.floor(apiVersion) !== PLUGIN_API_VERSION) {
+      throw new Error(`插件 ${definition.id} 需要API版本 ${apiVersion}，当前版本 ${PLUGIN_API_VERSION}`);
+    }
+  }
+
+  /**
+   * 扩展初始化完成后开始加载插件（包括提前放入 window.EnhancedCSSModules 的插件）
+   */
+  async start() {
+    this.started = true;
+
+    const queued = Array.isArray(window.EnhancedCSSModules) ? window.EnhancedCSSModules : [];
+    for (const definition of queued) {
+      try {
+        this.validate(definition);
+        if (!this.plugins.has(definition.id)) {
+          this.plugins.set(definition.id, { definition, status: 'pending', error: null, missing: [], resources: null });
+        }
+      } catch (error) {
+        console.error('[PluginManager] 跳过无效插件:', error);
+      }
+    }
+
+    await this.loadPending();
+  }
+
+  /**
+   * 按依赖顺序加载所有可以加载的插件
+   * 依赖尚未注册的插件保持等待，依赖注册后再加载
+   */
+  async loadPending() {
+    const run = async () => {
+      let progressed = true;
+      while (progressed) {
+        progressed = false;
+
+        for (const [id, plugin] of this.plugins) {
+          if (plugin.status !== 'pending' && plugin.status !== 'waiting') continue;
+
+          plugin.missing = (plugin.definition.dependencies || []).filter(dependency => !this.isLoaded(dependency));
+          if (plugin.missing.length > 0) {
+            plugin.status = 'waiting';
+            continue;
+          }
+
+          await this.load(id);
+          progressed = true;
+        }
+      }
+
+      this.plugins.forEach((plugin, id) => {
+        if (plugin.status === 'waiting') {
+          console.warn(`[PluginManager] 插件 ${id} 等待依赖: ${plugin.missing.join(', ')}`);
+        }
+      });
+    };
+
+    // 每一轮排在上一轮之后执行，同一时间只有一轮在扫描插件表，避免同一插件被初始化两次
+    const current = (this.loading || Promise.resolve()).catch(() => { }).then(run);
+    this.loading = current;
+
+    try {
+      await current;
+    } finally {
+      if (this.loading === current) {
+        this.loading = null;
+      }
+    }
+  }
+
+  /**
+   * 依赖是否已可用（内置模块或已加载的插件）
+   */
+  isLoaded(id) {
+    if (this.extension.getModule(id)) return true;
+    const plugin = this.plugins.get(id);
+    return !!plugin && plugin.status === 'loaded';
+  }
+
+  /**
+   * 初始化单个插件
+   */
+  async load(id) {
+    const plugin = this.plugins.get(id);
+    plugin.resources = { unsubscribers: [], hooks: [], tabs: [], elements: [] };
+
+    // 初始化期间不再是 pending，其他加载轮次不会重复初始化
+    plugin.status = 'loading';
+
+    try {
+      await plugin.definition.init(this.createContext(id, plugin.resources));
+      plugin.status = 'loaded';
+      plugin.error = null;
+      console.log(`[PluginManager] 插件已加载: ${id}`);
+    } catch (error) {
+      // 初始化失败时撤销已注册的内容
+      this.releaseResources(plugin);
+      plugin.status = 'failed';
+      plugin.error = error.message;
+      console.error(`[PluginManager] 插件加载失败: ${id}`, error);
+    }
+  }
+
+  /**
+   * 创建插件使用的接口
+   * @param {string} id - 插件ID
+   * @param {Object} resources - 记录插件注册的内容，注销时撤销
+   */
+  createContext(id, resources) {
+    const extension = this.extension;
+    const eventBus = extension.eventBus;
+    const storagePrefix = `plugin_${id}_`;
+
+    const context = {
+      apiVersion: PLUGIN_API_VERSION,
+      id,
+
+      // 存储（键自动加上插件前缀）
+      storage: {
+        get: (key) => extension.storage.get(storagePrefix + key),
+        set: (key, value) => extension.storage.set(storagePrefix + key, value),
+        remove: (key) => extension.storage.remove(storagePrefix + key)
+      },
+
+      // 事件总线（注销插件时自动取消订阅）
+      events: {
+        on: (eventName, callback, options) => {
+          const unsubscribe = eventBus.on(eventName, callback, options);
+          resources.unsubscribers.push(unsubscribe);
+          return unsubscribe;
+        },
+        once: (eventName, callback, options) => {
+          const unsubscribe = eventBus.once(eventName, callback, options);
+          resources.unsubscribers.push(unsubscribe);
+          return unsubscribe;
+        },
+        emit: (eventName, ...args) => eventBus.emit(eventName, ...args),
+        emitAsync: (eventName, ...args) => eventBus.emitAsync(eventName, ...args),
+        defineEvent: (eventName, contract) => eventBus.defineEvent(eventName, contract)
+      },
+
+      // 设置页标签页，config 同 TabManager.registerTab；ui 类的构造参数默认为此 context
+      registerTab: (config) => {
+        const tabId = config.id || `plugin-${id}`;
+        extension.tabManager.registerTab({ module: context, order: 800, ...config, id: tabId });
+        resources.tabs.push(tabId);
+        return tabId;
+      },
+
+      // CSS处理阶段：(css, state) => 新的css；options.priority 见 CssEnhanceModule.registerBuiltinStages，
+      // options.cacheKey / options.cache 同 CssStagePipeline.register（处理器修改页面时传 cache: false）
+      addCssProcessor: (handler, options = {}) => {
+        const cssModule = extension.getModule('css-enhance');
+        if (!cssModule) {
+          throw new Error('CSS增强模块未加载');
+        }
+
+        const remove = cssModule.stages.register({
+          name: `${id}:${options.name || 'css'}`,
+          priority: options.priority || 0,
+          cacheKey: options.cacheKey,
+          cache: options.cache !== false,
+          run: handler
+        });
+        resources.hooks.push(remove);
+        cssModule.reprocess();
+
+        return () => {
+          remove();
+          cssModule.reprocess();
+        };
+      },
+
+      // 可视化编辑器元素，config 同 VisualEditorRegistry.registerElement
+      registerElement: (config) => {
+        const visualEditor = extension.getModule('visual-editor');
+        if (!visualEditor || !visualEditor.registry) {
+          throw new Error('可视化编辑器模块未加载');
+        }
+
+        const registered = visualEditor.registry.registerElement({ category: id, ...config });
+        if (registered !== false) {
+          resources.elements.push(config.selector);
+        }
+        return registered;
+      },
+
+      getModule: (moduleId) => extension.getModule(moduleId)
+    };
+
+    return context;
+  }
+
+  /**
+   * 撤销插件注册的事件、钩子、标签页和元素
+   */
+  releaseResources(plugin) {
+    const resources = plugin.resources;
+    if (!resources) return;
+
+    resources.unsubscribers.forEach(unsubscribe => unsubscribe());
+    resources.hooks.forEach(remove => remove());
+    resources.tabs.forEach(tabId => this.extension.tabManager.unregisterTab(tabId));
+
+    const visualEditor = this.extension.getModule('visual-editor');
+    if (visualEditor && visualEditor.registry) {
+      resources.elements.forEach(selector => visualEditor.registry.unregisterElement(selector));
+    }
+
+    if (resources.hooks.length > 0) {
+      const cssModule = this.extension.getModule('css-enhance');
+      if (cssModule) cssModule.reprocess();
+    }
+
+    plugin.resources = null;
+  }
+
+  /**
+   * 注销插件（依赖它的插件也会被注销）
+   * @param {string} id - 插件ID
+   * @returns {Promise<boolean>}
+   */
+  async unregister(id) {
+    const plugin = this.plugins.get(id);
+    if (!plugin) return false;
+
+    for (const [otherId, other] of this.plugins) {
+      if ((other.definition.dependencies || []).includes(id)) {
+        await this.unregister(otherId);
+      }
+    }
+
+    if (plugin.status === 'loaded' && typeof plugin.definition.destroy === 'function') {
+      try {
+        await plugin.definition.destroy();
+      } catch (error) {
+        console.error(`[PluginManager] 插件销毁失败: ${id}`, error);
+      }
+    }
+
+    this.releaseResources(plugin);
+    this.plugins.delete(id);
+    console.log(`[PluginManager] 已注销插件: ${id}`);
+
+    return true;
+  }
+
+  /**
+   * 插件状态
+   */
+  describe(id) {
+    const plugin = this.plugins.get(id);
+    if (!plugin) return null;
+
+    const { definition, resources } = plugin;
+    return {
+      id,
+      version: definition.version || null,
+      status: plugin.status,
+      dependencies: definition.dependencies || [],
+      missing: plugin.missing,
+      error: plugin.error,
+      tabs: resources ? resources.tabs.length : 0,
+      processors: resources ? resources.hooks.length : 0,
+      elements: resources ? resources.elements.length : 0,
+      subscriptions: resources ? resources.unsubscribers.length : 0
+    };
+  }
+
+  /**
+   * 获取统计信息
+   */
+  getStats() {
+    const plugins = Array.from(this.plugins.keys()).map(id => this.describe(id));
+    return {
+      apiVersion: PLUGIN_API_VERSION,
+      total: plugins.length,
+      loaded: plugins.filter(plugin => plugin.status === 'loaded').length,
+      plugins
+    };
+  }
+}
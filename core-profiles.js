@@ -0,0 +1,208 @@
+/**
+ * 配置档案模块 - 保存和切换多套设置
+ *
+ * 核心功能：
+ * - 把所有模块的设置键保存为命名档案（例如"手机阅读"、"直播"、"编辑主题"）
+ * - 切换档案时先保存当前档案，再写入目标档案的数据，并发布 profile:switched 事件让各模块重新加载
+ *
+ * 档案存储在 profiles 键中：
+ * {
+ *   active: '当前档案名' | null,
+ *   items: { 档案名: {data: {键: 值}, createdAt, updatedAt} }
+ * }
+ */
+
+const PROFILES_KEY = 'profiles';
+
+// 不随档案切换的键：字体库、字体离线缓存设置、脚本权限等在所有档案间共享
+const SHARED_KEYS = new Set([PROFILES_KEY, 'fonts', 'fontCache', 'scriptSandboxEnabled', 'scriptPermissionGrants']);
+
+export class ProfileManager {
+  /**
+   * @param {CoreStorage} storage - 存储实例
+   * @param {EventBus} eventBus - 事件总线
+   */
+  constructor(storage, eventBus) {
+    this.storage = storage;
+    this.eventBus = eventBus;
+    this.switching = false;
+  }
+
+  /**
+   * 读取档案存储
+   */
+  async load() {
+    const store = await this.storage.get(PROFILES_KEY);
+    return {
+      active: store && store.active ? store.active : null,
+      items: store && store.items ? { ...store.items } : {}
+    };
+  }
+
+  /**
+   * 是否是随档案切换的键
+   */
+  isProfileKey(key) {
+    return !SHARED_KEYS.has(key);
+  }
+
+  /**
+   * 收集当前的设置
+   * @returns {Object} {键: 值}
+   */
+  snapshot() {
+    const data = {};
+    this.storage.cache.forEach((value, key) => {
+      if (this.isProfileKey(key)) {
+        data[key] = JSON.parse(JSON.stringify(value));
+      }
+    });
+    return data;
+  }
+
+  /**
+   * 获取档案列表
+   * @returns {Promise<Array>} [{name, active, keys, createdAt, updatedAt}]
+   */
+  async list() {
+    const store = await this.load();
+    return Object.entries(store.items).map(([name, profile]) => ({
+      name,
+      active: name === store.active,
+      keys: Object.keys(profile.data || {}),
+      createdAt: profile.createdAt,
+      updatedAt: profile.updatedAt
+    }));
+  }
+
+  /**
+   * 当前档案名
+   */
+  async getActive() {
+    return (await this.load()).active;
+  }
+
+  /**
+   * 把当前设置保存为档案（同名覆盖），并设为当前档案
+   * @param {string} name - 档案名
+   */
+  async save(name) {
+    name = (name || '').trim();
+    if (!name) {
+      throw new Error('档案名不能为空');
+    }
+
+    const store = await this.load();
+    const now = new Date().toISOString();
+    const existing = store.items[name];
+
+    store.items[name] = {
+      data: this.snapshot(),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+    store.active = name;
+
+    await this.storage.set(PROFILES_KEY, store);
+    this.eventBus.emit('profile:saved', { name, created: !existing });
+
+    return store.items[name];
+  }
+
+  /**
+   * 切换到指定档案
+   * 当前档案会先保存当前设置；目标档案中没有的键会被删除，由各模块恢复默认值
+   * @param {string} name - 档案名
+   */
+  async switchTo(name) {
+    if (this.switching) {
+      throw new Error('正在切换档案');
+    }
+
+    const store = await this.load();
+    const target = store.items[name];
+    if (!target) {
+      throw new Error(`档案不存在: ${name}`);
+    }
+
+    const from = store.active;
+    if (from === name) return false;
+
+    this.switching = true;
+
+    try {
+      // 保存当前档案，避免切换后丢失未保存的修改
+      if (from && store.items[from]) {
+        store.items[from] = {
+          ...store.items[from],
+          data: this.snapshot(),
+          updatedAt: new Date().toISOString()
+        };
+      }
+
+      const current = this.snapshot();
+      for (const key of Object.keys(current)) {
+        if (!(key in target.data)) {
+          await this.storage.remove(key);
+        }
+      }
+
+      for (const [key, value] of Object.entries(target.data)) {
+        if (!this.isProfileKey(key)) continue;
+        await this.storage.set(key, value);
+      }
+
+      store.active = name;
+      await this.storage.set(PROFILES_KEY, store);
+    } finally {
+      this.switching = false;
+    }
+
+    console.log(`[ProfileManager] 已切换档案: ${from || '(无)'} → ${name}`);
+    this.eventBus.emit('profile:switched', { from, to: name });
+
+    return true;
+  }
+
+  /**
+   * 重命名档案
+   */
+  async rename(oldName, newName) {
+    newName = (newName || '').trim();
+    const store = await this.load();
+
+    if (!store.items[oldName]) {
+      throw new Error(`档案不存在: ${oldName}`);
+    }
+    if (!newName || store.items[newName]) {
+      throw new Error(`档案名无效或已存在: ${newName}`);
+    }
+
+    store.items[newName] = store.items[oldName];
+    delete store.items[oldName];
+    if (store.active === oldName) {
+      store.active = newName;
+    }
+
+    await this.storage.set(PROFILES_KEY, store);
+    this.eventBus.emit('profile:renamed', { from: oldName, to: newName });
+  }
+
+  /**
+   * 删除档案（不改变当前设置）
+   */
+  async remove(name) {
+    const store = await this.load();
+    if (!store.items[name]) return false;
+
+    delete store.items[name];
+    if (store.active === name) {
+      store.active = null;
+    }
+
+    await this.storage.set(PROFILES_KEY, store);
+    this.eventBus.emit('profile:removed', { name });
+
+    return true;
+  }
+}
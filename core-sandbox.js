@@ -0,0 +1,1211 @@
+/**
+ * 脚本沙箱模块 - 为主题脚本提供受限的执行环境
+ *
+ * 核心功能：
+ * - 脚本在独立的隐藏 iframe（沙箱环境）中编译执行，其中的函数构造器、eval 和 import() 都不可用
+ * - 页面对象经过隔离层（membrane）包装后才交给脚本：脚本拿到的函数、对象和事件都不是页面的原始对象，
+ *   脚本的函数交给页面时也会被包装，回调收到的参数同样处于沙箱中
+ * - 只允许修改通过EnhancedCSS.addElement创建的元素（及尚未挂载的游离元素）
+ * - 默认屏蔽网络、浏览器存储、页面全局变量（jQuery、酒馆的全局函数等）和extension_settings访问
+ * - 主题通过 @permissions 清单声明额外能力，经用户确认后解锁
+ *
+ * 全局名称的解析：
+ * - JS内置对象（BUILTIN_GLOBALS）来自沙箱环境，脚本修改它们不会影响页面
+ * - 不修改页面、不访问网络的浏览器接口（SAFE_GLOBALS）经隔离层包装后可用
+ * - GUARDED_GLOBALS 中的名称需要对应权限，其余页面全局变量需要 settings 权限
+ * - eval / Function / jQuery 和 import() 始终被拒绝
+ *
+ * 无论授予什么权限，以下会把字符串当作代码执行的操作始终被拒绝：
+ * - 创建 script / iframe / object / embed / base 等元素，读取 contentWindow / contentDocument
+ * - innerHTML / outerHTML / insertAdjacentHTML / document.write 等HTML解析
+ * - on* 事件特性，以及把 on* 属性设置为函数以外的值
+ * - http(s)、blob: 和 data:image 以外的链接（javascript: 等）
+ *
+ * 仍然允许：脚本创建的元素可以通过 src / href 加载外部图片等资源（显示图片需要，不算作网络访问）。
+ */
+
+/**
+ * 可声明的权限及其说明（用于授权提示）
+ */
+export const SANDBOX_PERMISSIONS = {
+  dom: '修改页面上的任意元素',
+  network: '访问网络和跳转页面（fetch / XMLHttpRequest / WebSocket / sendBeacon / location）',
+  storage: '读写浏览器存储（localStorage / sessionStorage / indexedDB）',
+  settings: '访问酒馆设置、扩展数据和页面上的其他全局变量（extension_settings / SillyTavern 等），相当于完全信任该主题'
+};
+
+// 受权限保护的全局对象：名称 → 所需权限
+const GUARDED_GLOBALS = {
+  fetch: 'network',
+  XMLHttpRequest: 'network',
+  WebSocket: 'network',
+  EventSource: 'network',
+  Image: 'network',
+  Audio: 'network',
+  Worker: 'network',
+  SharedWorker: 'network',
+  RTCPeerConnection: 'network',
+  open: 'network',
+  localStorage: 'storage',
+  sessionStorage: 'storage',
+  indexedDB: 'storage',
+  extension_settings: 'settings',
+  SillyTavern: 'settings',
+  EnhancedCustomCSSPlus: 'settings',
+  caches: 'storage',
+  cookieStore: 'storage'
+};
+
+// JS内置对象：取自沙箱环境
+const BUILTIN_GLOBALS = new Set([
+  'undefined', 'NaN', 'Infinity',
+  'Object', 'Array', 'String', 'Number', 'Boolean', 'Symbol', 'BigInt', 'Math', 'JSON', 'Date', 'RegExp', 'Intl',
+  'Map', 'Set', 'WeakMap', 'WeakSet', 'WeakRef', 'Promise', 'Proxy', 'Reflect',
+  'Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError', 'EvalError', 'URIError', 'AggregateError',
+  'ArrayBuffer', 'DataView', 'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array',
+  'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'encodeURI', 'encodeURIComponent', 'decodeURI', 'decodeURIComponent',
+  'atob', 'btoa', 'TextEncoder', 'TextDecoder', 'structuredClone', 'queueMicrotask', 'console'
+]);
+
+// 不需要权限的页面接口：不修改页面、不访问网络（document / navigator / location 的写操作另有检查）
+const SAFE_GLOBALS = new Set([
+  'document', 'navigator', 'location',
+  'performance', 'crypto', 'CSS', 'URL', 'URLSearchParams', 'Blob', 'File', 'FileReader', 'DOMParser',
+  'requestAnimationFrame', 'cancelAnimationFrame', 'requestIdleCallback', 'cancelIdleCallback',
+  'matchMedia', 'screen', 'innerWidth', 'innerHeight', 'outerWidth', 'outerHeight', 'devicePixelRatio',
+  'scrollX', 'scrollY', 'pageXOffset', 'pageYOffset', 'scrollTo', 'scrollBy', 'getSelection', 'getComputedStyle',
+  'Node', 'Element', 'HTMLElement', 'SVGElement', 'Text', 'DocumentFragment',
+  'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'PointerEvent', 'TouchEvent', 'FocusEvent', 'InputEvent',
+  'MutationObserver', 'ResizeObserver', 'IntersectionObserver'
+]);
+
+// 可以执行任意代码的全局名称，沙箱中始终拒绝（jQuery会执行HTML字符串中的脚本）
+const BLOCKED_GLOBALS = new Set(['eval', 'Function', '$', 'jQuery']);
+
+// 定时器使用EnhancedCSS的生命周期方法（只接受函数，清理主题时一并清除）
+const TIMER_GLOBALS = ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'];
+
+// navigator中需要权限的属性
+const GUARDED_NAVIGATOR = {
+  sendBeacon: 'network',
+  serviceWorker: 'network'
+};
+
+// 动态导入可以加载任意模块，作用域代理无法遮蔽这一语法（import 和括号之间可以有注释）
+const DYNAMIC_IMPORT_PATTERN = /\bimport(?:\s|\/\*[\s\S]*?\*\/|\/\/[^\n]*\n)*\(/;
+
+// 窗口自身的各种名称
+const SELF_NAMES = new Set(['window', 'self', 'globalThis', 'top', 'parent', 'frames']);
+
+// 会执行代码或加载页面的元素，沙箱中不能创建
+const BLOCKED_TAGS = new Set([
+  'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'portal', 'base', 'meta', 'set', 'animate'
+]);
+
+/**
+ * 值为链接的特性（去掉命名空间前缀后比较，如 xlink:href）
+ */
+export const URL_ATTRIBUTES = new Set([
+  'href', 'src', 'action', 'formaction', 'data', 'poster', 'background', 'codebase', 'cite', 'ping'
+]);
+
+// 解析HTML字符串的方法和属性，沙箱中始终拒绝
+const HTML_METHODS = new Set(['insertAdjacentHTML', 'setHTMLUnsafe', 'createContextualFragment', 'parseHTMLUnsafe']);
+const DOCUMENT_HTML_METHODS = new Set(['write', 'writeln', 'open', 'execCommand']);
+const HTML_PROPERTIES = new Set(['innerHTML', 'outerHTML', 'srcdoc']);
+
+// 会返回其他窗口的属性
+const BLOCKED_READS = new Set(['contentWindow', 'contentDocument']);
+
+// 会修改DOM的方法（Node / Element / Attr / DOMTokenList / CSSStyleDeclaration / Document）
+const MUTATING_METHODS = new Set([
+  'appendChild', 'append', 'prepend', 'insertBefore', 'removeChild', 'replaceChild',
+  'replaceChildren', 'remove', 'replaceWith', 'before', 'after', 'normalize', 'moveBefore',
+  'setAttribute', 'setAttributeNS', 'removeAttribute', 'removeAttributeNS',
+  'toggleAttribute', 'setAttributeNode', 'setAttributeNodeNS', 'removeAttributeNode',
+  'setNamedItem', 'setNamedItemNS', 'removeNamedItem', 'removeNamedItemNS',
+  'insertAdjacentElement', 'insertAdjacentText', 'attachShadow',
+  'appendData', 'insertData', 'deleteData', 'replaceData', 'splitText', 'setRangeText',
+  'add', 'toggle', 'replace',
+  'setProperty', 'removeProperty',
+  'close', 'click', 'dispatchEvent', 'submit', 'requestSubmit'
+]);
+
+// 会把参数中的节点插入文档的方法（插入的节点树不能含有被禁止的元素和特性）
+const INSERTING_METHODS = new Set([
+  'appendChild', 'append', 'prepend', 'insertBefore', 'replaceChild', 'replaceChildren',
+  'before', 'after', 'replaceWith', 'insertAdjacentElement', 'moveBefore', 'insertNode', 'surroundContents'
+]);
+
+// Range上会修改DOM的方法
+const RANGE_MUTATING_METHODS = new Set(['deleteContents', 'extractContents', 'insertNode', 'surroundContents']);
+
+// 表单提交会访问网络
+const NETWORK_METHODS = new Set(['submit', 'requestSubmit']);
+
+// 页面上的单例对象，沙箱中不能修改
+const PAGE_SINGLETONS = ['navigator', 'screen', 'performance', 'history', 'crypto', 'CSS', 'visualViewport', 'customElements'];
+
+// 拦截读取时表示“不拦截，读取真实值”
+const PASS = Symbol('pass');
+
+/**
+ * 判断链接是否安全：按浏览器的解析结果只允许 http(s)、blob: 和 data:image
+ * （浏览器解析链接时会去掉其中的制表符和换行，因此不能只用正则判断）
+ * @param {string} value - 链接
+ * @returns {boolean}
+ */
+export function isSafeUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value), document.baseURI);
+  } catch (e) {
+    return false;
+  }
+
+  if (['http:', 'https:', 'blob:'].includes(url.protocol)) return true;
+  return url.protocol === 'data:' && /^image\//i.test(url.pathname);
+}
+
+// 沙箱环境（所有沙箱共用）
+let sandboxRealm = null;
+
+/**
+ * 获取沙箱环境：一个隐藏的同源 iframe，脚本在其中编译，创建的函数和对象都属于它。
+ * 环境中的函数构造器在脚本运行前被替换，脚本通过原型链也无法再编译字符串代码。
+ */
+function getSandboxRealm() {
+  if (sandboxRealm && sandboxRealm.frame.isConnected) return sandboxRealm;
+
+  const frame = document.createElement('iframe');
+  frame.setAttribute('data-enhanced-sandbox-realm', 'true');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.tabIndex = -1;
+  frame.style.display = 'none';
+  (document.body || document.documentElement).appendChild(frame);
+
+  const global = frame.contentWindow;
+  const RealmFunction = global.Function;
+  const functionPrototype = RealmFunction.prototype;
+  const compile = (...args) => Reflect.construct(RealmFunction, args);
+
+  // 先取出需要的内置函数，再替换函数构造器
+  const reflect = {};
+  ['apply', 'construct', 'get', 'set', 'has', 'ownKeys', 'getOwnPropertyDescriptor', 'defineProperty',
+    'deleteProperty', 'getPrototypeOf'].forEach(name => {
+    reflect[name] = global.Reflect[name];
+  });
+
+  const errors = {};
+  ['Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError'].forEach(name => {
+    errors[name] = global[name];
+  });
+
+  const listItem = compile('index', "'use strict';\nreturn this[index] || null;");
+  const denied = compile("throw new TypeError('[Sandbox] 沙箱中不能编译字符串代码');");
+  const samples = compile('return [function () {}, async function () {}, function* () {}, async function* () {}];')();
+
+  for (let i = 0; i < samples.length; i++) {
+    Object.defineProperty(Object.getPrototypeOf(samples[i]), 'constructor', {
+      value: denied, writable: false, enumerable: false, configurable: false
+    });
+  }
+  ['eval', 'Function', 'setTimeout', 'setInterval'].forEach(name => {
+    Object.defineProperty(global, name, { value: denied, writable: false, enumerable: false, configurable: false });
+  });
+
+  // 错误栈的格式化回调会拿到调用栈中的函数
+  Object.defineProperty(global.Error, 'prepareStackTrace', {
+    value: undefined, writable: false, enumerable: false, configurable: false
+  });
+
+  // 页面一侧的内置对象和原型对应到沙箱环境中的同名对象：
+  // 脚本沿原型链取到的 Object / Reflect 等只能通过隔离层操作页面对象，不能绕过检查
+  const intrinsics = new Map();
+  [globalThis, window].forEach(pageGlobal => {
+    ['Function', ...BUILTIN_GLOBALS].forEach(name => {
+      const pageValue = pageGlobal[name];
+      const realmValue = name === 'Function' ? RealmFunction : global[name];
+      if (Object(pageValue) !== pageValue || Object(realmValue) !== realmValue || pageValue === realmValue) return;
+
+      if (name !== 'Function') intrinsics.set(pageValue, realmValue);
+      if (typeof pageValue === 'function' && pageValue.prototype) {
+        intrinsics.set(pageValue.prototype, name === 'Function' ? functionPrototype : realmValue.prototype);
+      }
+    });
+  });
+
+  sandboxRealm = { frame, global, compile, reflect, errors, intrinsics, Array: global.Array, listItem };
+  return sandboxRealm;
+}
+
+// 页面上能编译字符串代码的函数（包装时替换为拒绝访问的占位对象）
+let codeEvaluators = null;
+
+function isCodeEvaluator(value) {
+  if (!codeEvaluators) {
+    codeEvaluators = new Set([
+      Function,
+      Object.getPrototypeOf(async function () { }).constructor,
+      Object.getPrototypeOf(function* () { }).constructor,
+      Object.getPrototypeOf(async function* () { }).constructor
+    ]);
+    [globalThis, window].forEach(global => {
+      ['eval', 'Function', 'setTimeout', 'setInterval'].forEach(name => {
+        if (typeof global[name] === 'function') codeEvaluators.add(global[name]);
+      });
+    });
+  }
+  return codeEvaluators.has(value);
+}
+
+export class ScriptSandbox {
+  /**
+   * @param {CoreEngine} coreEngine - 核心引擎（用于判断元素是否由扩展创建）
+   * @param {Array<string>} permissions - 已授予的权限
+   */
+  constructor(coreEngine, permissions = []) {
+    this.coreEngine = coreEngine;
+    this.permissions = new Set(permissions);
+    this.realm = null;
+
+    // 隔离层缓存：页面对象 ↔ 交给脚本的代理
+    this.proxyByRaw = new WeakMap();
+    this.rawByProxy = new WeakMap();
+
+    // 脚本的值 ↔ 交给页面的包装，保证removeEventListener等能找到同一个函数
+    this.bridgeByRealm = new WeakMap();
+    this.realmByBridge = new WeakMap();
+
+    // 页面函数 ↔ 带写检查的版本（脚本把页面函数交还给页面时使用）
+    this.checkedByRaw = new WeakMap();
+    this.rawByChecked = new WeakMap();
+
+    // style/classList/dataset/attributes → 所属元素（决定写权限）
+    this.ownerByRaw = new WeakMap();
+
+    // 脚本抛出的原始值（页面这一侧只看到Error）
+    this.thrownBySandbox = new WeakMap();
+
+    // 拒绝访问的占位对象
+    this.stubs = new WeakSet();
+
+    this.windowProxy = null;
+    this.scopedAPI = null;
+    this.executionId = null;
+  }
+
+  /**
+   * 在沙箱中执行代码
+   * @param {string} code - JavaScript代码
+   * @param {string} executionId - 执行ID
+   * @param {Object} api - 注入的EnhancedCSS对象（未提供时使用受限API）
+   */
+  run(code, executionId, api = null) {
+    this.executionId = executionId;
+
+    if (DYNAMIC_IMPORT_PATTERN.test(code)) {
+      throw new Error('[Sandbox] 主题脚本不能使用 import() 加载模块');
+    }
+
+    this.realm = getSandboxRealm();
+
+    try {
+      // 先单独编译一次，确保代码是完整的函数体，无法用多余的括号跳出下面的 with 作用域
+      this.realm.compile(code);
+
+      this.scopedAPI = api || this.createScopedAPI(executionId);
+      const scope = this.createScope(executionId);
+
+      // with 只能用在非严格模式，脚本本身放在内层的严格模式函数中执行
+      const sandboxed = this.realm.compile('scope', `with (scope) {\n  return (function () {\n'use strict';\n${code}\n  })();\n}`);
+      this.realm.reflect.apply(sandboxed, undefined, [scope]);
+    } catch (error) {
+      throw this.toPageError(error);
+    }
+  }
+
+  /**
+   * 构建脚本的全局作用域
+   * has 对任何名称都返回 true，脚本中的每个全局名称都由 resolveGlobal 解析，不会落到沙箱环境的全局对象上
+   */
+  createScope(executionId) {
+    return new Proxy({}, this.guardTraps({
+      has: () => true,
+
+      get: (obj, prop) => {
+        if (typeof prop === 'symbol') return undefined;
+        if (prop === 'executionId') return executionId;
+        return this.resolveGlobal(prop);
+      },
+
+      // 未声明的变量赋值与写入window相同
+      set: (obj, prop, value) => this.setGlobal(prop, value)
+    }));
+  }
+
+  /**
+   * 解析脚本中的全局名称（作用域和沙箱window共用）
+   * @param {string} name - 全局名称
+   */
+  resolveGlobal(name) {
+    if (SELF_NAMES.has(name)) return this.getWindowProxy();
+    if (name === 'EnhancedCSS') {
+      return this.wrap(this.scopedAPI || (this.scopedAPI = this.createScopedAPI()));
+    }
+
+    if (BLOCKED_GLOBALS.has(name)) {
+      return this.createDeniedStub(name, null);
+    }
+
+    if (TIMER_GLOBALS.includes(name)) {
+      return this.resolveGlobal('EnhancedCSS')[name];
+    }
+
+    if (BUILTIN_GLOBALS.has(name)) {
+      return this.realm.global[name];
+    }
+
+    if (Object.prototype.hasOwnProperty.call(GUARDED_GLOBALS, name)) {
+      return this.resolveGuardedGlobal(name);
+    }
+
+    if (!(name in window)) return undefined;
+
+    // 页面上的其他全局变量（酒馆和其他扩展定义的函数、对象）需要 settings 权限
+    if (!SAFE_GLOBALS.has(name) && !this.hasPermission('settings')) {
+      return this.createDeniedStub(name, 'settings');
+    }
+
+    return this.wrap(this.bindGlobal(name));
+  }
+
+  /**
+   * 读取页面全局变量，普通函数（非构造器）绑定到真实window
+   */
+  bindGlobal(name) {
+    const value = window[name];
+    if (typeof value !== 'function' || value.prototype) return value;
+
+    if (!this.boundGlobals) this.boundGlobals = new Map();
+    if (!this.boundGlobals.has(name)) {
+      this.boundGlobals.set(name, value.bind(window));
+    }
+    return this.boundGlobals.get(name);
+  }
+
+  /**
+   * 写入全局变量（作用域中未声明的变量和window的属性）
+   */
+  setGlobal(prop, value) {
+    if (typeof prop === 'symbol') {
+      throw new Error('[Sandbox] 禁止写入全局变量');
+    }
+
+    const raw = this.unwrap(value);
+
+    if (prop === 'location') {
+      window.location.href = this.checkWrite(window, prop, raw);
+      return true;
+    }
+
+    if (!this.hasPermission('dom')) {
+      throw new Error(`[Sandbox] 禁止写入全局变量 window.${prop}，请使用局部变量`);
+    }
+    return Reflect.set(window, prop, this.checkWrite(window, prop, raw));
+  }
+
+  /**
+   * 沙箱内的EnhancedCSS：只暴露受追踪、可清理的操作
+   * 参数和返回值由隔离层转换，这里拿到的都是页面一侧的值
+   * @param {string} executionId - 执行ID（生命周期辅助方法注册的资源归属于它）
+   */
+  createScopedAPI(executionId = this.executionId) {
+    const engine = this.coreEngine;
+
+    return Object.freeze({
+      ...engine.createLifecycleHelpers(executionId),
+      addCSS: (css, id) => engine.applyCSS(css, id),
+      addClass: (selector, className) => engine.addClass(selector, className),
+      addElement: (parent, tag, options = {}) => {
+        return engine.addElement(parent, this.checkTag(tag), this.checkElementOptions(options));
+      },
+      executeScript: (code) => engine.executeScript(code, {
+        sandbox: true,
+        permissions: Array.from(this.permissions),
+        skipPrompt: true
+      }),
+      $: (selector) => document.querySelector(selector),
+      $$: (selector) => document.querySelectorAll(selector),
+      hasPermission: (permission) => this.hasPermission(permission),
+      version: window.EnhancedCSS ? window.EnhancedCSS.version : undefined
+    });
+  }
+
+  /**
+   * 检查addElement选项：不接受HTML字符串，特性先转为字符串再检查
+   */
+  checkElementOptions(options) {
+    if (!options || typeof options !== 'object') return {};
+
+    const checked = { ...options };
+
+    if (checked.html !== undefined) {
+      throw new Error('[Sandbox] 沙箱中的 addElement 不支持 html 选项，请使用 text 或创建子元素');
+    }
+
+    if (checked.attrs) {
+      const attrs = {};
+      Object.entries(checked.attrs).forEach(([name, value]) => {
+        attrs[name] = this.checkAttribute(name, value);
+      });
+      checked.attrs = attrs;
+    }
+
+    return checked;
+  }
+
+  /**
+   * 检查是否拥有某项权限
+   */
+  hasPermission(permission) {
+    return this.permissions.has(permission);
+  }
+
+  /**
+   * 获取受保护的全局对象：有权限返回包装后的对象，否则返回拒绝访问的占位对象
+   */
+  resolveGuardedGlobal(name) {
+    const permission = GUARDED_GLOBALS[name];
+    if (!this.hasPermission(permission)) {
+      return this.createDeniedStub(name, permission);
+    }
+
+    if (name === 'open') {
+      return this.wrap((url, ...args) => {
+        const href = url === undefined ? '' : String(url);
+        if (href) this.checkUrl('open', href);
+        return window.open(href, ...args);
+      });
+    }
+
+    return this.wrap(this.bindGlobal(name));
+  }
+
+  /**
+   * 创建拒绝访问的占位对象（任何调用或属性访问都会抛错）
+   */
+  createDeniedStub(name, permission) {
+    const deny = () => {
+      if (!permission) {
+        throw new Error(`[Sandbox] 沙箱中不能使用 ${name}`);
+      }
+      throw new Error(`[Sandbox] 访问 ${name} 需要权限 "${permission}"，请在主题中声明 @permissions ${permission};`);
+    };
+
+    const stub = new Proxy(function () { }.bind(null), this.guardTraps({
+      apply: deny,
+      construct: deny,
+      get: deny,
+      set: deny,
+      defineProperty: deny,
+      deleteProperty: deny,
+      getOwnPropertyDescriptor: () => undefined,
+      ownKeys: () => [],
+      getPrototypeOf: () => null,
+      setPrototypeOf: () => false
+    }));
+
+    this.stubs.add(stub);
+    return stub;
+  }
+
+  /**
+   * 读取属性前的拦截：返回 PASS 表示读取真实值
+   */
+  interceptRead(target, prop) {
+    if (BLOCKED_READS.has(prop)) return null;
+
+    // cookie中可能包含登录凭据
+    if (target === document && prop === 'cookie' && !this.hasPermission('network')) {
+      throw new Error('[Sandbox] 读取 document.cookie 需要权限 "network"');
+    }
+
+    if (target === navigator && Object.prototype.hasOwnProperty.call(GUARDED_NAVIGATOR, prop)) {
+      const permission = GUARDED_NAVIGATOR[prop];
+      if (!this.hasPermission(permission)) {
+        return this.createDeniedStub(`navigator.${prop}`, permission);
+      }
+    }
+
+    return PASS;
+  }
+
+  /**
+   * 检查属性写入，返回实际写入的值（字符串在检查前转换，避免检查后再变）
+   */
+  checkWrite(target, prop, value) {
+    const name = String(prop);
+
+    // 修改location会跳转页面
+    if (target === location || (name === 'location' && (target === window || target === document))) {
+      return this.checkNavigation(name === 'location' ? 'href' : name, value);
+    }
+
+    if (target !== window && this.isPageObject(target)) {
+      throw new Error(`[Sandbox] 不能修改页面对象的 ${name}`);
+    }
+
+    const owner = this.getOwner(target);
+    if (owner !== null || this.ownerByRaw.has(target)) {
+      if (!this.canWrite(owner)) {
+        throw this.writeDenied(`设置 ${name}`);
+      }
+    }
+
+    if (target instanceof Node) {
+      if (HTML_PROPERTIES.has(name)) {
+        throw new Error(`[Sandbox] 沙箱中不能设置 ${name}，请使用 textContent 或创建元素`);
+      }
+      if (target.nodeType === Node.ATTRIBUTE_NODE && ['value', 'nodeValue', 'textContent'].includes(name)) {
+        return this.checkAttribute(target.name, value);
+      }
+      if (target instanceof Element && URL_ATTRIBUTES.has(name.toLowerCase()) && name in target) {
+        const url = String(value);
+        this.checkUrl(name, url);
+        return url;
+      }
+    }
+
+    // 事件处理属性（元素、window、XMLHttpRequest等）只能设置为函数，字符串会作为代码执行
+    if (/^on/i.test(name) && name in target && value != null && typeof value !== 'function') {
+      throw new Error(`[Sandbox] ${name} 只能设置为函数`);
+    }
+
+    return value;
+  }
+
+  /**
+   * 检查方法调用，返回实际传入的参数
+   * @param {Object} target - 调用时的 this
+   * @param {string} name - 方法名
+   * @param {Array} args - 已还原的参数
+   */
+  checkCall(target, name, args) {
+    if (HTML_METHODS.has(name)) {
+      throw new Error(`[Sandbox] 沙箱中不能使用 ${name}，请使用 textContent 或创建元素`);
+    }
+
+    if (Object(target) !== target) return args;
+
+    if (target === location && ['assign', 'replace', 'reload'].includes(name)) {
+      const url = this.checkNavigation(name === 'reload' ? name : 'href', name === 'reload' ? '' : args[0]);
+      return name === 'reload' ? args : [url];
+    }
+
+    if (target === navigator && Object.prototype.hasOwnProperty.call(GUARDED_NAVIGATOR, name)) {
+      const permission = GUARDED_NAVIGATOR[name];
+      if (!this.hasPermission(permission)) {
+        throw new Error(`[Sandbox] 访问 navigator.${name} 需要权限 "${permission}"，请在主题中声明 @permissions ${permission};`);
+      }
+    }
+
+    if (typeof Range !== 'undefined' && target instanceof Range && RANGE_MUTATING_METHODS.has(name)) {
+      if (!this.canWrite(target.commonAncestorContainer)) {
+        throw this.writeDenied(name);
+      }
+      args.forEach(arg => this.checkInsertedNode(arg));
+      return args;
+    }
+
+    if (typeof Selection !== 'undefined' && target instanceof Selection && name === 'deleteFromDocument' &&
+      !this.hasPermission('dom')) {
+      throw this.writeDenied(name);
+    }
+
+    if (!(target instanceof Node) && !this.ownerByRaw.has(target)) return args;
+
+    if (target.nodeType === Node.DOCUMENT_NODE) {
+      if (DOCUMENT_HTML_METHODS.has(name)) {
+        throw new Error(`[Sandbox] 沙箱中不能使用 document.${name}`);
+      }
+      if (name === 'createElement') return [this.checkTag(args[0]), ...args.slice(1)];
+      if (name === 'createElementNS') return [args[0], this.checkTag(args[1]), ...args.slice(2)];
+    }
+
+    if (NETWORK_METHODS.has(name) && typeof HTMLFormElement !== 'undefined' &&
+      target instanceof HTMLFormElement && !this.hasPermission('network')) {
+      throw new Error(`[Sandbox] 提交表单需要权限 "network"，请在主题中声明 @permissions network;`);
+    }
+
+    if (MUTATING_METHODS.has(name)) {
+      if (!this.canWrite(this.getOwner(target))) {
+        throw this.writeDenied(name);
+      }
+
+      // 移动宿主页面上的节点同样属于修改宿主页面
+      args.forEach(arg => {
+        if (arg instanceof Node && arg !== target && !this.canWrite(arg)) {
+          throw this.writeDenied(`${name} 移动宿主元素`);
+        }
+      });
+    }
+
+    if (INSERTING_METHODS.has(name)) {
+      args.forEach(arg => this.checkInsertedNode(arg));
+    }
+
+    switch (name) {
+      case 'setAttribute': {
+        const attrName = String(args[0]);
+        return [attrName, this.checkAttribute(attrName, args[1])];
+      }
+      case 'setAttributeNS': {
+        const attrName = String(args[1]);
+        return [args[0], attrName, this.checkAttribute(attrName, args[2])];
+      }
+      case 'toggleAttribute': {
+        const attrName = String(args[0]);
+        this.checkAttribute(attrName, '');
+        return [attrName, ...args.slice(1)];
+      }
+      case 'setAttributeNode':
+      case 'setAttributeNodeNS':
+      case 'setNamedItem':
+      case 'setNamedItemNS':
+        if (args[0] instanceof Attr) this.checkAttribute(args[0].name, args[0].value);
+        return args;
+      default:
+        return args;
+    }
+  }
+
+  /**
+   * 检查跳转页面的操作（location的写入和方法）
+   */
+  checkNavigation(prop, value) {
+    if (!this.hasPermission('network')) {
+      throw new Error('[Sandbox] 修改 location 需要权限 "network"，请在主题中声明 @permissions network;');
+    }
+
+    const text = String(value);
+    if (prop === 'href') this.checkUrl('location', text);
+    return text;
+  }
+
+  /**
+   * 检查元素名称，返回转换后的名称
+   */
+  checkTag(tag) {
+    const name = String(tag);
+    const localName = name.toLowerCase().split(':').pop();
+    if (BLOCKED_TAGS.has(localName)) {
+      throw new Error(`[Sandbox] 沙箱中不能创建 <${localName}> 元素`);
+    }
+    return name;
+  }
+
+  /**
+   * 检查特性，返回转换为字符串的值
+   */
+  checkAttribute(name, value) {
+    const localName = String(name).toLowerCase().split(':').pop();
+    const text = String(value);
+
+    if (/^on/.test(localName) || localName === 'srcdoc') {
+      throw new Error(`[Sandbox] 沙箱中不能设置 ${name} 特性`);
+    }
+    if (URL_ATTRIBUTES.has(localName)) {
+      this.checkUrl(name, text);
+    }
+
+    return text;
+  }
+
+  /**
+   * 检查链接
+   */
+  checkUrl(name, url) {
+    if (!isSafeUrl(url)) {
+      throw new Error(`[Sandbox] ${name} 只能使用 http(s)、blob: 或 data:image 链接`);
+    }
+  }
+
+  /**
+   * 检查将要插入的游离节点树（元素和特性）
+   */
+  checkInsertedNode(node) {
+    // 已在当前文档中的节点由页面创建或已经检查过（DOMParser等解析出的文档不算）
+    if (!(node instanceof Node) || (node.isConnected && node.ownerDocument === document)) return;
+
+    const elements = node.nodeType === Node.ELEMENT_NODE ? [node] : [];
+    if (typeof node.querySelectorAll === 'function') {
+      elements.push(...node.querySelectorAll('*'));
+    }
+
+    elements.forEach(element => {
+      this.checkTag(element.localName);
+      Array.from(element.attributes).forEach(attr => this.checkAttribute(attr.name, attr.value));
+    });
+  }
+
+  /**
+   * 是否是不允许修改的页面对象（函数、原型对象和页面单例）
+   */
+  isPageObject(target) {
+    if (typeof target === 'function') return true;
+    if (Object.prototype.hasOwnProperty.call(target, 'constructor') &&
+      typeof target.constructor === 'function' && target.constructor.prototype === target) return true;
+    return PAGE_SINGLETONS.some(name => window[name] === target);
+  }
+
+  /**
+   * 决定写权限的节点：节点本身，或style/classList等所属的元素
+   */
+  getOwner(target) {
+    if (target instanceof Node) return target;
+    return this.ownerByRaw.get(target) || null;
+  }
+
+  /**
+   * 判断节点是否允许被脚本修改
+   */
+  canWrite(node) {
+    if (this.hasPermission('dom')) return true;
+    if (!node || typeof Node === 'undefined' || !(node instanceof Node)) return false;
+
+    // 特性节点跟随所属元素
+    if (node.nodeType === Node.ATTRIBUTE_NODE) {
+      if (!node.ownerElement) return true;
+      node = node.ownerElement;
+    }
+
+    // 游离节点不影响宿主页面
+    if (!node.isConnected) return true;
+
+    for (let current = node; current; current = current.parentNode ||
+      (current.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? current.host : null)) {
+      if (this.coreEngine.addedElements.has(current)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * 生成拒绝写入的错误
+   */
+  writeDenied(action) {
+    return new Error(`[Sandbox] 禁止修改宿主页面元素（${action}）。请使用 EnhancedCSS.addElement 创建元素，或声明 @permissions dom;`);
+  }
+
+  /**
+   * 是否是依附于元素的DOM对象（style/classList/dataset/attributes）
+   */
+  isOwnedDOMObject(value) {
+    return (typeof CSSStyleDeclaration !== 'undefined' && value instanceof CSSStyleDeclaration) ||
+      (typeof DOMTokenList !== 'undefined' && value instanceof DOMTokenList) ||
+      (typeof DOMStringMap !== 'undefined' && value instanceof DOMStringMap) ||
+      (typeof NamedNodeMap !== 'undefined' && value instanceof NamedNodeMap);
+  }
+
+  /**
+   * 是否是窗口对象（其他窗口的 window 不交给脚本）
+   */
+  isWindow(value) {
+    try {
+      return value.window === value;
+    } catch (e) {
+      return true;
+    }
+  }
+
+  /**
+   * 将页面一侧的值交给脚本
+   */
+  wrap(value) {
+    // document.all 的 typeof 是 undefined，只能用 Object() 判断是否是对象
+    if (Object(value) !== value) return value;
+
+    if (this.rawByProxy.has(value) || this.stubs.has(value)) return value;
+    if (this.realmByBridge.has(value)) return this.realmByBridge.get(value);
+    if (this.rawByChecked.has(value)) return this.wrap(this.rawByChecked.get(value));
+    if (this.proxyByRaw.has(value)) return this.proxyByRaw.get(value);
+
+    if (value === window) return this.getWindowProxy();
+    if (this.isWindow(value)) return null;
+
+    if (isCodeEvaluator(value)) {
+      return this.createDeniedStub(value.name || 'Function', null);
+    }
+    if (this.realm.intrinsics.has(value)) return this.realm.intrinsics.get(value);
+
+    // 列表转换为沙箱环境中的数组
+    if (Array.isArray(value) ||
+      (typeof NodeList !== 'undefined' && value instanceof NodeList) ||
+      (typeof HTMLCollection !== 'undefined' && value instanceof HTMLCollection)) {
+      return this.createList(value);
+    }
+
+    const proxy = this.createMembrane(value);
+    this.proxyByRaw.set(value, proxy);
+    this.rawByProxy.set(proxy, value);
+    return proxy;
+  }
+
+  /**
+   * 将脚本一侧的值交给页面
+   */
+  unwrap(value) {
+    if (Object(value) !== value) return value;
+
+    if (this.rawByProxy.has(value)) {
+      const raw = this.rawByProxy.get(value);
+      return typeof raw === 'function' ? this.getCheckedFunction(raw) : raw;
+    }
+
+    if (this.stubs.has(value)) return value;
+
+    if (!this.bridgeByRealm.has(value)) {
+      const bridge = typeof value === 'function' ? this.createBridge(value) : this.createReverseProxy(value);
+      this.bridgeByRealm.set(value, bridge);
+      this.realmByBridge.set(bridge, value);
+    }
+    return this.bridgeByRealm.get(value);
+  }
+
+  /**
+   * 逐项转换参数列表（不调用沙箱数组上可能被脚本替换的方法）
+   */
+  wrapList(items) {
+    const list = [];
+    for (let i = 0; i < items.length; i++) list.push(this.wrap(items[i]));
+    return list;
+  }
+
+  unwrapList(items) {
+    const list = [];
+    for (let i = 0; i < items.length; i++) list.push(this.unwrap(items[i]));
+    return list;
+  }
+
+  /**
+   * 创建沙箱环境中的数组（NodeList/HTMLCollection保留item方法）
+   */
+  createList(items) {
+    const list = Reflect.construct(this.realm.Array, []);
+    for (let i = 0; i < items.length; i++) {
+      Reflect.defineProperty(list, i, { value: this.wrap(items[i]), writable: true, enumerable: true, configurable: true });
+    }
+    if (!Array.isArray(items)) {
+      Reflect.defineProperty(list, 'item', { value: this.realm.listItem, writable: true, configurable: true });
+    }
+    return list;
+  }
+
+  /**
+   * 包装代理的拦截器：页面一侧抛出的错误转换为沙箱环境中的错误
+   */
+  guardTraps(handler) {
+    const guarded = {};
+    Object.keys(handler).forEach(trap => {
+      guarded[trap] = (...args) => {
+        try {
+          return handler[trap](...args);
+        } catch (error) {
+          throw this.toSandboxError(error);
+        }
+      };
+    });
+    return guarded;
+  }
+
+  /**
+   * 页面一侧的错误 → 沙箱环境中的错误（只保留类型和消息）
+   */
+  toSandboxError(error) {
+    if (Object(error) !== error) return error;
+    if (this.thrownBySandbox.has(error)) return this.thrownBySandbox.get(error);
+
+    let name = 'Error';
+    let message = '';
+    try {
+      name = String(Reflect.get(error, 'name'));
+      message = String(Reflect.get(error, 'message'));
+    } catch (e) {
+      message = '未知错误';
+    }
+
+    const ErrorClass = Object.prototype.hasOwnProperty.call(this.realm.errors, name)
+      ? this.realm.errors[name]
+      : this.realm.errors.Error;
+    return Reflect.construct(ErrorClass, [message]);
+  }
+
+  /**
+   * 沙箱一侧抛出的值 → 页面一侧的Error（原始值在回到沙箱时还原）
+   */
+  toPageError(error) {
+    let message;
+    try {
+      if (Object(error) === error) {
+        const name = Reflect.get(error, 'name');
+        message = String(Reflect.get(error, 'message'));
+        if (typeof name === 'string' && name !== 'Error' && name !== 'TypeError') {
+          message = `${name}: ${message}`;
+        }
+      } else {
+        message = String(error);
+      }
+    } catch (e) {
+      message = '脚本抛出了无法读取的错误';
+    }
+
+    const pageError = new Error(message);
+    this.thrownBySandbox.set(pageError, error);
+    return pageError;
+  }
+
+  /**
+   * 调用页面函数：按方法名检查写操作
+   */
+  invoke(fn, self, args) {
+    const name = typeof fn.name === 'string' ? fn.name : '';
+    const accessor = /^([gs]et) (.+)$/.exec(name);
+
+    // 通过属性描述符取到的 getter / setter 与直接读写属性使用相同的检查
+    if (accessor && accessor[1] === 'get') {
+      const intercepted = this.interceptRead(self, accessor[2]);
+      if (intercepted !== PASS) return intercepted;
+    } else if (accessor) {
+      args = [this.checkWrite(self, accessor[2], args[0])];
+    } else {
+      args = this.checkCall(self, name, args);
+    }
+
+    return Reflect.apply(fn, self, args);
+  }
+
+  /**
+   * 页面函数的检查版本：脚本把页面函数交还给页面（如作为回调）时使用
+   */
+  getCheckedFunction(raw) {
+    if (!this.checkedByRaw.has(raw)) {
+      const sandbox = this;
+      const checked = function (...args) {
+        return new.target ? Reflect.construct(raw, args) : sandbox.invoke(raw, this, args);
+      };
+      // 保留原型，instanceof 才能得到正确结果
+      if (Object(raw.prototype) === raw.prototype) {
+        Object.defineProperty(checked, 'prototype', { value: raw.prototype });
+      }
+      this.checkedByRaw.set(raw, checked);
+      this.rawByChecked.set(checked, raw);
+    }
+    return this.checkedByRaw.get(raw);
+  }
+
+  /**
+   * 隔离层代理：脚本通过它访问页面对象，读到的值继续包装，写入和调用经过检查
+   */
+  createMembrane(raw) {
+    const shadow = typeof raw === 'function' ? function () { }.bind(null) : {};
+
+    const handler = {
+      get: (obj, prop) => {
+        const intercepted = this.interceptRead(raw, prop);
+        if (intercepted !== PASS) return intercepted;
+
+        const value = Reflect.get(raw, prop, raw);
+
+        // style/classList/dataset/attributes的写权限跟随所属元素
+        if (this.isOwnedDOMObject(value) && !this.ownerByRaw.has(value)) {
+          this.ownerByRaw.set(value, this.getOwner(raw));
+        }
+        return this.wrap(value);
+      },
+
+      set: (obj, prop, value) => Reflect.set(raw, prop, this.checkWrite(raw, prop, this.unwrap(value)), raw),
+
+      has: (obj, prop) => Reflect.has(raw, prop),
+
+      deleteProperty: (obj, prop) => {
+        this.checkWrite(raw, prop, undefined);
+        return Reflect.deleteProperty(raw, prop);
+      },
+
+      defineProperty: (obj, prop, descriptor) => {
+        const hasOwn = (key) => Object.prototype.hasOwnProperty.call(descriptor, key);
+        const checked = {};
+        ['enumerable', 'configurable', 'writable'].forEach(key => {
+          if (hasOwn(key)) checked[key] = Boolean(descriptor[key]);
+        });
+        if (hasOwn('get') || hasOwn('set')) {
+          this.checkWrite(raw, prop, undefined);
+          if (hasOwn('get')) checked.get = this.unwrap(descriptor.get);
+          if (hasOwn('set')) checked.set = this.unwrap(descriptor.set);
+        } else {
+          checked.value = this.checkWrite(raw, prop, this.unwrap(descriptor.value));
+        }
+        return Reflect.defineProperty(raw, prop, checked);
+      },
+
+      getOwnPropertyDescriptor: (obj, prop) => {
+        const intercepted = this.interceptRead(raw, prop);
+        const descriptor = Reflect.getOwnPropertyDescriptor(raw, prop);
+        if (!descriptor) return undefined;
+
+        // 代理的目标是空对象，属性只能报告为可配置
+        const result = { enumerable: descriptor.enumerable, configurable: true };
+        if (intercepted !== PASS) {
+          result.value = intercepted;
+          result.writable = false;
+        } else if ('value' in descriptor) {
+          result.value = this.wrap(descriptor.value);
+          result.writable = descriptor.writable;
+        } else {
+          result.get = this.wrap(descriptor.get);
+          result.set = this.wrap(descriptor.set);
+        }
+        return result;
+      },
+
+      ownKeys: () => Reflect.ownKeys(raw),
+      getPrototypeOf: () => this.wrap(Reflect.getPrototypeOf(raw)),
+      setPrototypeOf: () => false,
+      isExtensible: () => true,
+      preventExtensions: () => false
+    };
+
+    if (typeof raw === 'function') {
+      handler.apply = (obj, self, args) => this.wrap(this.invoke(raw, this.unwrap(self), this.unwrapList(args)));
+      handler.construct = (obj, args) => this.wrap(Reflect.construct(raw, this.unwrapList(args)));
+    }
+
+    return new Proxy(shadow, this.guardTraps(handler));
+  }
+
+  /**
+   * 包装脚本的函数：页面调用它时参数先交给脚本，返回值再交还页面
+   */
+  createBridge(fn) {
+    const sandbox = this;
+    const { reflect } = this.realm;
+
+    return function (...args) {
+      const target = new.target;
+      return sandbox.callSandbox(() => target
+        ? reflect.construct(fn, sandbox.wrapList(args))
+        : reflect.apply(fn, sandbox.wrap(this), sandbox.wrapList(args)));
+    };
+  }
+
+  /**
+   * 包装脚本的对象：页面读写它的属性时同样经过转换
+   */
+  createReverseProxy(target) {
+    const { reflect } = this.realm;
+    const shadow = Array.isArray(target) ? [] : {};
+    const call = (operation) => this.callSandbox(operation, false);
+
+    return new Proxy(shadow, {
+      get: (obj, prop) => this.callSandbox(() => reflect.get(target, prop, target)),
+      set: (obj, prop, value) => call(() => reflect.set(target, prop, this.wrap(value), target)),
+      has: (obj, prop) => call(() => reflect.has(target, prop)),
+      deleteProperty: (obj, prop) => call(() => reflect.deleteProperty(target, prop)),
+      ownKeys: () => call(() => reflect.ownKeys(target)),
+
+      getOwnPropertyDescriptor: (obj, prop) => {
+        const descriptor = call(() => reflect.getOwnPropertyDescriptor(target, prop));
+        if (!descriptor) return undefined;
+
+        const hasOwn = (key) => Object.prototype.hasOwnProperty.call(descriptor, key);
+
+        // 数组的 length 在空数组目标上不可配置，报告时需要保持一致
+        if (Array.isArray(shadow) && prop === 'length') {
+          return { value: descriptor.value, writable: true, enumerable: false, configurable: false };
+        }
+
+        const result = { enumerable: Boolean(descriptor.enumerable), configurable: true };
+        if (hasOwn('get') || hasOwn('set')) {
+          result.get = this.unwrap(descriptor.get);
+          result.set = this.unwrap(descriptor.set);
+        } else {
+          result.value = this.unwrap(descriptor.value);
+          result.writable = Boolean(descriptor.writable);
+        }
+        return result;
+      },
+
+      defineProperty: (obj, prop, descriptor) => {
+        const hasOwn = (key) => Object.prototype.hasOwnProperty.call(descriptor, key);
+        const wrapped = {};
+        ['enumerable', 'configurable', 'writable'].forEach(key => {
+          if (hasOwn(key)) wrapped[key] = descriptor[key];
+        });
+        ['value', 'get', 'set'].forEach(key => {
+          if (hasOwn(key)) wrapped[key] = this.wrap(descriptor[key]);
+        });
+        return call(() => reflect.defineProperty(target, prop, wrapped));
+      },
+
+      getPrototypeOf: () => this.callSandbox(() => reflect.getPrototypeOf(target))
+    });
+  }
+
+  /**
+   * 从页面一侧调用沙箱：返回值交还页面，抛出的值转换为页面一侧的Error
+   * @param {Function} operation - 调用沙箱环境的操作
+   * @param {boolean} unwrapResult - 是否转换返回值（布尔值、属性列表等不需要）
+   */
+  callSandbox(operation, unwrapResult = true) {
+    let result;
+    try {
+      result = operation();
+    } catch (error) {
+      throw this.toPageError(error);
+    }
+    return unwrapResult ? this.unwrap(result) : result;
+  }
+
+  /**
+   * 获取沙箱window（全局名称由 resolveGlobal 解析）
+   */
+  getWindowProxy() {
+    if (this.windowProxy) return this.windowProxy;
+
+    const hasGlobal = (prop) => typeof prop === 'string' && (BUILTIN_GLOBALS.has(prop) || prop in window);
+
+    this.windowProxy = new Proxy({}, this.guardTraps({
+      get: (obj, prop) => typeof prop === 'symbol' ? undefined : this.resolveGlobal(prop),
+      set: (obj, prop, value) => this.setGlobal(prop, value),
+      has: (obj, prop) => hasGlobal(prop),
+
+      getOwnPropertyDescriptor: (obj, prop) => {
+        if (!hasGlobal(prop)) return undefined;
+        return { value: this.resolveGlobal(prop), writable: true, enumerable: false, configurable: true };
+      },
+
+      defineProperty: (obj, prop, descriptor) => {
+        if (!Object.prototype.hasOwnProperty.call(descriptor, 'value')) {
+          throw new Error('[Sandbox] 不能在 window 上定义访问器');
+        }
+        return this.setGlobal(prop, descriptor.value);
+      },
+
+      deleteProperty: (obj, prop) => {
+        throw new Error(`[Sandbox] 禁止删除全局变量 window.${String(prop)}`);
+      },
+
+      ownKeys: () => [],
+      getPrototypeOf: () => this.wrap(Object.getPrototypeOf(window)),
+      setPrototypeOf: () => false
+    }));
+
+    this.proxyByRaw.set(window, this.windowProxy);
+    this.rawByProxy.set(this.windowProxy, window);
+    return this.windowProxy;
+  }
+}
@@ -6,15 +6,69 @@
  * 修改记录：
  * - 2025-09-06: 重命名为core-storage.js，保持原功能
  * - 2025-09-04: 优化同步机制
+ * - 按键记录数据结构版本，加载时执行各模块声明的迁移，迁移前备份原数据
+ * - 本地与服务器数据不一致时按时间戳解决冲突（后写入者优先，或模块声明的合并函数）
+ * - 统计每个键和模块占用的本地空间，大数据压缩后写入localStorage，接近预算时发出警告
+ * - 事务把多次 set/remove 合为一组，失败时回滚；破坏性操作前自动保存恢复点，可撤销误删
  */
 
+import { compressText, decompressText } from './core-compression.js';
+
+// 保留键：不属于模块数据，加载缓存和获取全部数据时跳过
+const SCHEMA_KEY = '__schema';
+const BACKUP_KEY = '__migrationBackup';
+const META_KEY = '__meta'; // 本地数据的写入时间 {key: ISO时间}
+const BUDGET_KEY = '__budget'; // 本设备的存储预算（字节）
+const SNAPSHOTS_KEY = '__snapshots'; // 恢复点列表，只保存在本地
+const RESERVED_KEYS = new Set([SCHEMA_KEY, BACKUP_KEY, META_KEY, BUDGET_KEY, SNAPSHOTS_KEY]);
+
+const DEFAULT_MAX_SNAPSHOTS = 10;
+
+// 压缩数据的格式：标记 + 原始长度 + ':' + 压缩内容（JSON文本不可能以该标记开头）
+const COMPRESSED_MARKER = '\u0001LZ';
+const DEFAULT_COMPRESSION_THRESHOLD = 8 * 1024; // 字符
+// localStorage按UTF-16计算，每个字符2字节；配额由SillyTavern和所有扩展共享
+const DEFAULT_BUDGET = 4 * 1024 * 1024;
+const WARNING_RATIO = 0.8;
+
 export class CoreStorage {
-  constructor(namespace) {
+  /**
+   * @param {string} namespace - 命名空间
+   * @param {Object} options
+   *   migrations: Array<{key, version, description, migrate}> 数据迁移
+   *   mergers: {key: (localValue, serverValue, newer) => mergedValue} 冲突时的合并函数，
+   *            newer 为 'local' 或 'server'；未声明的键按后写入者优先
+   *   keyOwners: {moduleId: RegExp} 键名归属的模块，用于空间统计
+   *   compressionThreshold: 序列化后超过该字符数的数据压缩后写入localStorage
+   *   budget: 默认存储预算（字节），可通过 setBudget 按设备修改
+   *   maxSnapshots: 保留的恢复点数量
+   */
+  constructor(namespace, options = {}) {
     this.namespace = namespace;
     this.prefix = `${namespace}_`;
     this.cache = new Map();
     this.listeners = new Map();
 
+    // 迁移注册表：key → 按版本排序的迁移步骤
+    this.migrations = new Map();
+    this.migrationLog = [];
+    (options.migrations || []).forEach(migration => this.registerMigration(migration));
+
+    // 本地与服务器数据冲突
+    this.mergers = new Map(Object.entries(options.mergers || {}));
+    this.conflicts = new Map(); // key → 冲突记录，等待用户确认
+
+    // 空间统计和预算
+    this.keyOwners = Object.entries(options.keyOwners || {});
+    this.compressionThreshold = options.compressionThreshold || DEFAULT_COMPRESSION_THRESHOLD;
+    this.defaultBudget = options.budget || DEFAULT_BUDGET;
+    this.quotaLevel = 'ok';
+    this.localSizes = null; // 完整键名 → 占用字节，首次检查预算时全量统计，之后随写入更新
+    this.localTotal = 0;
+
+    // 恢复点
+    this.maxSnapshots = options.maxSnapshots || DEFAULT_MAX_SNAPSHOTS;
+
     // 标记是否使用服务器存储
     this.useServerStorage = false;
 
@@ -38,7 +92,7 @@ export class CoreStorage {
       // 初始化扩展设置对象
       if (!window.extension_settings[this.namespace]) {
         window.extension_settings[this.namespace] = {
-          version: '2.0.0',
+          schema: {},
           data: {}
         };
       }
@@ -49,6 +103,35 @@ export class CoreStorage {
     }
   }
 
+  /**
+   * 注册迁移步骤
+   * @param {Object} migration - {key, version, description, migrate(value) => newValue}
+   *   version 为从1开始递增的整数，同一个键的迁移按版本依次执行且只执行一次
+   */
+  registerMigration(migration) {
+    const { key, version, migrate } = migration;
+
+    if (!key || !Number.isInteger(version) || version < 1 || typeof migrate !== 'function') {
+      throw new Error(`[Storage] 无效的迁移声明: ${key} v${version}`);
+    }
+
+    const steps = this.migrations.get(key) || [];
+    if (steps.some(step => step.version === version)) {
+      throw new Error(`[Storage] 重复的迁移版本: ${key} v${version}`);
+    }
+
+    steps.push(migration);
+    steps.sort((a, b) => a.version - b.version);
+    this.migrations.set(key, steps);
+  }
+
+  /**
+   * 是否是保留键（完整键名）
+   */
+  isReservedKey(fullKey) {
+    return RESERVED_KEYS.has(fullKey.replace(this.prefix, ''));
+  }
+
   /**
    * 生成存储键名
    */
@@ -61,23 +144,27 @@ export class CoreStorage {
    */
   async set(key, value) {
     try {
+      // 本地和服务器使用同一个写入时间，用于之后判断冲突
+      const timestamp = new Date().toISOString();
+
       // 1. 保存到缓存
       this.cache.set(key, value);
 
       // 2. 保存到localStorage（作为本地缓存）
-      const fullKey = this.getKey(key);
       try {
-        const serialized = JSON.stringify(value);
-        localStorage.setItem(fullKey, serialized);
+        this.writeLocal(key, value, timestamp);
       } catch (localError) {
         console.warn(`[Storage] 本地存储失败，但会继续同步到服务器:`, localError.message);
       }
 
       // 3. 如果在SillyTavern环境，立即同步到服务器
       if (this.useServerStorage) {
-        await this.saveToServer(key, value);
+        await this.saveToServer(key, value, timestamp);
       }
 
+      // 用户重新保存后冲突不再有意义
+      this.conflicts.delete(key);
+
       // 触发变更事件
       this.emit('changed', { key, value });
       this.emit(`changed:${key}`, value);
@@ -89,17 +176,131 @@ export class CoreStorage {
     }
   }
 
+  /**
+   * 写入localStorage并记录写入时间
+   */
+  writeLocal(key, value, timestamp) {
+    this.storeLocal(key, value);
+    this.setLocalTimestamp(key, timestamp);
+  }
+
+  /**
+   * 序列化并写入localStorage，大数据压缩后写入
+   * 超出浏览器配额时触发 quotaExceeded 事件并抛出错误
+   */
+  storeLocal(key, value) {
+    const fullKey = this.getKey(key);
+    const serialized = this.serializeLocal(value);
+
+    try {
+      localStorage.setItem(fullKey, serialized);
+      this.recordLocalSize(fullKey, serialized);
+    } catch (error) {
+      if (this.isQuotaError(error)) {
+        const usage = this.getUsage();
+        console.error(`[Storage] 本地存储空间已满，无法写入 ${key}（${serialized.length * 2} 字节）`);
+        this.emit('quotaExceeded', { key, bytes: serialized.length * 2, total: usage.total, budget: usage.budget });
+      }
+      throw error;
+    }
+
+    this.checkBudget();
+  }
+
+  /**
+   * 从localStorage删除并更新占用统计
+   */
+  removeLocal(key) {
+    const fullKey = this.getKey(key);
+    localStorage.removeItem(fullKey);
+    this.recordLocalSize(fullKey, null);
+  }
+
+  /**
+   * 序列化要写入localStorage的值
+   */
+  serializeLocal(value) {
+    const json = JSON.stringify(value);
+    if (json === undefined || json.length < this.compressionThreshold) return json;
+
+    const packed = `${COMPRESSED_MARKER}${json.length}:${compressText(json)}`;
+    // 压缩后没有变小（例如已压缩的字体数据）就保存原文
+    return packed.length < json.length ? packed : json;
+  }
+
+  /**
+   * 读取localStorage中的值
+   * @returns {*} 值；键不存在时返回undefined，数据损坏时抛出错误
+   */
+  readLocal(key) {
+    const serialized = localStorage.getItem(this.getKey(key));
+    if (serialized === null) return undefined;
+    return this.deserializeLocal(serialized);
+  }
+
+  /**
+   * 反序列化localStorage中的文本
+   */
+  deserializeLocal(serialized) {
+    if (serialized.startsWith(COMPRESSED_MARKER)) {
+      const separator = serialized.indexOf(':', COMPRESSED_MARKER.length);
+      return JSON.parse(decompressText(serialized.slice(separator + 1)));
+    }
+    return JSON.parse(serialized);
+  }
+
+  /**
+   * 是否是浏览器存储配额错误
+   */
+  isQuotaError(error) {
+    return error instanceof DOMException && (
+      error.name === 'QuotaExceededError' ||
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error.code === 22
+    );
+  }
+
+  /**
+   * 读取本地数据的写入时间
+   */
+  getLocalMeta() {
+    try {
+      return JSON.parse(localStorage.getItem(this.getKey(META_KEY))) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * 记录本地数据的写入时间（timestamp为null时删除记录）
+   */
+  setLocalTimestamp(key, timestamp) {
+    try {
+      const meta = this.getLocalMeta();
+      if (timestamp) {
+        meta[key] = timestamp;
+      } else {
+        delete meta[key];
+      }
+      const serialized = JSON.stringify(meta);
+      localStorage.setItem(this.getKey(META_KEY), serialized);
+      this.recordLocalSize(this.getKey(META_KEY), serialized);
+    } catch (e) {
+      // 忽略本地存储错误
+    }
+  }
+
   /**
    * 保存到服务器（立即执行）
    */
-  async saveToServer(key, value) {
+  async saveToServer(key, value, timestamp = new Date().toISOString()) {
     if (!this.useServerStorage) return;
 
     try {
       // 确保扩展设置对象存在
       if (!window.extension_settings[this.namespace]) {
         window.extension_settings[this.namespace] = {
-          version: '2.0.0',
+          schema: {},
           data: {}
         };
       }
@@ -112,7 +313,7 @@ export class CoreStorage {
       // 存储数据和时间戳
       window.extension_settings[this.namespace].data[key] = {
         value: value,
-        timestamp: new Date().toISOString()
+        timestamp: timestamp
       };
 
       // 立即调用SillyTavern的保存函数
@@ -141,9 +342,8 @@ export class CoreStorage {
         this.cache.set(key, serverData);
 
         // 同时更新本地存储
-        const fullKey = this.getKey(key);
         try {
-          localStorage.setItem(fullKey, JSON.stringify(serverData));
+          this.storeLocal(key, serverData);
         } catch (e) {
           // 忽略本地存储错误
         }
@@ -153,11 +353,9 @@ export class CoreStorage {
     }
 
     // 3. 从localStorage读取（作为后备）
-    const fullKey = this.getKey(key);
     try {
-      const serialized = localStorage.getItem(fullKey);
-      if (serialized !== null) {
-        const value = JSON.parse(serialized);
+      const value = this.readLocal(key);
+      if (value !== undefined) {
         this.cache.set(key, value);
 
         // 如果服务器端没有，同步上去
@@ -202,12 +400,14 @@ export class CoreStorage {
       this.cache.delete(key);
 
       // 2. 从localStorage删除
-      const fullKey = this.getKey(key);
       try {
-        localStorage.removeItem(fullKey);
+        this.removeLocal(key);
+        this.setLocalTimestamp(key, null);
+        this.checkBudget();
       } catch (e) {
         // 忽略本地存储错误
       }
+      this.conflicts.delete(key);
 
       // 3. 从服务器删除（立即执行）
       if (this.useServerStorage) {
@@ -263,29 +463,39 @@ export class CoreStorage {
 
   /**
    * 清空所有数据 - 彻底清理
+   * @param {Object} options - 选项
+   * @param {boolean} options.withoutSnapshot - 恢复点保存失败时仍然清空（无法撤销）
+   * @returns {Promise<boolean>} 是否已清空；恢复点保存失败时不清空，返回false
    */
-  async clear() {
+  async clear(options = {}) {
     try {
       console.log(`[Storage] 开始清空所有数据...`);
 
+      // 清空前保存恢复点，误操作时可以撤销；保存失败（通常是空间不足）时由调用方确认是否继续
+      if (!this.createSnapshot('清空所有数据') && !options.withoutSnapshot) {
+        console.warn(`[Storage] 恢复点保存失败，已取消清空`);
+        return false;
+      }
+
       // 1. 清空缓存
       this.cache.clear();
 
-      // 2. 清空localStorage中的相关数据
+      // 2. 清空localStorage中的相关数据（保留恢复点）
       const keysToRemove = [];
       for (let i = 0; i < localStorage.length; i++) {
         const key = localStorage.key(i);
-        if (key && key.startsWith(this.prefix)) {
+        if (key && key.startsWith(this.prefix) && key !== this.getKey(SNAPSHOTS_KEY)) {
           keysToRemove.push(key);
         }
       }
 
       // 批量删除（避免在循环中修改localStorage）
-      keysToRemove.forEach(key => {
-        localStorage.removeItem(key);
+      keysToRemove.forEach(fullKey => {
+        this.removeLocal(fullKey.slice(this.prefix.length));
       });
 
       console.log(`[Storage] 已清空 ${keysToRemove.length} 个本地存储项`);
+      this.checkBudget();
 
       // 3. 清空服务器数据（立即执行）
       if (this.useServerStorage) {
@@ -296,7 +506,7 @@ export class CoreStorage {
       this.emit('cleared', null);
 
       console.log(`[Storage] 数据清空完成`);
-      return Promise.resolve();
+      return true;
     } catch (error) {
       console.error(`[Storage] 清空失败:`, error);
       return Promise.reject(error);
@@ -343,7 +553,7 @@ export class CoreStorage {
     // 2. 从localStorage获取
     for (let i = 0; i < localStorage.length; i++) {
       const key = localStorage.key(i);
-      if (key && key.startsWith(this.prefix)) {
+      if (key && key.startsWith(this.prefix) && !this.isReservedKey(key)) {
         keys.add(key);
       }
     }
@@ -377,8 +587,7 @@ export class CoreStorage {
     for (const fullKey of keys) {
       const key = fullKey.replace(this.prefix, '');
       try {
-        const value = JSON.parse(localStorage.getItem(fullKey));
-        data[key] = value;
+        data[key] = this.readLocal(key);
       } catch (error) {
         console.warn(`[Storage] 跳过损坏的数据 (${key})`);
       }
@@ -421,7 +630,7 @@ export class CoreStorage {
     const keys = [];
     for (let i = 0; i < localStorage.length; i++) {
       const key = localStorage.key(i);
-      if (key && key.startsWith(this.prefix)) {
+      if (key && key.startsWith(this.prefix) && !this.isReservedKey(key)) {
         keys.push(key);
       }
     }
@@ -430,8 +639,7 @@ export class CoreStorage {
       const key = fullKey.replace(this.prefix, '');
       if (!this.cache.has(key)) {
         try {
-          const value = JSON.parse(localStorage.getItem(fullKey));
-          this.cache.set(key, value);
+          this.cache.set(key, this.readLocal(key));
         } catch (error) {
           console.warn(`[Storage] 缓存加载失败 (${key})`);
         }
@@ -439,6 +647,174 @@ export class CoreStorage {
     });
 
     console.log(`[Storage] 缓存已加载，共 ${this.cache.size} 项`);
+    this.checkBudget();
+
+    await this.runMigrations();
+  }
+
+  // ===== 数据迁移 =====
+
+  /**
+   * 读取各键的数据结构版本
+   */
+  getSchemaVersions() {
+    if (this.useServerStorage) {
+      const settings = window.extension_settings[this.namespace];
+      if (settings && settings.schema) {
+        return { ...settings.schema };
+      }
+    }
+
+    try {
+      return JSON.parse(localStorage.getItem(this.getKey(SCHEMA_KEY))) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * 保存各键的数据结构版本
+   */
+  saveSchemaVersions(versions) {
+    try {
+      const serialized = JSON.stringify(versions);
+      localStorage.setItem(this.getKey(SCHEMA_KEY), serialized);
+      this.recordLocalSize(this.getKey(SCHEMA_KEY), serialized);
+    } catch (e) {
+      console.warn('[Storage] 本地保存数据版本失败:', e.message);
+    }
+
+    if (this.useServerStorage && window.extension_settings[this.namespace]) {
+      window.extension_settings[this.namespace].schema = versions;
+      // 旧版本写入的固定版本号不再使用
+      delete window.extension_settings[this.namespace].version;
+
+      if (typeof saveSettingsDebounced === 'function') {
+        saveSettingsDebounced();
+      }
+    }
+  }
+
+  /**
+   * 执行未执行过的迁移
+   * 没有数据的键直接标记为最新版本；第一次执行迁移前备份所有待迁移的数据
+   * @returns {Promise<Array>} 本次执行的迁移记录
+   */
+  async runMigrations() {
+    if (this.migrations.size === 0) return [];
+
+    const versions = this.getSchemaVersions();
+    const executed = [];
+    let backup = null;
+    let versionsChanged = false;
+
+    for (const [key, steps] of this.migrations) {
+      const current = versions[key] || 0;
+      const pending = steps.filter(step => step.version > current);
+      if (pending.length === 0) continue;
+
+      const latest = pending[pending.length - 1].version;
+
+      if (!this.cache.has(key)) {
+        versions[key] = latest;
+        versionsChanged = true;
+        continue;
+      }
+
+      // 备份（只在第一次迁移前写入一次）
+      if (!backup) {
+        backup = { createdAt: new Date().toISOString(), schema: { ...versions }, data: {} };
+      }
+      backup.data[key] = this.cache.get(key);
+      this.saveBackup(backup);
+
+      let value = this.cache.get(key);
+      let version = current;
+
+      try {
+        for (const step of pending) {
+          value = await step.migrate(value);
+          const record = { key, from: version, to: step.version, description: step.description || '', timestamp: Date.now() };
+          console.log(`[Storage] 迁移 ${key}: v${version} → v${step.version} ${record.description}`);
+          executed.push(record);
+          version = step.version;
+        }
+      } catch (error) {
+        // 任何一步失败都保留原数据和原版本，下次加载时重试
+        console.error(`[Storage] 迁移 ${key} 失败（v${version}），已保留原数据:`, error);
+        executed.push({ key, from: current, to: version, error: error.message, timestamp: Date.now() });
+        continue;
+      }
+
+      await this.set(key, value);
+      versions[key] = version;
+      versionsChanged = true;
+    }
+
+    if (versionsChanged) {
+      this.saveSchemaVersions(versions);
+    }
+
+    if (executed.length > 0) {
+      this.migrationLog.push(...executed);
+      this.emit('migrated', executed);
+    }
+
+    return executed;
+  }
+
+  /**
+   * 保存迁移前的备份
+   */
+  saveBackup(backup) {
+    try {
+      this.storeLocal(BACKUP_KEY, backup);
+    } catch (e) {
+      console.warn('[Storage] 本地保存迁移备份失败:', e.message);
+    }
+
+    if (this.useServerStorage && window.extension_settings[this.namespace]) {
+      window.extension_settings[this.namespace].migrationBackup = backup;
+    }
+  }
+
+  /**
+   * 读取迁移前的备份
+   * @returns {Object|null} {createdAt, schema, data}
+   */
+  getMigrationBackup() {
+    if (this.useServerStorage) {
+      const settings = window.extension_settings[this.namespace];
+      if (settings && settings.migrationBackup) {
+        return settings.migrationBackup;
+      }
+    }
+
+    try {
+      return this.readLocal(BACKUP_KEY) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 回滚到迁移前的数据和版本
+   * 注意：回滚后重新加载页面会再次执行迁移，通常用于降级扩展版本前
+   * @returns {Promise<boolean>} 是否有备份可回滚
+   */
+  async rollbackMigrations() {
+    const backup = this.getMigrationBackup();
+    if (!backup) return false;
+
+    for (const [key, value] of Object.entries(backup.data)) {
+      await this.set(key, value);
+    }
+
+    this.saveSchemaVersions(backup.schema || {});
+    console.log(`[Storage] 已回滚到 ${backup.createdAt} 迁移前的数据`);
+    this.emit('migrationsRolledBack', backup);
+
+    return true;
   }
 
   /**
@@ -452,17 +828,11 @@ export class CoreStorage {
         window.extension_settings[this.namespace].data) {
 
         const serverData = window.extension_settings[this.namespace].data;
+        const localMeta = this.getLocalMeta();
         for (const [key, item] of Object.entries(serverData)) {
           if (item && item.value !== undefined) {
-            this.cache.set(key, item.value);
-
-            // 同时更新本地存储作为缓存
-            const fullKey = this.getKey(key);
-            try {
-              localStorage.setItem(fullKey, JSON.stringify(item.value));
-            } catch (e) {
-              // 忽略本地存储错误
-            }
+            // 与本地数据比较，不一致时按时间戳解决
+            this.cache.set(key, this.reconcile(key, item, localMeta));
           }
         }
 
@@ -473,17 +843,492 @@ export class CoreStorage {
     }
   }
 
+  // ===== 冲突解决 =====
+
+  /**
+   * 比较本地和服务器的同一个键，返回应使用的值
+   * 不一致时：有合并函数则合并，否则后写入者优先；结果写回两端并记录冲突
+   * @param {string} key - 键名
+   * @param {Object} serverItem - {value, timestamp}
+   * @param {Object} localMeta - 本地写入时间表
+   */
+  reconcile(key, serverItem, localMeta) {
+    let localValue;
+    let hasLocal = false;
+
+    try {
+      localValue = this.readLocal(key);
+      hasLocal = localValue !== undefined;
+    } catch (e) {
+      // 本地数据损坏时以服务器为准
+    }
+
+    if (!hasLocal || JSON.stringify(localValue) === JSON.stringify(serverItem.value)) {
+      try {
+        this.writeLocal(key, serverItem.value, serverItem.timestamp || null);
+      } catch (e) {
+        // 忽略本地存储错误
+      }
+      return serverItem.value;
+    }
+
+    // 没有写入时间的旧数据视为最早
+    const localTime = Date.parse(localMeta[key]) || 0;
+    const serverTime = Date.parse(serverItem.timestamp) || 0;
+    const newer = localTime > serverTime ? 'local' : 'server';
+
+    let value = newer === 'local' ? localValue : serverItem.value;
+    let resolution = newer;
+
+    const merger = this.mergers.get(key);
+    if (merger) {
+      try {
+        value = merger(localValue, serverItem.value, newer);
+        resolution = 'merged';
+      } catch (error) {
+        console.error(`[Storage] 合并 ${key} 失败，改用较新的数据:`, error);
+      }
+    }
+
+    const conflict = {
+      key,
+      local: { value: localValue, timestamp: localMeta[key] || null },
+      server: { value: serverItem.value, timestamp: serverItem.timestamp || null },
+      resolution,
+      detectedAt: new Date().toISOString()
+    };
+    this.conflicts.set(key, conflict);
+
+    // 写回两端，保持一致
+    const timestamp = new Date().toISOString();
+    try {
+      this.writeLocal(key, value, timestamp);
+    } catch (e) {
+      // 忽略本地存储错误
+    }
+    if (resolution !== 'server') {
+      this.saveToServer(key, value, timestamp);
+    }
+
+    console.warn(`[Storage] 本地与服务器数据不一致: ${key}，已使用${{ local: '本地', server: '服务器', merged: '合并后的' }[resolution]}数据`);
+    this.emit('conflict', conflict);
+
+    return value;
+  }
+
+  /**
+   * 获取检测到的冲突列表
+   */
+  getConflicts() {
+    return Array.from(this.conflicts.values());
+  }
+
   /**
-   * 导出所有数据
+   * 手动选择冲突的一方
+   * 模块已加载的数据不会自动更新，通常需要刷新页面
+   * @param {string} key - 键名
+   * @param {string} side - 'local' 或 'server'
    */
-  async export() {
-    const data = await this.getAll();
+  async resolveConflict(key, side) {
+    const conflict = this.conflicts.get(key);
+    if (!conflict) return false;
+
+    await this.set(key, conflict[side].value);
+    this.emit('conflictResolved', { key, side });
+
+    return true;
+  }
+
+  /**
+   * 保留自动解决的结果，不再提示
+   */
+  dismissConflict(key) {
+    this.conflicts.delete(key);
+    this.emit('conflictResolved', { key, side: null });
+  }
+
+  // ===== 事务和恢复点 =====
+
+  /**
+   * 在事务中执行多次 set/remove
+   * 只记录通过事务句柄写入的键：执行失败时把这些键恢复到事务开始前的值，
+   * 同一时间其他模块直接调用 set/remove 写入的键不受影响
+   * @param {string} label - 操作名称，用于恢复点列表
+   * @param {Function} fn - 异步函数 (tx) => {}，在其中调用 tx.set / tx.remove
+   * @param {Object} options
+   *   snapshot: 成功后把修改前的值保存为恢复点（用于删除、清空等破坏性操作）
+   * @returns {Promise<*>} fn 的返回值
+   */
+  async transaction(label, fn, options = {}) {
+    const transaction = { label, before: new Map() };
+    const handle = {
+      get: (key, defaultValue) => this.get(key, defaultValue),
+      set: (key, value) => {
+        this.recordBefore(transaction, key);
+        return this.set(key, value);
+      },
+      remove: (key) => {
+        this.recordBefore(transaction, key);
+        return this.remove(key);
+      }
+    };
+
+    let result;
+    try {
+      result = await fn(handle);
+    } catch (error) {
+      console.error(`[Storage] 事务"${label}"失败，正在回滚 ${transaction.before.size} 个键:`, error);
+      await this.restoreValues(transaction.before);
+      this.emit('transactionRolledBack', { label, keys: Array.from(transaction.before.keys()) });
+      throw error;
+    }
+
+    if (options.snapshot && transaction.before.size > 0) {
+      this.saveSnapshot(label, transaction.before);
+    }
+
+    return result;
+  }
+
+  /**
+   * 在事务中第一次修改某个键时记录它原来的值
+   */
+  recordBefore(transaction, key) {
+    if (transaction.before.has(key)) return;
+
+    transaction.before.set(key, {
+      exists: this.cache.has(key),
+      value: this.cache.has(key) ? JSON.parse(JSON.stringify(this.cache.get(key))) : undefined
+    });
+  }
+
+  /**
+   * 把键恢复到记录的值（原来不存在的键删除）
+   * @param {Map} values - key → {exists, value}
+   * @param {Object} store - 写入目标，在事务中传入事务句柄
+   */
+  async restoreValues(values, store = this) {
+    for (const [key, item] of values) {
+      try {
+        if (item.exists) {
+          await store.set(key, item.value);
+        } else {
+          await store.remove(key);
+        }
+      } catch (error) {
+        console.error(`[Storage] 恢复 ${key} 失败:`, error);
+      }
+    }
+  }
+
+  /**
+   * 保存当前数据为恢复点
+   * @param {string} label - 恢复点名称
+   * @param {Array<string>} keys - 要保存的键，省略时保存全部数据
+   * @returns {Object|null} 恢复点，保存失败时为null
+   */
+  createSnapshot(label, keys = null) {
+    const values = new Map();
+    (keys || Array.from(this.cache.keys())).forEach(key => {
+      values.set(key, {
+        exists: this.cache.has(key),
+        value: this.cache.get(key)
+      });
+    });
+
+    return this.saveSnapshot(label, values);
+  }
+
+  /**
+   * 写入恢复点，超出数量时丢弃最旧的
+   * @param {Map} values - key → {exists, value}
+   */
+  saveSnapshot(label, values) {
+    const snapshot = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      label,
+      createdAt: new Date().toISOString(),
+      data: {},
+      missing: []
+    };
+
+    values.forEach((item, key) => {
+      if (item.exists) {
+        snapshot.data[key] = item.value;
+      } else {
+        snapshot.missing.push(key);
+      }
+    });
+
+    const snapshots = [snapshot, ...this.readSnapshots()].slice(0, this.maxSnapshots);
+
+    // 空间不足时先丢弃旧的恢复点再重试
+    while (snapshots.length > 0) {
+      try {
+        this.storeLocal(SNAPSHOTS_KEY, snapshots);
+        console.log(`[Storage] 已保存恢复点: ${label}（${values.size} 个键）`);
+        this.emit('snapshotCreated', this.describeSnapshot(snapshot));
+        return snapshot;
+      } catch (error) {
+        if (!this.isQuotaError(error) || snapshots.length === 1) {
+          console.error(`[Storage] 保存恢复点失败: ${label}`, error);
+          return null;
+        }
+        snapshots.pop();
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 读取本地保存的恢复点
+   */
+  readSnapshots() {
+    try {
+      return this.readLocal(SNAPSHOTS_KEY) || [];
+    } catch (e) {
+      console.warn('[Storage] 恢复点数据已损坏，已忽略');
+      return [];
+    }
+  }
+
+  /**
+   * 恢复点摘要（不含数据）
+   */
+  describeSnapshot(snapshot) {
+    return {
+      id: snapshot.id,
+      label: snapshot.label,
+      createdAt: snapshot.createdAt,
+      keys: [...Object.keys(snapshot.data), ...snapshot.missing]
+    };
+  }
+
+  /**
+   * 获取恢复点列表，从新到旧
+   * @returns {Array} [{id, label, createdAt, keys}]
+   */
+  getSnapshots() {
+    return this.readSnapshots().map(snapshot => this.describeSnapshot(snapshot));
+  }
+
+  /**
+   * 恢复到恢复点保存时的数据
+   * 恢复前会为当前数据保存一个新的恢复点，可以再次撤销
+   * @param {string} id - 恢复点ID
+   * @returns {Promise<Object|null>} 恢复点摘要，不存在时为null
+   */
+  async restoreSnapshot(id) {
+    const snapshot = this.readSnapshots().find(item => item.id === id);
+    if (!snapshot) return null;
+
+    const values = new Map();
+    Object.entries(snapshot.data).forEach(([key, value]) => values.set(key, { exists: true, value }));
+    snapshot.missing.forEach(key => values.set(key, { exists: false }));
+
+    await this.transaction(`恢复"${snapshot.label}"前`, (tx) => this.restoreValues(values, tx), { snapshot: true });
+
+    const summary = this.describeSnapshot(snapshot);
+    console.log(`[Storage] 已恢复到 ${snapshot.createdAt} 的恢复点: ${snapshot.label}`);
+    this.emit('snapshotRestored', summary);
+
+    return summary;
+  }
+
+  /**
+   * 删除恢复点
+   */
+  deleteSnapshot(id) {
+    const snapshots = this.readSnapshots();
+    const remaining = snapshots.filter(item => item.id !== id);
+    if (remaining.length === snapshots.length) return false;
+
+    try {
+      this.storeLocal(SNAPSHOTS_KEY, remaining);
+    } catch (e) {
+      console.warn('[Storage] 删除恢复点失败:', e.message);
+      return false;
+    }
+
+    this.emit('snapshotRemoved', { id });
+    return true;
+  }
+
+  // ===== 空间统计 =====
+
+  /**
+   * 统计本地存储占用（全量扫描，同时校正 checkBudget 使用的占用统计）
+   * @returns {Object} {total, budget, ratio, level, keys: [...], modules: [...]}
+   *   keys: {key, module, bytes, rawBytes, compressed}，按占用从大到小排序
+   *   modules: {module, bytes, keys}，按占用从大到小排序
+   */
+  getUsage() {
+    const keys = [];
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const fullKey = localStorage.key(i);
+      if (!fullKey || !fullKey.startsWith(this.prefix)) continue;
+
+      const key = fullKey.slice(this.prefix.length);
+      const serialized = localStorage.getItem(fullKey) || '';
+      const compressed = serialized.startsWith(COMPRESSED_MARKER);
+      const rawLength = compressed
+        ? parseInt(serialized.slice(COMPRESSED_MARKER.length), 10) || serialized.length
+        : serialized.length;
+
+      keys.push({
+        key,
+        module: this.getKeyOwner(key),
+        bytes: (fullKey.length + serialized.length) * 2,
+        rawBytes: (fullKey.length + rawLength) * 2,
+        compressed
+      });
+    }
+
+    keys.sort((a, b) => b.bytes - a.bytes);
+
+    const modules = new Map();
+    keys.forEach(item => {
+      const entry = modules.get(item.module) || { module: item.module, bytes: 0, keys: 0 };
+      entry.bytes += item.bytes;
+      entry.keys++;
+      modules.set(item.module, entry);
+    });
+
+    const total = keys.reduce((sum, item) => sum + item.bytes, 0);
+    const budget = this.getBudget();
+
+    this.localSizes = new Map(keys.map(item => [this.getKey(item.key), item.bytes]));
+    this.localTotal = total;
+
+    return {
+      total,
+      budget,
+      ratio: budget > 0 ? total / budget : 0,
+      level: this.getQuotaLevel(total, budget),
+      keys,
+      modules: Array.from(modules.values()).sort((a, b) => b.bytes - a.bytes)
+    };
+  }
+
+  /**
+   * 键名归属的模块
+   */
+  getKeyOwner(key) {
+    if (RESERVED_KEYS.has(key)) return 'storage';
+
+    const owner = this.keyOwners.find(([, pattern]) => pattern.test(key));
+    return owner ? owner[0] : 'other';
+  }
+
+  /**
+   * 读取存储预算（字节）
+   */
+  getBudget() {
+    try {
+      const budget = Number(localStorage.getItem(this.getKey(BUDGET_KEY)));
+      return budget > 0 ? budget : this.defaultBudget;
+    } catch (e) {
+      return this.defaultBudget;
+    }
+  }
+
+  /**
+   * 设置本设备的存储预算，null恢复默认值
+   * @param {number|null} bytes - 预算（字节）
+   */
+  setBudget(bytes) {
+    if (bytes === null) {
+      this.removeLocal(BUDGET_KEY);
+    } else {
+      if (!(bytes > 0)) {
+        throw new Error('[Storage] 存储预算必须大于0');
+      }
+      const serialized = String(Math.round(bytes));
+      localStorage.setItem(this.getKey(BUDGET_KEY), serialized);
+      this.recordLocalSize(this.getKey(BUDGET_KEY), serialized);
+    }
+
+    this.checkBudget();
+  }
+
+  /**
+   * 按占用比例返回预算级别
+   */
+  getQuotaLevel(total, budget) {
+    if (total >= budget) return 'exceeded';
+    if (total >= budget * WARNING_RATIO) return 'warning';
+    return 'ok';
+  }
+
+  /**
+   * 记录单个键的占用（serialized为null时表示已删除）
+   */
+  recordLocalSize(fullKey, serialized) {
+    if (!this.localSizes) return;
+
+    this.localTotal -= this.localSizes.get(fullKey) || 0;
+    if (serialized === null) {
+      this.localSizes.delete(fullKey);
+    } else {
+      const bytes = (fullKey.length + String(serialized).length) * 2;
+      this.localSizes.set(fullKey, bytes);
+      this.localTotal += bytes;
+    }
+  }
+
+  /**
+   * 检查占用是否接近预算，级别变化时触发 quota 事件
+   * 使用写入时维护的占用统计，只在首次检查时全量扫描
+   * @returns {string} 'ok' | 'warning' | 'exceeded'
+   */
+  checkBudget() {
+    if (!this.localSizes) {
+      this.getUsage();
+    }
+
+    const total = this.localTotal;
+    const budget = this.getBudget();
+    const level = this.getQuotaLevel(total, budget);
+
+    if (level !== this.quotaLevel) {
+      this.quotaLevel = level;
+      if (level !== 'ok') {
+        console.warn(`[Storage] 本地存储占用 ${(total / 1024).toFixed(0)}KB，已达到预算的 ${Math.round(total / budget * 100)}%`);
+      }
+      this.emit('quota', { level, total, budget });
+    }
+
+    return level;
+  }
+
+  // ===== 导出和导入 =====
+
+  /**
+   * 导出数据
+   * @param {Object} options - 省略时导出全部数据
+   *   keys: Array<string> 只导出这些键
+   *   modules: Array<string> 只导出属于这些模块的键（见 keyOwners）
+   * @returns {Promise<string>} JSON文本
+   */
+  async export(options = {}) {
+    const filter = this.normalizeFilter(options);
+    const all = await this.getAll();
+    const data = {};
+
+    Object.entries(all).forEach(([key, value]) => {
+      if (this.matchesFilter(key, filter)) {
+        data[key] = value;
+      }
+    });
 
     const exportData = {
       namespace: this.namespace,
       version: '2.0.3',
       exportDate: new Date().toISOString(),
       dataSource: this.useServerStorage ? 'server' : 'local',
+      filter,
       data: data
     };
 
@@ -491,30 +1336,127 @@ export class CoreStorage {
   }
 
   /**
-   * 导入数据
+   * 整理导出过滤条件，没有条件时返回null
    */
-  async import(jsonString, merge = true) {
+  normalizeFilter(options) {
+    const keys = Array.isArray(options.keys) && options.keys.length > 0 ? [...options.keys] : null;
+    const modules = Array.isArray(options.modules) && options.modules.length > 0 ? [...options.modules] : null;
+    return keys || modules ? { keys, modules } : null;
+  }
+
+  /**
+   * 键是否符合过滤条件（同时给出keys和modules时满足其一即可）
+   */
+  matchesFilter(key, filter) {
+    if (!filter) return true;
+    return (filter.keys && filter.keys.includes(key)) ||
+      (filter.modules && filter.modules.includes(this.getKeyOwner(key))) || false;
+  }
+
+  /**
+   * 预览导入：比较导入数据和当前数据
+   * @param {string} jsonString - export 导出的JSON文本
+   * @param {Object} options
+   *   merge: 为false时，导入范围内（导出时的过滤条件）导入数据中没有的键标记为删除
+   * @returns {Promise<Object>} {namespace, exportDate, filter, merge, entries, counts}
+   *   entries: {key, module, status: 'added'|'changed'|'removed'|'unchanged', before, after}
+   */
+  async previewImport(jsonString, options = {}) {
+    let importData;
     try {
-      const importData = JSON.parse(jsonString);
+      importData = JSON.parse(jsonString);
+    } catch (e) {
+      throw new Error('导入文件不是有效的JSON');
+    }
+
+    if (!importData || !importData.data || typeof importData.data !== 'object') {
+      throw new Error('无效的导入数据格式');
+    }
 
-      if (!importData.data) {
-        throw new Error('无效的导入数据格式');
+    const merge = options.merge !== false;
+    const filter = importData.filter || null;
+    const current = await this.getAll();
+    const entries = [];
+
+    Object.entries(importData.data).forEach(([key, after]) => {
+      if (this.isReservedKey(this.getKey(key))) return;
+
+      const exists = Object.prototype.hasOwnProperty.call(current, key);
+      const before = exists ? current[key] : undefined;
+      let status = 'added';
+      if (exists) {
+        status = JSON.stringify(before) === JSON.stringify(after) ? 'unchanged' : 'changed';
       }
 
-      // 如果不合并，先清空
-      if (!merge) {
-        await this.clear();
-        // 等待清空操作完成
-        await new Promise(resolve => setTimeout(resolve, 100));
+      entries.push({ key, module: this.getKeyOwner(key), status, before, after });
+    });
+
+    if (!merge) {
+      Object.entries(current).forEach(([key, before]) => {
+        if (key in importData.data || !this.matchesFilter(key, filter)) return;
+        entries.push({ key, module: this.getKeyOwner(key), status: 'removed', before, after: undefined });
+      });
+    }
+
+    const counts = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+    entries.forEach(entry => counts[entry.status]++);
+
+    return {
+      namespace: importData.namespace || null,
+      exportDate: importData.exportDate || null,
+      filter,
+      merge,
+      entries,
+      counts
+    };
+  }
+
+  /**
+   * 按预览结果导入选中的键
+   * @param {Object} preview - previewImport 的结果
+   * @param {Array<string>} keys - 要导入的键；省略时导入所有有变化的键
+   * @returns {Promise<Object>} {added, changed, removed, failed}
+   */
+  async applyImport(preview, keys = null) {
+    const selected = keys ? new Set(keys) : null;
+    const result = { added: 0, changed: 0, removed: 0, failed: [] };
+
+    for (const entry of preview.entries) {
+      if (entry.status === 'unchanged') continue;
+      if (selected && !selected.has(entry.key)) continue;
+
+      try {
+        if (entry.status === 'removed') {
+          await this.remove(entry.key);
+        } else {
+          await this.set(entry.key, entry.after);
+        }
+        result[entry.status]++;
+      } catch (error) {
+        result.failed.push({ key: entry.key, error: error.message });
       }
+    }
+
+    if (result.failed.length > 0) {
+      console.warn(`[Storage] 部分数据导入失败:`, result.failed);
+    }
 
-      // 导入数据（会自动保存到服务器）
-      await this.setMultiple(importData.data);
+    console.log(`[Storage] 导入完成：新增 ${result.added}，修改 ${result.changed}，删除 ${result.removed}`);
+    this.emit('imported', result);
 
-      const count = Object.keys(importData.data).length;
-      console.log(`[Storage] 成功导入 ${count} 项数据`);
+    return result;
+  }
+
+  /**
+   * 导入数据（不预览，导入所有有变化的键）
+   * @returns {Promise<number>} 导入数据中的键数
+   */
+  async import(jsonString, merge = true) {
+    try {
+      const preview = await this.previewImport(jsonString, { merge });
+      await this.applyImport(preview);
 
-      return count;
+      return preview.entries.filter(entry => entry.status !== 'removed').length;
     } catch (error) {
       console.error('[Storage] 导入失败:', error);
       throw error;
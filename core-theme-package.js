@@ -0,0 +1,507 @@
+/**
+ * 主题包模块 - 打包和导入完整主题
+ *
+ * 核心功能：
+ * - 将自定义CSS、脚本、引用的字体和样式变量、可视化编辑器样式和装饰规则打包为单个JSON清单
+ * - 导入前预览主题包内容和冲突（CSS覆盖、同名字体、同名变量）
+ * - 按选择的策略处理冲突后导入
+ *
+ * 包格式：
+ * {
+ *   format: 'enhanced-css-theme', formatVersion: 1,
+ *   metadata: {name, author, version, description, preview, createdAt, extensionVersion},
+ *   css: '#customCSS 的完整内容',
+ *   scripts: {code, permissions},
+ *   fonts: {items: [...], tags: [...], currentFont, files: {哈希: {name, dataURL}}},
+ *   variables: [{name, type, value, label}],
+ *   visualEditor: {appliedStyles: {选择器: {属性: 值}}, decorations: [...]}
+ * }
+ *
+ * 脚本和装饰规则都包含在css中，单独列出用于导入前预览；
+ * 导入时以css为准，装饰规则会在CSS处理时重新生成。
+ * 本地上传的字体文件以 data URL 形式放在 fonts.files 中，导入时写回本地文件存储。
+ */
+
+export const THEME_PACKAGE_FORMAT = 'enhanced-css-theme';
+export const THEME_PACKAGE_VERSION = 1;
+
+// 字体名称、标签等字段不能包含的字符（HTML标记、引号和控制字符）
+const FONT_TEXT_FORBIDDEN = /[<>"'`&\\\u0000-\u001f\u007f]/;
+
+export class ThemePackageManager {
+  constructor(extension) {
+    this.extension = extension;
+    this.eventBus = extension.eventBus;
+  }
+
+  /**
+   * 创建主题包
+   * @param {Object} metadata - {name, author, version, description, preview}
+   * @returns {Promise<Object>} 主题包
+   */
+  async createPackage(metadata = {}) {
+    const css = this.readCustomCSS();
+    const cssModule = this.extension.getModule('css-enhance');
+    const processed = cssModule ? cssModule.processor.process(css) : { javascript: '', permissions: [] };
+
+    return {
+      format: THEME_PACKAGE_FORMAT,
+      formatVersion: THEME_PACKAGE_VERSION,
+      metadata: {
+        name: metadata.name || '未命名主题',
+        author: metadata.author || '',
+        version: metadata.version || '1.0.0',
+        description: metadata.description || '',
+        preview: metadata.preview || null,
+        createdAt: new Date().toISOString(),
+        extensionVersion: this.extension.version
+      },
+      css,
+      scripts: {
+        code: processed.javascript,
+        permissions: processed.permissions
+      },
+      fonts: await this.collectFonts(css),
+      variables: this.collectVariables(css),
+      visualEditor: this.collectVisualEditor()
+    };
+  }
+
+  /**
+   * 收集CSS中引用的字体（以及当前字体和当前字体布局用到的字体）
+   * 本地上传的字体文件一并嵌入，否则在其他设备上导入后无法显示
+   */
+  async collectFonts(css) {
+    const fontModule = this.extension.getModule('font-manager');
+    if (!fontModule) {
+      return { items: [], tags: [], currentFont: null, files: {} };
+    }
+
+    const lowerCSS = css.toLowerCase();
+    const layoutFonts = new Set(fontModule.getLayoutFonts().map(font => font.name));
+    const items = Array.from(fontModule.fonts.values()).filter(font =>
+      layoutFonts.has(font.name) ||
+      (font.fontFamily && lowerCSS.includes(font.fontFamily.toLowerCase()))
+    );
+
+    const tags = new Set();
+    items.forEach(font => (font.tags || []).forEach(tag => tags.add(tag)));
+
+    const files = {};
+    if (fontModule.blobs) {
+      for (const font of items) {
+        for (const face of font.faces || []) {
+          for (const source of face.src || []) {
+            if (!source.hash || files[source.hash]) continue;
+            const dataURL = await fontModule.blobs.toDataURL(source.hash);
+            if (dataURL) {
+              files[source.hash] = { name: source.name || '', dataURL };
+            }
+          }
+        }
+      }
+    }
+
+    return {
+      items: items.map(font => ({ ...font })),
+      tags: Array.from(tags),
+      currentFont: items.some(font => font.name === fontModule.currentFont) ? fontModule.currentFont : null,
+      files
+    };
+  }
+
+  /**
+   * 收集CSS中引用的样式变量（包括这些变量的值中引用的变量）
+   */
+  collectVariables(css) {
+    const variablesModule = this.extension.getModule('css-variables');
+    if (!variablesModule) return [];
+
+    const collected = new Map();
+    const collect = (text) => {
+      variablesModule.getVariables().forEach(variable => {
+        if (collected.has(variable.name)) return;
+        if (new RegExp(`--pp-${variable.name}(?![a-z0-9-])`).test(text)) {
+          collected.set(variable.name, { ...variable });
+          collect(variable.value);
+        }
+      });
+    };
+    collect(css);
+
+    return Array.from(collected.values());
+  }
+
+  /**
+   * 收集可视化编辑器的样式和装饰规则
+   */
+  collectVisualEditor() {
+    const visualEditor = this.extension.getModule('visual-editor');
+    if (!visualEditor) {
+      return { appliedStyles: {}, decorations: [] };
+    }
+
+    const appliedStyles = {};
+    visualEditor.appliedStyles.forEach((properties, selector) => {
+      appliedStyles[selector] = { ...properties };
+    });
+
+    const decorations = visualEditor.cssPreprocessor
+      ? Array.from(visualEditor.cssPreprocessor.decorationRules.values()).map(rule => ({
+        selector: rule.selector,
+        decorationName: rule.decorationName,
+        styles: { ...rule.styles }
+      }))
+      : [];
+
+    return { appliedStyles, decorations };
+  }
+
+  /**
+   * 解析并校验主题包
+   * @param {string|Object} input - JSON文本或已解析的对象
+   * @returns {Object} 主题包
+   */
+  parse(input) {
+    let pkg = input;
+
+    if (typeof input === 'string') {
+      try {
+        pkg = JSON.parse(input);
+      } catch (e) {
+        throw new Error('主题包不是有效的JSON');
+      }
+    }
+
+    if (!pkg || pkg.format !== THEME_PACKAGE_FORMAT) {
+      throw new Error('不是 Enhanced CSS 主题包');
+    }
+
+    if (pkg.formatVersion > THEME_PACKAGE_VERSION) {
+      throw new Error(`主题包格式版本 ${pkg.formatVersion} 过新，请先更新扩展`);
+    }
+
+    if (typeof pkg.css !== 'string') {
+      throw new Error('主题包缺少CSS内容');
+    }
+
+    return {
+      ...pkg,
+      metadata: pkg.metadata || {},
+      scripts: pkg.scripts || { code: '', permissions: [] },
+      fonts: this.normalizeFonts(pkg.fonts),
+      variables: Array.isArray(pkg.variables) ? pkg.variables : [],
+      visualEditor: pkg.visualEditor || { appliedStyles: {}, decorations: [] }
+    };
+  }
+
+  /**
+   * 校验并规范主题包中的字体：名称、显示名、字体族和标签必须是不含标记字符的字符串，
+   * 不符合的字体跳过，不符合的标签丢弃
+   */
+  normalizeFonts(fonts) {
+    const source = fonts && typeof fonts === 'object' ? fonts : {};
+    const isText = (value) => typeof value === 'string' && value.trim() !== '' && !FONT_TEXT_FORBIDDEN.test(value);
+    const normalizeTags = (tags) => Array.isArray(tags) ? Array.from(new Set(tags.filter(isText))) : [];
+
+    const items = [];
+    (Array.isArray(source.items) ? source.items : []).forEach(font => {
+      if (!font || typeof font !== 'object' || !isText(font.name)) {
+        console.warn('[ThemePackage] 已跳过无效的字体:', font && font.name);
+        return;
+      }
+      if (font.fontFamily != null && !isText(font.fontFamily)) {
+        console.warn('[ThemePackage] 已跳过字体族名称无效的字体:', font.name);
+        return;
+      }
+
+      items.push({
+        ...font,
+        displayName: isText(font.displayName) ? font.displayName : font.name,
+        fontFamily: font.fontFamily != null ? font.fontFamily : null,
+        tags: normalizeTags(font.tags)
+      });
+    });
+
+    // 嵌入的字体文件只保留 data URL
+    const files = {};
+    if (source.files && typeof source.files === 'object') {
+      Object.entries(source.files).forEach(([hash, file]) => {
+        if (file && typeof file.dataURL === 'string' && file.dataURL.startsWith('data:')) {
+          files[hash] = { name: typeof file.name === 'string' ? file.name : '', dataURL: file.dataURL };
+        }
+      });
+    }
+
+    const names = new Set(items.map(font => font.name));
+    return {
+      items,
+      tags: normalizeTags(source.tags),
+      currentFont: names.has(source.currentFont) ? source.currentFont : null,
+      files
+    };
+  }
+
+  /**
+   * 引用了主题包中没有嵌入的本地文件的字体（导入后无法显示）
+   */
+  findFontsMissingFiles(fonts) {
+    return fonts.items
+      .filter(font => (font.faces || []).some(face => (face.src || []).some(source =>
+        source.hash && !fonts.files[source.hash]
+      )))
+      .map(font => font.name);
+  }
+
+  /**
+   * 预览主题包内容和冲突
+   * @param {Object} pkg - 已解析的主题包
+   * @returns {Object} 摘要
+   */
+  preview(pkg) {
+    const fontModule = this.extension.getModule('font-manager');
+    const variablesModule = this.extension.getModule('css-variables');
+    const currentCSS = this.readCustomCSS();
+
+    const fontConflicts = fontModule
+      ? pkg.fonts.items
+        .filter(font => fontModule.fonts.has(font.name) && !this.isSameFont(fontModule.fonts.get(font.name), font))
+        .map(font => font.name)
+      : [];
+
+    const variableConflicts = variablesModule
+      ? pkg.variables
+        .filter(variable => {
+          const existing = variablesModule.getVariable(variable.name);
+          return existing && existing.value !== variable.value;
+        })
+        .map(variable => variable.name)
+      : [];
+
+    return {
+      metadata: pkg.metadata,
+      cssLength: pkg.css.length,
+      hasScripts: !!(pkg.scripts.code && pkg.scripts.code.trim()),
+      permissions: pkg.scripts.permissions || [],
+      fonts: pkg.fonts.items.map(font => font.name),
+      fontConflicts,
+      fontsMissingFiles: this.findFontsMissingFiles(pkg.fonts),
+      variables: pkg.variables.map(variable => variable.name),
+      variableConflicts,
+      visualSelectors: Object.keys(pkg.visualEditor.appliedStyles || {}).length,
+      decorations: (pkg.visualEditor.decorations || []).length,
+      cssConflict: currentCSS.trim() !== '' && currentCSS !== pkg.css
+    };
+  }
+
+  /**
+   * 导入主题包
+   * @param {string|Object} input - JSON文本或主题包对象
+   * @param {Object} options - 冲突处理策略
+   *   css: 'replace' | 'append' | 'skip'
+   *   fonts: 'rename' | 'overwrite' | 'skip'（同名且内容不同的字体）
+   *   variables: 'keep' | 'overwrite'（同名且值不同的变量）
+   * @returns {Promise<Object>} 导入结果
+   */
+  async importPackage(input, options = {}) {
+    const pkg = this.parse(input);
+    const cssMode = options.css || 'replace';
+    const fontMode = options.fonts || 'rename';
+    const variableMode = options.variables || 'keep';
+
+    const result = {
+      name: pkg.metadata.name || '未命名主题',
+      css: cssMode,
+      fonts: { added: 0, renamed: 0, overwritten: 0, skipped: 0 },
+      variables: { added: 0, overwritten: 0, skipped: 0 }
+    };
+
+    await this.importFonts(pkg.fonts, fontMode, result.fonts);
+    await this.importVariables(pkg.variables, variableMode, result.variables);
+
+    if (cssMode !== 'skip') {
+      const currentCSS = this.readCustomCSS();
+      const css = cssMode === 'append' && currentCSS.trim()
+        ? `${currentCSS}\n\n${pkg.css}`
+        : pkg.css;
+
+      this.writeCustomCSS(this.appendMissingVisualStyles(css, pkg.visualEditor.appliedStyles));
+    }
+
+    this.eventBus.emit('theme:packageImported', { metadata: pkg.metadata, result });
+
+    return result;
+  }
+
+  /**
+   * 导入字体
+   */
+  async importFonts(fonts, mode, counts) {
+    const fontModule = this.extension.getModule('font-manager');
+    if (!fontModule || fonts.items.length === 0) return;
+
+    const renames = new Map();
+    const additions = [];
+    const overwrites = [];
+    // 重命名时要避开本次已占用的名称
+    const taken = new Map(fontModule.fonts);
+
+    fonts.items.forEach(font => {
+      const existing = fontModule.fonts.get(font.name);
+
+      if (!existing) {
+        additions.push({ ...font });
+        taken.set(font.name, font);
+        counts.added++;
+        return;
+      }
+
+      // 完全相同的字体不算冲突
+      if (this.isSameFont(existing, font)) {
+        counts.skipped++;
+        return;
+      }
+
+      if (mode === 'overwrite') {
+        overwrites.push({ ...font });
+        counts.overwritten++;
+      } else if (mode === 'rename') {
+        const name = this.uniqueFontName(taken, font.name);
+        additions.push({ ...font, name, displayName: name });
+        taken.set(name, font);
+        renames.set(font.name, name);
+        counts.renamed++;
+      } else {
+        counts.skipped++;
+      }
+    });
+
+    // 通过字体模块的接口写入，由它负责保存、标签、嵌入的文件和缓存状态
+    // 先覆盖同名字体：写入新字体后会清理没有字体引用的文件，覆盖的字体需要先引用它们的文件
+    for (const font of overwrites) {
+      await fontModule.updateFont(font.name, font);
+    }
+
+    const files = fonts.files || {};
+    if (additions.length > 0 || Object.keys(files).length > 0) {
+      await fontModule.importFonts(JSON.stringify({ fonts: additions, files }), true);
+    }
+
+    // 主题包指定的当前字体
+    if (fonts.currentFont) {
+      const name = renames.get(fonts.currentFont) || fonts.currentFont;
+      if (fontModule.fonts.has(name)) {
+        await fontModule.setCurrentFont(name);
+      }
+    }
+  }
+
+  /**
+   * 导入样式变量（无效的变量跳过）
+   */
+  async importVariables(variables, mode, counts) {
+    const variablesModule = this.extension.getModule('css-variables');
+    if (!variablesModule || variables.length === 0) return;
+
+    for (const variable of variables) {
+      const existing = variablesModule.getVariable(variable.name);
+
+      if (existing && (existing.value === variable.value || mode !== 'overwrite')) {
+        counts.skipped++;
+        continue;
+      }
+
+      try {
+        await variablesModule.setVariable(variable.name, variable);
+        counts[existing ? 'overwritten' : 'added']++;
+      } catch (error) {
+        console.warn('[ThemePackage] 跳过无效变量:', error.message);
+        counts.skipped++;
+      }
+    }
+  }
+
+  /**
+   * 为CSS中没有的可视化编辑器样式生成中文格式并追加
+   */
+  appendMissingVisualStyles(css, appliedStyles) {
+    const visualEditor = this.extension.getModule('visual-editor');
+    if (!visualEditor || !visualEditor.formatParser || !appliedStyles) return css;
+
+    const existing = visualEditor.formatParser.parseChineseFormat(css);
+    const missing = new Map();
+
+    Object.entries(appliedStyles).forEach(([selector, properties]) => {
+      if (!existing.has(selector)) {
+        missing.set(selector, properties);
+      }
+    });
+
+    if (missing.size === 0) return css;
+
+    return `${css}\n\n${visualEditor.formatParser.generateChineseFormat(missing)}`;
+  }
+
+  /**
+   * 比较两个字体是否相同
+   */
+  isSameFont(a, b) {
+    return a.css === b.css && a.fontFamily === b.fontFamily && a.url === b.url;
+  }
+
+  /**
+   * 生成不冲突的字体名
+   */
+  uniqueFontName(fonts, name) {
+    let index = 2;
+    while (fonts.has(`${name} (${index})`)) {
+      index++;
+    }
+    return `${name} (${index})`;
+  }
+
+  /**
+   * 读取#customCSS内容
+   */
+  readCustomCSS() {
+    const textarea = document.querySelector('#customCSS');
+    return textarea ? textarea.value || '' : '';
+  }
+
+  /**
+   * 写入#customCSS并触发原生监听器保存
+   */
+  writeCustomCSS(css) {
+    const textarea = document.querySelector('#customCSS');
+    if (!textarea) {
+      throw new Error('找不到自定义CSS输入框');
+    }
+
+    textarea.value = css;
+    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    textarea.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  /**
+   * 序列化主题包
+   */
+  serialize(pkg) {
+    return JSON.stringify(pkg, null, 2);
+  }
+
+  /**
+   * 下载主题包文件
+   * @param {Object} pkg - 主题包
+   */
+  download(pkg) {
+    const blob = new Blob([this.serialize(pkg)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const safeName = (pkg.metadata.name || 'theme').replace(/[\\/:*?"<>|]/g, '_');
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${safeName}-${pkg.metadata.version || '1.0.0'}.theme.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,391 @@
+/**
+ * CSS诊断模块 - 自定义CSS内容的结构化错误检查
+ *
+ * 核心功能：
+ * - 检查花括号、括号、字符串和注释是否闭合，报告行列号
+ * - 检查未知属性和无效属性值（基于浏览器的CSS.supports）
+ * - 检查<script>块是否完整，并把脚本语法错误映射回输入框中的行号
+ * - 跳过中文格式和@装饰语法（由可视化编辑器负责解析）
+ */
+
+import { CssTokenizer } from './css-enhance-tokenizer.js';
+
+// 块内是规则而不是声明的@规则
+const RULE_BLOCK_AT_RULES = new Set([
+  'media', 'supports', 'container', 'layer', 'document', 'scope', 'starting-style',
+  'keyframes', '-webkit-keyframes', '-moz-keyframes'
+]);
+
+// 块内是描述符而不是普通属性的@规则（不校验属性名和值）
+const DESCRIPTOR_AT_RULES = new Set([
+  'font-face', 'page', 'counter-style', 'property', 'font-feature-values', 'font-palette-values', 'view-transition'
+]);
+
+// 语法错误是否只是因为代码片段尚未结束
+const INCOMPLETE_INPUT_PATTERN = /end of input|unexpected eof|end of script|missing \} after|unterminated template/i;
+
+// 脚本逐行定位语法错误的最大行数
+const MAX_SCRIPT_LINES_TO_LOCATE = 300;
+
+export class CssDiagnostics {
+  constructor(processor) {
+    this.processor = processor;
+    this.tokenizer = new CssTokenizer();
+    this.chinesePattern = /[\u4e00-\u9fff\uff1a\uff1b]/;
+  }
+
+  /**
+   * 分析CSS内容
+   * @param {string} content - #customCSS中的完整文本
+   * @returns {Object} {diagnostics, errorCount, warningCount}
+   */
+  analyze(content) {
+    const diagnostics = [];
+    const text = content || '';
+    const lineStarts = this.tokenizer.computeLineStarts(text);
+
+    const report = (severity, code, message, offset, source = 'css') => {
+      const { line, column } = this.tokenizer.positionFromOffset(lineStarts, offset);
+      diagnostics.push({ severity, code, message, line, column, offset, source });
+    };
+
+    // 屏蔽脚本和扩展语法区域（保留换行，行列号不变）
+    const masked = text.split('');
+    this.checkScripts(text, masked, report);
+    this.maskExtensionSyntax(text, masked, report);
+
+    this.checkCSS(masked.join(''), report);
+
+    diagnostics.sort((a, b) => a.offset - b.offset);
+
+    return {
+      diagnostics,
+      errorCount: diagnostics.filter(d => d.severity === 'error').length,
+      warningCount: diagnostics.filter(d => d.severity === 'warning').length
+    };
+  }
+
+  /**
+   * 将区域替换为空格（保留换行）
+   */
+  maskRange(masked, start, end) {
+    for (let i = start; i < end && i < masked.length; i++) {
+      if (masked[i] !== '\n') masked[i] = ' ';
+    }
+  }
+
+  /**
+   * 检查<script>块并校验其中的JavaScript语法
+   */
+  checkScripts(text, masked, report) {
+    const tagPattern = /<script[^>]*>|<\/script\s*>/gi;
+    let openTag = null;
+    let match;
+
+    while ((match = tagPattern.exec(text)) !== null) {
+      const isClose = match[0][1] === '/';
+
+      if (!isClose) {
+        if (openTag) {
+          report('error', 'script-nested', '<script> 在上一个脚本块闭合前再次出现', match.index, 'script');
+        }
+        openTag = { start: match.index, bodyStart: match.index + match[0].length };
+        continue;
+      }
+
+      if (!openTag) {
+        report('error', 'script-stray-close', '多余的 </script>，没有对应的 <script>', match.index, 'script');
+        this.maskRange(masked, match.index, match.index + match[0].length);
+        continue;
+      }
+
+      const body = text.substring(openTag.bodyStart, match.index);
+      this.checkJavaScript(body, openTag.bodyStart, report);
+      this.maskRange(masked, openTag.start, match.index + match[0].length);
+      openTag = null;
+    }
+
+    if (openTag) {
+      report('error', 'script-unclosed', '<script> 缺少对应的 </script>，脚本不会被执行', openTag.start, 'script');
+      this.maskRange(masked, openTag.start, text.length);
+    }
+  }
+
+  /**
+   * 校验脚本语法，并把错误位置映射到输入框中的行
+   * @param {string} code - 脚本内容
+   * @param {number} bodyOffset - 脚本内容在输入框文本中的起始偏移
+   */
+  checkJavaScript(code, bodyOffset, report) {
+    const error = this.compile(code);
+    if (!error) return;
+
+    const lineIndex = this.locateSyntaxError(code);
+    const lines = code.split('\n');
+
+    // 计算出错行在输入框中的偏移（定位到该行第一个非空字符）
+    let offset = bodyOffset;
+    for (let i = 0; i < lineIndex; i++) {
+      offset += lines[i].length + 1;
+    }
+    const indent = (lines[lineIndex] || '').match(/^\s*/)[0].length;
+
+    report('error', 'script-syntax', `脚本语法错误：${error.message}`, offset + indent, 'script');
+  }
+
+  /**
+   * 尝试编译脚本（与CoreEngine.executeScript一致，使用严格模式）
+   * @returns {SyntaxError|null}
+   */
+  compile(code) {
+    try {
+      new Function(`'use strict';\n${code}`);
+      return null;
+    } catch (error) {
+      return error instanceof SyntaxError ? error : null;
+    }
+  }
+
+  /**
+   * 逐行增加代码，找到第一行出现"非未结束"语法错误的位置
+   * 浏览器的SyntaxError大多不带行号，这里用前缀编译的方式定位
+   * @returns {number} 出错行（从0开始）
+   */
+  locateSyntaxError(code) {
+    const lines = code.split('\n');
+
+    if (lines.length > MAX_SCRIPT_LINES_TO_LOCATE) {
+      return 0;
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+      const error = this.compile(lines.slice(0, i + 1).join('\n'));
+      if (error && !INCOMPLETE_INPUT_PATTERN.test(error.message)) {
+        return i;
+      }
+    }
+
+    // 只有在结尾处才报错（通常是缺少右括号），定位到最后一个非空行
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (lines[i].trim()) return i;
+    }
+    return 0;
+  }
+
+  /**
+   * 屏蔽 @permissions 和 @add 语法，并检查 @add 是否完整
+   */
+  maskExtensionSyntax(text, masked, report) {
+    const permissionPattern = /@permissions\s+[^;{}]+;?/gi;
+    let match;
+
+    while ((match = permissionPattern.exec(text)) !== null) {
+      this.maskRange(masked, match.index, match.index + match[0].length);
+    }
+
+    const addPattern = /@add\s*\(/gi;
+    while ((match = addPattern.exec(text)) !== null) {
+      if (masked[match.index] === ' ') continue; // 位于脚本中
+
+      const argsStart = match.index + match[0].length;
+      const argsEnd = this.processor.findClosingParen(text, argsStart);
+
+      if (argsEnd === -1) {
+        report('error', 'add-unclosed', '@add 缺少右括号', match.index);
+        this.maskRange(masked, match.index, argsStart);
+        continue;
+      }
+
+      if (!this.processor.parseAddCommand(text.substring(argsStart, argsEnd))) {
+        report('warning', 'add-invalid', '@add 命令无效（检查选择器、标签和选项格式）', match.index);
+      }
+
+      let end = argsEnd + 1;
+      const tail = text.substring(end).match(/^\s*;/);
+      if (tail) end += tail[0].length;
+
+      this.maskRange(masked, match.index, end);
+      addPattern.lastIndex = end;
+    }
+  }
+
+  /**
+   * 检查CSS结构和声明
+   */
+  checkCSS(text, report) {
+    const tokens = this.tokenizer.tokenize(text);
+    const stack = [];
+    let statement = [];
+
+    const currentBlock = () => stack[stack.length - 1] || null;
+
+    const closeStatement = () => {
+      if (statement.length > 0) {
+        this.checkParens(statement, report);
+        this.checkDeclaration(text, statement, currentBlock(), report);
+      }
+      statement = [];
+    };
+
+    tokens.forEach(token => {
+      switch (token.type) {
+        case 'whitespace':
+        case 'comment':
+          return;
+
+        case 'bad-comment':
+          report('error', 'comment-unclosed', '注释缺少结尾的 */', token.start);
+          return;
+
+        case 'bad-string':
+          report('error', 'string-unclosed', '字符串缺少结尾引号', token.start);
+          statement.push(token);
+          return;
+
+        case '{': {
+          this.checkParens(statement, report);
+          stack.push(this.createBlock(text, statement, token, currentBlock()));
+          statement = [];
+          return;
+        }
+
+        case ';':
+          closeStatement();
+          return;
+
+        case '}':
+          if (stack.length === 0) {
+            report('error', 'brace-extra', '多余的 "}"，没有对应的 "{"', token.start);
+            statement = [];
+            return;
+          }
+          closeStatement();
+          stack.pop();
+          return;
+
+        default:
+          statement.push(token);
+      }
+    });
+
+    closeStatement();
+
+    stack.forEach(block => {
+      report('error', 'brace-unclosed', `"{" 缺少对应的 "}"${block.label ? `（${block.label}）` : ''}`, block.open.start);
+    });
+  }
+
+  /**
+   * 根据前导内容创建块信息
+   */
+  createBlock(text, prelude, openToken, parent) {
+    const preludeText = prelude.length > 0
+      ? text.substring(prelude[0].start, prelude[prelude.length - 1].end).trim()
+      : '';
+    const atRule = prelude[0] && prelude[0].type === 'at-keyword'
+      ? prelude[0].value.substring(1).toLowerCase()
+      : null;
+
+    let kind = 'declarations';
+    if (parent && (parent.kind === 'skip' || parent.kind === 'descriptors')) {
+      kind = parent.kind;
+    } else if (this.chinesePattern.test(preludeText)) {
+      kind = 'skip'; // 中文格式或@装饰语法
+    } else if (atRule && DESCRIPTOR_AT_RULES.has(atRule)) {
+      kind = 'descriptors';
+    } else if (atRule && RULE_BLOCK_AT_RULES.has(atRule)) {
+      kind = 'rules';
+    }
+
+    return {
+      open: openToken,
+      atRule,
+      kind,
+      label: preludeText.length > 40 ? `${preludeText.substring(0, 40)}…` : preludeText
+    };
+  }
+
+  /**
+   * 检查语句内的圆括号是否配对
+   */
+  checkParens(statement, report) {
+    let depth = 0;
+    let firstOpen = null;
+
+    statement.forEach(token => {
+      if (token.type === '(' || token.type === 'function') {
+        if (depth === 0) firstOpen = token;
+        depth++;
+      } else if (token.type === ')') {
+        depth--;
+        if (depth < 0) {
+          report('error', 'paren-extra', '多余的 ")"', token.start);
+          depth = 0;
+        }
+      }
+    });
+
+    if (depth > 0 && firstOpen) {
+      report('error', 'paren-unclosed', '"(" 缺少对应的 ")"', firstOpen.start);
+    }
+  }
+
+  /**
+   * 检查单条声明
+   */
+  checkDeclaration(text, statement, block, report) {
+    const first = statement[0];
+    const statementText = text.substring(first.start, statement[statement.length - 1].end);
+
+    // 中文格式和@规则语句不在这里检查
+    if (this.chinesePattern.test(statementText) || first.type === 'at-keyword') return;
+
+    if (!block) {
+      if (first.type === 'ident' && statement.some(token => token.type === ':')) {
+        report('warning', 'declaration-outside-rule', `声明 "${statementText}" 不在任何规则内，不会生效`, first.start);
+      }
+      return;
+    }
+
+    if (block.kind === 'skip' || block.kind === 'rules') return;
+
+    const colonIndex = statement.findIndex(token => token.type === ':');
+
+    if (first.type !== 'ident') {
+      report('warning', 'declaration-invalid', `无法识别的声明 "${statementText}"`, first.start);
+      return;
+    }
+
+    if (colonIndex === -1) {
+      report('warning', 'declaration-no-colon', `声明 "${statementText}" 缺少冒号`, first.start);
+      return;
+    }
+
+    const property = first.value.toLowerCase();
+    const valueTokens = statement.slice(colonIndex + 1);
+
+    if (valueTokens.length === 0) {
+      report('warning', 'value-empty', `属性 "${property}" 的值为空`, first.start);
+      return;
+    }
+
+    if (block.kind === 'descriptors' || property.startsWith('-')) return;
+
+    const rawValue = text.substring(valueTokens[0].start, valueTokens[valueTokens.length - 1].end);
+    const value = rawValue.replace(/!\s*important\s*$/i, '').trim();
+
+    if (typeof CSS === 'undefined' || typeof CSS.supports !== 'function') return;
+
+    if (!CSS.supports(property, 'inherit')) {
+      report('warning', 'property-unknown', `未知属性 "${property}"`, first.start);
+      return;
+    }
+
+    // 变量值只有在运行时才能确定
+    if (/\b(var|env|attr)\(/i.test(value)) return;
+
+    if (value && !CSS.supports(property, value)) {
+      report('warning', 'value-invalid', `属性 "${property}" 的值无效：${value}`, valueTokens[0].start);
+    }
+  }
+}
@@ -6,10 +6,24 @@
  * - 监听#customCSS输入框变化，实时处理内容
  * - 发送EventBus事件，与其他模块协调工作
  * - 防止重复执行，智能清理失效代码
+ * - 诊断CSS和脚本中的错误，带行列号发布到EventBus
+ * - 统一的CSS处理管线：各模块注册处理阶段，最终CSS只应用一次
  */
 
 import { CssEnhanceUI } from './css-enhance-ui.js';
 import { CssProcessor } from './css-enhance-processor.js';
+import { CssDiagnostics } from './css-enhance-diagnostics.js';
+import { CssStagePipeline } from './css-enhance-stages.js';
+
+// 模块设置默认值
+const DEFAULT_SETTINGS = {
+  enabled: true,  // 这是整个扩展的启用状态
+  realTimeUpdate: true,
+  autoCleanOnThemeChange: true,
+  vendorPrefixes: false, // 输出前补全浏览器前缀
+  minifyCSS: false, // 输出前压缩CSS
+  incrementalStyles: true // 只增删变化的规则，不重建整个<style>
+};
 
 export class CssEnhanceModule {
   constructor(extension) {
@@ -21,6 +35,15 @@ export class CssEnhanceModule {
     // 初始化处理器
     this.processor = new CssProcessor(this.coreEngine);
 
+    // 初始化处理管线（其他模块和插件可以注册自己的阶段）
+    this.stages = new CssStagePipeline();
+    this.registerBuiltinStages();
+
+    // 初始化诊断器（输入停顿后再分析，避免每次按键都检查）
+    this.diagnostics = new CssDiagnostics(this.processor);
+    this.lastDiagnostics = null;
+    this.scheduleDiagnostics = this.debounce((content) => this.runDiagnostics(content), 400);
+
     // 初始化UI
     this.ui = null;
 
@@ -30,19 +53,17 @@ export class CssEnhanceModule {
     this.lastProcessedContent = null;
     this.textareaObserver = null;
     this.appliedStyleId = null; // 记录当前应用的样式ID
+    this.lastExecutionId = null; // 上一次脚本执行ID，重新执行前释放其资源
 
     // 主题切换监听器
     this.themeObserver = null;
 
     // CSS增强功能启用状态
     this.cssEnhanceEnabled = true;
+    this.standaloneApplied = false; // CSS增强关闭时是否应用过独立阶段的结果
 
     // 模块设置
-    this.settings = {
-      enabled: true,  // 这是整个扩展的启用状态
-      realTimeUpdate: true,
-      autoCleanOnThemeChange: true
-    };
+    this.settings = { ...DEFAULT_SETTINGS };
 
     this.moduleId = 'css-enhance';
   }
@@ -94,6 +115,70 @@ export class CssEnhanceModule {
     console.log('[CssEnhanceModule] CSS增强功能', enabled ? '已启用' : '已禁用');
   }
 
+  /**
+   * 设置CSS输出选项
+   * @param {string} key - 'vendorPrefixes'、'minifyCSS' 或 'incrementalStyles'
+   * @param {boolean} value - 是否启用
+   */
+  async setOutputOption(key, value) {
+    this.settings[key] = value;
+    await this.saveSettings();
+
+    // 立即按新选项重新处理
+    this.reprocess();
+  }
+
+  /**
+   * 注册内置处理阶段
+   * 优先级：脚本 300、权限 250、@add 100、前缀/压缩 -100；可视化编辑器的阶段在 200 和 150，插件默认 0
+   */
+  registerBuiltinStages() {
+    this.stages.register({
+      name: 'scripts',
+      priority: 300,
+      output: ['css', 'javascript'],
+      run: (css) => this.processor.extractJavaScript(css)
+    });
+
+    this.stages.register({
+      name: 'permissions',
+      priority: 250,
+      output: ['css', 'permissions'],
+      run: (css) => this.processor.extractPermissions(css)
+    });
+
+    this.stages.register({
+      name: 'add-commands',
+      priority: 100,
+      output: ['css', 'addCommands'],
+      run: (css) => {
+        const extracted = this.processor.processAddSyntax(css);
+        return { css: extracted.css, addCommands: extracted.commands };
+      }
+    });
+
+    this.stages.register({
+      name: 'output',
+      priority: -100,
+      enabled: () => this.settings.vendorPrefixes || this.settings.minifyCSS,
+      cacheKey: () => `${this.settings.vendorPrefixes}|${this.settings.minifyCSS}`,
+      run: (css) => this.processor.pipeline.run(css, {
+        prefix: this.settings.vendorPrefixes,
+        minify: this.settings.minifyCSS
+      })
+    });
+  }
+
+  /**
+   * 忽略缓存，按当前设置重新处理输入框内容
+   */
+  reprocess() {
+    if (this.currentTextarea && this.currentTextarea.value) {
+      this.lastProcessedContent = null;
+      this.handleCSSChange(this.currentTextarea.value);
+    }
+  }
+
   /**
    * 设置主题监听器（修复版）
    */
@@ -143,6 +228,25 @@ export class CssEnhanceModule {
     await this.storage.set('cssEnhanceSettings', this.settings);
   }
 
+  /**
+   * 重新加载设置（切换配置档案后）
+   * 扩展启用状态由 extension:toggle 单独处理，这里保持不变
+   */
+  async reloadSettings() {
+    this.settings = { ...DEFAULT_SETTINGS, enabled: this.settings.enabled };
+    await this.loadSettings();
+
+    const savedEnabled = await this.storage.get('cssEnhanceEnabled');
+    this.cssEnhanceEnabled = savedEnabled !== false;
+    this.eventBus.emit('cssEnhance:enabledChanged', this.cssEnhanceEnabled);
+
+    // 按新的输出选项重新处理
+    if (this.currentTextarea && this.currentTextarea.value) {
+      this.lastProcessedContent = null;
+      this.handleCSSChange(this.currentTextarea.value);
+    }
+  }
+
   /**
    * 设置事件监听器
    */
@@ -155,6 +259,22 @@ export class CssEnhanceModule {
       }
     });
 
+    // 切换配置档案
+    this.eventBus.on('profile:switched', () => this.reloadSettings());
+    this.eventBus.on('storage:restored', ({ keys }) => {
+      if (keys.some(key => key.startsWith('cssEnhance'))) {
+        this.reloadSettings();
+      }
+    });
+
+    // 用户允许了当前主题脚本请求的权限，按新的权限重新执行
+    this.eventBus.on('script:permissions', ({ scope, allowed }) => {
+      if (allowed && scope === this.getThemeScope() && this.currentCSSContent) {
+        this.lastProcessedContent = null;
+        this.handleCSSChange(this.currentCSSContent);
+      }
+    });
+
     // 监听扩展启用/禁用
     this.eventBus.on('extension:toggle', (enabled) => {
       this.settings.enabled = enabled;
@@ -197,11 +317,11 @@ export class CssEnhanceModule {
 
         textarea.addEventListener('input', this.textareaHandler);
 
-        // 标记已初始化
-        textarea.setAttribute('data-enhanced-initialized', 'true');
+        // 标记已初始化（通过修改日志写入，清理时一并撤销）
+        this.coreEngine.journal.setAttribute(textarea, 'data-enhanced-initialized', 'true', { source: 'css-enhance' });
 
-        // 初始处理（需要同时检查两个启用状态）
-        if (this.settings.enabled && this.cssEnhanceEnabled && textarea.value) {
+        // 初始处理（CSS增强关闭时只执行独立阶段，由handleCSSChange判断）
+        if (this.settings.enabled && textarea.value) {
           this.handleCSSChange(textarea.value);
         }
 
@@ -227,9 +347,14 @@ export class CssEnhanceModule {
       source: 'css-enhance'
     });
 
-    // 检查两个启用状态：扩展全局启用 和 CSS增强功能启用
-    if (!this.settings.enabled || !this.cssEnhanceEnabled) {
-      // 功能被禁用时，直接返回，不处理内容也不清理
+    // 扩展被禁用时，直接返回，不处理内容也不清理
+    if (!this.settings.enabled) {
+      return;
+    }
+
+    // CSS增强关闭时仍然执行独立阶段（可视化编辑器的中文格式和@装饰）
+    if (!this.cssEnhanceEnabled) {
+      this.applyStandaloneStages(content);
       return;
     }
 
@@ -241,24 +366,39 @@ export class CssEnhanceModule {
     this.currentCSSContent = content;
     this.lastProcessedContent = content;
 
-    // 使用CSS处理器处理内容
-    const result = this.processor.process(content);
+    // 依次执行所有处理阶段（出错的阶段保留原值）
+    const result = this.stages.run(content);
+    this.scheduleDiagnostics(content);
 
     // 应用处理结果
-    if (result.css) {
+    if (this.settings.incrementalStyles) {
+      // 增量模式下内容清空时也要同步删除已插入的规则
+      if (result.css || this.coreEngine.incrementalSheets.has('enhanced-main-css')) {
+        this.appliedStyleId = 'enhanced-main-css';
+        this.coreEngine.applyCSSIncremental(result.css, this.appliedStyleId);
+      }
+    } else if (result.css) {
       // 记录样式ID，方便后续清理
       this.appliedStyleId = 'enhanced-main-css';
       this.coreEngine.applyCSS(result.css, this.appliedStyleId);
     }
 
-    if (result.javascript) {
-      this.coreEngine.executeScript(result.javascript);
+    // 释放上一次脚本注册的定时器、监听器等资源
+    if (this.lastExecutionId) {
+      this.coreEngine.disposeExecution(this.lastExecutionId);
+      this.lastExecutionId = null;
     }
 
-    if (result.addCommands && result.addCommands.length > 0) {
-      this.processor.executeAddCommands(result.addCommands);
+    if (result.javascript) {
+      this.lastExecutionId = this.coreEngine.executeScript(result.javascript, {
+        permissions: result.permissions,
+        scope: this.getThemeScope()
+      });
     }
 
+    // 始终执行，以便移除已删除的 @add 命令创建的元素
+    this.processor.executeAddCommands(result.addCommands || []);
+
     // 发布处理完成事件
     this.eventBus.emit('css:processed', result);
 
@@ -267,6 +407,53 @@ export class CssEnhanceModule {
     }
   }
 
+  /**
+   * CSS增强关闭时只执行独立阶段并应用结果，脚本和@add保持不变
+   * 独立阶段全部停用后再应用一次原文，替换掉之前的编译结果
+   */
+  applyStandaloneStages(content) {
+    const active = this.stages.hasStandaloneStages();
+    if (!active && !this.standaloneApplied) return;
+    if (content === this.lastProcessedContent) return;
+
+    this.currentCSSContent = content;
+    this.lastProcessedContent = content;
+    this.standaloneApplied = active;
+
+    const result = this.stages.run(content, { standaloneOnly: true });
+    this.appliedStyleId = 'enhanced-main-css';
+    if (this.settings.incrementalStyles) {
+      this.coreEngine.applyCSSIncremental(result.css, this.appliedStyleId);
+    } else {
+      this.coreEngine.applyCSS(result.css, this.appliedStyleId);
+    }
+
+    this.eventBus.emit('css:processed', result);
+  }
+
+  /**
+   * 诊断CSS内容并发布结果
+   * @returns {Object} {diagnostics, errorCount, warningCount}
+   */
+  runDiagnostics(content) {
+    this.lastDiagnostics = this.diagnostics.analyze(content);
+
+    this.eventBus.emit('css:diagnostics', this.lastDiagnostics);
+
+    if (this.extension.settings.debugMode && this.lastDiagnostics.diagnostics.length > 0) {
+      console.log('[CssEnhanceModule] CSS诊断', this.lastDiagnostics.diagnostics);
+    }
+
+    return this.lastDiagnostics;
+  }
+
+  /**
+   * 获取当前主题标识（脚本权限按主题授予）
+   */
+  getThemeScope() {
+    return this.coreEngine.getThemeScope();
+  }
+
   /**
    * 处理主题变化（修复版）
    */
@@ -279,6 +466,7 @@ export class CssEnhanceModule {
 
       // 2. 重置处理记录
       this.lastProcessedContent = null;
+      this.lastExecutionId = null;
       this.currentTextarea = null;
       this.appliedStyleId = null;
 
@@ -293,6 +481,9 @@ export class CssEnhanceModule {
    * 清理增强元素（更彻底的清理）
    */
   cleanupEnhancedElements() {
+    // 阶段缓存对应的页面修改即将被清除，下次处理时全部重新执行
+    this.stages.invalidate();
+
     // 1. 清理所有带enhanced标记的样式
     document.querySelectorAll('style[id*="enhanced"], style[data-enhanced-css], style[data-style-id*="enhanced"]').forEach(el => {
       try {
@@ -334,8 +525,8 @@ export class CssEnhanceModule {
     this.settings.enabled = true;
     this.saveSettings();
 
-    // 重新应用当前CSS（同时检查CSS增强功能是否启用）
-    if (this.cssEnhanceEnabled && this.currentTextarea && this.currentTextarea.value) {
+    // 重新应用当前CSS（CSS增强关闭时只执行独立阶段）
+    if (this.currentTextarea && this.currentTextarea.value) {
       this.lastProcessedContent = null;
       this.handleCSSChange(this.currentTextarea.value);
     }
@@ -370,6 +561,9 @@ export class CssEnhanceModule {
       this.themeObserver.disconnect();
     }
 
+    // 停止 @add 命令的聊天区监听
+    this.processor.clearAddCommands();
+
     // 清理所有添加的内容
     this.cleanupEnhancedElements();
   }
@@ -406,7 +600,13 @@ export class CssEnhanceModule {
     return {
       currentContent: this.currentCSSContent ? this.currentCSSContent.length : 0,
       engineStats: this.coreEngine.getStats(),
-      enabled: this.cssEnhanceEnabled
+      enabled: this.cssEnhanceEnabled,
+      addCommands: this.processor.getAddStats(),
+      stages: this.stages.getStages().map(stage => stage.name),
+      sandboxEnabled: this.coreEngine.sandboxEnabled,
+      diagnostics: this.lastDiagnostics
+        ? { errors: this.lastDiagnostics.errorCount, warnings: this.lastDiagnostics.warningCount }
+        : null
     };
   }
 
@@ -428,6 +628,8 @@ export class CssEnhanceModule {
   clearAll() {
     this.cleanupEnhancedElements();
     this.lastProcessedContent = null;
+    this.lastExecutionId = null;
+    this.lastDiagnostics = null;
 
     // 通知UI刷新
     this.eventBus.emit('css:cleared');
@@ -0,0 +1,435 @@
+/**
+ * CSS管线模块 - 基于语法树的前缀补全和压缩
+ *
+ * 核心功能：
+ * - 将CSS解析为规则树（规则 / @规则 / 声明 / 注释）
+ * - 只为确实需要前缀的属性补全浏览器前缀，已有前缀时不重复添加
+ * - 安全压缩：字符串、url()、calc()表达式保持原样
+ * - 将CSS拆分为顶层规则，供核心引擎增量更新样式表
+ */
+
+import { CssTokenizer } from './css-enhance-tokenizer.js';
+
+// 需要补全前缀的属性（仅保留当前浏览器仍需要前缀的属性）
+const PREFIXED_PROPERTIES = {
+  'user-select': ['-webkit-'],
+  'backdrop-filter': ['-webkit-'],
+  'appearance': ['-webkit-', '-moz-'],
+  'text-size-adjust': ['-webkit-', '-moz-'],
+  'box-decoration-break': ['-webkit-'],
+  'hyphens': ['-webkit-'],
+  'print-color-adjust': ['-webkit-'],
+  'initial-letter': ['-webkit-'],
+  'background-clip': ['-webkit-'],
+  'mask': ['-webkit-'],
+  'mask-image': ['-webkit-'],
+  'mask-size': ['-webkit-'],
+  'mask-position': ['-webkit-'],
+  'mask-repeat': ['-webkit-'],
+  'mask-clip': ['-webkit-'],
+  'mask-origin': ['-webkit-'],
+  'text-emphasis': ['-webkit-'],
+  'text-emphasis-color': ['-webkit-'],
+  'text-emphasis-style': ['-webkit-'],
+  'text-emphasis-position': ['-webkit-']
+};
+
+// 只有特定值才需要前缀的属性
+const PREFIX_CONDITIONS = {
+  'background-clip': value => /\btext\b/i.test(value)
+};
+
+// 需要补全前缀的属性值
+const PREFIXED_VALUES = {
+  'position': { 'sticky': '-webkit-sticky' }
+};
+
+// 选择器中可以安全去掉两侧空格的组合符
+const SELECTOR_COMBINATORS = new Set(['>', '+', '~']);
+
+export class CssPipeline {
+  constructor() {
+    this.tokenizer = new CssTokenizer();
+  }
+
+  /**
+   * 执行管线
+   * @param {string} css - CSS内容
+   * @param {Object} options - {prefix: boolean, minify: boolean}
+   * @returns {string} 处理后的CSS
+   */
+  run(css, options = {}) {
+    if (!css || (!options.prefix && !options.minify)) return css;
+
+    const tree = this.parse(css);
+
+    if (options.prefix) {
+      this.prefix(tree);
+    }
+
+    return this.stringify(tree, { minify: !!options.minify });
+  }
+
+  /**
+   * 将CSS拆分为顶层规则文本列表（用于增量更新样式表）
+   * 顶层的注释直接丢弃；规则之外的其他文本并入下一条规则，
+   * 与浏览器解析整段<style>时一样作为该规则的一部分（通常使其失效），结尾多余的文本单独成为一项
+   * @param {string} css - CSS内容
+   * @returns {Array<string>} 每条规则的CSS文本
+   */
+  splitRules(css) {
+    if (!css) return [];
+
+    const rules = [];
+    let pending = [];
+
+    this.parse(css).children.forEach(node => {
+      if (node.type === 'comment') return;
+
+      pending.push(node);
+      if (node.type === 'rule' || node.type === 'at-rule') {
+        rules.push(this.stringifyNodes(pending, { minify: false }, 0));
+        pending = [];
+      }
+    });
+
+    if (pending.length > 0) {
+      rules.push(this.stringifyNodes(pending, { minify: false }, 0));
+    }
+
+    return rules;
+  }
+
+  // ===== 解析 =====
+
+  /**
+   * 解析CSS为规则树
+   * @param {string} css - CSS内容
+   * @returns {Object} {type: 'stylesheet', children}
+   */
+  parse(css) {
+    const tokens = this.tokenizer.tokenize(css);
+    const state = { tokens, index: 0 };
+    return { type: 'stylesheet', children: this.parseBlock(state, true) };
+  }
+
+  /**
+   * 解析块内容，直到遇到匹配的 } 或结尾
+   */
+  parseBlock(state, topLevel) {
+    const nodes = [];
+    const { tokens } = state;
+
+    while (state.index < tokens.length) {
+      const token = tokens[state.index];
+
+      if (token.type === 'whitespace' || token.type === ';') {
+        state.index++;
+        continue;
+      }
+
+      if (token.type === 'comment') {
+        nodes.push({ type: 'comment', value: token.value });
+        state.index++;
+        continue;
+      }
+
+      if (token.type === '}') {
+        state.index++;
+        // 顶层多余的 } 直接忽略
+        if (!topLevel) return nodes;
+        continue;
+      }
+
+      let { prelude, terminator } = this.readPrelude(state);
+
+      // 自定义属性的值可以包含 {}，整体作为声明的值
+      if (terminator === '{' && token.type === 'ident' && token.value.startsWith('--') &&
+        prelude.some(item => item.type === ':')) {
+        prelude = prelude.concat(tokens[state.index - 1], this.readSimpleBlock(state));
+        const rest = this.readPrelude(state);
+        prelude = prelude.concat(rest.prelude);
+        terminator = rest.terminator;
+      }
+
+      if (terminator === '{') {
+        const children = this.parseBlock(state, false);
+        nodes.push(token.type === 'at-keyword'
+          ? { type: 'at-rule', name: token.value.substring(1).toLowerCase(), prelude: prelude.slice(1), children }
+          : { type: 'rule', prelude, children });
+        continue;
+      }
+
+      if (token.type === 'at-keyword') {
+        nodes.push({ type: 'at-rule', name: token.value.substring(1).toLowerCase(), prelude: prelude.slice(1), children: null });
+      } else {
+        nodes.push(this.createDeclaration(prelude));
+      }
+
+      // 声明以 } 结束时由外层循环处理该 }
+    }
+
+    return nodes;
+  }
+
+  /**
+   * 读取到 ; { } 为止的词法单元（括号内的不算）
+   * @returns {Object} {prelude, terminator}
+   */
+  readPrelude(state) {
+    const { tokens } = state;
+    const prelude = [];
+    let depth = 0;
+
+    while (state.index < tokens.length) {
+      const token = tokens[state.index];
+
+      if (depth === 0 && (token.type === ';' || token.type === '{' || token.type === '}')) {
+        if (token.type !== '}') state.index++;
+        return { prelude, terminator: token.type };
+      }
+
+      if (token.type === '(' || token.type === '[' || token.type === 'function') depth++;
+      if ((token.type === ')' || token.type === ']') && depth > 0) depth--;
+
+      prelude.push(token);
+      state.index++;
+    }
+
+    return { prelude, terminator: null };
+  }
+
+  /**
+   * 读取 { 之后到匹配的 } 为止的词法单元（包含 }）
+   */
+  readSimpleBlock(state) {
+    const { tokens } = state;
+    const block = [];
+    let depth = 1;
+
+    while (state.index < tokens.length) {
+      const token = tokens[state.index++];
+      block.push(token);
+
+      if (token.type === '{') depth++;
+      if (token.type === '}' && --depth === 0) break;
+    }
+
+    return block;
+  }
+
+  /**
+   * 根据词法单元创建声明节点（无法识别时保留原文）
+   */
+  createDeclaration(tokens) {
+    const colonIndex = tokens.findIndex(token => token.type === ':');
+    const first = tokens.find(token => token.type !== 'whitespace' && token.type !== 'comment');
+
+    if (colonIndex === -1 || !first || first.type !== 'ident') {
+      return { type: 'raw', tokens };
+    }
+
+    const property = tokens.slice(0, colonIndex)
+      .filter(token => token.type !== 'whitespace' && token.type !== 'comment')
+      .map(token => token.value)
+      .join('');
+    let valueTokens = this.trimTokens(tokens.slice(colonIndex + 1));
+    let important = false;
+
+    // 识别 !important
+    const last = valueTokens[valueTokens.length - 1];
+    if (last && last.type === 'ident' && last.value.toLowerCase() === 'important') {
+      const rest = this.trimTokens(valueTokens.slice(0, -1));
+      const bang = rest[rest.length - 1];
+      if (bang && bang.type === 'delim' && bang.value === '!') {
+        important = true;
+        valueTokens = this.trimTokens(rest.slice(0, -1));
+      }
+    }
+
+    return {
+      type: 'declaration',
+      property: property.startsWith('--') ? property : property.toLowerCase(),
+      value: valueTokens,
+      important
+    };
+  }
+
+  /**
+   * 去掉首尾的空白
+   */
+  trimTokens(tokens) {
+    let start = 0;
+    let end = tokens.length;
+    while (start < end && tokens[start].type === 'whitespace') start++;
+    while (end > start && tokens[end - 1].type === 'whitespace') end--;
+    return tokens.slice(start, end);
+  }
+
+  // ===== 前缀 =====
+
+  /**
+   * 为规则树补全前缀（原地修改）
+   */
+  prefix(node) {
+    if (!node.children) return;
+
+    const children = [];
+    const existing = new Set(
+      node.children
+        .filter(child => child.type === 'declaration')
+        .map(child => `${child.property}:${this.serializeTokens(child.value, { minify: true })}`)
+    );
+    const existingProperties = new Set(
+      node.children.filter(child => child.type === 'declaration').map(child => child.property)
+    );
+
+    node.children.forEach(child => {
+      if (child.type === 'declaration') {
+        const value = this.serializeTokens(child.value, { minify: true });
+
+        // 属性前缀
+        const prefixes = PREFIXED_PROPERTIES[child.property];
+        const condition = PREFIX_CONDITIONS[child.property];
+        if (prefixes && (!condition || condition(value))) {
+          prefixes.forEach(prefix => {
+            const prefixedProperty = prefix + child.property;
+            if (!existingProperties.has(prefixedProperty)) {
+              children.push({ ...child, property: prefixedProperty });
+            }
+          });
+        }
+
+        // 属性值前缀
+        const valuePrefixes = PREFIXED_VALUES[child.property];
+        const prefixedValue = valuePrefixes && valuePrefixes[value.toLowerCase()];
+        if (prefixedValue && !existing.has(`${child.property}:${prefixedValue}`)) {
+          children.push({ ...child, value: this.tokenizer.tokenize(prefixedValue) });
+        }
+      } else {
+        this.prefix(child);
+      }
+
+      children.push(child);
+    });
+
+    node.children = children;
+  }
+
+  // ===== 输出 =====
+
+  /**
+   * 将规则树输出为CSS
+   * @param {Object} tree - 规则树
+   * @param {Object} options - {minify: boolean}
+   */
+  stringify(tree, options = {}) {
+    return this.stringifyNodes(tree.children, options, 0);
+  }
+
+  stringifyNodes(nodes, options, depth) {
+    const { minify } = options;
+    const indent = minify ? '' : '  '.repeat(depth);
+    const parts = [];
+
+    nodes.forEach(node => {
+      switch (node.type) {
+        case 'comment':
+          // 压缩时只保留 /*! 开头的版权注释
+          if (!minify || node.value.startsWith('/*!')) {
+            parts.push(indent + node.value);
+          }
+          break;
+
+        case 'declaration': {
+          const value = node.property.startsWith('--')
+            ? this.serializeRaw(node.value)
+            : this.serializeTokens(node.value, options);
+          const important = node.important ? (minify ? '!important' : ' !important') : '';
+          parts.push(`${indent}${node.property}${minify ? ':' : ': '}${value}${important};`);
+          break;
+        }
+
+        case 'raw':
+          parts.push(`${indent}${this.serializeTokens(this.trimTokens(node.tokens), options)};`);
+          break;
+
+        case 'rule':
+        case 'at-rule': {
+          const head = node.type === 'rule'
+            ? this.serializeTokens(this.trimTokens(node.prelude), { ...options, selector: true })
+            : `@${node.name}${node.prelude.length ? ' ' + this.serializeTokens(this.trimTokens(node.prelude), options) : ''}`;
+
+          if (node.children === null) {
+            parts.push(`${indent}${head};`);
+            break;
+          }
+
+          const body = this.stringifyNodes(node.children, options, depth + 1);
+
+          if (minify) {
+            // 块内最后一个分号可以省略
+            parts.push(`${head}{${body.replace(/;$/, '')}}`);
+          } else {
+            parts.push(`${indent}${head} {\n${body}${body ? '\n' : ''}${indent}}`);
+          }
+          break;
+        }
+      }
+    });
+
+    return parts.join(minify ? '' : '\n');
+  }
+
+  /**
+   * 输出词法单元序列
+   * 字符串、url()等单元原样输出；空白折叠为一个空格，
+   * 压缩时只去掉括号内侧、逗号两侧（以及选择器组合符两侧）的空格
+   */
+  serializeTokens(tokens, options = {}) {
+    const { minify, selector } = options;
+    let output = '';
+    let pendingSpace = false;
+    let previous = null;
+
+    tokens.forEach(token => {
+      if (token.type === 'whitespace') {
+        pendingSpace = true;
+        return;
+      }
+
+      if (token.type === 'comment') {
+        if (minify) {
+          pendingSpace = true;
+          return;
+        }
+      }
+
+      if (pendingSpace && previous) {
+        const droppable = minify && (
+          previous.type === '(' || previous.type === 'function' || previous.type === ',' ||
+          token.type === ')' || token.type === ',' ||
+          (selector && (this.isCombinator(previous) || this.isCombinator(token)))
+        );
+        if (!droppable) output += ' ';
+      }
+
+      output += token.value;
+      pendingSpace = false;
+      previous = token;
+    });
+
+    return output;
+  }
+
+  /**
+   * 输出原文（自定义属性的值按原样保留）
+   */
+  serializeRaw(tokens) {
+    return tokens.map(token => token.value).join('');
+  }
+
+  isCombinator(token) {
+    return token.type === 'delim' && SELECTOR_COMBINATORS.has(token.value);
+  }
+}
@@ -2,11 +2,44 @@
  * CSS处理器模块 - JavaScript提取和执行
  * 
  * 核心功能：从CSS中提取<script>标签内容并执行
+ * - 解析 @permissions 权限清单，供沙箱执行时授权
+ * - 解析 @add(选择器, 标签, {选项}) 声明式语法，无需脚本即可添加元素
+ * - 通过CssPipeline补全浏览器前缀和压缩CSS
  */
 
+import { CssPipeline } from './css-enhance-pipeline.js';
+import { isSafeUrl, URL_ATTRIBUTES } from './core-sandbox.js';
+
+// @add 语法禁止创建的标签（可执行代码或改变页面加载行为）
+const ADD_BLOCKED_TAGS = new Set([
+  'script', 'iframe', 'frame', 'frameset', 'object', 'embed',
+  'link', 'meta', 'base', 'style', 'form'
+]);
+
+// @add 语法允许设置的属性（另外允许 data-* 和 aria-*）
+const ADD_ALLOWED_ATTRS = new Set([
+  'title', 'alt', 'src', 'href', 'poster', 'target', 'rel', 'role', 'tabindex', 'lang', 'dir', 'hidden',
+  'draggable', 'width', 'height', 'loading', 'decoding', 'type', 'name', 'value', 'placeholder', 'for',
+  'colspan', 'rowspan', 'disabled', 'checked', 'readonly', 'min', 'max', 'step',
+  'viewbox', 'fill', 'stroke', 'stroke-width', 'd', 'points', 'cx', 'cy', 'r', 'rx', 'ry',
+  'x', 'y', 'x1', 'y1', 'x2', 'y2'
+]);
+
 export class CssProcessor {
   constructor(coreEngine) {
     this.coreEngine = coreEngine;
+    this.pipeline = new CssPipeline();
+
+    // @add 命令状态
+    this.addCommands = new Map(); // key: 命令标识, value: 命令
+    this.addedByCommand = new Map(); // key: 命令标识, value: Set of 创建的元素
+    this.appliedTargets = new WeakMap(); // key: 目标元素, value: Set of 已应用的命令标识
+    this.chatObserver = null;
+
+    // 核心引擎清理后重置命令状态（元素已被引擎移除）
+    if (this.coreEngine && this.coreEngine.eventBus) {
+      this.coreEngine.eventBus.on('engine:cleared', () => this.resetAddCommands());
+    }
   }
 
   /**
@@ -18,19 +51,56 @@ export class CssProcessor {
     const result = {
       css: '',
       javascript: '',
+      permissions: [],
       addCommands: [] // 保留空数组以兼容
     };
 
     if (!content) return result;
 
-    // 仅提取JavaScript代码
+    // 提取JavaScript代码
     const jsExtracted = this.extractJavaScript(content);
     result.javascript = jsExtracted.javascript;
-    result.css = jsExtracted.css;
+
+    // 提取脚本权限清单
+    const permissionsExtracted = this.extractPermissions(jsExtracted.css);
+    result.permissions = permissionsExtracted.permissions;
+
+    // 提取 @add 命令
+    const addExtracted = this.processAddSyntax(permissionsExtracted.css);
+    result.addCommands = addExtracted.commands;
+    result.css = addExtracted.css;
 
     return result;
   }
 
+  /**
+   * 提取脚本权限清单
+   * 语法：@permissions network, storage;
+   * 注释和字符串中的 @permissions 不会被识别
+   * @param {string} css - CSS内容
+   * @returns {Object} {css: string, permissions: Array<string>}
+   */
+  extractPermissions(css) {
+    const permissions = new Set();
+    const permissionRegex = /@permissions\s+([^;{}]+);?/gi;
+    const skipped = this.findCommentsAndStrings(css);
+
+    const cleaned = css.replace(permissionRegex, (match, list, offset) => {
+      if (skipped.some(([from, to]) => offset >= from && offset < to)) return match;
+
+      list.split(/[\s,，]+/)
+        .map(item => item.trim().toLowerCase())
+        .filter(Boolean)
+        .forEach(item => permissions.add(item));
+      return '';
+    });
+
+    return {
+      css: cleaned.trim(),
+      permissions: Array.from(permissions)
+    };
+  }
+
   /**
    * 提取JavaScript代码
    * @param {string} content - 原始内容
@@ -56,20 +126,512 @@ export class CssProcessor {
   }
 
   /**
-   * 空方法，保持兼容性
+   * 解析 @add 声明式语法
+   * 语法：@add(.mes_block, div, {class: "ribbon", text: "★", style: {top: "0"}});
+   * 选择器中包含逗号时需要加引号：@add(".a, .b", span, {...})
+   * 注释和字符串中的 @add 不会被识别
+   * @param {string} css - CSS内容
+   * @returns {Object} {css: string, commands: Array}
    */
   processAddSyntax(css) {
+    const commands = [];
+    const pattern = /@add\s*\(/gi;
+    const skipped = this.findCommentsAndStrings(css);
+    let cleanCSS = '';
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(css)) !== null) {
+      const start = match.index;
+      if (skipped.some(([from, to]) => start >= from && start < to)) continue;
+
+      const argsStart = start + match[0].length;
+      const argsEnd = this.findClosingParen(css, argsStart);
+
+      if (argsEnd === -1) {
+        console.warn('[CssProcessor] @add 语法缺少右括号:', css.substring(start, start + 50));
+        break;
+      }
+
+      // 吃掉可选的结尾分号
+      let end = argsEnd + 1;
+      const tail = css.substring(end).match(/^\s*;/);
+      if (tail) end += tail[0].length;
+
+      cleanCSS += css.substring(lastIndex, start);
+      lastIndex = end;
+      pattern.lastIndex = end;
+
+      const command = this.parseAddCommand(css.substring(argsStart, argsEnd));
+      if (command) {
+        commands.push(command);
+      }
+    }
+
+    cleanCSS += css.substring(lastIndex);
+
     return {
-      css: css,
-      commands: []
+      css: cleanCSS.trim(),
+      commands: commands
     };
   }
 
   /**
-   * 空方法，保持兼容性
+   * 查找CSS中注释和字符串所占的范围
+   * @returns {Array<Array<number>>} [[起始, 结束)]
    */
-  executeAddCommands(commands) {
-    // 不执行任何操作
+  findCommentsAndStrings(text) {
+    const ranges = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (char === '/' && text[i + 1] === '*') {
+        const close = text.indexOf('*/', i + 2);
+        const end = close === -1 ? text.length : close + 2;
+        ranges.push([i, end]);
+        i = end;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        let j = i + 1;
+        while (j < text.length && text[j] !== char && text[j] !== '\n') {
+          if (text[j] === '\\') j++;
+          j++;
+        }
+        ranges.push([i, j + 1]);
+        i = j + 1;
+        continue;
+      }
+
+      i++;
+    }
+
+    return ranges;
+  }
+
+  /**
+   * 查找与起始位置匹配的右括号（跳过字符串和嵌套括号）
+   */
+  findClosingParen(text, from) {
+    let depth = 1;
+    let quote = null;
+
+    for (let i = from; i < text.length; i++) {
+      const char = text[i];
+
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+        continue;
+      }
+
+      if (char === '"' || char === "'") quote = char;
+      else if (char === '(' || char === '{' || char === '[') depth++;
+      else if (char === ')' || char === '}' || char === ']') {
+        depth--;
+        if (depth === 0) return char === ')' ? i : -1;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * 解析单条 @add 命令的参数
+   * @param {string} argsText - 括号内的参数文本
+   * @returns {Object|null} {selector, tag, options, key}
+   */
+  parseAddCommand(argsText) {
+    const args = this.splitTopLevel(argsText, ',');
+    if (args.length < 2) {
+      console.warn('[CssProcessor] @add 至少需要选择器和标签两个参数:', argsText);
+      return null;
+    }
+
+    const selector = this.unquote(args[0]);
+    const tag = this.unquote(args[1]).toLowerCase();
+
+    if (!selector) return null;
+
+    // 无效的选择器（如输入到一半的 .mes:hov）会让查询抛错，直接拒绝该命令
+    try {
+      document.createDocumentFragment().querySelector(selector);
+    } catch (error) {
+      console.warn('[CssProcessor] @add 选择器无效:', selector);
+      return null;
+    }
+
+    if (!/^[a-z][a-z0-9-]*$/.test(tag) || ADD_BLOCKED_TAGS.has(tag)) {
+      console.warn('[CssProcessor] @add 不允许创建该标签:', tag);
+      return null;
+    }
+
+    let options = {};
+    if (args.length > 2) {
+      try {
+        options = this.parseObjectLiteral(args.slice(2).join(','));
+      } catch (error) {
+        console.warn('[CssProcessor] @add 选项解析失败:', error.message);
+        return null;
+      }
+    }
+
+    const safeOptions = this.sanitizeAddOptions(options);
+
+    return {
+      selector,
+      tag,
+      options: safeOptions,
+      key: JSON.stringify([selector, tag, safeOptions])
+    };
+  }
+
+  /**
+   * 过滤 @add 选项，只保留安全的字段
+   */
+  sanitizeAddOptions(options) {
+    const safe = {};
+
+    ['class', 'id', 'text'].forEach(key => {
+      if (options[key] !== undefined && options[key] !== null) {
+        safe[key] = String(options[key]);
+      }
+    });
+
+    if (options.style && typeof options.style === 'object') {
+      safe.style = {};
+      Object.entries(options.style).forEach(([prop, value]) => {
+        // 支持连字符写法：{"font-size": "12px"}
+        const camelProp = prop.replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+        safe.style[camelProp] = String(value);
+      });
+    }
+
+    if (options.attrs && typeof options.attrs === 'object') {
+      safe.attrs = {};
+      Object.entries(options.attrs).forEach(([name, value]) => {
+        const text = String(value);
+        if (!this.isAllowedAddAttribute(name, text)) {
+          console.warn('[CssProcessor] @add 已忽略不安全的属性:', name);
+          return;
+        }
+        safe.attrs[name] = text;
+      });
+    }
+
+    return safe;
+  }
+
+  /**
+   * 判断 @add 属性是否安全：名称在白名单中，链接只能是 http(s)、blob: 或 data:image
+   */
+  isAllowedAddAttribute(name, value) {
+    const lowerName = name.toLowerCase();
+    const allowed = ADD_ALLOWED_ATTRS.has(lowerName) || /^(data|aria)-[a-z0-9_.-]+$/.test(lowerName);
+    if (!allowed) return false;
+
+    return !URL_ATTRIBUTES.has(lowerName) || isSafeUrl(value);
+  }
+
+  /**
+   * 按顶层分隔符拆分文本（忽略字符串和括号内的分隔符）
+   */
+  splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quote) {
+        current += char;
+        if (char === '\\' && i + 1 < text.length) {
+          current += text[++i];
+        } else if (char === quote) {
+          quote = null;
+        }
+        continue;
+      }
+
+      if (char === '"' || char === "'") quote = char;
+      else if ('({['.includes(char)) depth++;
+      else if (')}]'.includes(char)) depth--;
+
+      if (char === separator && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+
+  /**
+   * 去除首尾引号
+   */
+  unquote(text) {
+    const trimmed = (text || '').trim();
+    const match = trimmed.match(/^(["'])([\s\S]*)\1$/);
+    return match ? match[2].replace(/\\(.)/g, '$1') : trimmed;
+  }
+
+  /**
+   * 解析宽松的对象字面量（键可不加引号，值为字符串/数字/布尔/嵌套对象）
+   * 不使用eval，避免在CSS中夹带代码
+   */
+  parseObjectLiteral(text) {
+    const source = text.trim();
+    let pos = 0;
+
+    const fail = (message) => {
+      throw new Error(`${message}（位置 ${pos}）`);
+    };
+
+    const skipSpace = () => {
+      while (pos < source.length && /\s/.test(source[pos])) pos++;
+    };
+
+    const parseString = () => {
+      const quote = source[pos++];
+      let value = '';
+      while (pos < source.length && source[pos] !== quote) {
+        if (source[pos] === '\\') pos++;
+        value += source[pos++];
+      }
+      if (source[pos] !== quote) fail('字符串未闭合');
+      pos++;
+      return value;
+    };
+
+    const parseBare = (stopChars) => {
+      let value = '';
+      while (pos < source.length && !stopChars.includes(source[pos])) {
+        value += source[pos++];
+      }
+      return value.trim();
+    };
+
+    const parseValue = () => {
+      skipSpace();
+      const char = source[pos];
+      if (char === '{') return parseObject();
+      if (char === '"' || char === "'") return parseString();
+
+      const bare = parseBare(',}');
+      if (bare === 'true') return true;
+      if (bare === 'false') return false;
+      if (bare === 'null') return null;
+      if (bare !== '' && !isNaN(Number(bare))) return Number(bare);
+      return bare;
+    };
+
+    const parseObject = () => {
+      const result = {};
+      pos++; // 跳过 {
+      skipSpace();
+
+      while (pos < source.length && source[pos] !== '}') {
+        skipSpace();
+        const key = (source[pos] === '"' || source[pos] === "'") ? parseString() : parseBare(':').trim();
+        skipSpace();
+        if (source[pos] !== ':') fail(`属性 ${key} 缺少冒号`);
+        pos++;
+
+        result[key] = parseValue();
+
+        skipSpace();
+        if (source[pos] === ',') pos++;
+        skipSpace();
+      }
+
+      if (source[pos] !== '}') fail('对象缺少右花括号');
+      pos++;
+      return result;
+    };
+
+    if (source[0] !== '{') fail('选项必须是 {...} 对象');
+    const result = parseObject();
+    skipSpace();
+    if (pos < source.length) fail('对象后存在多余内容');
+
+    return result;
+  }
+
+  /**
+   * 执行 @add 命令（增量协调：移除不再存在的命令，应用新增的命令）
+   * @param {Array} commands - processAddSyntax解析出的命令
+   */
+  executeAddCommands(commands = []) {
+    const nextCommands = new Map(commands.map(command => [command.key, command]));
+
+    // 移除已删除命令创建的元素
+    Array.from(this.addCommands.keys()).forEach(key => {
+      if (!nextCommands.has(key)) {
+        this.removeAddCommand(key);
+      }
+    });
+
+    // 应用新增命令
+    nextCommands.forEach((command, key) => {
+      if (!this.addCommands.has(key)) {
+        this.addCommands.set(key, command);
+        this.applyAddCommand(command, document.querySelectorAll(command.selector));
+      }
+    });
+
+    // 有命令时监听新消息，没有时停止
+    if (this.addCommands.size > 0) {
+      this.startObservingChat();
+    } else {
+      this.stopObservingChat();
+    }
+  }
+
+  /**
+   * 将命令应用到目标元素（每个目标只应用一次）
+   */
+  applyAddCommand(command, targets) {
+    let created = this.addedByCommand.get(command.key);
+    if (!created) {
+      created = new Set();
+      this.addedByCommand.set(command.key, created);
+    }
+
+    targets.forEach(target => {
+      // 跳过扩展自己创建的元素，避免嵌套注入
+      if (this.coreEngine.addedElements.has(target)) return;
+
+      const applied = this.appliedTargets.get(target) || new Set();
+      if (applied.has(command.key)) return;
+
+      const element = this.coreEngine.addElement(target, command.tag, {
+        ...command.options,
+        style: command.options.style ? { ...command.options.style } : undefined,
+        attrs: { ...(command.options.attrs || {}), 'data-enhanced-add': '' }
+      });
+
+      if (element) {
+        created.add(element);
+        applied.add(command.key);
+        this.appliedTargets.set(target, applied);
+      }
+    });
+  }
+
+  /**
+   * 移除某条命令创建的所有元素
+   */
+  removeAddCommand(key) {
+    const created = this.addedByCommand.get(key);
+    if (created) {
+      created.forEach(element => {
+        element.remove();
+        this.coreEngine.addedElements.delete(element);
+      });
+    }
+
+    // 根据其余命令仍在页面上的元素重建目标记录
+    this.appliedTargets = new WeakMap();
+    this.addedByCommand.forEach((elements, commandKey) => {
+      if (commandKey === key) return;
+      elements.forEach(element => {
+        if (!element.parentNode) return;
+        const applied = this.appliedTargets.get(element.parentNode) || new Set();
+        applied.add(commandKey);
+        this.appliedTargets.set(element.parentNode, applied);
+      });
+    });
+
+    this.addedByCommand.delete(key);
+    this.addCommands.delete(key);
+  }
+
+  /**
+   * 监听聊天区，将命令应用到新消息
+   */
+  startObservingChat() {
+    if (this.chatObserver) return;
+
+    const chat = document.querySelector('#chat');
+    if (!chat) return;
+
+    this.chatObserver = new MutationObserver((mutations) => {
+      const added = [];
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE && !this.coreEngine.addedElements.has(node)) {
+            added.push(node);
+          }
+        });
+      });
+
+      if (added.length === 0) return;
+
+      this.addCommands.forEach(command => {
+        const targets = [];
+        added.forEach(node => {
+          if (node.matches(command.selector)) targets.push(node);
+          targets.push(...node.querySelectorAll(command.selector));
+        });
+        if (targets.length > 0) {
+          this.applyAddCommand(command, targets);
+        }
+      });
+    });
+
+    this.chatObserver.observe(chat, { childList: true, subtree: true });
+  }
+
+  /**
+   * 停止监听聊天区
+   */
+  stopObservingChat() {
+    if (this.chatObserver) {
+      this.chatObserver.disconnect();
+      this.chatObserver = null;
+    }
+  }
+
+  /**
+   * 移除所有 @add 命令创建的元素并重置状态
+   */
+  clearAddCommands() {
+    Array.from(this.addCommands.keys()).forEach(key => this.removeAddCommand(key));
+    this.resetAddCommands();
+  }
+
+  /**
+   * 重置 @add 命令状态（不操作DOM）
+   */
+  resetAddCommands() {
+    this.stopObservingChat();
+    this.addCommands.clear();
+    this.addedByCommand.clear();
+    this.appliedTargets = new WeakMap();
+  }
+
+  /**
+   * 获取 @add 命令统计
+   */
+  getAddStats() {
+    let elements = 0;
+    this.addedByCommand.forEach(created => {
+      elements += created.size;
+    });
+
+    return {
+      commands: this.addCommands.size,
+      elements: elements,
+      observing: this.chatObserver !== null
+    };
   }
 
   /**
@@ -100,53 +662,20 @@ export class CssProcessor {
   }
 
   /**
-   * 优化CSS
+   * 优化CSS（安全压缩，字符串、url()和calc()保持不变）
    * @param {string} css - CSS内容
    * @returns {string} 优化后的CSS
    */
   optimizeCSS(css) {
-    // 移除多余空格和换行
-    let optimized = css
-      .replace(/\/\*[\s\S]*?\*\//g, '') // 移除注释
-      .replace(/\s+/g, ' ') // 合并空格
-      .replace(/\s*([{}:;,])\s*/g, '$1') // 移除符号周围空格
-      .trim();
-
-    return optimized;
+    return this.pipeline.run(css, { minify: true });
   }
 
   /**
-   * 添加CSS前缀
+   * 添加CSS前缀（只为需要前缀的属性补全，已有前缀时不重复添加）
    * @param {string} css - CSS内容
    * @returns {string} 添加前缀后的CSS
    */
   addVendorPrefixes(css) {
-    const prefixes = ['-webkit-', '-moz-', '-ms-', '-o-'];
-    const properties = [
-      'animation',
-      'transform',
-      'transition',
-      'box-shadow',
-      'border-radius',
-      'flex',
-      'filter'
-    ];
-
-    let prefixed = css;
-
-    properties.forEach(prop => {
-      const regex = new RegExp(`(^|\\s|;)(${prop}:)`, 'gi');
-      if (regex.test(css)) {
-        prefixes.forEach(prefix => {
-          const prefixedProp = prefix + prop;
-          // 避免重复添加
-          if (!css.includes(prefixedProp)) {
-            prefixed = prefixed.replace(regex, `$1${prefixedProp}:$2`);
-          }
-        });
-      }
-    });
-
-    return prefixed;
+    return this.pipeline.run(css, { prefix: true });
   }
-}
\ No newline at end of file
+}
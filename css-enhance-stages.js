@@ -0,0 +1,206 @@
+/**
+ * CSS处理管线 - 按顺序执行的处理阶段
+ *
+ * 核心功能：
+ * - 各模块按名称和优先级注册处理阶段（脚本提取、@装饰、中文格式编译、@add、前缀/压缩……）
+ * - 阶段声明读取和写入的字段，管线依次把上一阶段的输出交给下一阶段
+ * - 每个阶段缓存上次的输入和输出，输入不变时直接使用缓存（有副作用的阶段不缓存）
+ * - 独立阶段在CSS增强关闭时仍然执行（可视化编辑器的中文格式和@装饰）
+ * - 记录最近一次运行中每个阶段的状态、耗时和输出，供调试查看
+ *
+ * 管线状态字段：
+ * - source：输入框原始内容
+ * - css：处理中的CSS，最终由CSS增强模块统一应用
+ * - javascript：提取出的脚本
+ * - permissions：脚本权限清单
+ * - addCommands：@add 命令
+ */
+
+export class CssStagePipeline {
+  constructor() {
+    this.stages = []; // 按优先级从高到低排序
+    this.cache = new Map(); // 阶段名 → {input, key, output}
+    this.lastRun = null;
+  }
+
+  /**
+   * 注册处理阶段
+   * @param {Object} stage
+   *   name: 阶段名称（唯一）
+   *   priority: 优先级，数值大的先执行
+   *   input: 读取的状态字段，默认 'css'
+   *   output: 写入的字段，默认 'css'；为数组时 run 返回包含这些字段的对象
+   *   run: (输入值, 状态) => 输出；返回 undefined 或类型不符时保留原值
+   *   enabled: 可选，返回false时跳过该阶段
+   *   cacheKey: 可选，返回影响输出的选项（如设置开关），选项变化时缓存失效
+   *   cache: 可选，false 表示阶段有副作用（如修改页面），每次都重新执行
+   *   standalone: 可选，true 表示不依赖CSS增强功能，CSS增强关闭时仍然执行
+   * @returns {Function} 注销阶段的函数
+   */
+  register(stage) {
+    if (!stage || !stage.name || typeof stage.run !== 'function') {
+      throw new Error('处理阶段必须包含 name 和 run');
+    }
+    if (this.stages.some(item => item.name === stage.name)) {
+      throw new Error(`处理阶段已存在: ${stage.name}`);
+    }
+
+    const entry = {
+      priority: 0,
+      input: 'css',
+      output: 'css',
+      cache: true,
+      standalone: false,
+      ...stage
+    };
+
+    this.stages.push(entry);
+    this.stages.sort((a, b) => b.priority - a.priority);
+
+    return () => this.unregister(stage.name);
+  }
+
+  /**
+   * 注销处理阶段
+   */
+  unregister(name) {
+    const before = this.stages.length;
+    this.stages = this.stages.filter(stage => stage.name !== name);
+    this.cache.delete(name);
+    return this.stages.length !== before;
+  }
+
+  /**
+   * 清除阶段缓存（阶段有副作用且副作用已被撤销时使用）
+   * @param {string|Array<string>} names - 阶段名称，省略时清除全部
+   */
+  invalidate(names) {
+    if (names === undefined) {
+      this.cache.clear();
+      return;
+    }
+    [].concat(names).forEach(name => this.cache.delete(name));
+  }
+
+  /**
+   * 是否有可以在CSS增强关闭时执行的阶段
+   */
+  hasStandaloneStages() {
+    return this.stages.some(stage => stage.standalone && (!stage.enabled || stage.enabled()));
+  }
+
+  /**
+   * 执行管线
+   * @param {string} content - 输入框原始内容
+   * @param {Object} options - standaloneOnly: 只执行独立阶段（CSS增强关闭时）
+   * @returns {Object} {source, css, javascript, permissions, addCommands, stages}
+   */
+  run(content, options = {}) {
+    const state = {
+      source: content,
+      css: content || '',
+      javascript: '',
+      permissions: [],
+      addCommands: []
+    };
+    const trace = [];
+
+    this.stages.forEach(stage => {
+      const outputs = [].concat(stage.output);
+      const entry = {
+        name: stage.name,
+        priority: stage.priority,
+        input: stage.input,
+        output: outputs,
+        status: 'ran',
+        duration: 0,
+        error: null,
+        values: {}
+      };
+      trace.push(entry);
+
+      if ((options.standaloneOnly && !stage.standalone) || (stage.enabled && !stage.enabled())) {
+        entry.status = 'skipped';
+        return;
+      }
+
+      const input = state[stage.input];
+      const key = stage.cacheKey ? stage.cacheKey() : '';
+      const cached = stage.cache ? this.cache.get(stage.name) : null;
+      let result;
+
+      if (cached && cached.input === input && cached.key === key) {
+        entry.status = 'cached';
+        result = cached.output;
+      } else {
+        const startedAt = performance.now();
+        try {
+          result = stage.run(input, state);
+          if (stage.cache) {
+            this.cache.set(stage.name, { input, key, output: result });
+          }
+        } catch (error) {
+          // 出错的阶段保留原值，不影响后续阶段
+          console.error(`[CssStagePipeline] 处理阶段出错 (${stage.name}):`, error);
+          entry.status = 'failed';
+          entry.error = error.message;
+          this.cache.delete(stage.name);
+        }
+        entry.duration = Math.round((performance.now() - startedAt) * 100) / 100;
+      }
+
+      if (entry.status !== 'failed') {
+        this.assignOutput(state, outputs, result);
+      }
+      outputs.forEach(field => {
+        entry.values[field] = state[field];
+      });
+    });
+
+    this.lastRun = { time: Date.now(), stages: trace };
+
+    return { ...state, stages: trace };
+  }
+
+  /**
+   * 把阶段输出写入状态
+   */
+  assignOutput(state, outputs, result) {
+    if (result === undefined || result === null) return;
+
+    if (outputs.length === 1) {
+      const field = outputs[0];
+      if (typeof result === typeof state[field]) {
+        state[field] = result;
+      }
+      return;
+    }
+
+    outputs.forEach(field => {
+      if (result[field] !== undefined && typeof result[field] === typeof state[field]) {
+        state[field] = result[field];
+      }
+    });
+  }
+
+  /**
+   * 获取已注册的阶段
+   * @returns {Array} [{name, priority, input, output}]
+   */
+  getStages() {
+    return this.stages.map(({ name, priority, input, output }) => ({
+      name,
+      priority,
+      input,
+      output: [].concat(output)
+    }));
+  }
+
+  /**
+   * 获取最近一次运行的记录
+   * @returns {Object|null} {time, stages: [{name, status, duration, error, values}]}
+   */
+  getLastRun() {
+    return this.lastRun;
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * CSS分词器 - 带位置信息的CSS词法分析
+ *
+ * 核心功能：
+ * - 将CSS文本切分为带行列号的词法单元（字符串、注释、url()等保持完整）
+ * - 标记未闭合的字符串和注释，供诊断模块报告
+ * - 提供偏移量与行列号之间的换算
+ */
+
+export class CssTokenizer {
+  /**
+   * 分词
+   * @param {string} text - CSS文本
+   * @returns {Array<Object>} 词法单元 {type, value, start, end, line, column}
+   *
+   * type 取值：
+   * whitespace / comment / bad-comment / string / bad-string / url / function /
+   * at-keyword / hash / ident / number / delim / { / } / ( / ) / [ / ] / : / ; / ,
+   */
+  tokenize(text) {
+    const tokens = [];
+    const lineStarts = this.computeLineStarts(text);
+    let pos = 0;
+
+    const push = (type, start, end) => {
+      const { line, column } = this.positionFromOffset(lineStarts, start);
+      tokens.push({ type, value: text.substring(start, end), start, end, line, column });
+    };
+
+    while (pos < text.length) {
+      const start = pos;
+      const char = text[pos];
+      const next = text[pos + 1];
+
+      // 空白
+      if (/\s/.test(char)) {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+        push('whitespace', start, pos);
+        continue;
+      }
+
+      // 注释
+      if (char === '/' && next === '*') {
+        const close = text.indexOf('*/', pos + 2);
+        pos = close === -1 ? text.length : close + 2;
+        push(close === -1 ? 'bad-comment' : 'comment', start, pos);
+        continue;
+      }
+
+      // 字符串
+      if (char === '"' || char === "'") {
+        pos = this.consumeString(text, pos);
+        const closed = text[pos - 1] === char && pos - 1 > start;
+        push(closed ? 'string' : 'bad-string', start, pos);
+        continue;
+      }
+
+      // 标识符 / 函数 / url()
+      if (this.isIdentStart(text, pos)) {
+        pos = this.consumeIdent(text, pos);
+        const name = text.substring(start, pos);
+
+        if (text[pos] === '(') {
+          if (name.toLowerCase() === 'url' && !/^\(\s*["']/.test(text.substring(pos))) {
+            // 未加引号的url()整体作为一个单元，内部不做分词
+            const close = text.indexOf(')', pos);
+            pos = close === -1 ? text.length : close + 1;
+            push('url', start, pos);
+          } else {
+            pos++;
+            push('function', start, pos);
+          }
+        } else {
+          push('ident', start, pos);
+        }
+        continue;
+      }
+
+      // @规则
+      if (char === '@' && this.isIdentStart(text, pos + 1)) {
+        pos = this.consumeIdent(text, pos + 1);
+        push('at-keyword', start, pos);
+        continue;
+      }
+
+      // #hash
+      if (char === '#' && pos + 1 < text.length && /[\w\-\u0080-\uFFFF]/.test(next)) {
+        pos++;
+        while (pos < text.length && /[\w\-\u0080-\uFFFF]/.test(text[pos])) pos++;
+        push('hash', start, pos);
+        continue;
+      }
+
+      // 数字（含单位和百分号）
+      if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(next)) ||
+        ((char === '+' || char === '-') && /[0-9.]/.test(next))) {
+        pos++;
+        while (pos < text.length && /[0-9.eE]/.test(text[pos])) pos++;
+        if (text[pos] === '%') {
+          pos++;
+        } else if (this.isIdentStart(text, pos)) {
+          pos = this.consumeIdent(text, pos);
+        }
+        push('number', start, pos);
+        continue;
+      }
+
+      // 结构符号
+      if ('{}()[]:;,'.includes(char)) {
+        pos++;
+        push(char, start, pos);
+        continue;
+      }
+
+      pos++;
+      push('delim', start, pos);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 读取字符串，返回结束位置（未闭合时停在换行或文本末尾）
+   */
+  consumeString(text, pos) {
+    const quote = text[pos];
+    pos++;
+
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === '\\') {
+        pos += 2;
+        continue;
+      }
+      if (char === quote) return pos + 1;
+      if (char === '\n') return pos;
+      pos++;
+    }
+
+    return text.length;
+  }
+
+  /**
+   * 是否是标识符起始
+   */
+  isIdentStart(text, pos) {
+    const char = text[pos];
+    if (char === undefined) return false;
+    if (/[a-zA-Z_\u0080-\uFFFF]/.test(char)) return true;
+    if (char === '\\') return true;
+    if (char === '-') {
+      const next = text[pos + 1];
+      return next === '-' || (next !== undefined && /[a-zA-Z_\u0080-\uFFFF\\]/.test(next));
+    }
+    return false;
+  }
+
+  /**
+   * 读取标识符，返回结束位置
+   */
+  consumeIdent(text, pos) {
+    while (pos < text.length) {
+      if (text[pos] === '\\') {
+        pos += 2;
+      } else if (/[\w\-\u0080-\uFFFF]/.test(text[pos])) {
+        pos++;
+      } else {
+        break;
+      }
+    }
+    return pos;
+  }
+
+  /**
+   * 计算每行起始偏移
+   */
+  computeLineStarts(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+  }
+
+  /**
+   * 偏移量 → 行列号（均从1开始）
+   */
+  positionFromOffset(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  }
+
+  /**
+   * 获取文本中某个偏移量的行列号
+   */
+  getPosition(text, offset) {
+    return this.positionFromOffset(this.computeLineStarts(text), offset);
+  }
+}
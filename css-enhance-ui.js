@@ -10,6 +10,17 @@
 
 import { UIBase } from './ui-base.js';
 
+// 处理阶段状态的显示名称
+const STAGE_STATUS_LABELS = {
+  ran: '已执行',
+  cached: '使用缓存',
+  skipped: '已跳过',
+  failed: '出错'
+};
+
+// 阶段输出预览的最大长度
+const STAGE_PREVIEW_LENGTH = 400;
+
 export class CssEnhanceUI extends UIBase {
   constructor(module) {
     super(module);
@@ -38,6 +49,26 @@ export class CssEnhanceUI extends UIBase {
             <span>启用CSS增强功能</span>
             <span class="hint-inline">关闭后将暂停CSS处理，但保留已应用的内容</span>
           </label>
+          <label class="checkbox_label">
+            <input type="checkbox" id="css-enhance-sandbox" ${this.module.coreEngine.sandboxEnabled ? 'checked' : ''}>
+            <span>沙箱执行脚本</span>
+            <span class="hint-inline">主题脚本只能修改自己创建的元素，无法访问网络和存储</span>
+          </label>
+          <label class="checkbox_label">
+            <input type="checkbox" id="css-enhance-prefixes" ${this.module.settings.vendorPrefixes ? 'checked' : ''}>
+            <span>补全浏览器前缀</span>
+            <span class="hint-inline">为 backdrop-filter、user-select 等属性添加 -webkit- 前缀</span>
+          </label>
+          <label class="checkbox_label">
+            <input type="checkbox" id="css-enhance-minify" ${this.module.settings.minifyCSS ? 'checked' : ''}>
+            <span>压缩输出CSS</span>
+            <span class="hint-inline">移除注释和多余空白，字符串和calc()保持不变</span>
+          </label>
+          <label class="checkbox_label">
+            <input type="checkbox" id="css-enhance-incremental" ${this.module.settings.incrementalStyles ? 'checked' : ''}>
+            <span>增量更新样式</span>
+            <span class="hint-inline">只更新修改过的规则，减少大型主题输入时的闪烁</span>
+          </label>
         </div>
 
         ${!this.module.cssEnhanceEnabled ? `
@@ -50,6 +81,15 @@ export class CssEnhanceUI extends UIBase {
         <div class="section-header">
           <h4>CSS增强功能</h4>
           <div class="section-controls">
+            <button class="mini-btn" id="css-export-theme" title="将CSS、脚本、字体和可视化样式打包为主题包">
+              <i class="fa fa-file-export"></i> 导出主题包
+            </button>
+            <button class="mini-btn" id="css-import-theme" title="导入主题包">
+              <i class="fa fa-file-import"></i> 导入主题包
+            </button>
+            <button class="mini-btn" id="css-revoke-permissions" title="撤销所有主题脚本的已授予权限">
+              <i class="fa fa-shield-halved"></i> 撤销授权
+            </button>
             <button class="mini-btn" id="css-clear-all" title="清除所有增强内容">
               <i class="fa fa-broom"></i> 清除
             </button>
@@ -67,10 +107,14 @@ export class CssEnhanceUI extends UIBase {
           <div class="help-section">
             <strong>@add 增强语法：</strong>
             <pre class="code-block">
-.selector {
-  @add: className "内容" top-10px left-20px;
-  @add: image "url(图片)" 100x100 bottom-0 right-0;
-}</pre>
+/* @add(选择器, 标签, {选项}) —— 无需脚本即可添加元素 */
+@add(.mes_block, div, {class: "ribbon", text: "★"});
+@add(".mes .avatar", span, {
+  class: "badge",
+  style: {position: "absolute", top: "0", right: "0"},
+  attrs: {title: "提示"}
+});</pre>
+            <p class="hint">选项支持 class、id、text、style、attrs；新消息会自动应用，切换主题时自动清理。</p>
           </div>
           
           <div class="help-section">
@@ -96,8 +140,43 @@ EnhancedCSS.addElement('.selector', 'div', {
               <li><code>EnhancedCSS.$$(selector)</code> - 查询多个元素</li>
             </ul>
           </div>
+
+          <div class="help-section">
+            <strong>脚本生命周期（切换主题或清除时自动释放）：</strong>
+            <ul class="api-list">
+              <li><code>EnhancedCSS.setInterval(fn, ms)</code> / <code>setTimeout</code> - 受追踪的定时器</li>
+              <li><code>EnhancedCSS.observe(target, callback, options)</code> - 受追踪的MutationObserver</li>
+              <li><code>EnhancedCSS.on(target, event, handler)</code> - 受追踪的事件监听，返回取消函数</li>
+              <li><code>EnhancedCSS.onCleanup(fn)</code> - 注册清理回调</li>
+            </ul>
+          </div>
+
+          <div class="help-section">
+            <strong>脚本权限（沙箱模式）：</strong>
+            <pre class="code-block">
+/* 声明后首次执行时会询问用户 */
+@permissions network, storage;</pre>
+            <ul class="api-list">
+              <li><code>dom</code> - 修改页面上的任意元素</li>
+              <li><code>network</code> - 使用 fetch / XMLHttpRequest / WebSocket</li>
+              <li><code>storage</code> - 使用 localStorage / sessionStorage / indexedDB</li>
+              <li><code>settings</code> - 访问 extension_settings 和 SillyTavern</li>
+            </ul>
+          </div>
         </div>
         
+        <!-- CSS诊断 -->
+        <div class="css-diagnostics-section">
+          <h5>CSS诊断 <span id="css-diagnostics-summary" class="css-diagnostics-summary"></span></h5>
+          <ul id="css-diagnostics-list" class="css-diagnostics-list"></ul>
+        </div>
+
+        <!-- 处理管线 -->
+        <div class="css-pipeline-section">
+          <h5>处理管线 <span id="css-pipeline-summary" class="css-pipeline-summary"></span></h5>
+          <ul id="css-pipeline-list" class="css-pipeline-list"></ul>
+        </div>
+
         <!-- 性能监控 -->
         <div class="stats-section">
           <h5>性能监控</h5>
@@ -114,6 +193,14 @@ EnhancedCSS.addElement('.selector', 'div', {
               <span class="stat-label">修改的类名</span>
               <span class="stat-value" id="stat-classes">0</span>
             </div>
+            <div class="stat-item">
+              <span class="stat-label">脚本资源</span>
+              <span class="stat-value" id="stat-script-resources">0</span>
+            </div>
+            <div class="stat-item">
+              <span class="stat-label">上次更新规则数</span>
+              <span class="stat-value" id="stat-rules-touched">-</span>
+            </div>
             <div class="stat-item">
               <span class="stat-label">CSS内容大小</span>
               <span class="stat-value" id="stat-size">0 B</span>
@@ -141,6 +228,54 @@ EnhancedCSS.addElement('.selector', 'div', {
       });
     }
 
+    // 沙箱执行开关
+    const sandboxCheckbox = this.$('#css-enhance-sandbox');
+    if (sandboxCheckbox) {
+      this.addEventListener(sandboxCheckbox, 'change', async (e) => {
+        if (!e.target.checked && !this.confirm('关闭沙箱后，主题脚本将可以访问整个页面、网络和存储。确定关闭吗？')) {
+          e.target.checked = true;
+          return;
+        }
+        await this.module.coreEngine.setSandboxEnabled(e.target.checked);
+        this.showMessage(e.target.checked ? '已启用脚本沙箱' : '已关闭脚本沙箱', 'info');
+      });
+    }
+
+    // CSS输出选项
+    const outputOptions = {
+      '#css-enhance-prefixes': 'vendorPrefixes',
+      '#css-enhance-minify': 'minifyCSS',
+      '#css-enhance-incremental': 'incrementalStyles'
+    };
+    Object.entries(outputOptions).forEach(([selector, key]) => {
+      const checkbox = this.$(selector);
+      if (checkbox) {
+        this.addEventListener(checkbox, 'change', (e) => this.module.setOutputOption(key, e.target.checked));
+      }
+    });
+
+    // 主题包导出/导入
+    const exportThemeBtn = this.$('#css-export-theme');
+    if (exportThemeBtn) {
+      this.addEventListener(exportThemeBtn, 'click', () => this.exportThemePackage());
+    }
+
+    const importThemeBtn = this.$('#css-import-theme');
+    if (importThemeBtn) {
+      this.addEventListener(importThemeBtn, 'click', () => this.importThemePackage());
+    }
+
+    // 撤销脚本授权
+    const revokeBtn = this.$('#css-revoke-permissions');
+    if (revokeBtn) {
+      this.addEventListener(revokeBtn, 'click', async () => {
+        if (this.confirm('确定要撤销所有主题脚本的已授予权限吗？下次执行时会重新询问。')) {
+          await this.module.coreEngine.revokePermissions();
+          this.showMessage('已撤销所有脚本授权', 'success');
+        }
+      });
+    }
+
     // 显示/隐藏帮助
     const showHelpCheckbox = this.$('#show-help');
     if (showHelpCheckbox) {
@@ -166,8 +301,15 @@ EnhancedCSS.addElement('.selector', 'div', {
     }
 
     // 监听统计更新事件
-    this.module.eventBus.on('css:processed', () => this.updateStats());
-    this.module.eventBus.on('css:cleared', () => this.updateStats());
+    this.module.eventBus.on('css:processed', () => {
+      this.updateStats();
+      this.renderPipeline();
+    });
+    this.module.eventBus.on('css:cleared', () => {
+      this.updateStats();
+      this.renderDiagnostics(null);
+    });
+    this.module.eventBus.on('css:diagnostics', (result) => this.renderDiagnostics(result));
     this.module.eventBus.on('cssEnhance:enabledChanged', (enabled) => {
       // 当状态变化时更新UI
       const checkbox = this.$('#css-enhance-enabled');
@@ -178,6 +320,8 @@ EnhancedCSS.addElement('.selector', 'div', {
 
     // 初始更新统计
     this.updateStats();
+    this.renderDiagnostics(this.module.lastDiagnostics);
+    this.renderPipeline();
 
     // 定期更新统计
     this.statsInterval = setInterval(() => this.updateStats(), 5000);
@@ -230,6 +374,20 @@ EnhancedCSS.addElement('.selector', 'div', {
       classesEl.textContent = engineStats.classes || 0;
     }
 
+    // 更新脚本仍持有的资源数量
+    const resourcesEl = this.$('#stat-script-resources');
+    if (resourcesEl) {
+      resourcesEl.textContent = engineStats.liveResources || 0;
+    }
+
+    // 更新上次增量更新涉及的规则数
+    const rulesEl = this.$('#stat-rules-touched');
+    if (rulesEl) {
+      const patch = engineStats.lastStylePatch;
+      rulesEl.textContent = patch ? `${patch.touched} / ${patch.total}` : '-';
+      rulesEl.title = patch ? `新增 ${patch.inserted}，删除 ${patch.deleted}，无效 ${patch.rejected}` : '';
+    }
+
     // 更新内容大小
     const sizeEl = this.$('#stat-size');
     if (sizeEl) {
@@ -238,6 +396,230 @@ EnhancedCSS.addElement('.selector', 'div', {
     }
   }
 
+  /**
+   * 导出主题包
+   */
+  async exportThemePackage() {
+    const name = prompt('请输入主题名称：');
+    if (!name) return;
+
+    const author = prompt('请输入作者名称（可选）：') || '';
+    const version = prompt('请输入版本号：', '1.0.0') || '1.0.0';
+    const description = prompt('请输入主题描述（可选）：') || '';
+    const preview = prompt('请输入预览图链接（可选）：') || null;
+
+    const themePackages = this.module.extension.themePackages;
+    const pkg = await themePackages.createPackage({ name, author, version, description, preview });
+    themePackages.download(pkg);
+
+    this.showMessage(`主题包已导出（${pkg.fonts.items.length} 个字体）`, 'success');
+  }
+
+  /**
+   * 导入主题包：选择文件 → 预览 → 选择冲突处理方式 → 导入
+   */
+  importThemePackage() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const themePackages = this.module.extension.themePackages;
+
+      try {
+        const pkg = themePackages.parse(await file.text());
+        const summary = themePackages.preview(pkg);
+        const meta = summary.metadata;
+
+        const lines = [
+          `主题：${meta.name || '未命名主题'} ${meta.version ? 'v' + meta.version : ''}`,
+          meta.author ? `作者：${meta.author}` : '',
+          meta.description ? `说明：${meta.description}` : '',
+          `CSS：${this.formatSize(summary.cssLength)}`,
+          summary.hasScripts ? `包含脚本${summary.permissions.length ? `（请求权限：${summary.permissions.join(', ')}）` : ''}` : '',
+          summary.fonts.length ? `字体：${summary.fonts.join('、')}` : '',
+          summary.fontsMissingFiles.length ? `⚠ 以下字体缺少本地字体文件，导入后无法显示：${summary.fontsMissingFiles.join('、')}` : '',
+          summary.variables.length ? `样式变量：${summary.variables.length} 个` : '',
+          summary.visualSelectors ? `可视化样式：${summary.visualSelectors} 个元素` : '',
+          summary.decorations ? `装饰：${summary.decorations} 个` : ''
+        ].filter(Boolean);
+
+        if (!this.confirm(`${lines.join('\n')}\n\n确定导入吗？`)) return;
+
+        const options = { css: 'replace', fonts: 'rename', variables: 'keep' };
+
+        if (summary.cssConflict) {
+          options.css = this.confirm('当前已有自定义CSS。\n确定：用主题包替换\n取消：追加到现有CSS之后') ? 'replace' : 'append';
+        }
+
+        if (summary.fontConflicts.length > 0) {
+          options.fonts = this.confirm(`以下字体与已有字体同名但内容不同：\n${summary.fontConflicts.join('、')}\n\n确定：覆盖已有字体\n取消：重命名后导入`)
+            ? 'overwrite'
+            : 'rename';
+        }
+
+        if (summary.variableConflicts.length > 0) {
+          options.variables = this.confirm(`以下样式变量与已有变量同名但值不同：\n${summary.variableConflicts.map(name => `--pp-${name}`).join('、')}\n\n确定：使用主题包的值\n取消：保留已有的值`)
+            ? 'overwrite'
+            : 'keep';
+        }
+
+        const result = await themePackages.importPackage(pkg, options);
+        const fontCount = result.fonts.added + result.fonts.renamed + result.fonts.overwritten;
+        this.showMessage(`已导入主题"${result.name}"${fontCount ? `，${fontCount} 个字体` : ''}`, 'success');
+      } catch (error) {
+        console.error('[CssEnhanceUI] 导入主题包失败:', error);
+        this.showMessage(`导入失败：${error.message}`, 'error');
+      }
+    };
+
+    input.click();
+  }
+
+  /**
+   * 渲染诊断列表
+   * @param {Object|null} result - CssDiagnostics.analyze 的结果
+   */
+  renderDiagnostics(result) {
+    const list = this.$('#css-diagnostics-list');
+    const summary = this.$('#css-diagnostics-summary');
+    if (!list || !summary) return;
+
+    list.innerHTML = '';
+
+    if (!result) {
+      summary.textContent = '';
+      return;
+    }
+
+    if (result.diagnostics.length === 0) {
+      summary.textContent = '未发现问题';
+      summary.className = 'css-diagnostics-summary ok';
+      return;
+    }
+
+    summary.textContent = `${result.errorCount} 个错误，${result.warningCount} 个警告`;
+    summary.className = `css-diagnostics-summary ${result.errorCount > 0 ? 'has-errors' : 'has-warnings'}`;
+
+    result.diagnostics.forEach(diagnostic => {
+      // 消息中可能包含用户输入，使用textContent避免注入
+      const item = this.createElement(`
+        <li class="css-diagnostic-item ${diagnostic.severity}" title="点击跳转到该位置">
+          <i class="fa-solid ${diagnostic.severity === 'error' ? 'fa-circle-xmark' : 'fa-triangle-exclamation'}"></i>
+          <span class="css-diagnostic-location"></span>
+          <span class="css-diagnostic-message"></span>
+        </li>
+      `);
+      item.querySelector('.css-diagnostic-location').textContent = `行 ${diagnostic.line}, 列 ${diagnostic.column}`;
+      item.querySelector('.css-diagnostic-message').textContent = diagnostic.message;
+
+      item.addEventListener('click', () => this.revealDiagnostic(diagnostic));
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * 渲染处理管线：各阶段的顺序、状态、耗时，展开可查看阶段输出
+   */
+  renderPipeline() {
+    const list = this.$('#css-pipeline-list');
+    const summary = this.$('#css-pipeline-summary');
+    if (!list || !summary || !this.module.stages) return;
+
+    list.innerHTML = '';
+
+    const lastRun = this.module.stages.getLastRun();
+    const stages = lastRun ? lastRun.stages : this.module.stages.getStages();
+
+    if (lastRun) {
+      const total = lastRun.stages.reduce((sum, stage) => sum + stage.duration, 0);
+      const failed = lastRun.stages.filter(stage => stage.status === 'failed').length;
+      summary.textContent = `${stages.length} 个阶段，共 ${Math.round(total * 100) / 100}ms` + (failed ? `，${failed} 个出错` : '');
+      summary.className = `css-pipeline-summary ${failed ? 'has-errors' : ''}`;
+    } else {
+      summary.textContent = '尚未运行';
+      summary.className = 'css-pipeline-summary';
+    }
+
+    stages.forEach(stage => {
+      // 阶段名和输出可能来自插件或用户输入，使用textContent避免注入
+      const item = this.createElement(`
+        <li class="css-pipeline-stage ${stage.status || ''}">
+          <details>
+            <summary>
+              <code class="css-pipeline-name"></code>
+              <span class="css-pipeline-flow"></span>
+              <span class="css-pipeline-status"></span>
+            </summary>
+            <div class="css-pipeline-values"></div>
+          </details>
+        </li>
+      `);
+
+      item.querySelector('.css-pipeline-name').textContent = stage.name;
+      item.querySelector('.css-pipeline-flow').textContent =
+        `优先级 ${stage.priority} · ${stage.input} → ${stage.output.join(', ')}`;
+
+      const status = item.querySelector('.css-pipeline-status');
+      if (stage.status) {
+        status.textContent = STAGE_STATUS_LABELS[stage.status] +
+          (stage.status === 'ran' || stage.status === 'failed' ? ` ${stage.duration}ms` : '');
+        if (stage.error) status.title = stage.error;
+      }
+
+      const values = item.querySelector('.css-pipeline-values');
+      if (stage.error) {
+        const error = document.createElement('div');
+        error.className = 'css-pipeline-error';
+        error.textContent = `错误：${stage.error}`;
+        values.appendChild(error);
+      }
+      Object.entries(stage.values || {}).forEach(([field, value]) => {
+        const label = document.createElement('strong');
+        label.textContent = field;
+        const preview = document.createElement('pre');
+        preview.className = 'code-block';
+        preview.textContent = this.previewStageValue(value);
+        values.append(label, preview);
+      });
+      if (!values.hasChildNodes()) {
+        values.textContent = stage.status ? '该阶段没有输出' : '尚未运行';
+      }
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * 阶段输出的截断预览
+   */
+  previewStageValue(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    if (!text) return '（空）';
+
+    return text.length > STAGE_PREVIEW_LENGTH
+      ? `${text.slice(0, STAGE_PREVIEW_LENGTH)}…（共 ${text.length} 个字符）`
+      : text;
+  }
+
+  /**
+   * 在#customCSS中选中诊断所在位置
+   */
+  revealDiagnostic(diagnostic) {
+    const textarea = document.getElementById('customCSS');
+    if (!textarea) return;
+
+    textarea.focus();
+    textarea.setSelectionRange(diagnostic.offset, diagnostic.offset);
+
+    // 按行高估算滚动位置，让出错行可见
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 16;
+    textarea.scrollTop = Math.max(0, (diagnostic.line - 3) * lineHeight);
+  }
+
   /**
    * 格式化文件大小
    */
@@ -261,6 +643,18 @@ EnhancedCSS.addElement('.selector', 'div', {
       return;
     }
 
+    // 同步开关状态（切换配置档案后设置可能已变化）
+    const checkboxes = {
+      '#css-enhance-enabled': this.module.cssEnhanceEnabled,
+      '#css-enhance-prefixes': this.module.settings.vendorPrefixes,
+      '#css-enhance-minify': this.module.settings.minifyCSS,
+      '#css-enhance-incremental': this.module.settings.incrementalStyles
+    };
+    Object.entries(checkboxes).forEach(([selector, checked]) => {
+      const checkbox = this.$(selector);
+      if (checkbox) checkbox.checked = !!checked;
+    });
+
     this.updateStats();
   }
 
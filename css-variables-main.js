@@ -0,0 +1,275 @@
+/**
+ * 样式变量模块 - 管理主题中复用的颜色、圆角、间距和字体
+ *
+ * 核心功能：
+ * - 定义命名变量（如 accent = #4a90d9），通过CoreStorage保存
+ * - 由CoreEngine以 :root { --pp-名称: 值 } 的形式注入页面
+ * - 可视化编辑器的颜色控件可以绑定到变量（值写为 var(--pp-名称)），修改变量即可同时改变所有使用它的地方
+ * - 统计变量在自定义CSS中的引用次数，删除前提示
+ *
+ * 变量存储在 cssVariables 键中：[{name, type, value, label}]
+ */
+
+import { CssVariablesUI } from './css-variables-ui.js';
+
+// 注入页面时变量名的前缀
+export const VARIABLE_PREFIX = '--pp-';
+
+// 变量类型
+export const VARIABLE_TYPES = {
+  color: { label: '颜色', placeholder: '#4a90d9' },
+  radius: { label: '圆角', placeholder: '8px' },
+  spacing: { label: '间距', placeholder: '12px' },
+  font: { label: '字体', placeholder: "'LXGW WenKai', serif" }
+};
+
+const STORAGE_KEY = 'cssVariables';
+const STYLE_ID = 'enhanced-css-variables';
+
+// 变量名（不含前缀）
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// var(--pp-名称) 或 var(--pp-名称, 备用值)
+const REFERENCE_PATTERN = /^var\(\s*--pp-([a-z][a-z0-9-]*)\s*(?:,[^)]*)?\)$/;
+
+// 变量引用变量时的最大解析深度，避免循环引用
+const MAX_RESOLVE_DEPTH = 5;
+
+export class CssVariablesModule {
+  constructor(extension) {
+    this.extension = extension;
+    this.storage = extension.storage;
+    this.eventBus = extension.eventBus;
+    this.coreEngine = extension.coreEngine;
+
+    // 变量表
+    this.variables = new Map(); // key: 名称, value: {name, type, value, label}
+
+    this.moduleId = 'css-variables';
+  }
+
+  /**
+   * 初始化：加载并注入变量
+   */
+  async init() {
+    await this.loadVariables();
+    this.apply();
+
+    // 切换配置档案或从恢复点恢复后重新加载
+    this.eventBus.on('profile:switched', () => this.reloadVariables());
+    this.eventBus.on('storage:restored', ({ keys }) => {
+      if (keys.includes(STORAGE_KEY)) {
+        this.reloadVariables();
+      }
+    });
+
+    console.log('[CssVariablesModule] 样式变量初始化完成，已加载', this.variables.size, '个变量');
+  }
+
+  /**
+   * 从存储加载变量（跳过无效的条目）
+   */
+  async loadVariables() {
+    const saved = await this.storage.get(STORAGE_KEY);
+    this.variables = new Map();
+
+    (Array.isArray(saved) ? saved : []).forEach(variable => {
+      if (variable && NAME_PATTERN.test(variable.name) && VARIABLE_TYPES[variable.type]) {
+        this.variables.set(variable.name, { label: '', ...variable });
+      }
+    });
+  }
+
+  /**
+   * 重新加载并注入变量
+   */
+  async reloadVariables() {
+    await this.loadVariables();
+    this.apply();
+    this.eventBus.emit('variables:changed', { action: 'reloaded', name: null });
+  }
+
+  /**
+   * 保存变量
+   */
+  async saveVariables() {
+    await this.storage.set(STORAGE_KEY, Array.from(this.variables.values()));
+  }
+
+  /**
+   * 注入 :root 变量（扩展禁用时不注入）
+   */
+  apply() {
+    if (!this.extension.settings.enabled) return;
+
+    const properties = {};
+    this.variables.forEach(variable => {
+      properties[VARIABLE_PREFIX + variable.name] = variable.value;
+    });
+
+    this.coreEngine.applyCustomProperties(properties, STYLE_ID);
+  }
+
+  /**
+   * 检查变量定义，无效时抛出错误
+   */
+  validate(variable) {
+    if (!NAME_PATTERN.test(variable.name || '')) {
+      throw new Error(`变量名无效: ${variable.name}（只能包含小写字母、数字和 -，以字母开头）`);
+    }
+    if (!VARIABLE_TYPES[variable.type]) {
+      throw new Error(`未知的变量类型: ${variable.type}`);
+    }
+    if (typeof variable.value !== 'string' || !variable.value.trim()) {
+      throw new Error(`变量 ${variable.name} 的值不能为空`);
+    }
+    // 值会直接写入样式表，不能包含结束声明或规则的字符
+    if (/[;{}<>]/.test(variable.value)) {
+      throw new Error(`变量 ${variable.name} 的值不能包含 ; { } < >`);
+    }
+  }
+
+  /**
+   * 添加或修改变量
+   * @param {string} name - 变量名（不含 --pp- 前缀）
+   * @param {Object} data - {type, value, label}，省略的字段保留原值
+   * @param {Object} options - save: false 时只更新页面不保存（拖动取色器时实时预览）
+   * @returns {Promise<Object>} 变量
+   */
+  async setVariable(name, data, options = {}) {
+    const existing = this.variables.get(name);
+    const variable = {
+      name,
+      type: data.type || (existing ? existing.type : 'color'),
+      value: typeof data.value === 'string' ? data.value.trim() : (existing ? existing.value : ''),
+      label: data.label !== undefined ? data.label : (existing ? existing.label : '')
+    };
+
+    this.validate(variable);
+
+    this.variables.set(name, variable);
+    this.apply();
+
+    if (options.save !== false) {
+      await this.saveVariables();
+      this.eventBus.emit('variables:changed', { action: existing ? 'updated' : 'added', name });
+    }
+
+    return variable;
+  }
+
+  /**
+   * 删除变量
+   * @param {string} name - 变量名
+   * @returns {Promise<boolean>}
+   */
+  async removeVariable(name) {
+    if (!this.variables.has(name)) return false;
+
+    this.variables.delete(name);
+    this.apply();
+    await this.saveVariables();
+
+    this.eventBus.emit('variables:changed', { action: 'removed', name });
+    return true;
+  }
+
+  /**
+   * 获取变量
+   */
+  getVariable(name) {
+    return this.variables.get(name) || null;
+  }
+
+  /**
+   * 获取变量列表（按名称排序）
+   * @param {string} type - 只返回该类型的变量，省略时返回全部
+   */
+  getVariables(type = null) {
+    return Array.from(this.variables.values())
+      .filter(variable => !type || variable.type === type)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * 变量的CSS引用
+   * @returns {string} var(--pp-名称)
+   */
+  reference(name) {
+    return `var(${VARIABLE_PREFIX}${name})`;
+  }
+
+  /**
+   * 从属性值中解析引用的变量名
+   * @returns {string|null} 不是变量引用时返回null
+   */
+  parseReference(value) {
+    const match = typeof value === 'string' ? value.trim().match(REFERENCE_PATTERN) : null;
+    return match ? match[1] : null;
+  }
+
+  /**
+   * 把变量引用解析为实际值（用于控件显示），不是变量引用或变量不存在时原样返回
+   */
+  resolve(value) {
+    let resolved = value;
+    for (let depth = 0; depth < MAX_RESOLVE_DEPTH; depth++) {
+      const name = this.parseReference(resolved);
+      if (!name || !this.variables.has(name)) break;
+      resolved = this.variables.get(name).value;
+    }
+    return resolved;
+  }
+
+  /**
+   * 统计变量在自定义CSS中的引用次数（可视化编辑器的样式也写在其中）
+   */
+  countUsages(name) {
+    const textarea = document.querySelector('#customCSS');
+    const css = textarea ? textarea.value || '' : '';
+    const matches = css.match(new RegExp(`${VARIABLE_PREFIX}${name}(?![a-z0-9-])`, 'g'));
+    return matches ? matches.length : 0;
+  }
+
+  /**
+   * 启用模块（扩展级别的启用）
+   */
+  enable() {
+    this.apply();
+  }
+
+  /**
+   * 禁用模块（扩展级别的禁用）
+   */
+  disable() {
+    this.coreEngine.applyCustomProperties({}, STYLE_ID);
+  }
+
+  /**
+   * 获取标签页配置
+   */
+  getTabConfig() {
+    return {
+      id: this.moduleId,
+      title: '样式变量',
+      icon: 'fa-palette',
+      ui: CssVariablesUI,
+      order: 4
+    };
+  }
+
+  /**
+   * 获取模块统计信息
+   */
+  getStats() {
+    const byType = {};
+    Object.keys(VARIABLE_TYPES).forEach(type => {
+      byType[type] = this.getVariables(type).length;
+    });
+
+    return {
+      variableCount: this.variables.size,
+      byType
+    };
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * 样式变量UI - 变量调色板
+ * 功能：添加、修改、删除变量，按类型分组显示，复制 var() 引用，显示引用次数
+ */
+
+import { UIBase } from './ui-base.js';
+import { VARIABLE_PREFIX, VARIABLE_TYPES } from './css-variables-main.js';
+
+export class CssVariablesUI extends UIBase {
+  constructor(module) {
+    super(module);
+    this.unsubscribe = null;
+  }
+
+  render() {
+    if (!this.container) return;
+
+    const typeOptions = Object.entries(VARIABLE_TYPES)
+      .map(([type, config]) => `<option value="${type}">${config.label}</option>`)
+      .join('');
+
+    this.container.innerHTML = `
+      <div class="enhanced-section css-variables-section">
+        <p class="hint-inline">
+          变量以 <code>:root { ${VARIABLE_PREFIX}名称 }</code> 的形式注入页面。在可视化编辑器的颜色控件中选择变量，
+          或在CSS中写 <code>var(${VARIABLE_PREFIX}名称)</code>，修改变量即可同时改变所有使用它的地方。
+        </p>
+        <div class="css-variables-add">
+          <select class="text_pole compact css-variables-type">${typeOptions}</select>
+          <input type="text" class="text_pole compact css-variables-name" placeholder="名称，如 accent">
+          <input type="text" class="text_pole compact css-variables-value" placeholder="${VARIABLE_TYPES.color.placeholder}">
+          <input type="text" class="text_pole compact css-variables-label" placeholder="说明（可选）">
+          <button class="menu_button compact-btn css-variables-add-btn">+ 添加</button>
+        </div>
+        <div class="css-variables-list"></div>
+      </div>
+    `;
+
+    this.renderList();
+  }
+
+  bindEvents() {
+    this.addEventListener(this.$('.css-variables-type'), 'change', (e) => {
+      this.$('.css-variables-value').placeholder = VARIABLE_TYPES[e.target.value].placeholder;
+    });
+
+    this.addEventListener(this.$('.css-variables-add-btn'), 'click', () => this.handleAdd());
+
+    // 列表内容会重新渲染，事件委托到列表容器
+    const list = this.$('.css-variables-list');
+
+    // 拖动取色器时只预览，松开后保存
+    this.addEventListener(list, 'input', (e) => {
+      if (!e.target.classList.contains('css-variable-picker')) return;
+      const row = e.target.closest('.css-variable-row');
+      row.querySelector('.css-variable-value').value = e.target.value;
+      this.updateValue(row.dataset.name, e.target.value, false);
+    });
+
+    this.addEventListener(list, 'change', (e) => {
+      const row = e.target.closest('.css-variable-row');
+      if (!row) return;
+
+      if (e.target.classList.contains('css-variable-picker') || e.target.classList.contains('css-variable-value')) {
+        this.updateValue(row.dataset.name, e.target.value, true);
+      }
+    });
+
+    this.addEventListener(list, 'click', (e) => {
+      const row = e.target.closest('.css-variable-row');
+      if (!row) return;
+
+      if (e.target.closest('.css-variable-copy')) {
+        this.copyReference(row.dataset.name);
+      } else if (e.target.closest('.css-variable-delete')) {
+        this.handleDelete(row.dataset.name);
+      }
+    });
+  }
+
+  afterInit() {
+    this.unsubscribe = this.module.eventBus.on('variables:changed', () => this.renderList());
+  }
+
+  /**
+   * 渲染变量列表（按类型分组）
+   */
+  renderList() {
+    const list = this.$('.css-variables-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (this.module.variables.size === 0) {
+      list.innerHTML = '<p class="hint">还没有变量。常用的颜色、圆角和间距定义为变量后，改一处即可改全部。</p>';
+      return;
+    }
+
+    Object.entries(VARIABLE_TYPES).forEach(([type, config]) => {
+      const variables = this.module.getVariables(type);
+      if (variables.length === 0) return;
+
+      const group = this.createElement(`
+        <div class="css-variables-group">
+          <h5>${config.label}</h5>
+        </div>
+      `);
+
+      variables.forEach(variable => group.appendChild(this.createRow(variable)));
+      list.appendChild(group);
+    });
+  }
+
+  /**
+   * 创建变量行
+   */
+  createRow(variable) {
+    const row = this.createElement(`
+      <div class="css-variable-row">
+        ${variable.type === 'color' ? '<input type="color" class="css-variable-picker">' : '<span class="css-variable-sample"></span>'}
+        <code class="css-variable-name"></code>
+        <input type="text" class="text_pole compact css-variable-value">
+        <span class="css-variable-label"></span>
+        <span class="css-variable-usage"></span>
+        <button class="menu_button compact icon-only css-variable-copy" title="复制引用"><i class="fa fa-copy"></i></button>
+        <button class="menu_button compact icon-only danger css-variable-delete" title="删除"><i class="fa fa-trash"></i></button>
+      </div>
+    `);
+
+    // 名称已校验，说明和值来自用户输入，使用textContent/value避免注入
+    row.dataset.name = variable.name;
+    row.querySelector('.css-variable-name').textContent = VARIABLE_PREFIX + variable.name;
+    row.querySelector('.css-variable-value').value = variable.value;
+    row.querySelector('.css-variable-label').textContent = variable.label || '';
+
+    const picker = row.querySelector('.css-variable-picker');
+    if (picker && /^#[0-9a-fA-F]{6}$/.test(variable.value)) {
+      picker.value = variable.value;
+    }
+
+    const sample = row.querySelector('.css-variable-sample');
+    if (sample) {
+      this.renderSample(sample, variable);
+    }
+
+    const usages = this.module.countUsages(variable.name);
+    row.querySelector('.css-variable-usage').textContent = usages ? `${usages} 处引用` : '未使用';
+
+    return row;
+  }
+
+  /**
+   * 非颜色变量的预览
+   */
+  renderSample(sample, variable) {
+    const reference = this.module.reference(variable.name);
+    if (variable.type === 'radius') {
+      sample.style.borderRadius = reference;
+    } else if (variable.type === 'spacing') {
+      sample.style.width = reference;
+    } else if (variable.type === 'font') {
+      sample.textContent = 'Aa字';
+      sample.style.fontFamily = reference;
+    }
+  }
+
+  /**
+   * 添加变量
+   */
+  async handleAdd() {
+    const name = this.$('.css-variables-name').value.trim().replace(/^--pp-/, '');
+    const type = this.$('.css-variables-type').value;
+    const value = this.$('.css-variables-value').value;
+    const label = this.$('.css-variables-label').value.trim();
+
+    if (this.module.getVariable(name) && !this.confirm(`变量 ${VARIABLE_PREFIX}${name} 已存在，要覆盖吗？`)) {
+      return;
+    }
+
+    try {
+      await this.module.setVariable(name, { type, value, label });
+      this.$('.css-variables-name').value = '';
+      this.$('.css-variables-value').value = '';
+      this.$('.css-variables-label').value = '';
+      this.showMessage(`已添加变量 ${VARIABLE_PREFIX}${name}`, 'success');
+    } catch (error) {
+      this.showMessage(error.message, 'error');
+    }
+  }
+
+  /**
+   * 修改变量的值
+   * @param {boolean} save - 是否保存（拖动取色器时只预览）
+   */
+  async updateValue(name, value, save) {
+    try {
+      await this.module.setVariable(name, { value }, { save });
+    } catch (error) {
+      this.showMessage(error.message, 'error');
+      this.renderList();
+    }
+  }
+
+  /**
+   * 删除变量，有引用时先确认
+   */
+  async handleDelete(name) {
+    const usages = this.module.countUsages(name);
+    const message = usages
+      ? `自定义CSS中有 ${usages} 处引用了 ${VARIABLE_PREFIX}${name}，删除后这些样式会失效。确定删除吗？`
+      : `确定删除变量 ${VARIABLE_PREFIX}${name} 吗？`;
+
+    if (this.confirm(message)) {
+      await this.module.removeVariable(name);
+    }
+  }
+
+  /**
+   * 复制 var() 引用
+   */
+  async copyReference(name) {
+    const reference = this.module.reference(name);
+    try {
+      await navigator.clipboard.writeText(reference);
+      this.showMessage(`已复制 ${reference}`, 'success');
+    } catch (error) {
+      this.prompt('复制以下内容：', reference);
+    }
+  }
+
+  refresh() {
+    this.renderList();
+  }
+
+  onDestroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.cleanupListeners();
+  }
+}
@@ -0,0 +1,312 @@
+/**
+ * 字体离线缓存 - 把远程字体的样式表和字体文件保存到本设备
+ *
+ * 核心功能：
+ * - 远程字体第一次加载成功后，下载它的样式表（@import）和 @font-face 引用的字体文件
+ * - 字体文件保存在BlobStore中（按哈希去重），清单保存在BlobStore的记录仓库中，都不会同步
+ * - 应用字体时把缓存的 @font-face 改写为 blob: 链接，没有网络也能显示
+ * - 字体的链接或CSS变化后缓存自动失效（清单按来源签名保存）
+ *
+ * 缓存清单：
+ * {
+ *   key: 'fontCache:签名哈希',
+ *   font: '缓存时的字体名',
+ *   signature: '链接\nCSS',
+ *   css: '@font-face { src: url("pp-cache:文件哈希") ... }',
+ *   files: [{hash, url, size}],
+ *   size: 字节数,
+ *   cachedAt, usedAt
+ * }
+ */
+
+import { extractLoadingCSS } from './font-manager-layouts.js';
+
+const ENTRY_PREFIX = 'fontCache:';
+
+// 缓存CSS中文件链接的占位符，使用时替换为 blob: 链接
+const FILE_PLACEHOLDER = 'pp-cache:';
+const PLACEHOLDER_PATTERN = /pp-cache:([0-9a-f]{64})/g;
+
+const FONT_FACE_PATTERN = /@font-face\s*\{[^}]*\}/g;
+const IMPORT_URL_PATTERN = /@import\s+(?:url\(\s*)?["']?([^"')\s]+)/g;
+const URL_PATTERN = /url\(\s*(["']?)([^"')]+)\1\s*\)/g;
+
+// 样式表中 @import 的最大嵌套层数
+const MAX_IMPORT_DEPTH = 2;
+
+// 同时下载的文件数
+const DOWNLOAD_CONCURRENCY = 4;
+
+/**
+ * 字体的来源签名（链接或CSS变化后缓存失效）
+ */
+export function getFontSignature(font) {
+  return `${font.url || ''}\n${font.css || ''}`;
+}
+
+/**
+ * 是否为需要从网络加载的字体（本地上传的字体不需要缓存）
+ */
+export function isRemoteFont(font) {
+  if (!font || (font.source && font.source.type === 'local-file')) return false;
+  return Boolean(font.url) || /@import|url\(\s*["']?https?:/i.test(font.css || '');
+}
+
+/**
+ * 格式化字节数
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export class FontCache {
+  /**
+   * @param {BlobStore} blobs - 文件存储
+   */
+  constructor(blobs) {
+    this.blobs = blobs;
+  }
+
+  /**
+   * 缓存是否可用（浏览器支持IndexedDB）
+   */
+  isAvailable() {
+    return Boolean(this.blobs) && typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * 字体对应的清单键
+   */
+  async getKey(font) {
+    return ENTRY_PREFIX + await this.blobs.hash(new Blob([getFontSignature(font)]));
+  }
+
+  /**
+   * 读取字体的缓存清单
+   * @returns {Promise<Object|null>}
+   */
+  async get(font) {
+    return this.blobs.getEntry(await this.getKey(font));
+  }
+
+  /**
+   * 所有缓存清单
+   */
+  async list() {
+    return this.blobs.listEntries(ENTRY_PREFIX);
+  }
+
+  /**
+   * 删除缓存清单（文件由字体管理器统一清理）
+   */
+  async remove(key) {
+    await this.blobs.removeEntry(key);
+  }
+
+  /**
+   * 删除所有缓存清单
+   * @returns {Promise<number>} 删除的条数
+   */
+  async clear() {
+    const entries = await this.list();
+    for (const entry of entries) {
+      await this.blobs.removeEntry(entry.key);
+    }
+    return entries.length;
+  }
+
+  /**
+   * 记录使用时间（超出容量时先删除最久未用的缓存）
+   */
+  async touch(entry) {
+    await this.blobs.setEntry({ ...entry, usedAt: new Date().toISOString() });
+  }
+
+  /**
+   * 下载字体的样式表和字体文件并保存
+   * @param {Object} font - 字体对象
+   * @param {Object} options - reload: 跳过浏览器HTTP缓存（从来源刷新），maxSize: 单个字体的最大字节数
+   * @returns {Promise<Object>} 缓存清单
+   */
+  async store(font, options = {}) {
+    const fetchOptions = { cache: options.reload ? 'reload' : 'default' };
+
+    // 收集所有 @font-face 及其所在样式表的地址（用于解析相对链接）
+    const faces = [];
+    const { imports, faces: inlineFaces } = extractLoadingCSS(font.css);
+    inlineFaces.forEach(css => faces.push({ css, baseUrl: document.baseURI }));
+
+    const sheetUrls = new Set(font.url ? [font.url] : []);
+    imports.forEach(rule => {
+      for (const match of rule.matchAll(IMPORT_URL_PATTERN)) {
+        sheetUrls.add(match[1]);
+      }
+    });
+    for (const url of sheetUrls) {
+      await this.collectStylesheet(url, faces, fetchOptions, 0);
+    }
+
+    if (faces.length === 0) {
+      throw new Error('样式表中没有 @font-face，无法缓存');
+    }
+
+    // 下载 @font-face 引用的字体文件
+    const fileUrls = new Set();
+    faces.forEach(face => this.getFileUrls(face).forEach(url => fileUrls.add(url)));
+
+    const downloads = await this.download(Array.from(fileUrls), fetchOptions, options.maxSize || Infinity);
+
+    const files = [];
+    const hashes = new Map(); // url → hash
+    for (const [url, blob] of downloads) {
+      const stored = await this.blobs.put(blob, { name: decodeURIComponent(url.split('/').pop().split('?')[0]) || font.name });
+      hashes.set(url, stored.hash);
+      files.push({ hash: stored.hash, url, size: stored.size });
+    }
+
+    // 把文件链接改写为占位符
+    const css = faces.map(face => face.css.replace(URL_PATTERN, (match, quote, raw) => {
+      const url = this.resolveUrl(raw, face.baseUrl);
+      return hashes.has(url) ? `url("${FILE_PLACEHOLDER}${hashes.get(url)}")` : match;
+    })).join('\n');
+
+    const now = new Date().toISOString();
+    const entry = {
+      key: await this.getKey(font),
+      font: font.name,
+      signature: getFontSignature(font),
+      css,
+      files,
+      size: files.reduce((total, file) => total + file.size, 0),
+      cachedAt: now,
+      usedAt: now
+    };
+
+    await this.blobs.setEntry(entry);
+    return entry;
+  }
+
+  /**
+   * 下载样式表，收集其中的 @font-face（嵌套的 @import 一并下载）
+   */
+  async collectStylesheet(url, faces, fetchOptions, depth) {
+    const response = await fetch(url, fetchOptions);
+    if (!response.ok) {
+      throw new Error(`样式表下载失败（${response.status}）: ${url}`);
+    }
+
+    const text = await response.text();
+    const baseUrl = response.url || url;
+    (text.match(FONT_FACE_PATTERN) || []).forEach(css => faces.push({ css, baseUrl }));
+
+    if (depth >= MAX_IMPORT_DEPTH) return;
+    for (const match of text.matchAll(IMPORT_URL_PATTERN)) {
+      await this.collectStylesheet(this.resolveUrl(match[1], baseUrl), faces, fetchOptions, depth + 1);
+    }
+  }
+
+  /**
+   * @font-face 中引用的远程文件（不含 data: 链接）
+   */
+  getFileUrls(face) {
+    const urls = [];
+    for (const match of face.css.matchAll(URL_PATTERN)) {
+      if (!match[2].startsWith('data:')) {
+        urls.push(this.resolveUrl(match[2], face.baseUrl));
+      }
+    }
+    return urls;
+  }
+
+  /**
+   * 下载文件，总大小超过上限或任一文件失败时中止其余下载
+   * 响应头带有 Content-Length 时先按声明的大小计算，不必等下载完成
+   * @returns {Promise<Map<string, Blob>>} url → 文件
+   */
+  async download(urls, fetchOptions, maxSize) {
+    const results = new Map();
+    const queue = [...urls];
+    const controller = new AbortController();
+    const options = { ...fetchOptions, signal: controller.signal };
+    const limitError = () => new Error(
+      `字体共 ${urls.length} 个文件，超过缓存容量 ${formatBytes(maxSize)}，调大缓存容量后可以重试`
+    );
+    let total = 0;
+
+    const fetchFile = async (url) => {
+      const response = await fetch(url, options);
+      if (!response.ok) {
+        throw new Error(`字体文件下载失败（${response.status}）: ${url}`);
+      }
+
+      const declared = Number(response.headers.get('content-length')) || 0;
+      total += declared;
+      if (total > maxSize) throw limitError();
+
+      const blob = await response.blob();
+      total += blob.size - declared;
+      if (total > maxSize) throw limitError();
+      results.set(url, blob);
+    };
+
+    const worker = async () => {
+      while (queue.length > 0 && !controller.signal.aborted) {
+        try {
+          await fetchFile(queue.shift());
+        } catch (error) {
+          controller.abort();
+          throw error;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(DOWNLOAD_CONCURRENCY, urls.length) }, worker));
+    return results;
+  }
+
+  /**
+   * 解析相对链接
+   */
+  resolveUrl(url, baseUrl) {
+    try {
+      return new URL(url, baseUrl).href;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * 为缓存的文件创建 blob: 链接，生成可以直接使用的CSS
+   * @param {Object} entry - 缓存清单
+   * @returns {Promise<Object|null>} {key, signature, css, urls}，文件缺失时为null
+   */
+  async resolve(entry) {
+    const urls = new Map(); // hash → blob: 链接
+    for (const file of entry.files) {
+      const blob = await this.blobs.get(file.hash);
+      if (!blob) {
+        urls.forEach(url => URL.revokeObjectURL(url));
+        return null;
+      }
+      urls.set(file.hash, URL.createObjectURL(blob));
+    }
+
+    return {
+      key: entry.key,
+      signature: entry.signature,
+      css: entry.css.replace(PLACEHOLDER_PATTERN, (match, hash) => urls.get(hash) || match),
+      urls: Array.from(urls.values())
+    };
+  }
+
+  /**
+   * 释放 resolve 创建的 blob: 链接
+   */
+  release(resolved) {
+    if (resolved) {
+      resolved.urls.forEach(url => URL.revokeObjectURL(url));
+    }
+  }
+}
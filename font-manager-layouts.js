@@ -0,0 +1,237 @@
+/**
+ * 字体布局 - 按页面区域分别设置字体
+ *
+ * 页面分为几个字体槽位（界面、消息文本、用户消息、角色名称、输入框、代码块），
+ * 每个槽位可以单独设置字体、字重、字号比例和后备字体，槽位的选择器也可以修改。
+ * 一组槽位设置保存为一个"布局"，可以整体切换。
+ *
+ * 槽位没有指定字体时使用当前字体（字体列表中选中的字体），
+ * 所以只选了一个字体、没有设置槽位时，效果与以前的全局字体相同。
+ *
+ * 布局格式：
+ * {
+ *   name: '默认',
+ *   slots: {
+ *     message: {
+ *       font: '字体名' | null,        // null 使用当前字体
+ *       weight: '' | '400' | ...,    // 空字符串不设置
+ *       scale: 1,                    // 相对SillyTavern主字号的比例，1 不设置
+ *       fallback: 'sans-serif',      // 后备字体
+ *       selectors: null | '...'      // null 使用槽位的默认选择器
+ *     }
+ *   },
+ *   updatedAt: '...'
+ * }
+ */
+
+// 槽位按顺序生成规则，后面的槽位在优先级相同时覆盖前面的
+export const FONT_SLOTS = [
+  {
+    id: 'ui',
+    label: '界面',
+    description: '菜单、按钮、设置面板等界面文字',
+    selectors: 'body, input, textarea, select, button, h1, h2, h3, h4, h5, h6, .title_restorable, .font-family-reset, #options span, ' +
+      '#completion_prompt_manager_list span:not([class*="fa-"]), .text_pole span:not([class*="fa-"]), .flex-container, .swipes-counter',
+    fallback: 'sans-serif'
+  },
+  {
+    id: 'message',
+    label: '消息文本',
+    description: '聊天消息的正文',
+    selectors: '.mes_text, .mes_block',
+    fallback: 'sans-serif'
+  },
+  {
+    id: 'userMessage',
+    label: '用户消息',
+    description: '用户发送的消息正文（不设置时与消息文本相同）',
+    selectors: '.mes[is_user="true"] .mes_text',
+    fallback: 'sans-serif'
+  },
+  {
+    id: 'name',
+    label: '角色名称',
+    description: '消息上方的角色名和用户名',
+    selectors: '.mes .name_text, .ch_name',
+    fallback: 'sans-serif'
+  },
+  {
+    id: 'input',
+    label: '输入框',
+    description: '底部的消息输入框',
+    selectors: '#send_textarea',
+    fallback: 'sans-serif'
+  },
+  {
+    id: 'code',
+    label: '代码块',
+    description: '消息中的代码和代码块',
+    selectors: 'pre, code',
+    fallback: 'monospace'
+  }
+];
+
+export const DEFAULT_LAYOUT_NAME = '默认';
+
+// 可选字重，空字符串表示不设置
+export const FONT_WEIGHTS = {
+  '': '默认',
+  '300': '细 300',
+  '400': '常规 400',
+  '500': '中等 500',
+  '600': '半粗 600',
+  '700': '粗 700'
+};
+
+export const SCALE_RANGE = { min: 0.5, max: 2, step: 0.05 };
+
+// 后备字体中不允许出现的字符（防止写出声明之外的CSS）
+const UNSAFE_VALUE_PATTERN = /[{};<>]/;
+
+/**
+ * 按ID获取槽位定义
+ * @returns {Object|null}
+ */
+export function getFontSlot(id) {
+  return FONT_SLOTS.find(slot => slot.id === id) || null;
+}
+
+/**
+ * 补齐槽位设置的默认值
+ * @param {string} id - 槽位ID
+ * @param {Object} settings - 已保存的设置
+ * @returns {Object} {font, weight, scale, fallback, selectors}
+ */
+export function normalizeSlotSettings(id, settings = {}) {
+  const slot = getFontSlot(id);
+  const scale = Number(settings.scale);
+
+  return {
+    font: settings.font || null,
+    weight: FONT_WEIGHTS[settings.weight] !== undefined ? String(settings.weight) : '',
+    scale: Number.isFinite(scale) && scale > 0 ? scale : 1,
+    fallback: settings.fallback || (slot ? slot.fallback : 'sans-serif'),
+    selectors: settings.selectors || null
+  };
+}
+
+/**
+ * 创建布局（缺少的槽位使用默认值）
+ * @param {string} name - 布局名称
+ * @param {Object} slots - 槽位设置
+ */
+export function createLayout(name, slots = {}) {
+  const normalized = {};
+  FONT_SLOTS.forEach(slot => {
+    normalized[slot.id] = normalizeSlotSettings(slot.id, slots[slot.id]);
+  });
+
+  return { name, slots: normalized, updatedAt: new Date().toISOString() };
+}
+
+/**
+ * 校验槽位设置，无效时抛出错误
+ * @param {Object} settings - normalizeSlotSettings 的结果
+ */
+export function validateSlotSettings(settings) {
+  if (settings.selectors !== null) {
+    if (UNSAFE_VALUE_PATTERN.test(settings.selectors)) {
+      throw new Error('选择器中不能包含 { } ; < >');
+    }
+    try {
+      document.createDocumentFragment().querySelector(settings.selectors);
+    } catch (error) {
+      throw new Error(`无效的选择器: ${settings.selectors}`);
+    }
+  }
+
+  if (UNSAFE_VALUE_PATTERN.test(settings.fallback)) {
+    throw new Error('后备字体中不能包含 { } ; < >');
+  }
+
+  if (settings.scale < SCALE_RANGE.min || settings.scale > SCALE_RANGE.max) {
+    throw new Error(`字号比例应在 ${SCALE_RANGE.min} 到 ${SCALE_RANGE.max} 之间`);
+  }
+}
+
+/**
+ * 从保存或导入的数据恢复布局，无效的槽位设置恢复为默认值
+ * @param {string} name - 布局名称
+ * @param {Object} data - 保存的布局
+ */
+export function restoreLayout(name, data = {}) {
+  const layout = createLayout(name);
+  const slots = data.slots || {};
+
+  FONT_SLOTS.forEach(slot => {
+    const settings = normalizeSlotSettings(slot.id, slots[slot.id]);
+    try {
+      validateSlotSettings(settings);
+      layout.slots[slot.id] = settings;
+    } catch (error) {
+      console.warn(`[FontLayouts] 布局"${name}"的${slot.label}设置无效，已恢复默认:`, error.message);
+    }
+  });
+
+  layout.updatedAt = data.updatedAt || layout.updatedAt;
+  return layout;
+}
+
+/**
+ * 槽位实际使用的选择器
+ */
+export function getSlotSelectors(id, settings) {
+  const slot = getFontSlot(id);
+  return (settings && settings.selectors) || (slot ? slot.selectors : '');
+}
+
+/**
+ * 生成布局的CSS规则
+ * @param {Object} layout - 布局
+ * @param {Function} resolveFamily - (字体名|null) => font-family 名称或null（null表示当前字体）
+ * @param {string|null} fallbackFamily - 后备字体的 font-family，字体加载失败时浏览器改用它
+ * @returns {string}
+ */
+export function buildLayoutCSS(layout, resolveFamily, fallbackFamily = null) {
+  const rules = [];
+
+  FONT_SLOTS.forEach(slot => {
+    const settings = normalizeSlotSettings(slot.id, layout.slots[slot.id]);
+    const family = resolveFamily(settings.font);
+    const declarations = [];
+
+    if (family) {
+      const families = [family, fallbackFamily].filter((name, index, list) => name && list.indexOf(name) === index);
+      const stack = families.map(name => `'${name.replace(/'/g, "\\'")}'`).join(', ');
+      declarations.push(`font-family: ${stack}, ${settings.fallback} !important;`);
+    }
+    if (settings.weight) {
+      declarations.push(`font-weight: ${settings.weight} !important;`);
+    }
+    // 按主字号计算，嵌套的元素不会逐层放大
+    if (settings.scale !== 1) {
+      declarations.push(`font-size: calc(var(--mainFontSize, 15px) * ${settings.scale}) !important;`);
+    }
+
+    if (declarations.length > 0) {
+      rules.push(`/* ${slot.label} */\n${getSlotSelectors(slot.id, settings)} {\n  ${declarations.join('\n  ')}\n}`);
+    }
+  });
+
+  return rules.join('\n\n');
+}
+
+/**
+ * 从字体CSS中取出加载字体的部分（@import 和 @font-face）
+ * 早期保存的字体CSS中可能带有 body { font-family } 等规则，应用到哪些元素由布局决定
+ * @param {string} css - 字体CSS
+ * @returns {{imports: Array<string>, faces: Array<string>}}
+ */
+export function extractLoadingCSS(css) {
+  if (!css) return { imports: [], faces: [] };
+
+  return {
+    imports: css.match(/@import\s+(?:url\([^)]*\)|"[^"]*"|'[^']*')[^;]*;/g) || [],
+    faces: css.match(/@font-face\s*\{[^}]*\}/g) || []
+  };
+}
@@ -2,13 +2,123 @@
  * 字体管理器 - Google字体集成系统
  * 
  * 核心功能：
- * - 支持zeoseven.com字体链接解析和批量导入
+ * - 解析多种字体来源（@font-face、Google Fonts、zeoseven、字体文件链接），见 font-manager-sources.js
+ * - 上传本地字体文件，文件保存在IndexedDB（BlobStore）中，字体记录按哈希引用，应用时通过FontFace注册
  * - 字体的添加、删除、切换和标签分类管理
+ * - 字体布局：消息、用户消息、角色名称、界面、输入框、代码块分别设置字体，见 font-manager-layouts.js
  * - 字体预览和实时应用功能
+ * - 通过 document.fonts 跟踪每个字体的加载状态，失败或超时时发布 font:loadFailed，页面改用设置的后备字体
+ * - 离线缓存（可选）：远程字体加载成功后下载到本设备，之后使用缓存的 blob: 链接，见 font-manager-cache.js
  * - 导入导出配置，云端同步支持
  */
 
 import { FontManagerUI } from './font-manager-ui.js';
+import { FontSourceParser, parseFontFileName } from './font-manager-sources.js';
+import {
+  DEFAULT_LAYOUT_NAME,
+  buildLayoutCSS,
+  createLayout,
+  extractLoadingCSS,
+  getFontSlot,
+  normalizeSlotSettings,
+  restoreLayout,
+  validateSlotSettings
+} from './font-manager-layouts.js';
+import { FontCache, getFontSignature, isRemoteFont } from './font-manager-cache.js';
+
+// 字体加载状态
+export const FONT_LOAD_STATES = {
+  idle: '未加载',
+  loading: '加载中',
+  loaded: '已加载',
+  failed: '加载失败',
+  timeout: '加载超时'
+};
+
+// 等待字体加载的最长时间
+const FONT_LOAD_TIMEOUT = 10000;
+
+// 检查加载时使用的文字（中文字体通常按 unicode-range 分片，只加载包含这些字的分片）
+const FONT_SAMPLE_TEXT = 'Aa字';
+
+// 离线缓存默认设置（maxSize 为字节数）
+export const DEFAULT_CACHE_SETTINGS = {
+  enabled: false,
+  maxSize: 100 * 1024 * 1024
+};
+
+/**
+ * 等待Promise，超时后以 TimeoutError 拒绝
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${ms / 1000}秒内没有加载完成`);
+      error.name = 'TimeoutError';
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 字体数据的存储迁移（由CoreStorage在加载时执行）
+ */
+export const FONT_MANAGER_MIGRATIONS = [
+  {
+    key: 'fonts',
+    version: 1,
+    description: '字体列表统一为[名称, 字体]条目，补齐displayName/order/tags/custom字段',
+    migrate(data) {
+      if (!data || !Array.isArray(data.fonts)) return data;
+
+      const entries = data.fonts.map((item, index) => {
+        // 早期版本直接保存字体对象数组
+        const [name, font] = Array.isArray(item) ? item : [item.name, item];
+        return [name, {
+          ...font,
+          name,
+          displayName: font.displayName || name,
+          order: font.order !== undefined ? font.order : index,
+          tags: Array.isArray(font.tags) ? font.tags : [],
+          custom: font.custom || {}
+        }];
+      });
+
+      return { ...data, fonts: entries, tags: Array.isArray(data.tags) ? data.tags : [] };
+    }
+  }
+];
+
+/**
+ * 字体数据在本地与服务器冲突时的合并方式（由CoreStorage在加载时调用）
+ * 较新一方的字体列表和标签列表为准（另一方多出的字体和标签视为已删除，不会恢复），
+ * 两边都有的字体以较新一方的字段为准，只补上较新一方缺少的字段
+ */
+export const FONT_MANAGER_MERGERS = {
+  fonts(local, server, newer) {
+    const [primary, secondary] = newer === 'local' ? [local, server] : [server, local];
+    const older = new Map(secondary.fonts || []);
+
+    const fonts = (primary.fonts || []).map(([name, font]) => [
+      name,
+      older.has(name) ? { ...older.get(name), ...font } : font
+    ]);
+
+    // 字体仍在使用的标签保留在标签列表中
+    const tags = new Set(primary.tags || []);
+    fonts.forEach(([, font]) => (font.tags || []).forEach(tag => tags.add(tag)));
+
+    return {
+      ...secondary,
+      ...primary,
+      fonts,
+      tags: Array.from(tags)
+    };
+  }
+};
 
 export class FontManagerModule {
   constructor(extension) {
@@ -27,6 +137,32 @@ export class FontManagerModule {
     // 字体功能启用状态
     this.fontEnabled = true;
 
+    // 字体布局（按页面区域分配字体），key: 布局名称
+    this.layouts = new Map();
+    this.activeLayout = DEFAULT_LAYOUT_NAME;
+
+    // 字体加载失败时使用的后备字体（字体名）
+    this.fallbackFont = null;
+
+    // 字体加载状态（不保存），key: fontName, value: {status, error, updatedAt}
+    this.loadStates = new Map();
+    this.loadCheckToken = null;
+
+    // 离线缓存：已准备好 blob: 链接的字体（key: fontName）、确认没有缓存的字体、正在下载的字体
+    this.cache = new FontCache(extension.blobs);
+    this.cacheSettings = { ...DEFAULT_CACHE_SETTINGS };
+    this.cachedFonts = new Map();
+    this.cacheMisses = new Set();
+    this.caching = new Set();
+
+    // 字体来源解析器（可注册新的来源适配器）
+    this.sources = new FontSourceParser();
+
+    // 本地字体文件（IndexedDB）和当前布局已注册到 document.fonts 的字形
+    this.blobs = extension.blobs;
+    this.localFaces = [];
+    this.faceLoadToken = null;
+
     // UI实例
     this.ui = null;
 
@@ -53,14 +189,27 @@ export class FontManagerModule {
     if (savedCurrentFont && this.fonts.has(savedCurrentFont)) {
       this.currentFont = savedCurrentFont;
     }
-    // 如果currentFont有效且字体功能启用，应用字体
-    if (this.currentFont && this.fontEnabled) {
-      const currentFontData = this.fonts.get(this.currentFont);
-      if (currentFontData) {
-        this.applyFont(currentFontData);
-      }
+
+    await this.loadLayouts();
+    await this.loadFallbackFont();
+    await this.loadCacheSettings();
+
+    // 字体功能启用时按当前布局应用字体（有缓存的字体先准备好，离线时不再请求网络）
+    if (this.fontEnabled) {
+      await this.prepareCachedFonts(this.getAppliedFonts());
+      this.applyFonts();
     }
 
+    // 切换配置档案后重新读取当前字体、布局和启用状态（字体库在档案间共享）
+    this.eventBus.on('profile:switched', () => this.reloadSettings());
+
+    // 从恢复点恢复字体数据后重新加载
+    this.eventBus.on('storage:restored', ({ keys }) => {
+      if (keys.some(key => ['fonts', 'currentFont', 'fontEnabled', 'fontLayouts', 'fallbackFont', 'fontCache'].includes(key))) {
+        this.reloadFonts();
+      }
+    });
+
     console.log('[FontManagerModule] 字体管理器初始化完成，已加载', this.fonts.size, '个字体，字体功能', this.fontEnabled ? '已启用' : '已禁用');
   }
 
@@ -72,16 +221,8 @@ export class FontManagerModule {
     this.fontEnabled = enabled;
     await this.storage.set('fontEnabled', enabled);
 
-    // 如果禁用字体功能，清除应用的字体
-    if (!enabled) {
-      this.clearAppliedFont();
-    } else if (this.currentFont) {
-      // 如果启用字体功能，且有当前选中的字体，重新应用
-      const font = this.fonts.get(this.currentFont);
-      if (font) {
-        this.applyFont(font);
-      }
-    }
+    // 启用时重新应用当前布局，禁用时清除应用的字体
+    this.applyFonts();
 
     // 发布事件
     this.eventBus.emit('font:enabledChanged', enabled);
@@ -90,61 +231,328 @@ export class FontManagerModule {
   }
 
   /**
-     * 应用字体到页面
-     * @param {Object} font - 字体对象
-     */
-  applyFont(font) {
-    // 只有在字体功能启用时才应用
+   * 重新加载字体库、当前字体和启用状态（从恢复点恢复后）
+   */
+  async reloadFonts() {
+    this.fonts = new Map();
+    this.tags = new Set();
+    this.currentFont = null;
+    this.loadStates.clear();
+
+    await this.loadFonts();
+    await this.reloadSettings();
+
+    this.eventBus.emit('font:restored', { count: this.fonts.size });
+  }
+
+  /**
+   * 重新加载当前字体、字体布局和启用状态（切换配置档案后）
+   */
+  async reloadSettings() {
+    const savedFontEnabled = await this.storage.get('fontEnabled');
+    this.fontEnabled = savedFontEnabled !== null ? savedFontEnabled : true;
+
+    const savedCurrentFont = await this.storage.get('currentFont');
+    this.currentFont = savedCurrentFont && this.fonts.has(savedCurrentFont) ? savedCurrentFont : null;
+
+    await this.loadLayouts();
+    await this.loadFallbackFont();
+    await this.loadCacheSettings();
+    await this.prepareCachedFonts(this.getAppliedFonts());
+    this.applyFonts();
+
+    this.eventBus.emit('font:enabledChanged', this.fontEnabled);
+    this.eventBus.emit('font:changed', this.currentFont);
+    this.eventBus.emit('font:layoutChanged', { action: 'reloaded', layout: this.activeLayout });
+  }
+
+  /**
+   * 按当前布局把字体应用到页面
+   * 槽位没有指定字体时使用当前字体，字体功能禁用时清除已应用的样式
+   */
+  applyFonts() {
+    // 清除之前的字体样式
+    this.clearAppliedFont();
+
     if (!this.fontEnabled) {
       console.log('[FontManagerModule] 字体功能已禁用，跳过应用字体');
       return;
     }
 
-    // 清除之前的字体样式
-    this.clearAppliedFont();
+    const layout = this.getActiveLayout();
+    const currentFont = this.getCurrentFont();
+    const fallbackFont = this.fallbackFont ? this.fonts.get(this.fallbackFont) : null;
+    const fonts = this.getAppliedFonts();
+
+    // 加载用到的字体，@import 必须位于样式表开头；有离线缓存的字体使用缓存的 @font-face
+    const imports = new Set();
+    const faces = [];
+    fonts.forEach(font => {
+      const cached = this.getCachedFont(font);
+      if (cached) {
+        faces.push(cached.css);
+        return;
+      }
+
+      const loading = extractLoadingCSS(font.css);
+      if (font.url && !(font.css && font.css.includes(font.url))) {
+        imports.add(`@import url("${font.url}");`);
+      }
+      loading.imports.forEach(rule => imports.add(rule));
+      faces.push(...loading.faces);
+    });
+
+    // 槽位引用的字体已被删除时同样使用当前字体
+    const rules = buildLayoutCSS(layout, (fontName) => {
+      const font = (fontName && this.fonts.get(fontName)) || currentFont;
+      return font ? font.fontFamily : null;
+    }, fallbackFont ? fallbackFont.fontFamily : null);
+
+    const css = [...imports, ...faces, rules].filter(Boolean).join('\n\n');
+    if (!css) return;
 
-    // 创建新的字体样式
-    const styleId = 'enhanced-font-style';
     const style = document.createElement('style');
-    style.id = styleId;
+    style.id = 'enhanced-font-style';
+
+    // 样式表（包括 @import 的样式表）加载完成后才能检查字体
+    const sheetReady = new Promise(resolve => {
+      style.addEventListener('load', () => resolve(true), { once: true });
+      style.addEventListener('error', () => resolve(false), { once: true });
+    });
+
+    style.textContent = css;
+    document.head.appendChild(style);
+
+    // 本地上传的字体从IndexedDB读取后注册，其他字体通过 document.fonts 检查加载结果
+    this.loadLocalFaces(fonts);
+    this.trackFontLoads(fonts.filter(font => this.getFileHashes(font).length === 0), sheetReady);
+
+    // 查找还没准备的缓存，找到后重新应用
+    const uncached = fonts.filter(font => isRemoteFont(font) && !this.getCachedFont(font) && !this.cacheMisses.has(font.name));
+    if (this.cacheSettings.enabled && uncached.length > 0) {
+      this.prepareCachedFonts(uncached).then(found => {
+        if (found) this.applyFonts();
+      });
+    }
+
+    console.log(`[FontManagerModule] 已应用字体布局"${layout.name}":`, fonts.map(font => font.name).join(', ') || '（未指定字体）');
+  }
+
+  /**
+   * 把字体中引用本地文件的字形注册到 document.fonts
+   * @param {Array<Object>} fonts - 字体对象
+   */
+  async loadLocalFaces(fonts) {
+    const entries = [];
+    fonts.forEach(font => (font.faces || []).forEach(face => {
+      if ((face.src || []).some(source => source.hash)) {
+        entries.push({ font, face });
+      }
+    }));
+    if (entries.length === 0 || !this.blobs) return;
+
+    // 加载期间切换了字体时丢弃结果
+    const token = {};
+    this.faceLoadToken = token;
+
+    const localFonts = new Set(entries.map(entry => entry.font));
+    localFonts.forEach(font => this.setLoadState(font.name, 'loading'));
+
+    const loaded = [];
+    const errors = new Map(); // font → 最后一个错误
+    const loadedFonts = new Set();
+    for (const { font, face } of entries) {
+      const source = face.src.find(item => item.hash);
+      try {
+        const blob = await this.blobs.get(source.hash);
+        if (!blob) {
+          console.warn(`[FontManagerModule] 本地字体文件不存在: ${source.name || source.hash}`);
+          errors.set(font, `本地字体文件不存在: ${source.name || source.hash}`);
+          continue;
+        }
+
+        const fontFace = new FontFace(font.fontFamily, await blob.arrayBuffer(), {
+          weight: String(face.weight || '400'),
+          style: face.style || 'normal'
+        });
+        await fontFace.load();
+        loaded.push(fontFace);
+        loadedFonts.add(font);
+      } catch (error) {
+        console.error(`[FontManagerModule] 本地字体文件加载失败: ${source.name || source.hash}`, error);
+        errors.set(font, `本地字体文件无法读取: ${source.name || source.hash}`);
+      }
+    }
+
+    if (this.faceLoadToken !== token) return;
+
+    loaded.forEach(fontFace => document.fonts.add(fontFace));
+    this.localFaces = loaded;
+
+    // 至少有一个字重加载成功就算可用
+    localFonts.forEach(font => {
+      if (loadedFonts.has(font)) {
+        this.setLoadState(font.name, 'loaded');
+      } else {
+        this.setLoadState(font.name, 'failed', errors.get(font));
+      }
+    });
+  }
+
+  /**
+   * 跟踪远程字体的加载结果
+   * 已有结果的字体不再检查（重试见 retryFontLoad）
+   * @param {Array<Object>} fonts - 字体对象
+   * @param {Promise<boolean>} sheetReady - 字体样式表加载完成
+   */
+  async trackFontLoads(fonts, sheetReady) {
+    const pending = fonts.filter(font =>
+      font.fontFamily && ['idle', 'loading'].includes(this.getLoadState(font.name).status)
+    );
+    if (pending.length === 0 || !document.fonts) return;
+
+    // 重新应用字体后，之前的检查结果作废
+    const token = {};
+    this.loadCheckToken = token;
+    pending.forEach(font => this.setLoadState(font.name, 'loading'));
+
+    await Promise.all(pending.map(async font => {
+      const check = this.checkFontLoad(font, sheetReady);
+
+      try {
+        await withTimeout(check, FONT_LOAD_TIMEOUT);
+        if (this.loadCheckToken === token) {
+          this.setLoadState(font.name, 'loaded');
+        }
+      } catch (error) {
+        if (this.loadCheckToken !== token) return;
+
+        if (error.name !== 'TimeoutError') {
+          this.setLoadState(font.name, 'failed', error.message);
+          return;
+        }
 
-    // 生成完整的字体CSS
-    let css = '';
+        // 超时后继续等待，之后加载完成（或失败）时更新状态
+        this.setLoadState(font.name, 'timeout', error.message);
+        check.then(
+          () => this.settleTimedOut(font.name, token, 'loaded'),
+          (lateError) => this.settleTimedOut(font.name, token, 'failed', lateError.message)
+        );
+      }
+    }));
+  }
 
-    // 添加字体导入
-    if (font.url) {
-      css += `@import url("${font.url}");\n\n`;
+  /**
+   * 检查一个字体能否加载，失败时抛出错误
+   * @param {Object} font - 字体对象
+   * @param {Promise<boolean>} sheetReady - 字体样式表加载完成
+   */
+  async checkFontLoad(font, sheetReady) {
+    await sheetReady;
+
+    // 浏览器报告的字体名可能带引号
+    const family = font.fontFamily;
+    const faces = Array.from(document.fonts).filter(face => face.family.replace(/^["']|["']$/g, '') === family);
+    if (faces.length === 0) {
+      throw new Error('页面中没有该字体的定义，字体链接可能已失效');
     }
 
-    // 应用到所有需要的元素（这是完整列表！）
-    if (font.fontFamily) {
-      css += `
-      body, input, textarea, select, button, .mes_text, .mes_block, 
-      pre, code, h1, h2, h3, h4, h5, h6, .title_restorable,
-      .font-family-reset, #options span, 
-      #completion_prompt_manager_list span:not([class*="fa-"]), 
-      .text_pole span:not([class*="fa-"]),
-      .flex-container, .swipes-counter {
-        font-family: '${font.fontFamily}', sans-serif !important;
-      }`;
+    try {
+      await document.fonts.load(`16px "${family.replace(/"/g, '\\"')}"`, FONT_SAMPLE_TEXT);
+    } catch (error) {
+      throw new Error(`字体文件下载失败（${error.message}）`);
     }
 
-    // 如果有完整的CSS内容，则追加
-    if (font.css && !font.css.includes('font-family')) {
-      css = font.css + '\n' + css;
-    } else if (font.css) {
-      css = font.css;
+    if (faces.every(face => face.status === 'error')) {
+      throw new Error('字体文件下载失败');
     }
+  }
 
-    style.textContent = css;
-    document.head.appendChild(style);
-    console.log('[FontManagerModule] 已应用字体:', font.name);
+  /**
+   * 超时的字体之后加载完成或失败时更新状态
+   */
+  settleTimedOut(fontName, token, status, error = null) {
+    if (this.loadCheckToken === token && this.getLoadState(fontName).status === 'timeout') {
+      this.setLoadState(fontName, status, error);
+    }
+  }
+
+  /**
+   * 获取字体的加载状态
+   * @param {string} fontName - 字体名称
+   * @returns {Object} {status, error, updatedAt}，status 见 FONT_LOAD_STATES
+   */
+  getLoadState(fontName) {
+    return this.loadStates.get(fontName) || { status: 'idle', error: null, updatedAt: null };
+  }
+
+  /**
+   * 更新字体的加载状态，失败或超时时发布 font:loadFailed
+   */
+  setLoadState(fontName, status, error = null) {
+    const previous = this.getLoadState(fontName);
+    if (previous.status === status && previous.error === error) return;
+
+    this.loadStates.set(fontName, { status, error, updatedAt: new Date().toISOString() });
+    this.eventBus.emit('font:loadStateChanged', { font: fontName, status, error });
+
+    // 远程字体第一次加载成功后保存到离线缓存
+    if (status === 'loaded') {
+      this.autoCacheFont(fontName);
+    }
+
+    if (status === 'failed' || status === 'timeout') {
+      const fallback = this.fallbackFont && this.fallbackFont !== fontName ? this.fallbackFont : null;
+      console.warn(`[FontManagerModule] 字体"${fontName}"${FONT_LOAD_STATES[status]}: ${error}${fallback ? `，改用后备字体"${fallback}"` : ''}`);
+      this.eventBus.emit('font:loadFailed', { font: fontName, status, error, fallback });
+    }
+  }
+
+  /**
+   * 重新加载字体（加载失败或超时后重试）
+   * @param {string} fontName - 字体名称
+   */
+  retryFontLoad(fontName) {
+    if (!this.fonts.has(fontName)) return false;
+
+    this.loadStates.delete(fontName);
+    this.applyFonts();
+    return true;
+  }
+
+  /**
+   * 设置字体加载失败时使用的后备字体
+   * @param {string|null} fontName - 字体名称，null表示使用系统字体
+   */
+  async setFallbackFont(fontName) {
+    if (fontName && !this.fonts.has(fontName)) {
+      throw new Error(`字体不存在: ${fontName}`);
+    }
+
+    this.fallbackFont = fontName || null;
+    await this.storage.set('fallbackFont', this.fallbackFont);
+    this.applyFonts();
+
+    this.eventBus.emit('font:fallbackChanged', this.fallbackFont);
+  }
+
+  /**
+   * 从存储加载后备字体
+   */
+  async loadFallbackFont() {
+    const saved = await this.storage.get('fallbackFont');
+    this.fallbackFont = saved && this.fonts.has(saved) ? saved : null;
   }
 
   /**
    * 清除应用的字体
    */
   clearAppliedFont() {
+    // 移除本地字体文件注册的字形
+    this.faceLoadToken = null;
+    this.localFaces.forEach(fontFace => document.fonts.delete(fontFace));
+    this.localFaces = [];
+
     const existingStyle = document.getElementById('enhanced-font-style');
     if (existingStyle) {
       existingStyle.remove();
@@ -152,6 +560,430 @@ export class FontManagerModule {
     }
   }
 
+  /**
+   * 应用字体时需要加载的字体：布局用到的字体，以及排在每个槽位字体之后的后备字体
+   */
+  getAppliedFonts() {
+    const fonts = this.getLayoutFonts();
+    const fallbackFont = this.fallbackFont ? this.fonts.get(this.fallbackFont) : null;
+    if (fallbackFont && !fonts.includes(fallbackFont)) {
+      fonts.push(fallbackFont);
+    }
+    return fonts;
+  }
+
+  /**
+   * 当前使用的字体布局
+   */
+  getActiveLayout() {
+    return this.layouts.get(this.activeLayout) || this.layouts.get(DEFAULT_LAYOUT_NAME) || createLayout(DEFAULT_LAYOUT_NAME);
+  }
+
+  /**
+   * 所有字体布局
+   */
+  getLayouts() {
+    return Array.from(this.layouts.values());
+  }
+
+  /**
+   * 布局用到的字体（当前字体和各槽位指定的字体，已删除的字体不计）
+   * @param {Object} layout - 布局，默认为当前布局
+   * @returns {Array<Object>} 字体对象
+   */
+  getLayoutFonts(layout = this.getActiveLayout()) {
+    const names = new Set(this.currentFont ? [this.currentFont] : []);
+    Object.values(layout.slots).forEach(settings => {
+      if (settings.font) names.add(settings.font);
+    });
+
+    return Array.from(names).map(name => this.fonts.get(name)).filter(Boolean);
+  }
+
+  /**
+   * 修改当前布局中的槽位设置
+   * @param {string} slotId - 槽位ID，见 FONT_SLOTS
+   * @param {Object} updates - font / weight / scale / fallback / selectors
+   */
+  async updateSlot(slotId, updates) {
+    if (!getFontSlot(slotId)) {
+      throw new Error(`未知的字体槽位: ${slotId}`);
+    }
+    if (updates.font && !this.fonts.has(updates.font)) {
+      throw new Error(`字体不存在: ${updates.font}`);
+    }
+
+    const layout = this.getActiveLayout();
+    const settings = normalizeSlotSettings(slotId, { ...layout.slots[slotId], ...updates });
+    validateSlotSettings(settings);
+
+    layout.slots[slotId] = settings;
+    layout.updatedAt = new Date().toISOString();
+    this.layouts.set(layout.name, layout);
+
+    await this.saveLayouts();
+    this.applyFonts();
+
+    this.eventBus.emit('font:layoutChanged', { action: 'slotUpdated', layout: layout.name, slot: slotId });
+    return settings;
+  }
+
+  /**
+   * 恢复槽位的默认设置（使用当前字体和默认选择器）
+   * @param {string} slotId - 槽位ID
+   */
+  async resetSlot(slotId) {
+    return this.updateSlot(slotId, normalizeSlotSettings(slotId));
+  }
+
+  /**
+   * 新建字体布局并切换到该布局
+   * @param {string} name - 布局名称
+   * @param {string|null} copyFrom - 复制该布局的槽位设置，为空时从默认值开始
+   */
+  async createLayout(name, copyFrom = null) {
+    const layoutName = (name || '').trim();
+    if (!layoutName) {
+      throw new Error('请输入布局名称');
+    }
+    if (this.layouts.has(layoutName)) {
+      throw new Error(`布局"${layoutName}"已存在`);
+    }
+
+    const source = copyFrom ? this.layouts.get(copyFrom) : null;
+    this.layouts.set(layoutName, createLayout(layoutName, source ? JSON.parse(JSON.stringify(source.slots)) : {}));
+    this.activeLayout = layoutName;
+
+    await this.saveLayouts();
+    this.applyFonts();
+
+    this.eventBus.emit('font:layoutChanged', { action: 'created', layout: layoutName });
+    return this.layouts.get(layoutName);
+  }
+
+  /**
+   * 切换字体布局
+   * @param {string} name - 布局名称
+   */
+  async switchLayout(name) {
+    if (!this.layouts.has(name)) {
+      console.warn('[FontManagerModule] 字体布局不存在:', name);
+      return false;
+    }
+
+    this.activeLayout = name;
+    await this.saveLayouts();
+    this.applyFonts();
+
+    this.eventBus.emit('font:layoutChanged', { action: 'switched', layout: name });
+    return true;
+  }
+
+  /**
+   * 删除字体布局（默认布局不能删除），删除当前布局后切换到默认布局
+   * @param {string} name - 布局名称
+   */
+  async removeLayout(name) {
+    if (name === DEFAULT_LAYOUT_NAME || !this.layouts.has(name)) {
+      return false;
+    }
+
+    await this.storage.transaction(`删除字体布局"${name}"`, async (tx) => {
+      this.layouts.delete(name);
+      if (this.activeLayout === name) {
+        this.activeLayout = DEFAULT_LAYOUT_NAME;
+      }
+      await this.saveLayouts(tx);
+    }, { snapshot: true });
+
+    this.applyFonts();
+
+    this.eventBus.emit('font:layoutChanged', { action: 'removed', layout: name });
+    return true;
+  }
+
+  /**
+   * 字体改名后更新各布局中的引用
+   */
+  renameFontInLayouts(oldName, newName) {
+    let changed = false;
+    this.layouts.forEach(layout => Object.values(layout.slots).forEach(settings => {
+      if (settings.font === oldName) {
+        settings.font = newName;
+        changed = true;
+      }
+    }));
+    return changed;
+  }
+
+  /**
+   * 保存字体布局
+   * @param {Object} store - 写入目标，在事务中传入事务句柄
+   */
+  async saveLayouts(store = this.storage) {
+    await store.set('fontLayouts', {
+      active: this.activeLayout,
+      layouts: Array.from(this.layouts.entries())
+    });
+  }
+
+  /**
+   * 从存储加载字体布局（没有时创建默认布局）
+   */
+  async loadLayouts() {
+    const data = await this.storage.get('fontLayouts');
+
+    this.layouts = new Map();
+    if (data && Array.isArray(data.layouts)) {
+      data.layouts.forEach(([name, layout]) => this.layouts.set(name, restoreLayout(name, layout)));
+    }
+    if (!this.layouts.has(DEFAULT_LAYOUT_NAME)) {
+      this.layouts.set(DEFAULT_LAYOUT_NAME, createLayout(DEFAULT_LAYOUT_NAME));
+    }
+
+    this.activeLayout = data && this.layouts.has(data.active) ? data.active : DEFAULT_LAYOUT_NAME;
+  }
+
+  /**
+   * 从存储加载离线缓存设置
+   */
+  async loadCacheSettings() {
+    const saved = await this.storage.get('fontCache');
+    this.cacheSettings = { ...DEFAULT_CACHE_SETTINGS, ...(saved || {}) };
+  }
+
+  /**
+   * 修改离线缓存设置
+   * @param {Object} updates - enabled: 是否缓存远程字体，maxSize: 缓存容量（字节）
+   */
+  async setCacheSettings(updates) {
+    if (updates.maxSize !== undefined && !(updates.maxSize > 0)) {
+      throw new Error('缓存容量必须大于0');
+    }
+    if (updates.enabled && !this.cache.isAvailable()) {
+      throw new Error('当前浏览器不支持IndexedDB，无法缓存字体');
+    }
+
+    this.cacheSettings = { ...this.cacheSettings, ...updates };
+    await this.storage.set('fontCache', this.cacheSettings);
+
+    // 关闭后改回从网络加载（已缓存的文件保留，可手动清空）
+    if (!this.cacheSettings.enabled) {
+      this.releaseCachedFonts();
+    } else {
+      await this.enforceCacheLimit();
+      this.cacheMisses.clear();
+    }
+    this.applyFonts();
+
+    this.eventBus.emit('font:cacheChanged', { action: 'settings' });
+  }
+
+  /**
+   * 字体已准备好的缓存（来源变化后的旧缓存不再使用）
+   * @returns {Object|null} {key, signature, css, urls}
+   */
+  getCachedFont(font) {
+    if (!this.cacheSettings.enabled) return null;
+
+    const cached = this.cachedFonts.get(font.name);
+    return cached && cached.signature === getFontSignature(font) ? cached : null;
+  }
+
+  /**
+   * 读取字体的缓存并创建 blob: 链接
+   * @param {Array<Object>} fonts - 字体对象
+   * @returns {Promise<boolean>} 是否有新准备好的缓存
+   */
+  async prepareCachedFonts(fonts) {
+    if (!this.cacheSettings.enabled || !this.cache.isAvailable()) return false;
+
+    let found = false;
+    for (const font of fonts) {
+      if (!isRemoteFont(font) || this.getCachedFont(font)) continue;
+
+      try {
+        const entry = await this.cache.get(font);
+        const resolved = entry ? await this.cache.resolve(entry) : null;
+
+        if (!resolved) {
+          // 文件被清理的清单也删除
+          if (entry) await this.cache.remove(entry.key);
+          this.cacheMisses.add(font.name);
+          continue;
+        }
+
+        this.releaseCachedFonts(font.name);
+        this.cachedFonts.set(font.name, resolved);
+        this.cacheMisses.delete(font.name);
+        await this.cache.touch(entry);
+        found = true;
+      } catch (error) {
+        console.warn(`[FontManagerModule] 读取字体"${font.name}"的离线缓存失败:`, error);
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * 释放字体缓存的 blob: 链接
+   * @param {string|null} fontName - 字体名称，为空时释放全部
+   */
+  releaseCachedFonts(fontName = null) {
+    const names = fontName ? [fontName] : Array.from(this.cachedFonts.keys());
+    names.forEach(name => {
+      this.cache.release(this.cachedFonts.get(name));
+      this.cachedFonts.delete(name);
+    });
+  }
+
+  /**
+   * 远程字体加载成功后自动缓存（缓存关闭、已缓存或正在下载时跳过）
+   */
+  async autoCacheFont(fontName) {
+    const font = this.fonts.get(fontName);
+    if (!this.cacheSettings.enabled || !this.cache.isAvailable() || !isRemoteFont(font) ||
+      this.getCachedFont(font) || this.caching.has(fontName)) {
+      return;
+    }
+
+    try {
+      // 已经有缓存（例如在其他标签页下载过）时不重复下载
+      if (await this.cache.get(font)) return;
+      await this.cacheFont(fontName);
+    } catch (error) {
+      console.warn(`[FontManagerModule] 字体"${fontName}"无法缓存:`, error.message);
+      this.eventBus.emit('font:cacheChanged', { action: 'failed', font: fontName, error: error.message });
+    }
+  }
+
+  /**
+   * 下载字体并保存到离线缓存
+   * @param {string} fontName - 字体名称
+   * @param {Object} options - reload: 跳过浏览器HTTP缓存，从来源重新下载
+   * @returns {Promise<Object>} 缓存清单
+   */
+  async cacheFont(fontName, options = {}) {
+    const font = this.fonts.get(fontName);
+    if (!isRemoteFont(font)) {
+      throw new Error(`字体"${fontName}"不是远程字体`);
+    }
+
+    this.caching.add(fontName);
+    try {
+      const entry = await this.cache.store(font, { reload: options.reload, maxSize: this.cacheSettings.maxSize });
+      this.cacheMisses.delete(fontName);
+      await this.enforceCacheLimit(entry.key);
+
+      console.log(`[FontManagerModule] 已缓存字体"${fontName}"，${entry.files.length} 个文件`);
+      this.eventBus.emit('font:cacheChanged', { action: 'cached', font: fontName, size: entry.size });
+      return entry;
+    } finally {
+      this.caching.delete(fontName);
+    }
+  }
+
+  /**
+   * 从来源重新下载字体并替换缓存，然后重新应用
+   * 下载失败时保留原来的缓存
+   * @param {string} fontName - 字体名称
+   */
+  async refreshFontCache(fontName) {
+    const font = this.fonts.get(fontName);
+    await this.cacheFont(fontName, { reload: true });
+
+    this.releaseCachedFonts(fontName);
+    await this.pruneFiles();
+
+    this.loadStates.delete(fontName);
+    await this.prepareCachedFonts([font]);
+    this.applyFonts();
+  }
+
+  /**
+   * 删除一个字体的缓存（之后从网络加载）
+   * @param {string} key - 缓存清单键
+   */
+  async removeFontCache(key) {
+    await this.cache.remove(key);
+
+    Array.from(this.cachedFonts.entries())
+      .filter(([, cached]) => cached.key === key)
+      .forEach(([name]) => this.releaseCachedFonts(name));
+
+    await this.pruneFiles();
+    this.applyFonts();
+
+    this.eventBus.emit('font:cacheChanged', { action: 'removed' });
+  }
+
+  /**
+   * 清空离线缓存
+   */
+  async clearFontCache() {
+    const count = await this.cache.clear();
+    this.releaseCachedFonts();
+    this.cacheMisses.clear();
+
+    await this.pruneFiles();
+    this.applyFonts();
+
+    this.eventBus.emit('font:cacheChanged', { action: 'cleared' });
+    return count;
+  }
+
+  /**
+   * 缓存超出容量时删除最久未用的条目
+   * @param {string|null} keepKey - 不删除的条目（刚下载的字体）
+   */
+  async enforceCacheLimit(keepKey = null) {
+    const entries = (await this.cache.list()).sort((a, b) => new Date(a.usedAt) - new Date(b.usedAt));
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    const removed = [];
+    for (const entry of entries) {
+      if (total <= this.cacheSettings.maxSize) break;
+      if (entry.key === keepKey) continue;
+
+      await this.cache.remove(entry.key);
+      total -= entry.size;
+      removed.push(entry.key);
+    }
+
+    if (removed.length > 0) {
+      Array.from(this.cachedFonts.entries())
+        .filter(([, cached]) => removed.includes(cached.key))
+        .forEach(([name]) => this.releaseCachedFonts(name));
+      await this.pruneFiles();
+      console.log(`[FontManagerModule] 缓存超出容量，已删除 ${removed.length} 个最久未用的字体缓存`);
+    }
+  }
+
+  /**
+   * 离线缓存的使用情况
+   * @returns {Promise<Object>} {enabled, maxSize, totalSize, entries: [{key, font, fonts, size, fileCount, cachedAt, usedAt}]}
+   */
+  async getCacheInfo() {
+    const entries = this.cache.isAvailable() ? await this.cache.list() : [];
+    const fonts = Array.from(this.fonts.values());
+
+    return {
+      ...this.cacheSettings,
+      totalSize: entries.reduce((sum, entry) => sum + entry.size, 0),
+      entries: entries.map(entry => ({
+        key: entry.key,
+        font: entry.font,
+        // 来源相同的字体（改名后仍能对应）
+        fonts: fonts.filter(font => getFontSignature(font) === entry.signature).map(font => font.name),
+        size: entry.size,
+        fileCount: entry.files.length,
+        cachedAt: entry.cachedAt,
+        usedAt: entry.usedAt
+      }))
+    };
+  }
+
   /**
    * 删除标签
    * @param {string} tagToDelete - 要删除的标签
@@ -180,9 +1012,9 @@ export class FontManagerModule {
       this.currentTag = 'all';
     }
 
-    // 保存更改
+    // 保存更改（保存恢复点，误删后可以撤销）
     if (modified) {
-      await this.saveFonts();
+      await this.storage.transaction(`删除标签"${tagToDelete}"`, (tx) => this.saveFonts(tx), { snapshot: true });
     }
 
     // 发布事件
@@ -193,46 +1025,132 @@ export class FontManagerModule {
   }
 
   /**
-   * 解析字体链接（支持zeoseven.com格式）
-   * @param {string} input - 输入的字体代码
+   * 解析字体代码为字体记录（一段代码可以包含多个字体）
+   * @param {string} input - 字体代码：@font-face、Google Fonts链接、@import链接或字体文件链接
+   * @param {string} customName - 自定义名称（只有一个字体时使用）
+   * @returns {Array<Object>} 字体记录，无法解析时为空数组
+   */
+  parseFonts(input, customName = null) {
+    const fonts = this.sources.parse(input, { customName });
+    if (fonts.length === 0) {
+      console.warn('[FontManagerModule] 无法解析字体代码');
+    }
+    return fonts;
+  }
+
+  /**
+   * 解析字体代码，只返回第一个字体
+   * @param {string} input - 字体代码
    * @returns {Object|null} 解析后的字体对象
    */
   parseFont(input, customName = null) {
-    // 匹配 @import url 格式
-    const importMatch = input.match(/@import\s+url\(["']([^"']+)["']\)/);
-    if (!importMatch) {
-      console.warn('[FontManagerModule] 无法解析字体链接');
-      return null;
+    return this.parseFonts(input, customName)[0] || null;
+  }
+
+  /**
+   * 注册字体来源适配器，格式见 font-manager-sources.js
+   * @param {Object} adapter - 适配器定义
+   * @returns {Function} 注销函数
+   */
+  registerFontSource(adapter) {
+    return this.sources.register(adapter);
+  }
+
+  /**
+   * 上传本地字体文件（.ttf/.otf/.woff/.woff2）
+   * 文件保存到IndexedDB，同一字体的不同字重文件合并为一条记录
+   * @param {Array<File>} files - 字体文件
+   * @param {string} customName - 自定义字体名（所有文件作为同一字体）
+   * @returns {Promise<Array<Object>>} 添加成功的字体（同名字体已存在时跳过）
+   */
+  async addLocalFonts(files, customName = null) {
+    if (!this.blobs) {
+      throw new Error('文件存储不可用，无法上传本地字体');
     }
 
-    const url = importMatch[1];
+    const parsed = Array.from(files).map(file => {
+      const info = parseFontFileName(file.name);
+      if (!info) {
+        throw new Error(`不支持的字体文件: ${file.name}（支持 .ttf/.otf/.woff/.woff2）`);
+      }
+      return { file, info };
+    });
 
-    // 匹配 font-family
-    const familyMatch = input.match(/font-family:\s*["']?([^"';]+)["']?/);
-    const fontFamily = familyMatch ? familyMatch[1].trim() : (customName || 'Unknown Font');
+    const families = new Map(); // 字体名 → faces
+    for (const { file, info } of parsed) {
+      const stored = await this.blobs.put(file, { name: file.name });
+      const family = customName || info.family;
 
-    // 从URL中提取字体ID（如果是zeoseven链接）
-    let fontId = null;
-    const idMatch = url.match(/fontsapi\.zeoseven\.com\/(\d+)\//);
-    if (idMatch) {
-      fontId = idMatch[1];
+      if (!families.has(family)) {
+        families.set(family, []);
+      }
+      families.get(family).push({
+        weight: info.weight,
+        style: info.style,
+        src: [{ hash: stored.hash, format: info.format, name: file.name }]
+      });
     }
 
-    // 生成默认名称
-    const defaultName = customName || fontFamily || `Font-${Date.now()}`;
+    const names = new Set();
+    const added = [];
+    for (const [fontFamily, faces] of families) {
+      const font = this.sources.normalize({ fontFamily, faces, type: 'local-file' }, names);
+      if (await this.addFont(font)) {
+        added.push(font);
+      }
+    }
 
-    return {
-      name: defaultName,
-      displayName: defaultName, // 用户可编辑的显示名称
-      url: url,
-      fontFamily: fontFamily,
-      fontId: fontId,
-      css: input, // 保存原始CSS
-      tags: [],
-      order: Date.now(), // 排序顺序
-      addedAt: new Date().toISOString(),
-      custom: {} // 用户自定义数据
-    };
+    return added;
+  }
+
+  /**
+   * 字体引用的本地文件哈希
+   */
+  getFileHashes(font) {
+    const hashes = [];
+    (font.faces || []).forEach(face => (face.src || []).forEach(source => {
+      if (source.hash) hashes.push(source.hash);
+    }));
+    return hashes;
+  }
+
+  /**
+   * 删除不再被任何字体引用的本地文件
+   * 恢复点中的字体仍引用的文件会保留，撤销删除后字体可以继续使用
+   * @returns {Promise<number>} 删除的文件数
+   */
+  async pruneFiles() {
+    if (!this.blobs) return 0;
+
+    const referenced = new Set();
+    const collect = (fonts) => fonts.forEach(font => this.getFileHashes(font).forEach(hash => referenced.add(hash)));
+
+    collect(Array.from(this.fonts.values()));
+    this.storage.readSnapshots().forEach(snapshot => {
+      const data = snapshot.data && snapshot.data.fonts;
+      if (data && Array.isArray(data.fonts)) {
+        collect(data.fonts.map(([, font]) => font));
+      }
+    });
+
+    let removed = 0;
+    try {
+      // 离线缓存的字体文件
+      (await this.cache.list()).forEach(entry => entry.files.forEach(file => referenced.add(file.hash)));
+
+      for (const file of await this.blobs.list()) {
+        if (!referenced.has(file.hash) && await this.blobs.remove(file.hash)) {
+          removed++;
+        }
+      }
+    } catch (error) {
+      console.error('[FontManagerModule] 清理本地字体文件失败:', error);
+    }
+
+    if (removed > 0) {
+      console.log(`[FontManagerModule] 已删除 ${removed} 个不再使用的本地字体文件`);
+    }
+    return removed;
   }
 
   /**
@@ -280,6 +1198,11 @@ export class FontManagerModule {
     const font = this.fonts.get(fontName);
     if (!font) return false;
 
+    // 字体来源变化后需要重新检查加载状态
+    if (updates.url !== undefined || updates.css !== undefined || updates.faces !== undefined) {
+      this.loadStates.delete(fontName);
+    }
+
     // 如果更改了名称，需要更新Map的key
     if (updates.name && updates.name !== fontName) {
       this.fonts.delete(fontName);
@@ -291,6 +1214,20 @@ export class FontManagerModule {
         // 修复：同步保存currentFont
         await this.storage.set('currentFont', this.currentFont);
       }
+
+      if (this.renameFontInLayouts(fontName, updates.name)) {
+        await this.saveLayouts();
+      }
+
+      if (this.fallbackFont === fontName) {
+        this.fallbackFont = updates.name;
+        await this.storage.set('fallbackFont', this.fallbackFont);
+      }
+
+      if (this.loadStates.has(fontName)) {
+        this.loadStates.set(updates.name, this.loadStates.get(fontName));
+        this.loadStates.delete(fontName);
+      }
     } else {
       this.fonts.set(fontName, { ...font, ...updates });
     }
@@ -320,25 +1257,32 @@ export class FontManagerModule {
 
     const font = this.fonts.get(fontName);
     this.fonts.delete(fontName);
+    this.loadStates.delete(fontName);
 
-    // 如果删除的是当前字体，清除选择和应用的样式
-    if (this.currentFont === fontName) {
-      this.currentFont = null;
-      // 修复：同步清除currentFont
-      await this.storage.remove('currentFont');
-      this.clearAppliedFont();
-      this.eventBus.emit('font:changed', null);
-    }
+    await this.storage.transaction(`删除字体"${fontName}"`, async (tx) => {
+      // 如果删除的是当前字体，清除选择
+      if (this.currentFont === fontName) {
+        this.currentFont = null;
+        // 修复：同步清除currentFont
+        await tx.remove('currentFont');
+        this.eventBus.emit('font:changed', null);
+      }
 
-    // 更新标签列表
-    this.updateTagsList();
+      // 更新标签列表
+      this.updateTagsList();
 
-    // 保存
-    await this.saveFonts();
+      // 保存
+      await this.saveFonts(tx);
+    }, { snapshot: true });
+
+    // 布局中引用该字体的槽位改用当前字体（保留引用，撤销删除后恢复）
+    this.applyFonts();
 
     // 发布事件
     this.eventBus.emit('font:removed', font);
 
+    await this.pruneFiles();
+
     return true;
   }
 
@@ -364,10 +1308,7 @@ export class FontManagerModule {
 
     // 只有在字体功能启用时才应用字体
     if (this.fontEnabled) {
-      const font = this.fonts.get(fontName);
-      if (font) {
-        this.applyFont(font);
-      }
+      this.applyFonts();
     } else {
       console.log('[FontManagerModule] 字体功能已禁用，已保存选择但不应用字体:', fontName);
     }
@@ -463,21 +1404,46 @@ export class FontManagerModule {
 
   /**
    * 导出字体配置
-   * @returns {string} JSON字符串
+   * @param {Object} options - embedFiles: 把本地字体文件以data URL嵌入（files: {哈希: {name, dataURL}}）
+   * @returns {Promise<string>} JSON字符串
    */
-  exportFonts() {
+  async exportFonts(options = {}) {
     const exportData = {
       version: '2.0.3',
       exportDate: new Date().toISOString(),
       fonts: Array.from(this.fonts.values()),
       currentFont: this.currentFont,
       fontEnabled: this.fontEnabled,
-      tags: Array.from(this.tags)
+      tags: Array.from(this.tags),
+      layouts: this.getLayouts(),
+      activeLayout: this.activeLayout
     };
 
+    if (options.embedFiles && this.blobs) {
+      exportData.files = {};
+      for (const font of exportData.fonts) {
+        for (const face of font.faces || []) {
+          for (const source of face.src || []) {
+            if (!source.hash || exportData.files[source.hash]) continue;
+            const dataURL = await this.blobs.toDataURL(source.hash);
+            if (dataURL) {
+              exportData.files[source.hash] = { name: source.name || '', dataURL };
+            }
+          }
+        }
+      }
+    }
+
     return JSON.stringify(exportData, null, 2);
   }
 
+  /**
+   * 是否有使用本地文件的字体
+   */
+  hasLocalFonts() {
+    return Array.from(this.fonts.values()).some(font => this.getFileHashes(font).length > 0);
+  }
+
   /**
    * 导入字体配置
    * @param {string} jsonData - JSON数据
@@ -491,6 +1457,20 @@ export class FontManagerModule {
         throw new Error('无效的导入数据格式');
       }
 
+      // 写回嵌入的本地字体文件（内容与哈希不符的文件不会被引用，由 pruneFiles 清理）
+      if (data.files && this.blobs) {
+        for (const [hash, file] of Object.entries(data.files)) {
+          try {
+            const stored = await this.blobs.putDataURL(file.dataURL, { name: file.name });
+            if (stored.hash !== hash) {
+              console.warn('[FontManagerModule] 嵌入的字体文件内容与哈希不符:', file.name);
+            }
+          } catch (error) {
+            console.warn('[FontManagerModule] 嵌入的字体文件无法读取:', file.name, error);
+          }
+        }
+      }
+
       // 如果不合并，先清空
       if (!merge) {
         this.fonts.clear();
@@ -529,8 +1509,23 @@ export class FontManagerModule {
         await this.storage.set('fontEnabled', this.fontEnabled);
       }
 
+      // 导入字体布局（合并模式下跳过同名布局）
+      if (Array.isArray(data.layouts)) {
+        data.layouts.forEach(layout => {
+          if (!layout || !layout.name || (merge && this.layouts.has(layout.name))) return;
+          this.layouts.set(layout.name, restoreLayout(layout.name, layout));
+        });
+        if (data.activeLayout && this.layouts.has(data.activeLayout)) {
+          this.activeLayout = data.activeLayout;
+        }
+        await this.saveLayouts();
+        this.eventBus.emit('font:layoutChanged', { action: 'imported', layout: this.activeLayout });
+      }
+
       // 保存
       await this.saveFonts();
+      await this.pruneFiles();
+      this.applyFonts();
 
       // 发布事件
       this.eventBus.emit('font:imported', { count: imported, total: data.fonts.length });
@@ -578,19 +1573,20 @@ export class FontManagerModule {
   /**
    * 保存字体到存储
    * 修改：2025-09-05 确保currentFont同时保存在fonts数据中
+   * @param {Object} store - 写入目标，在事务中传入事务句柄
    */
-  async saveFonts() {
+  async saveFonts(store = this.storage) {
     const data = {
       fonts: Array.from(this.fonts.entries()),
       tags: Array.from(this.tags),
       currentFont: this.currentFont  // 在fonts数据中也保存currentFont
     };
 
-    await this.storage.set('fonts', data);
+    await store.set('fonts', data);
 
     // 修复：如果有currentFont，确保它也被单独保存（双重保险）
     if (this.currentFont) {
-      await this.storage.set('currentFont', this.currentFont);
+      await store.set('currentFont', this.currentFont);
     }
   }
 
@@ -630,6 +1626,7 @@ export class FontManagerModule {
    */
   cleanup() {
     this.clearAppliedFont();
+    this.releaseCachedFonts();
   }
 
   /**
@@ -663,8 +1660,15 @@ export class FontManagerModule {
   getStats() {
     return {
       fontCount: this.fonts.size,
+      localFontCount: Array.from(this.fonts.values()).filter(font => this.getFileHashes(font).length > 0).length,
       tagCount: this.tags.size,
       currentFont: this.currentFont,
+      activeLayout: this.activeLayout,
+      layoutCount: this.layouts.size,
+      fallbackFont: this.fallbackFont,
+      cacheEnabled: this.cacheSettings.enabled,
+      cachedFontCount: this.cachedFonts.size,
+      failedCount: Array.from(this.loadStates.values()).filter(state => state.status === 'failed' || state.status === 'timeout').length,
       enabled: this.fontEnabled
     };
   }
@@ -676,17 +1680,22 @@ export class FontManagerModule {
     this.fonts.clear();
     this.tags.clear();
     this.currentFont = null;
+    this.loadStates.clear();
 
-    // 清除应用的字体
-    this.clearAppliedFont();
+    // 重新应用布局（槽位的字重和字号设置仍然有效）
+    this.applyFonts();
 
-    // 清除存储
-    await this.storage.remove('fonts');
-    await this.storage.remove('currentFont');
+    // 清除存储（保存恢复点，误删后可以撤销）
+    await this.storage.transaction('清空所有字体', async (tx) => {
+      await tx.remove('fonts');
+      await tx.remove('currentFont');
+    }, { snapshot: true });
 
     // 发布事件
     this.eventBus.emit('font:allCleared');
 
+    await this.pruneFiles();
+
     console.log('[FontManagerModule] 已清除所有字体');
   }
 }
\ No newline at end of file
@@ -0,0 +1,534 @@
+/**
+ * 字体来源解析 - 把各种格式的字体代码转换为统一的字体记录
+ *
+ * 支持的格式（每种格式由一个适配器处理）：
+ * - font-face：原始 @font-face 块，可包含多个 src / format()，按 font-family 分组
+ * - google：Google Fonts CSS2 链接（@import、<link> 或直接粘贴），读取字重和斜体轴
+ * - zeoseven：fontsapi.zeoseven.com 的 @import 链接，记录字体ID
+ * - stylesheet：其他 @import 样式表链接
+ * - file-url：直接的 .woff2/.woff/.ttf/.otf 文件链接，同一字体的不同字重合并为一条记录
+ *
+ * 一段输入可以同时包含多种格式、多个字体，每个字体生成一条记录。
+ *
+ * 适配器：
+ * {
+ *   id: 'my-provider',
+ *   label: '显示名称',
+ *   priority: 0,                  // 越大越先执行，先执行的适配器可以占用链接
+ *   detect(input) {},             // 输入中是否有本适配器能处理的内容
+ *   parse(input, context) {}      // 返回字体记录数组（部分字段），context 见 FontSourceParser.parse
+ * }
+ *
+ * 字体记录：
+ * {
+ *   fontFamily: 'Noto Sans SC',   // CSS中使用的字体名，未知时为null
+ *   url: '...',                   // 需要 @import 的样式表链接（可选）
+ *   css: '...',                   // 加载字体的CSS（@import 或 @font-face）
+ *   faces: [{weight, style, src: [{url, format} | {local} | {hash, format, name}]}],  // hash 为本地上传的文件
+ *   fontId: '256',                // 提供方的字体ID（可选）
+ *   source: {type, ...}           // type 为适配器ID
+ * }
+ */
+
+// 适配器ID格式
+const ADAPTER_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// 字体文件扩展名 → @font-face 的 format()
+export const FILE_FORMATS = {
+  woff2: 'woff2',
+  woff: 'woff',
+  ttf: 'truetype',
+  otf: 'opentype'
+};
+
+// 文件名中的字重和样式
+const WEIGHT_KEYWORDS = [
+  [/thin|hairline/i, '100'],
+  [/extra-?light|ultra-?light/i, '200'],
+  [/light/i, '300'],
+  [/medium/i, '500'],
+  [/semi-?bold|demi-?bold/i, '600'],
+  [/extra-?bold|ultra-?bold/i, '800'],
+  [/black|heavy/i, '900'],
+  [/bold/i, '700'],
+  [/regular|normal|book/i, '400']
+];
+const STYLE_KEYWORD = /italic|oblique/i;
+
+const IMPORT_PATTERN = /@import\s+(?:url\(\s*)?["']?([^"')\s]+)/g;
+const FONT_FACE_PATTERN = /@font-face\s*\{([^}]*)\}/g;
+const GOOGLE_CSS2_PATTERN = /https?:\/\/fonts\.googleapis\.com\/css2\?[^\s"'<>)]+/g;
+const FONT_FILE_PATTERN = /https?:\/\/[^\s"'()<>]+?\.(woff2|woff|ttf|otf)(?:\?[^\s"'()<>]*)?(?=[\s"'()<>,;]|$)/gi;
+
+/**
+ * 按顶层分隔符拆分（忽略引号和括号内的分隔符，data: 链接中的 ; 不会被拆开）
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current.trim());
+
+  return parts.filter(Boolean);
+}
+
+/**
+ * 解析声明块为 {属性: 值}
+ */
+function parseDeclarations(body) {
+  const declarations = {};
+  splitTopLevel(body, ';').forEach(declaration => {
+    const colon = declaration.indexOf(':');
+    if (colon > 0) {
+      declarations[declaration.slice(0, colon).trim().toLowerCase()] = declaration.slice(colon + 1).trim();
+    }
+  });
+  return declarations;
+}
+
+/**
+ * font-family 值中的第一个字体名（去掉引号）
+ */
+function firstFamily(value) {
+  const first = splitTopLevel(value || '', ',')[0] || '';
+  return first.replace(/\s*!important$/, '').replace(/^["']|["']$/g, '').trim() || null;
+}
+
+/**
+ * 输入中 @font-face 以外的规则使用的字体名（如 body { font-family: "X"; }）
+ */
+function findDeclaredFamilies(input) {
+  const families = [];
+  const rest = input.replace(FONT_FACE_PATTERN, '');
+  const pattern = /font-family\s*:\s*([^;}]+)/g;
+  let match;
+  while ((match = pattern.exec(rest)) !== null) {
+    const family = firstFamily(match[1]);
+    if (family && !families.includes(family)) {
+      families.push(family);
+    }
+  }
+  return families;
+}
+
+/**
+ * 输入中的 @import 链接
+ */
+function findImports(input) {
+  return Array.from(input.matchAll(IMPORT_PATTERN), match => match[1]);
+}
+
+/**
+ * 按出现顺序为第 index 个样式表链接选择字体名
+ */
+function pickDeclaredFamily(context, index, total) {
+  if (context.declaredFamilies.length === total) {
+    return context.declaredFamilies[index];
+  }
+  return total === 1 ? context.declaredFamilies[0] || null : null;
+}
+
+/**
+ * 按文件名推断字体名、字重和样式
+ * Roboto-BoldItalic.woff2 → {family: 'Roboto', weight: '700', style: 'italic', format: 'woff2'}
+ * @param {string} fileName - 文件名（可带路径）
+ * @returns {Object|null} 不是字体文件时返回null
+ */
+export function parseFontFileName(fileName) {
+  const baseName = decodeURIComponent(fileName.split('?')[0].split('/').pop());
+  const extension = (baseName.match(/\.([^.]+)$/) || [])[1];
+  const format = extension && FILE_FORMATS[extension.toLowerCase()];
+  if (!format) return null;
+
+  const stem = baseName.slice(0, -extension.length - 1);
+  const [, familyPart = stem, variant = ''] = stem.match(/^(.+?)[-_]([A-Za-z-]+)$/) || [];
+
+  // 后缀能识别为字重或样式时才从字体名中去掉
+  const isVariant = variant && (STYLE_KEYWORD.test(variant) || WEIGHT_KEYWORDS.some(([pattern]) => pattern.test(variant)));
+  const descriptor = isVariant ? variant : '';
+  const weightEntry = WEIGHT_KEYWORDS.find(([pattern]) => pattern.test(descriptor));
+
+  return {
+    family: (isVariant ? familyPart : stem).replace(/[-_]+/g, ' ').trim(),
+    weight: weightEntry ? weightEntry[1] : '400',
+    style: STYLE_KEYWORD.test(descriptor) ? 'italic' : 'normal',
+    format
+  };
+}
+
+/**
+ * 生成 @font-face 块
+ */
+function buildFontFace(family, face) {
+  const src = face.src.map(source => source.local
+    ? `local("${source.local}")`
+    : `url("${source.url}")${source.format ? ` format("${source.format}")` : ''}`
+  ).join(', ');
+
+  return `@font-face {
+  font-family: "${family}";
+  src: ${src};
+  font-weight: ${face.weight};
+  font-style: ${face.style};
+  font-display: swap;
+}`;
+}
+
+/**
+ * 原始 @font-face 块
+ */
+const fontFaceAdapter = {
+  id: 'font-face',
+  label: '@font-face',
+  priority: 400,
+
+  detect(input) {
+    return /@font-face\s*\{/.test(input);
+  },
+
+  parse(input, context) {
+    const families = new Map(); // 字体名 → {faces, blocks}
+
+    for (const match of input.matchAll(FONT_FACE_PATTERN)) {
+      const declarations = parseDeclarations(match[1]);
+      const family = firstFamily(declarations['font-family']);
+      if (!family || !declarations.src) continue;
+
+      const src = splitTopLevel(declarations.src, ',').map(entry => {
+        const local = entry.match(/local\(\s*["']?([^"')]+)["']?\s*\)/);
+        if (local) return { local: local[1].trim() };
+
+        const url = entry.match(/url\(\s*(["']?)(.*?)\1\s*\)/);
+        if (!url) return null;
+
+        const format = entry.match(/format\(\s*["']?([^"')]+)["']?\s*\)/);
+        context.claimed.add(url[2]);
+        return { url: url[2], format: format ? format[1].trim() : null };
+      }).filter(Boolean);
+
+      if (src.length === 0) continue;
+
+      if (!families.has(family)) {
+        families.set(family, { faces: [], blocks: [] });
+      }
+      const entry = families.get(family);
+      entry.faces.push({
+        weight: declarations['font-weight'] || '400',
+        style: declarations['font-style'] || 'normal',
+        src
+      });
+      entry.blocks.push(match[0].trim());
+    }
+
+    // 已在 @font-face 中定义的字体不再分配给样式表链接
+    context.declaredFamilies = context.declaredFamilies.filter(family => !families.has(family));
+
+    return Array.from(families, ([fontFamily, { faces, blocks }]) => ({
+      fontFamily,
+      css: blocks.join('\n'),
+      faces
+    }));
+  }
+};
+
+/**
+ * Google Fonts CSS2 链接
+ * family=Noto+Sans+SC:ital,wght@0,400;1,700 → 字重400正常、字重700斜体
+ */
+const googleAdapter = {
+  id: 'google',
+  label: 'Google Fonts',
+  priority: 300,
+
+  detect(input) {
+    return /fonts\.googleapis\.com\/css2\?/.test(input);
+  },
+
+  parse(input, context) {
+    const records = [];
+    const seen = new Set();
+
+    for (const match of input.matchAll(GOOGLE_CSS2_PATTERN)) {
+      const link = match[0].replace(/&amp;/g, '&');
+      context.claimed.add(match[0]);
+      context.claimed.add(link);
+
+      // 保留参数原文，重新拼接链接时不需要再编码
+      const params = link.split('?')[1].split('&');
+      const displayParam = params.find(param => param.startsWith('display='));
+      const display = displayParam ? displayParam.slice('display='.length) : 'swap';
+
+      params.filter(param => param.startsWith('family=')).forEach(param => {
+        const value = param.slice('family='.length);
+        const [rawName, axes] = decodeURIComponent(value.replace(/\+/g, ' ')).split(':');
+        const fontFamily = rawName.trim();
+        if (!fontFamily || seen.has(fontFamily)) return;
+        seen.add(fontFamily);
+        context.declaredFamilies = context.declaredFamilies.filter(family => family !== fontFamily);
+
+        // 每个字体单独生成链接，删除其中一个不影响其他字体
+        const url = `https://fonts.googleapis.com/css2?family=${value}&display=${display}`;
+
+        records.push({
+          fontFamily,
+          url,
+          css: `@import url("${url}");`,
+          faces: this.parseAxes(axes),
+          source: { axes: axes || null }
+        });
+      });
+    }
+
+    return records;
+  },
+
+  /**
+   * 解析轴定义：ital,wght@0,400;1,700 或 wght@100..900
+   */
+  parseAxes(axes) {
+    if (!axes || !axes.includes('@')) {
+      return [{ weight: '400', style: 'normal', src: [] }];
+    }
+
+    const [names, values] = axes.split('@');
+    const axisNames = names.split(',');
+
+    return values.split(';').filter(Boolean).map(tuple => {
+      const axisValues = tuple.split(',');
+      const italic = axisNames.indexOf('ital');
+      const weight = axisNames.indexOf('wght');
+      return {
+        weight: weight !== -1 ? axisValues[weight].replace('..', ' ') : '400',
+        style: italic !== -1 && axisValues[italic] === '1' ? 'italic' : 'normal',
+        src: []
+      };
+    });
+  }
+};
+
+/**
+ * zeoseven 字体链接（fontsapi.zeoseven.com/字体ID/...）
+ */
+const zeosevenAdapter = {
+  id: 'zeoseven',
+  label: 'ZeoSeven',
+  priority: 200,
+
+  detect(input) {
+    return /fontsapi\.zeoseven\.com\//.test(input);
+  },
+
+  parse(input, context) {
+    const urls = findImports(input).filter(url => /fontsapi\.zeoseven\.com\//.test(url) && !context.claimed.has(url));
+
+    return urls.map((url, index) => {
+      context.claimed.add(url);
+      const idMatch = url.match(/fontsapi\.zeoseven\.com\/(\d+)\//);
+      return {
+        fontFamily: pickDeclaredFamily(context, index, urls.length),
+        url,
+        fontId: idMatch ? idMatch[1] : null,
+        css: `@import url("${url}");`
+      };
+    });
+  }
+};
+
+/**
+ * 其他 @import 样式表
+ */
+const stylesheetAdapter = {
+  id: 'stylesheet',
+  label: '样式表链接',
+  priority: 100,
+
+  detect(input) {
+    return /@import\s/.test(input);
+  },
+
+  parse(input, context) {
+    const urls = findImports(input).filter(url => !context.claimed.has(url));
+
+    return urls.map((url, index) => {
+      context.claimed.add(url);
+      return {
+        fontFamily: pickDeclaredFamily(context, index, urls.length),
+        url,
+        css: `@import url("${url}");`
+      };
+    });
+  }
+};
+
+/**
+ * 字体文件链接，按文件名推断字体名、字重和样式
+ * Roboto-Regular.woff2 和 Roboto-BoldItalic.woff2 合并为 Roboto 的两个字形
+ */
+const fileUrlAdapter = {
+  id: 'file-url',
+  label: '字体文件链接',
+  priority: 0,
+
+  detect(input) {
+    return new RegExp(FONT_FILE_PATTERN.source, 'i').test(input);
+  },
+
+  parse(input, context) {
+    const families = new Map(); // 字体名 → faces
+
+    for (const match of input.matchAll(FONT_FILE_PATTERN)) {
+      const url = match[0];
+      if (context.claimed.has(url)) continue;
+      context.claimed.add(url);
+
+      const { family: fileFamily, weight, style, format } = parseFontFileName(url);
+      const family = context.customName || fileFamily;
+
+      if (!families.has(family)) {
+        families.set(family, []);
+      }
+      families.get(family).push({ weight, style, src: [{ url, format }] });
+    }
+
+    return Array.from(families, ([fontFamily, faces]) => ({
+      fontFamily,
+      css: faces.map(face => buildFontFace(fontFamily, face)).join('\n'),
+      faces
+    }));
+  }
+};
+
+export const FONT_SOURCE_ADAPTERS = [fontFaceAdapter, googleAdapter, zeosevenAdapter, stylesheetAdapter, fileUrlAdapter];
+
+export class FontSourceParser {
+  constructor() {
+    this.adapters = [];
+    FONT_SOURCE_ADAPTERS.forEach(adapter => this.register(adapter));
+  }
+
+  /**
+   * 注册适配器（同ID的适配器会被替换）
+   * @param {Object} adapter - 适配器定义
+   * @returns {Function} 注销函数
+   */
+  register(adapter) {
+    if (!adapter || !ADAPTER_ID_PATTERN.test(adapter.id || '')) {
+      throw new Error(`字体来源适配器ID无效: ${adapter && adapter.id}`);
+    }
+    if (typeof adapter.detect !== 'function' || typeof adapter.parse !== 'function') {
+      throw new Error(`字体来源适配器 ${adapter.id} 缺少 detect 或 parse 函数`);
+    }
+
+    this.unregister(adapter.id);
+    this.adapters.push(adapter);
+    this.adapters.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+    return () => {
+      if (this.adapters.includes(adapter)) {
+        this.unregister(adapter.id);
+      }
+    };
+  }
+
+  /**
+   * 注销适配器
+   * @param {string} id - 适配器ID
+   * @returns {boolean}
+   */
+  unregister(id) {
+    const index = this.adapters.findIndex(adapter => adapter.id === id);
+    if (index === -1) return false;
+    this.adapters.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * 已注册的适配器（按执行顺序）
+   */
+  getAdapters() {
+    return this.adapters.map(({ id, label, priority }) => ({ id, label: label || id, priority: priority || 0 }));
+  }
+
+  /**
+   * 解析字体代码
+   * 适配器按优先级依次执行，context.claimed 记录已处理的链接，后面的适配器跳过这些链接
+   * @param {string} input - 字体代码
+   * @param {Object} options - customName: 自定义名称（只有一个字体时作为名称，字体名未知时作为字体名）
+   * @returns {Array<Object>} 字体记录
+   */
+  parse(input, options = {}) {
+    const text = typeof input === 'string' ? input.trim() : '';
+    if (!text) return [];
+
+    const customName = options.customName ? options.customName.trim() : '';
+    const context = {
+      customName: customName || null,
+      claimed: new Set(),
+      declaredFamilies: findDeclaredFamilies(text)
+    };
+
+    const records = [];
+    this.adapters.forEach(adapter => {
+      if (!adapter.detect(text)) return;
+      try {
+        (adapter.parse(text, context) || []).forEach(record => records.push({ ...record, type: adapter.id }));
+      } catch (error) {
+        console.warn(`[FontSourceParser] 适配器 ${adapter.id} 解析失败:`, error);
+      }
+    });
+
+    if (records.length === 1 && customName) {
+      records[0].name = customName;
+      records[0].fontFamily = records[0].fontFamily || customName;
+    }
+
+    const names = new Set();
+    return records.map(record => this.normalize(record, names));
+  }
+
+  /**
+   * 补齐字体记录的字段，同一批中的重名记录加上序号
+   * @param {Object} record - 适配器返回的记录
+   * @param {Set} names - 本批已使用的名称
+   */
+  normalize(record, names) {
+    let name = record.name || record.fontFamily || `Font-${Date.now()}`;
+    for (let index = 2; names.has(name); index++) {
+      name = `${record.name || record.fontFamily || 'Font'} (${index})`;
+    }
+    names.add(name);
+
+    return {
+      name,
+      displayName: name, // 用户可编辑的显示名称
+      url: record.url || null,
+      fontFamily: record.fontFamily || null,
+      fontId: record.fontId || null,
+      css: record.css || '',
+      faces: Array.isArray(record.faces) ? record.faces : [],
+      source: { ...record.source, type: record.type },
+      tags: [],
+      order: Date.now(), // 排序顺序
+      addedAt: new Date().toISOString(),
+      custom: {} // 用户自定义数据
+    };
+  }
+}
@@ -1,6 +1,6 @@
 /**
  * 字体管理UI模块 - 字体管理界面
- * 功能：字体列表显示、标签管理、导入导出
+ * 功能：字体列表显示（含加载状态）、字体布局（按区域设置字体）、离线缓存、标签管理、导入导出
  * 
  * 修改记录：
  * - 2025-09-06: 从ui.js分离为独立模块
@@ -8,6 +8,9 @@
  */
 
 import { UIBase } from './ui-base.js';
+import { FONT_SLOTS, FONT_WEIGHTS, SCALE_RANGE, DEFAULT_LAYOUT_NAME } from './font-manager-layouts.js';
+import { FONT_LOAD_STATES } from './font-manager-main.js';
+import { formatBytes } from './font-manager-cache.js';
 
 export class FontManagerUI extends UIBase {
   constructor(module) {
@@ -23,10 +26,18 @@ export class FontManagerUI extends UIBase {
       expandedFonts: new Set(), // 展开的字体项
       importMergeMode: true, // 导入模式：true=合并，false=覆盖
       tagManagerExpanded: false, // 标签管理区域展开状态
+      layoutExpanded: false, // 字体布局区域展开状态
+      cacheExpanded: false, // 离线缓存区域展开状态
       fontListExpanded: true // 字体库展开状态
     };
 
     this.fontListElement = null;
+
+    // 有离线缓存的字体名（显示徽章用）
+    this.cachedFontNames = new Set();
+
+    // 自动缓存失败的字体及原因（字体名 → 原因），显示在离线缓存区域
+    this.cacheFailures = new Map();
   }
 
   /**
@@ -53,7 +64,7 @@ export class FontManagerUI extends UIBase {
             <i class="fa fa-chevron-${this.uiState.fontAddExpanded ? 'up' : 'down'}" id="font-add-icon"></i>
           </div>
           <div class="font-add-content" id="font-add-content" style="${this.uiState.fontAddExpanded ? '' : 'display: none;'}">
-            <textarea id="font-input" placeholder='支持多种格式：
+            <textarea id="font-input" placeholder='支持多种格式，一次可以粘贴多个字体：
 1. 完整字体代码：
 @import url("https://fontsapi.zeoseven.com/256/main/result.css");
 body {
@@ -61,12 +72,22 @@ body {
 }
 
 2. 仅@import链接（需填写自定义名称）：
-@import url("https://fontsapi.zeoseven.com/119/main/result.css");' rows="5"></textarea>
+@import url("https://fontsapi.zeoseven.com/119/main/result.css");
+
+3. @font-face 代码块（可包含多个 src 和字重）
+
+4. Google Fonts 链接：
+https://fonts.googleapis.com/css2?family=Noto+Serif+SC:wght@400;700
+
+5. 字体文件链接（.woff2 / .woff / .ttf / .otf）' rows="5"></textarea>
             <div class="font-add-controls">
               <input type="text" id="font-name-input" placeholder="自定义字体名称（某些格式必填）" class="text_pole">
               <button id="add-font-btn" class="menu_button compact-btn">
                 + 添加
               </button>
+              <button id="font-upload-btn" class="menu_button compact-btn" title="上传本机的 .ttf/.otf/.woff/.woff2 文件，文件只保存在本设备">
+                <i class="fa fa-file-arrow-up"></i> 上传文件
+              </button>
             </div>
           </div>
         </div>
@@ -120,6 +141,56 @@ body {
           </div>
         </div>
         
+        <!-- 字体布局（按区域设置字体） -->
+        <div class="font-layout-section">
+          <div class="font-layout-header" id="font-layout-toggle">
+            <h4><i class="fa fa-table-columns"></i> 字体布局</h4>
+            <i class="fa fa-chevron-${this.uiState.layoutExpanded ? 'up' : 'down'}" id="font-layout-icon"></i>
+          </div>
+          <div class="font-layout-content" id="font-layout-content" style="${this.uiState.layoutExpanded ? '' : 'display: none;'}">
+            <div class="font-layout-toolbar">
+              <select id="font-layout-select" class="text_pole compact"></select>
+              <button id="font-layout-new-btn" class="menu_button compact icon-only" title="新建布局（复制当前布局）">
+                <i class="fa fa-plus"></i>
+              </button>
+              <button id="font-layout-delete-btn" class="menu_button compact icon-only danger" title="删除布局">
+                <i class="fa fa-trash"></i>
+              </button>
+            </div>
+            <div class="font-fallback-row">
+              <span>加载失败时使用</span>
+              <select id="font-fallback-select" class="text_pole compact" title="字体无法加载时显示的字体"></select>
+            </div>
+            <p class="hint-inline">没有指定字体的区域使用当前字体（字体库中选中的字体）。字号比例相对于SillyTavern的主字号。</p>
+            <div id="font-layout-slots" class="font-layout-slots"></div>
+          </div>
+        </div>
+
+        <!-- 离线缓存 -->
+        <div class="font-cache-section">
+          <div class="font-cache-header" id="font-cache-toggle">
+            <h4><i class="fa fa-hard-drive"></i> 离线缓存</h4>
+            <i class="fa fa-chevron-${this.uiState.cacheExpanded ? 'up' : 'down'}" id="font-cache-icon"></i>
+          </div>
+          <div class="font-cache-content" id="font-cache-content" style="${this.uiState.cacheExpanded ? '' : 'display: none;'}">
+            <label class="checkbox_label compact-checkbox">
+              <input type="checkbox" id="font-cache-enabled" ${this.module.cacheSettings.enabled ? 'checked' : ''}>
+              <span>缓存远程字体，没有网络时也能显示</span>
+            </label>
+            <div class="font-cache-limit">
+              <span>容量上限</span>
+              <input type="number" id="font-cache-max" class="text_pole compact" min="1" step="10"
+                     value="${Math.round(this.module.cacheSettings.maxSize / 1024 / 1024)}">
+              <span>MB</span>
+              <span id="font-cache-usage" class="font-cache-usage"></span>
+              <button id="font-cache-clear-btn" class="menu_button compact icon-only danger" title="清空缓存">
+                <i class="fa fa-trash"></i>
+              </button>
+            </div>
+            <div id="font-cache-list" class="font-cache-list"></div>
+          </div>
+        </div>
+
         <!-- 标签管理区域 -->
         <div class="tag-manager-section-compact">
           <div class="tag-manager-header" id="tag-manager-toggle">
@@ -138,11 +209,14 @@ body {
         
         <!-- 隐藏的文件输入 -->
         <input type="file" id="font-import-file" accept=".json" style="display: none;">
+        <input type="file" id="font-upload-file" accept=".ttf,.otf,.woff,.woff2" multiple style="display: none;">
       </div>
     `;
 
     // 刷新字体列表
     this.refreshFontList();
+    this.refreshLayoutSection();
+    this.refreshCacheSection();
     this.refreshTagManager();
     this.updateTagFilter();
   }
@@ -206,12 +280,58 @@ body {
       });
     }
 
+    // 字体布局折叠/展开
+    const layoutToggle = this.$('#font-layout-toggle');
+    if (layoutToggle) {
+      this.addEventListener(layoutToggle, 'click', () => {
+        const content = this.$('#font-layout-content');
+        const icon = this.$('#font-layout-icon');
+
+        this.uiState.layoutExpanded = !this.uiState.layoutExpanded;
+        content.style.display = this.uiState.layoutExpanded ? 'block' : 'none';
+        icon.className = `fa fa-chevron-${this.uiState.layoutExpanded ? 'up' : 'down'}`;
+
+        if (this.uiState.layoutExpanded) {
+          this.refreshLayoutSection();
+        }
+      });
+    }
+
+    this.bindLayoutEvents();
+
+    // 离线缓存折叠/展开
+    const cacheToggle = this.$('#font-cache-toggle');
+    if (cacheToggle) {
+      this.addEventListener(cacheToggle, 'click', () => {
+        const content = this.$('#font-cache-content');
+        const icon = this.$('#font-cache-icon');
+
+        this.uiState.cacheExpanded = !this.uiState.cacheExpanded;
+        content.style.display = this.uiState.cacheExpanded ? 'block' : 'none';
+        icon.className = `fa fa-chevron-${this.uiState.cacheExpanded ? 'up' : 'down'}`;
+
+        if (this.uiState.cacheExpanded) {
+          this.refreshCacheSection();
+        }
+      });
+    }
+
+    this.bindCacheEvents();
+
     // 添加字体按钮
     const addFontBtn = this.$('#add-font-btn');
     if (addFontBtn) {
       this.addEventListener(addFontBtn, 'click', () => this.handleAddFont());
     }
 
+    // 上传本地字体文件
+    const uploadBtn = this.$('#font-upload-btn');
+    const uploadFile = this.$('#font-upload-file');
+    if (uploadBtn && uploadFile) {
+      this.addEventListener(uploadBtn, 'click', () => uploadFile.click());
+      this.addEventListener(uploadFile, 'change', (e) => this.handleUploadFiles(e));
+    }
+
     // 搜索框
     const searchInput = this.$('#font-search');
     if (searchInput) {
@@ -256,16 +376,401 @@ body {
       });
     }
 
-    // 监听字体模块事件
-    this.module.eventBus.on('font:added', () => this.refreshFontList());
-    this.module.eventBus.on('font:removed', () => this.refreshFontList());
-    this.module.eventBus.on('font:updated', () => this.refreshFontList());
+    // 监听字体模块事件（字体变化时布局中的字体选项也要更新）
+    this.module.eventBus.on('font:added', () => {
+      this.refreshFontList();
+      this.refreshLayoutSection();
+    });
+    this.module.eventBus.on('font:removed', () => {
+      this.refreshFontList();
+      this.refreshLayoutSection();
+    });
+    this.module.eventBus.on('font:updated', () => {
+      this.refreshFontList();
+      this.refreshLayoutSection();
+    });
+    this.module.eventBus.on('font:restored', () => this.refresh());
+    this.module.eventBus.on('font:layoutChanged', () => this.refreshLayoutSection());
+    this.module.eventBus.on('font:fallbackChanged', () => this.refreshLayoutSection());
+    this.module.eventBus.on('font:loadStateChanged', ({ font }) => this.updateFontStatus(font));
+    this.module.eventBus.on('font:cacheChanged', ({ action, font, error }) => {
+      if (action === 'failed') {
+        // 同一原因只提示一次，之后留在缓存区域里
+        if (this.cacheFailures.get(font) !== error) {
+          const fontData = this.module.getFont(font);
+          this.showMessage(`字体"${fontData ? fontData.displayName || font : font}"无法缓存: ${error}`, 'warning');
+        }
+        this.cacheFailures.set(font, error);
+      } else if (action === 'cached') {
+        this.cacheFailures.delete(font);
+      }
+      this.refreshCacheSection();
+    });
+    this.module.eventBus.on('font:loadFailed', ({ font, status, fallback }) => {
+      const fontData = this.module.getFont(font);
+      const name = fontData ? fontData.displayName || font : font;
+      this.showMessage(`字体"${name}"${FONT_LOAD_STATES[status]}${fallback ? `，已改用"${fallback}"` : ''}`, 'warning');
+    });
     this.module.eventBus.on('font:tagsChanged', () => {
       this.refreshTagManager();
       this.updateTagFilter();
     });
   }
 
+  /**
+   * 绑定字体布局区域的事件（槽位列表会重新渲染，事件委托到列表容器）
+   */
+  bindLayoutEvents() {
+    const layoutSelect = this.$('#font-layout-select');
+    if (layoutSelect) {
+      this.addEventListener(layoutSelect, 'change', (e) => this.module.switchLayout(e.target.value));
+    }
+
+    const fallbackSelect = this.$('#font-fallback-select');
+    if (fallbackSelect) {
+      this.addEventListener(fallbackSelect, 'change', async (e) => {
+        try {
+          await this.module.setFallbackFont(e.target.value || null);
+        } catch (error) {
+          this.showMessage(error.message, 'error');
+          this.refreshLayoutSection();
+        }
+      });
+    }
+
+    const newLayoutBtn = this.$('#font-layout-new-btn');
+    if (newLayoutBtn) {
+      this.addEventListener(newLayoutBtn, 'click', async () => {
+        const name = this.prompt('新布局名称（复制当前布局的设置）:', '');
+        if (name === null) return;
+
+        try {
+          await this.module.createLayout(name, this.module.activeLayout);
+          this.showMessage(`已创建布局"${name.trim()}"`, 'success');
+        } catch (error) {
+          this.showMessage(error.message, 'error');
+        }
+      });
+    }
+
+    const deleteLayoutBtn = this.$('#font-layout-delete-btn');
+    if (deleteLayoutBtn) {
+      this.addEventListener(deleteLayoutBtn, 'click', async () => {
+        const name = this.module.activeLayout;
+        if (name === DEFAULT_LAYOUT_NAME) {
+          this.showMessage('默认布局不能删除', 'warning');
+          return;
+        }
+        if (this.confirm(`确定要删除布局"${name}"吗？`)) {
+          await this.module.removeLayout(name);
+        }
+      });
+    }
+
+    const slotList = this.$('#font-layout-slots');
+    if (!slotList) return;
+
+    this.addEventListener(slotList, 'change', (e) => {
+      const row = e.target.closest('.font-slot');
+      if (!row) return;
+
+      const value = e.target.value;
+      if (e.target.classList.contains('font-slot-font')) {
+        this.updateSlot(row.dataset.slot, { font: value || null });
+      } else if (e.target.classList.contains('font-slot-weight')) {
+        this.updateSlot(row.dataset.slot, { weight: value });
+      } else if (e.target.classList.contains('font-slot-scale')) {
+        this.updateSlot(row.dataset.slot, { scale: parseFloat(value) || 1 });
+      } else if (e.target.classList.contains('font-slot-fallback')) {
+        this.updateSlot(row.dataset.slot, { fallback: value.trim() });
+      } else if (e.target.classList.contains('font-slot-selectors')) {
+        this.updateSlot(row.dataset.slot, { selectors: value.trim() || null });
+      }
+    });
+
+    this.addEventListener(slotList, 'click', async (e) => {
+      const row = e.target.closest('.font-slot');
+      if (row && e.target.closest('.font-slot-reset')) {
+        await this.module.resetSlot(row.dataset.slot);
+      }
+    });
+  }
+
+  /**
+   * 修改槽位设置，无效时提示并恢复显示
+   */
+  async updateSlot(slotId, updates) {
+    try {
+      await this.module.updateSlot(slotId, updates);
+    } catch (error) {
+      this.showMessage(error.message, 'error');
+      this.refreshLayoutSection();
+    }
+  }
+
+  /**
+   * 刷新字体布局区域（布局选择和槽位列表）
+   */
+  refreshLayoutSection() {
+    const layoutSelect = this.$('#font-layout-select');
+    const slotList = this.$('#font-layout-slots');
+    if (!layoutSelect || !slotList) return;
+
+    layoutSelect.innerHTML = '';
+    this.module.getLayouts().forEach(layout => {
+      const option = document.createElement('option');
+      option.value = layout.name;
+      option.textContent = layout.name;
+      layoutSelect.appendChild(option);
+    });
+    layoutSelect.value = this.module.activeLayout;
+
+    const fallbackSelect = this.$('#font-fallback-select');
+    if (fallbackSelect) {
+      fallbackSelect.innerHTML = '';
+      [['', '系统字体'], ...this.module.getAllFonts().map(font => [font.name, font.displayName || font.name])].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        fallbackSelect.appendChild(option);
+      });
+      fallbackSelect.value = this.module.fallbackFont || '';
+    }
+
+    const deleteBtn = this.$('#font-layout-delete-btn');
+    if (deleteBtn) {
+      deleteBtn.disabled = this.module.activeLayout === DEFAULT_LAYOUT_NAME;
+    }
+
+    // 折叠时不渲染槽位
+    if (!this.uiState.layoutExpanded) return;
+
+    const layout = this.module.getActiveLayout();
+    slotList.innerHTML = '';
+    FONT_SLOTS.forEach(slot => slotList.appendChild(this.createSlotRow(slot, layout.slots[slot.id])));
+  }
+
+  /**
+   * 创建槽位设置行
+   */
+  createSlotRow(slot, settings) {
+    const weightOptions = Object.entries(FONT_WEIGHTS)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+
+    const row = this.createElement(`
+      <div class="font-slot" data-slot="${slot.id}">
+        <div class="font-slot-header">
+          <span class="font-slot-label">${slot.label}</span>
+          <span class="hint-inline">${slot.description}</span>
+          <button class="menu_button compact icon-only font-slot-reset" title="恢复默认">
+            <i class="fa fa-rotate-left"></i>
+          </button>
+        </div>
+        <div class="font-slot-controls">
+          <select class="text_pole compact font-slot-font" title="字体"></select>
+          <select class="text_pole compact font-slot-weight" title="字重">${weightOptions}</select>
+          <input type="number" class="text_pole compact font-slot-scale" title="字号比例"
+                 min="${SCALE_RANGE.min}" max="${SCALE_RANGE.max}" step="${SCALE_RANGE.step}">
+          <input type="text" class="text_pole compact font-slot-fallback" title="后备字体" placeholder="${slot.fallback}">
+        </div>
+        <input type="text" class="text_pole compact font-slot-selectors" title="选择器（留空使用默认）">
+      </div>
+    `);
+
+    // 字体名、后备字体和选择器来自用户输入，使用textContent/value避免注入
+    const fontSelect = row.querySelector('.font-slot-font');
+    const options = [['', '当前字体']];
+    this.module.getAllFonts().forEach(font => options.push([font.name, font.displayName || font.name]));
+    if (settings.font && !this.module.getFont(settings.font)) {
+      options.push([settings.font, `${settings.font}（已删除）`]);
+    }
+    options.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      fontSelect.appendChild(option);
+    });
+    fontSelect.value = settings.font || '';
+
+    row.querySelector('.font-slot-weight').value = settings.weight;
+    row.querySelector('.font-slot-scale').value = settings.scale;
+    row.querySelector('.font-slot-fallback').value = settings.fallback;
+
+    const selectors = row.querySelector('.font-slot-selectors');
+    selectors.value = settings.selectors || '';
+    selectors.placeholder = slot.selectors;
+
+    return row;
+  }
+
+  /**
+   * 绑定离线缓存区域的事件
+   */
+  bindCacheEvents() {
+    const enabledCheckbox = this.$('#font-cache-enabled');
+    if (enabledCheckbox) {
+      this.addEventListener(enabledCheckbox, 'change', (e) => this.updateCacheSettings({ enabled: e.target.checked }));
+    }
+
+    const maxInput = this.$('#font-cache-max');
+    if (maxInput) {
+      this.addEventListener(maxInput, 'change', (e) => {
+        this.updateCacheSettings({ maxSize: Math.round(parseFloat(e.target.value) * 1024 * 1024) });
+      });
+    }
+
+    const clearBtn = this.$('#font-cache-clear-btn');
+    if (clearBtn) {
+      this.addEventListener(clearBtn, 'click', async () => {
+        if (this.confirm('确定要清空字体缓存吗？之后字体将重新从网络加载。')) {
+          const count = await this.module.clearFontCache();
+          this.showMessage(`已清空 ${count} 个字体的缓存`, 'success');
+        }
+      });
+    }
+
+    const cacheList = this.$('#font-cache-list');
+    if (!cacheList) return;
+
+    this.addEventListener(cacheList, 'click', async (e) => {
+      const row = e.target.closest('.font-cache-row');
+      if (!row) return;
+
+      if (e.target.closest('.font-cache-refresh')) {
+        await this.handleRefreshCache(row.dataset.font);
+      } else if (e.target.closest('.font-cache-remove')) {
+        await this.module.removeFontCache(row.dataset.key);
+      }
+    });
+  }
+
+  /**
+   * 修改离线缓存设置，无效时提示并恢复显示
+   */
+  async updateCacheSettings(updates) {
+    try {
+      await this.module.setCacheSettings(updates);
+    } catch (error) {
+      this.showMessage(error.message, 'error');
+      this.$('#font-cache-enabled').checked = this.module.cacheSettings.enabled;
+      this.$('#font-cache-max').value = Math.round(this.module.cacheSettings.maxSize / 1024 / 1024);
+    }
+  }
+
+  /**
+   * 从来源重新下载字体并更新缓存
+   */
+  async handleRefreshCache(fontName) {
+    this.showMessage(`正在重新下载"${fontName}"...`, 'info');
+    try {
+      await this.module.refreshFontCache(fontName);
+      this.showMessage(`已更新"${fontName}"的缓存`, 'success');
+    } catch (error) {
+      this.showMessage(`更新失败，仍使用原来的缓存: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 刷新离线缓存区域（使用情况和缓存列表），缓存的字体变化时更新字体列表的徽章
+   */
+  async refreshCacheSection() {
+    let info;
+    try {
+      info = await this.module.getCacheInfo();
+    } catch (error) {
+      console.warn('[FontManagerUI] 读取字体缓存失败:', error);
+      return;
+    }
+
+    const names = new Set(info.entries.flatMap(entry => entry.fonts));
+    const changed = names.size !== this.cachedFontNames.size || Array.from(names).some(name => !this.cachedFontNames.has(name));
+    this.cachedFontNames = names;
+    if (changed) {
+      this.refreshFontList();
+    }
+
+    const usage = this.$('#font-cache-usage');
+    if (usage) {
+      usage.textContent = `已用 ${formatBytes(info.totalSize)} / ${formatBytes(info.maxSize)}`;
+    }
+
+    const cacheList = this.$('#font-cache-list');
+    if (!cacheList) return;
+
+    cacheList.innerHTML = '';
+    this.cacheFailures.forEach((error, font) => {
+      const fontData = this.module.getFont(font);
+      if (fontData) {
+        cacheList.appendChild(this.createCacheFailureRow(fontData.displayName || font, error));
+      }
+    });
+
+    if (info.entries.length === 0) {
+      if (cacheList.children.length === 0) {
+        cacheList.innerHTML = `<p class="hint">${info.enabled ? '还没有缓存的字体，远程字体加载成功后会自动缓存。' : '开启后，远程字体加载成功时会保存到本设备。'}</p>`;
+      }
+      return;
+    }
+
+    info.entries
+      .sort((a, b) => new Date(b.usedAt) - new Date(a.usedAt))
+      .forEach(entry => cacheList.appendChild(this.createCacheRow(entry)));
+  }
+
+  /**
+   * 创建缓存条目行
+   */
+  createCacheRow(entry) {
+    const row = this.createElement(`
+      <div class="font-cache-row">
+        <span class="font-cache-name"></span>
+        <span class="font-cache-meta"></span>
+        <button class="menu_button compact icon-only font-cache-refresh" title="从来源重新下载">
+          <i class="fa fa-cloud-arrow-down"></i>
+        </button>
+        <button class="menu_button compact icon-only danger font-cache-remove" title="删除缓存">
+          <i class="fa fa-trash"></i>
+        </button>
+      </div>
+    `);
+
+    // 字体名来自用户输入，使用textContent避免注入
+    const fontName = entry.fonts[0] || null;
+    row.dataset.key = entry.key;
+    row.dataset.font = fontName || '';
+    row.querySelector('.font-cache-name').textContent = fontName
+      ? entry.fonts.join('、')
+      : `${entry.font}（已删除或来源已变化）`;
+    row.querySelector('.font-cache-meta').textContent =
+      `${formatBytes(entry.size)} · ${entry.fileCount} 个文件 · ${new Date(entry.cachedAt).toLocaleDateString()}`;
+
+    // 字体已不存在时无法从来源刷新
+    if (!fontName) {
+      row.querySelector('.font-cache-refresh').remove();
+    }
+
+    return row;
+  }
+
+  /**
+   * 创建缓存失败行（说明字体为什么没有缓存）
+   */
+  createCacheFailureRow(name, error) {
+    const row = this.createElement(`
+      <div class="font-cache-row font-cache-failed">
+        <i class="fa fa-triangle-exclamation"></i>
+        <span class="font-cache-name"></span>
+        <span class="font-cache-error"></span>
+      </div>
+    `);
+
+    row.querySelector('.font-cache-name').textContent = name;
+    row.querySelector('.font-cache-error').textContent = error;
+    row.title = error;
+    return row;
+  }
+
   /**
    * 处理添加字体
    */
@@ -278,48 +783,46 @@ body {
       return;
     }
 
-    // 解析字体
-    let fontData = null;
+    // 解析字体（一段代码可能包含多个字体）
+    const fonts = this.module.parseFonts(input, customName);
 
-    // 检查是否只是@import语句
-    if (input.includes('@import') && !input.includes('font-family')) {
-      // 只有@import，需要自定义名称
-      if (!customName) {
-        alert('检测到仅包含@import链接，请输入自定义字体名称');
-        return;
-      }
-
-      fontData = this.module.parseFont(input, customName);
-      if (fontData) {
-        // 生成完整CSS
-        fontData.css = `${input}\nbody { font-family: "${customName}"; }`;
-        fontData.fontFamily = customName;
-      }
-    } else {
-      // 尝试原有的解析方法
-      fontData = this.module.parseFont(input, customName);
+    if (fonts.length === 0) {
+      alert('无法解析字体代码，请检查格式');
+      return;
     }
 
-    if (!fontData) {
-      alert('无法解析字体代码，请检查格式');
+    // 只有链接、没有写明字体名时需要自定义名称
+    if (fonts.some(font => !font.fontFamily)) {
+      alert(fonts.length === 1
+        ? '检测到仅包含@import链接，请输入自定义字体名称'
+        : '部分链接无法确定字体名称，请为每个链接写上 font-family，或分开添加');
       return;
     }
 
     // 添加字体
-    const success = await this.module.addFont(fontData);
+    const added = [];
+    for (const font of fonts) {
+      if (await this.module.addFont(font)) {
+        added.push(font);
+      }
+    }
 
-    if (success) {
+    if (added.length > 0) {
       // 清空输入
       this.$('#font-input').value = '';
       this.$('#font-name-input').value = '';
 
       // 自动设置为当前字体
-      await this.module.setCurrentFont(fontData.name);
+      await this.module.setCurrentFont(added[0].name);
 
       // 刷新列表
       this.refreshFontList();
 
-      this.showMessage('字体添加成功', 'success');
+      const skipped = fonts.length - added.length;
+      this.showMessage(
+        fonts.length === 1 ? '字体添加成功' : `已添加 ${added.length} 个字体${skipped ? `，${skipped} 个同名字体已存在` : ''}`,
+        'success'
+      );
     } else {
       alert('字体添加失败，可能已存在同名字体');
     }
@@ -350,11 +853,43 @@ body {
     }
   }
 
+  /**
+   * 处理上传本地字体文件（自定义名称不为空时所有文件作为同一字体）
+   */
+  async handleUploadFiles(event) {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    const customName = this.$('#font-name-input').value.trim();
+
+    try {
+      const added = await this.module.addLocalFonts(files, customName || null);
+
+      if (added.length === 0) {
+        alert('字体添加失败，可能已存在同名字体');
+        return;
+      }
+
+      this.$('#font-name-input').value = '';
+      await this.module.setCurrentFont(added[0].name);
+      this.refreshFontList();
+
+      this.showMessage(added.length === 1 ? `已上传字体 ${added[0].name}` : `已上传 ${added.length} 个字体`, 'success');
+    } catch (error) {
+      alert('上传失败: ' + error.message);
+    }
+  }
+
   /**
    * 处理导出字体
    */
-  handleExportFonts() {
-    const data = this.module.exportFonts();
+  async handleExportFonts() {
+    // 本地上传的字体只保存在本设备，询问是否把文件一起导出
+    const embedFiles = this.module.hasLocalFonts() &&
+      this.confirm('是否把本地上传的字体文件嵌入导出文件？\n嵌入后在其他设备导入也能使用，但文件会变大。');
+
+    const data = await this.module.exportFonts({ embedFiles });
 
     const blob = new Blob([data], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -421,7 +956,7 @@ body {
       if (emptyState) emptyState.style.display = 'none';
 
       // 渲染字体列表
-      fontList.innerHTML = fonts.map(font => this.createFontItem(font)).join('');
+      fontList.replaceChildren(...fonts.map(font => this.createFontItem(font)));
 
       // 添加拖拽功能
       this.initDragAndDrop();
@@ -432,94 +967,185 @@ body {
   }
 
   /**
-   * 创建字体项HTML
+   * 创建字体项
+   * 字体名和标签来自用户输入或导入的主题包，使用textContent/dataset避免注入
    */
   createFontItem(font) {
     const isCurrent = this.module.currentFont === font.name;
     const isExpanded = this.uiState.expandedFonts.has(font.name);
-
-    const tagsHtml = font.tags && font.tags.length > 0
-      ? font.tags.map(tag => `<span class="font-tag">${tag}</span>`).join('')
-      : '<span class="font-tag-empty">无标签</span>';
+    const fontTags = font.tags || [];
 
     // 获取现有的所有标签
     const allTags = Array.from(this.module.tags);
-    const tagCheckboxes = allTags.map(tag => `
-      <label class="tag-checkbox">
-        <input type="checkbox" value="${tag}" ${font.tags && font.tags.includes(tag) ? 'checked' : ''}>
-        <span>${tag}</span>
-      </label>
-    `).join('');
 
-    // 现有标签的删除列表
-    const currentTagsList = font.tags && font.tags.length > 0
-      ? font.tags.map(tag => `
-        <div class="tag-item">
-          <span>${tag}</span>
-          <button class="remove-tag-btn" data-font="${font.name}" data-tag="${tag}">×</button>
-        </div>
-      `).join('')
-      : '<div class="no-tags">暂无标签</div>';
-
-    return `
-      <div class="font-item ${isCurrent ? 'current' : ''} ${isExpanded ? 'expanded' : ''}" 
-           data-font-name="${font.name}" 
-           draggable="true">
-        
+    const item = this.createElement(`
+      <div class="font-item" draggable="true">
         <!-- 字体主信息行 -->
         <div class="font-item-main">
-          <div class="font-item-header" data-font="${font.name}">
+          <div class="font-item-header">
             <i class="fa fa-chevron-${isExpanded ? 'up' : 'down'} expand-icon"></i>
-            <span class="font-item-name">
-              ${font.displayName || font.name}
-              ${isCurrent ? ' <span class="current-badge">✔</span>' : ''}
-            </span>
-            <div class="font-item-tags">
-              ${tagsHtml}
-            </div>
+            <span class="font-item-name"></span>
+            <div class="font-item-tags"></div>
           </div>
-          
+
           <div class="font-item-actions">
-            <button class="font-action-btn font-use-btn" data-font="${font.name}" title="使用">
+            <button class="font-action-btn font-retry-btn" title="重新加载">
+              <i class="fa fa-rotate-right"></i>
+            </button>
+            <button class="font-action-btn font-use-btn" title="使用">
               <i class="fa fa-check"></i>
             </button>
-            <button class="font-action-btn font-edit-btn" data-font="${font.name}" title="编辑名称">
+            <button class="font-action-btn font-edit-btn" title="编辑名称">
               <i class="fa fa-edit"></i>
             </button>
-            <button class="font-action-btn font-delete-btn" data-font="${font.name}" title="删除">
+            <button class="font-action-btn font-delete-btn" title="删除">
               <i class="fa fa-trash"></i>
             </button>
           </div>
         </div>
-        
+
         <!-- 展开的编辑区域 -->
-        <div class="font-item-details" style="display: ${isExpanded ? 'block' : 'none'};">
+        <div class="font-item-details">
           <div class="tag-editor">
             <div class="tag-section">
               <h6>当前标签</h6>
-              <div class="current-tags">
-                ${currentTagsList}
-              </div>
+              <div class="current-tags"></div>
             </div>
-            
+
             <div class="tag-section">
               <h6>添加标签</h6>
               <div class="tag-input-group">
-                <input type="text" class="tag-new-input" placeholder="输入新标签" data-font="${font.name}">
-                <button class="add-new-tag-btn" data-font="${font.name}">添加</button>
+                <input type="text" class="tag-new-input" placeholder="输入新标签">
+                <button class="add-new-tag-btn">添加</button>
               </div>
-              
-              ${allTags.length > 0 ? `
-                <div class="existing-tags">
-                  ${tagCheckboxes}
-                </div>
-                <button class="apply-tags-btn" data-font="${font.name}">应用选中标签</button>
-              ` : ''}
             </div>
           </div>
         </div>
       </div>
-    `;
+    `);
+
+    item.dataset.fontName = font.name;
+    item.classList.toggle('current', isCurrent);
+    item.classList.toggle('expanded', isExpanded);
+    item.querySelector('.font-item-details').style.display = isExpanded ? 'block' : 'none';
+    item.querySelector('.font-retry-btn').style.display = this.canRetry(font.name) ? '' : 'none';
+    item.querySelectorAll('.font-item-header, .font-action-btn, .tag-new-input, .add-new-tag-btn').forEach(el => {
+      el.dataset.font = font.name;
+    });
+
+    // 名称和徽章
+    const name = item.querySelector('.font-item-name');
+    name.append(font.displayName || font.name);
+    const badges = [
+      font.source && font.source.type === 'local-file'
+        ? this.createElement('<span class="font-local-badge" title="本地上传的文件">本地</span>')
+        : null,
+      this.cachedFontNames.has(font.name)
+        ? this.createElement('<span class="font-cache-badge" title="已缓存到本设备，没有网络时也能显示">离线</span>')
+        : null,
+      this.createStatusBadge(font.name),
+      isCurrent ? this.createElement('<span class="current-badge">✔</span>') : null
+    ];
+    badges.filter(Boolean).forEach(badge => name.append(' ', badge));
+
+    // 标签
+    const tags = item.querySelector('.font-item-tags');
+    if (fontTags.length > 0) {
+      fontTags.forEach(tag => tags.append(this.createTextElement('span', 'font-tag', tag)));
+    } else {
+      tags.append(this.createTextElement('span', 'font-tag-empty', '无标签'));
+    }
+
+    // 现有标签的删除列表
+    const currentTags = item.querySelector('.current-tags');
+    if (fontTags.length > 0) {
+      fontTags.forEach(tag => {
+        const row = this.createElement('<div class="tag-item"><span></span><button class="remove-tag-btn">×</button></div>');
+        row.querySelector('span').textContent = tag;
+        Object.assign(row.querySelector('.remove-tag-btn').dataset, { font: font.name, tag });
+        currentTags.append(row);
+      });
+    } else {
+      currentTags.append(this.createTextElement('div', 'no-tags', '暂无标签'));
+    }
+
+    if (allTags.length > 0) {
+      const existingTags = this.createTextElement('div', 'existing-tags', '');
+      allTags.forEach(tag => {
+        const label = this.createElement('<label class="tag-checkbox"><input type="checkbox"><span></span></label>');
+        const checkbox = label.querySelector('input');
+        checkbox.value = tag;
+        checkbox.checked = fontTags.includes(tag);
+        label.querySelector('span').textContent = tag;
+        existingTags.append(label);
+      });
+
+      const applyBtn = this.createTextElement('button', 'apply-tags-btn', '应用选中标签');
+      applyBtn.dataset.font = font.name;
+      item.querySelectorAll('.tag-section')[1].append(existingTags, applyBtn);
+    }
+
+    return item;
+  }
+
+  /**
+   * 创建只含文本的元素
+   */
+  createTextElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    element.className = className;
+    element.textContent = text;
+    return element;
+  }
+
+  /**
+   * 字体加载状态徽章（未加载时为null）
+   */
+  createStatusBadge(fontName) {
+    const state = this.module.getLoadState(fontName);
+    if (state.status === 'idle') return null;
+
+    const badge = this.createTextElement('span', `font-status-badge font-status-${state.status}`, FONT_LOAD_STATES[state.status]);
+    badge.title = state.error || FONT_LOAD_STATES[state.status];
+    return badge;
+  }
+
+  /**
+   * 加载失败或超时的字体可以重试
+   */
+  canRetry(fontName) {
+    const { status } = this.module.getLoadState(fontName);
+    return status === 'failed' || status === 'timeout';
+  }
+
+  /**
+   * 只更新一个字体项的加载状态（不重新渲染列表）
+   */
+  updateFontStatus(fontName) {
+    const fontItem = this.$(`.font-item[data-font-name="${CSS.escape(fontName)}"]`);
+    if (!fontItem) return;
+
+    const oldBadge = fontItem.querySelector('.font-status-badge');
+    const newBadge = this.createStatusBadge(fontName);
+
+    if (oldBadge && newBadge) {
+      oldBadge.replaceWith(newBadge);
+    } else if (oldBadge) {
+      oldBadge.remove();
+    } else if (newBadge) {
+      const localBadge = fontItem.querySelector('.font-local-badge');
+      const name = fontItem.querySelector('.font-item-name');
+      if (localBadge) {
+        localBadge.after(newBadge);
+      } else {
+        name.insertBefore(newBadge, name.querySelector('.current-badge'));
+      }
+    }
+
+    const retryBtn = fontItem.querySelector('.font-retry-btn');
+    if (retryBtn) {
+      retryBtn.style.display = this.canRetry(fontName) ? '' : 'none';
+    }
   }
 
   /**
@@ -530,7 +1156,7 @@ body {
     this.$$('.font-item-header').forEach(header => {
       this.addEventListener(header, 'click', (e) => {
         const fontName = e.currentTarget.dataset.font;
-        const fontItem = this.$(`.font-item[data-font-name="${fontName}"]`);
+        const fontItem = this.$(`.font-item[data-font-name="${CSS.escape(fontName)}"]`);
         const details = fontItem.querySelector('.font-item-details');
         const icon = fontItem.querySelector('.expand-icon');
 
@@ -548,6 +1174,14 @@ body {
       });
     });
 
+    // 重新加载失败的字体
+    this.$$('.font-retry-btn').forEach(btn => {
+      this.addEventListener(btn, 'click', (e) => {
+        e.stopPropagation();
+        this.module.retryFontLoad(e.currentTarget.dataset.font);
+      });
+    });
+
     // 使用字体
     this.$$('.font-use-btn').forEach(btn => {
       this.addEventListener(btn, 'click', async (e) => {
@@ -612,7 +1246,7 @@ body {
     this.$$('.add-new-tag-btn').forEach(btn => {
       this.addEventListener(btn, 'click', async (e) => {
         const fontName = e.currentTarget.dataset.font;
-        const input = this.$(`.tag-new-input[data-font="${fontName}"]`);
+        const input = this.$(`.tag-new-input[data-font="${CSS.escape(fontName)}"]`);
         const newTag = input.value.trim();
 
         if (newTag) {
@@ -635,7 +1269,7 @@ body {
     this.$$('.apply-tags-btn').forEach(btn => {
       this.addEventListener(btn, 'click', async (e) => {
         const fontName = e.currentTarget.dataset.font;
-        const fontItem = this.$(`.font-item[data-font-name="${fontName}"]`);
+        const fontItem = this.$(`.font-item[data-font-name="${CSS.escape(fontName)}"]`);
         const checkboxes = fontItem.querySelectorAll('.tag-checkbox input:checked');
 
         const selectedTags = Array.from(checkboxes).map(cb => cb.value);
@@ -660,7 +1294,7 @@ body {
       this.addEventListener(input, 'keypress', (e) => {
         if (e.key === 'Enter') {
           const fontName = e.currentTarget.dataset.font;
-          const addBtn = this.$(`.add-new-tag-btn[data-font="${fontName}"]`);
+          const addBtn = this.$(`.add-new-tag-btn[data-font="${CSS.escape(fontName)}"]`);
           if (addBtn) addBtn.click();
         }
       });
@@ -750,18 +1384,23 @@ body {
         });
       });
 
-      // 生成标签管理项
-      tagManagerList.innerHTML = tags.map(tag => `
-        <div class="tag-manager-item-compact">
-          <div class="tag-info">
-            <span class="tag-name">${tag}</span>
-            <span class="tag-usage">${tagUsage[tag]} 个</span>
+      // 生成标签管理项（标签名来自用户输入或导入的主题包，使用textContent/dataset）
+      tagManagerList.replaceChildren(...tags.map(tag => {
+        const row = this.createElement(`
+          <div class="tag-manager-item-compact">
+            <div class="tag-info">
+              <span class="tag-name"></span>
+              <span class="tag-usage">${tagUsage[tag]} 个</span>
+            </div>
+            <button class="tag-delete-btn-compact" title="删除标签">
+              <i class="fa fa-trash"></i>
+            </button>
           </div>
-          <button class="tag-delete-btn-compact" data-tag="${tag}" title="删除标签">
-            <i class="fa fa-trash"></i>
-          </button>
-        </div>
-      `).join('');
+        `);
+        row.querySelector('.tag-name').textContent = tag;
+        row.querySelector('.tag-delete-btn-compact').dataset.tag = tag;
+        return row;
+      }));
 
       // 绑定删除标签事件
       this.$$('.tag-delete-btn-compact').forEach(btn => {
@@ -791,8 +1430,13 @@ body {
     filter.innerHTML = `
       <option value="all">所有标签</option>
       <option value="untagged">未分类</option>
-      ${tags.map(tag => `<option value="${tag}">${tag}</option>`).join('')}
     `;
+    tags.forEach(tag => {
+      const option = document.createElement('option');
+      option.value = tag;
+      option.textContent = tag;
+      filter.appendChild(option);
+    });
 
     // 恢复选择
     filter.value = currentValue;
@@ -802,7 +1446,14 @@ body {
    * 刷新UI
    */
   refresh() {
+    const fontEnabledCheckbox = this.$('#font-enabled');
+    if (fontEnabledCheckbox) {
+      fontEnabledCheckbox.checked = this.module.fontEnabled;
+    }
+
     this.refreshFontList();
+    this.refreshLayoutSection();
+    this.refreshCacheSection();
     this.refreshTagManager();
     this.updateTagFilter();
   }
@@ -3,24 +3,38 @@
  * 
  * 核心功能：
  * - SillyTavern扩展系统初始化和生命周期管理
- * - 协调四大功能模块：可视化编辑器、字体管理、CSS增强、标签页管理
+ * - 协调功能模块：可视化编辑器、字体管理、CSS增强、样式变量、标签页管理
  * - 提供统一的存储接口和EventBus通信机制
  * - 扩展设置页面集成和API接口暴露
  */
 
 // 导入核心模块
 import { CoreStorage } from './core-storage.js';
+import { BlobStore } from './core-blob-store.js';
 import { EventBus } from './core-events.js';
 import { CoreEngine } from './core-engine.js';
+import { ThemePackageManager } from './core-theme-package.js';
+import { ProfileManager } from './core-profiles.js';
+import { PluginManager, PLUGIN_API_VERSION } from './core-plugins.js';
+import { ColorSchemeManager } from './core-color-scheme.js';
+import { EventTimelineUI } from './ui-event-timeline.js';
 
 // 导入功能模块
 import { CssEnhanceModule } from './css-enhance-main.js';
-import { FontManagerModule } from './font-manager-main.js';
-import { VisualEditorMain } from './visual-editor-main.js';
+import { FontManagerModule, FONT_MANAGER_MIGRATIONS, FONT_MANAGER_MERGERS } from './font-manager-main.js';
+import { CssVariablesModule } from './css-variables-main.js';
+import { VisualEditorMain, VISUAL_EDITOR_MIGRATIONS } from './visual-editor-main.js';
 
 // 导入UI管理器
 import { TabManager } from './ui-tab-manager.js';
 
+// 全局设置默认值
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  realTimeUpdate: true,
+  debugMode: false
+};
+
 // ========== 主扩展类 ==========
 class EnhancedCustomCSSPlus {
   constructor() {
@@ -30,9 +44,26 @@ class EnhancedCustomCSSPlus {
     console.log(`[${this.extensionName}] 构造函数执行，版本 ${this.version}`);
 
     // 初始化核心服务
-    this.storage = new CoreStorage(this.extensionName);
+    this.storage = new CoreStorage(this.extensionName, {
+      migrations: [...FONT_MANAGER_MIGRATIONS, ...VISUAL_EDITOR_MIGRATIONS],
+      mergers: { ...FONT_MANAGER_MERGERS },
+      keyOwners: {
+        'font-manager': /^(fonts|currentFont|fontEnabled|fontLayouts|fallbackFont|fontCache)$/,
+        'visual-editor': /^visualEditor_/,
+        'css-enhance': /^cssEnhance/,
+        'css-variables': /^cssVariables$/,
+        core: /^(globalSettings|debugMode|script|profiles$|colorScheme$)/,
+        plugins: /^plugin_/
+      }
+    });
+    // 字体等二进制文件保存在IndexedDB中，只保存在本设备
+    this.blobs = new BlobStore(this.extensionName);
     this.eventBus = new EventBus();
     this.coreEngine = new CoreEngine(this.storage, this.eventBus);
+    this.themePackages = new ThemePackageManager(this);
+    this.profiles = new ProfileManager(this.storage, this.eventBus);
+    this.plugins = new PluginManager(this);
+    this.colorScheme = new ColorSchemeManager(this.storage, this.eventBus);
 
     // 初始化模块容器
     this.modules = new Map();
@@ -41,11 +72,7 @@ class EnhancedCustomCSSPlus {
     this.tabManager = new TabManager(this);
 
     // 全局设置
-    this.settings = {
-      enabled: true,
-      realTimeUpdate: true,
-      debugMode: false
-    };
+    this.settings = { ...DEFAULT_SETTINGS };
 
     // 标记初始化状态
     this.initialized = false;
@@ -61,8 +88,9 @@ class EnhancedCustomCSSPlus {
       // 1. 加载设置
       await this.loadSettings();
 
-      // 2. 初始化核心引擎
+      // 2. 初始化核心引擎和配色方案（模块加载前确定深色/浅色）
       await this.coreEngine.init();
+      await this.colorScheme.init();
 
       // 3. 初始化标签页管理器
       await this.tabManager.init();
@@ -76,7 +104,10 @@ class EnhancedCustomCSSPlus {
       // 6. 暴露全局API
       this.exposeAPI();
 
-      // 7. 标记初始化完成
+      // 7. 加载插件
+      await this.plugins.start();
+
+      // 8. 标记初始化完成
       this.initialized = true;
 
       console.log(`[${this.extensionName}] ✅ 初始化完成！`);
@@ -101,6 +132,22 @@ class EnhancedCustomCSSPlus {
     console.log(`[${this.extensionName}] 设置已加载:`, this.settings);
   }
 
+  /**
+   * 重新加载全局设置（切换配置档案后），状态变化时通知各模块
+   */
+  async reloadSettings() {
+    const previous = this.settings;
+    this.settings = { ...DEFAULT_SETTINGS };
+    await this.loadSettings();
+
+    if (this.settings.debugMode !== previous.debugMode) {
+      this.eventBus.emit('debug:toggle', this.settings.debugMode);
+    }
+    if (this.settings.enabled !== previous.enabled) {
+      this.eventBus.emit('extension:toggle', this.settings.enabled);
+    }
+  }
+
   /**
    * 保存设置
    */
@@ -124,12 +171,17 @@ class EnhancedCustomCSSPlus {
     await fontManagerModule.init();
     this.modules.set('font-manager', fontManagerModule);
 
-    // 3. 可视化编辑器模块
+    // 3. 样式变量模块（先于可视化编辑器注入变量，编辑器的颜色控件可以绑定变量）
+    const cssVariablesModule = new CssVariablesModule(this);
+    await cssVariablesModule.init();
+    this.modules.set('css-variables', cssVariablesModule);
+
+    // 4. 可视化编辑器模块
     const visualEditor = new VisualEditorMain(this);
     await visualEditor.init();
     this.modules.set('visual-editor', visualEditor);
 
-    // 4. 注册模块到标签页
+    // 5. 注册模块到标签页
     this.modules.forEach(module => {
       if (module.getTabConfig) {
         const tabConfig = module.getTabConfig();
@@ -137,6 +189,16 @@ class EnhancedCustomCSSPlus {
       }
     });
 
+    // 6. 事件调试标签页
+    this.tabManager.registerTab({
+      id: 'event-timeline',
+      title: '事件调试',
+      icon: 'fa-bug',
+      ui: EventTimelineUI,
+      module: this.eventBus,
+      order: 900
+    });
+
     console.log(`[${this.extensionName}] 已初始化 ${this.modules.size} 个模块`);
   }
 
@@ -144,6 +206,14 @@ class EnhancedCustomCSSPlus {
    * 设置事件监听器
    */
   setupEventListeners() {
+    // 本地存储接近预算或写入失败
+    this.storage.on('quota', (usage) => this.notifyStorageQuota(usage));
+    this.storage.on('quotaExceeded', ({ key }) => {
+      this.showToast(`本地存储空间已满，${key} 只保存到了云端`, 'error');
+    });
+    // 加载时已超出预算的情况（事件在监听前已触发）
+    this.notifyStorageQuota(this.storage.getUsage());
+
     // 扩展启用/禁用
     this.eventBus.on('extension:toggle', async (enabled) => {
       this.settings.enabled = enabled;
@@ -165,9 +235,21 @@ class EnhancedCustomCSSPlus {
     // 调试模式
     this.eventBus.on('debug:toggle', (enabled) => {
       this.settings.debugMode = enabled;
-      this.eventBus.debugMode = enabled;
+      this.eventBus.setDebugMode(enabled);
       this.coreEngine.setDebugMode(enabled);
     });
+    this.eventBus.setDebugMode(!!this.settings.debugMode);
+
+    // 切换配置档案后重新加载全局设置
+    this.eventBus.on('profile:switched', () => this.reloadSettings());
+
+    // 从恢复点恢复后通知各模块重新加载
+    this.storage.on('snapshotRestored', (snapshot) => {
+      this.eventBus.emit('storage:restored', snapshot);
+      if (snapshot.keys.includes('globalSettings')) {
+        this.reloadSettings();
+      }
+    });
 
     // 监听页面主题变化
     this.watchThemeChanges();
@@ -263,6 +345,39 @@ class EnhancedCustomCSSPlus {
     return this.modules.get(moduleId);
   }
 
+  /**
+   * 清空存储的所有数据；恢复点保存失败时再次询问用户
+   * @returns {Promise<boolean>} 是否已清空
+   */
+  async clearStorage() {
+    if (await this.storage.clear()) return true;
+
+    if (!confirm('保存恢复点失败（存储空间可能不足），继续清空后将无法撤销。仍要继续吗？')) {
+      return false;
+    }
+    return this.storage.clear({ withoutSnapshot: true });
+  }
+
+  /**
+   * 获取统计信息（引擎、各模块和插件）
+   */
+  getStats() {
+    const modules = {};
+    this.modules.forEach((module, id) => {
+      if (module.getStats) {
+        modules[id] = module.getStats();
+      }
+    });
+
+    return {
+      version: this.version,
+      engine: this.coreEngine.getStats(),
+      colorScheme: this.colorScheme.getStats(),
+      modules,
+      plugins: this.plugins.getStats()
+    };
+  }
+
   /**
    * 暴露全局API
    */
@@ -278,15 +393,84 @@ class EnhancedCustomCSSPlus {
       // 模块访问
       getModule: (moduleId) => this.getModule(moduleId),
 
+      // 插件
+      pluginApiVersion: PLUGIN_API_VERSION,
+      registerModule: (definition) => this.plugins.register(definition),
+      unregisterModule: (id) => this.plugins.unregister(id),
+      getPlugins: () => this.plugins.getStats().plugins,
+
+      // 主题包
+      exportThemePackage: (metadata) => this.themePackages.createPackage(metadata),
+      downloadThemePackage: async (metadata) => this.themePackages.download(await this.themePackages.createPackage(metadata)),
+      previewThemePackage: (input) => this.themePackages.preview(this.themePackages.parse(input)),
+      importThemePackage: (input, options) => this.themePackages.importPackage(input, options),
+
       // 获取字体列表
       getFonts: () => {
         const fontModule = this.modules.get('font-manager');
         return fontModule ? Array.from(fontModule.fonts.values()) : [];
       },
+      parseFonts: (input, customName) => this.modules.get('font-manager').parseFonts(input, customName),
+      registerFontSource: (adapter) => this.modules.get('font-manager').registerFontSource(adapter),
+      addLocalFonts: (files, customName) => this.modules.get('font-manager').addLocalFonts(files, customName),
+      getFontLayouts: () => {
+        const fontModule = this.modules.get('font-manager');
+        return fontModule ? fontModule.getLayouts() : [];
+      },
+      switchFontLayout: (name) => this.modules.get('font-manager').switchLayout(name),
+      getFontLoadState: (name) => this.modules.get('font-manager').getLoadState(name),
+      retryFontLoad: (name) => this.modules.get('font-manager').retryFontLoad(name),
+      getFontCacheInfo: () => this.modules.get('font-manager').getCacheInfo(),
+      refreshFontCache: (name) => this.modules.get('font-manager').refreshFontCache(name),
+      setFontSlot: (slotId, settings) => this.modules.get('font-manager').updateSlot(slotId, settings),
+      getStoredFiles: () => this.blobs.list(),
+
+      // 样式变量
+      getVariables: () => {
+        const variablesModule = this.modules.get('css-variables');
+        return variablesModule ? variablesModule.getVariables() : [];
+      },
+      setVariable: (name, data) => this.modules.get('css-variables').setVariable(name, data),
+
+      // 配色方案
+      getColorScheme: () => this.colorScheme.getScheme(),
+      setColorSchemeMode: (mode) => this.colorScheme.setMode(mode),
 
       // 获取设置
       getSettings: () => this.settings,
 
+      // 统计信息
+      getStats: () => this.getStats(),
+
+      // 配置档案
+      listProfiles: () => this.profiles.list(),
+      getActiveProfile: () => this.profiles.getActive(),
+      saveProfile: (name) => this.profiles.save(name),
+      switchProfile: (name) => this.profiles.switchTo(name),
+      renameProfile: (oldName, newName) => this.profiles.rename(oldName, newName),
+      removeProfile: (name) => this.profiles.remove(name),
+
+      // 恢复点
+      getSnapshots: () => this.storage.getSnapshots(),
+      createSnapshot: (label) => this.storage.createSnapshot(label || '手动保存'),
+      restoreSnapshot: (id) => this.storage.restoreSnapshot(id),
+
+      // 存储空间
+      getStorageUsage: () => this.storage.getUsage(),
+      setStorageBudget: (bytes) => this.storage.setBudget(bytes),
+
+      // 事件
+      on: (eventName, callback, options) => this.eventBus.on(eventName, callback, options),
+      defineEvent: (eventName, contract) => this.eventBus.defineEvent(eventName, contract),
+      getEventContract: (eventName) => this.eventBus.getContract(eventName),
+      recordEvents: (enabled = true) => this.eventBus.setRecording(enabled),
+      getEventTimeline: () => this.eventBus.getTimeline(),
+      exportEventTimeline: () => this.eventBus.exportTimeline(),
+
+      // 存储迁移
+      getMigrationLog: () => [...this.storage.migrationLog],
+      rollbackMigrations: () => this.storage.rollbackMigrations(),
+
       // 实用工具
       $: (selector) => document.querySelector(selector),
       $$: (selector) => document.querySelectorAll(selector),
@@ -298,6 +482,11 @@ class EnhancedCustomCSSPlus {
         console.log('设置:', this.settings);
         console.log('模块:', Array.from(this.modules.keys()));
         console.log('引擎统计:', this.coreEngine.getStats());
+        console.log('插件:', this.plugins.getStats());
+        console.log('事件监听器:', this.eventBus.getEventNames().map(name => `${name} (${this.eventBus.getListenerCount(name)})`));
+        if (this.eventBus.recording) {
+          console.table(this.eventBus.getTimeline().slice(-20));
+        }
 
         // 各模块统计
         this.modules.forEach((module, id) => {
@@ -312,8 +501,8 @@ class EnhancedCustomCSSPlus {
 
       // 重置功能（供调试使用）
       reset: async () => {
-        if (confirm('确定要重置扩展吗？这将清除所有数据。')) {
-          await this.storage.clear();
+        if (confirm('确定要重置扩展吗？这将清除所有数据（可以在"关于"页的恢复点中撤销）。')) {
+          if (!await this.clearStorage()) return;
           this.coreEngine.clearAll();
           location.reload();
         }
@@ -323,6 +512,20 @@ class EnhancedCustomCSSPlus {
     console.log(`[${this.extensionName}] API已暴露到 window.EnhancedCSS`);
   }
 
+  /**
+   * 存储占用接近或超出预算时提示
+   */
+  notifyStorageQuota(usage) {
+    if (usage.level === 'ok') return;
+
+    const used = `${(usage.total / 1024 / 1024).toFixed(1)}MB / ${(usage.budget / 1024 / 1024).toFixed(1)}MB`;
+    if (usage.level === 'exceeded') {
+      this.showToast(`本地存储已超出预算（${used}），请在“关于”页查看占用`, 'error');
+    } else {
+      this.showToast(`本地存储即将达到预算（${used}）`, 'warning');
+    }
+  }
+
   /**
    * 显示提示消息
    */
@@ -341,7 +544,8 @@ class EnhancedCustomCSSPlus {
       box-shadow: 0 2px 10px rgba(0,0,0,0.2);
       background: ${type === 'success' ? '#4CAF50' :
         type === 'error' ? '#f44336' :
-          '#2196F3'
+          type === 'warning' ? '#ff9800' :
+            '#2196F3'
       };
     `;
     toast.textContent = message;
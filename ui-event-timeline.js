@@ -0,0 +1,178 @@
+/**
+ * 事件时间线UI - 调试模块之间的交互
+ * 功能：显示 EventBus 记录的事件（时间、载荷摘要、监听器数量、耗时），按事件名或内容筛选，导出为JSON附在问题反馈中
+ */
+
+import { UIBase } from './ui-base.js';
+
+// 耗时超过该值（毫秒）的事件标记为慢
+const SLOW_EVENT_MS = 16;
+
+// 列表最多显示的行数（从新到旧）
+const VISIBLE_ROWS = 200;
+
+export class EventTimelineUI extends UIBase {
+  /**
+   * @param {EventBus} eventBus - 事件总线
+   */
+  constructor(eventBus) {
+    super(eventBus);
+    this.eventBus = eventBus;
+    this.filter = '';
+    this.onlyProblems = false;
+    this.renderTimer = null;
+    this.unwatch = null;
+  }
+
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = `
+      <div class="enhanced-section event-timeline-section">
+        <div class="event-timeline-toolbar">
+          <label class="checkbox_label">
+            <input type="checkbox" class="event-timeline-recording" ${this.eventBus.recording ? 'checked' : ''}>
+            <span>记录事件</span>
+          </label>
+          <label class="checkbox_label">
+            <input type="checkbox" class="event-timeline-problems" ${this.onlyProblems ? 'checked' : ''}>
+            <span>只看出错或较慢</span>
+          </label>
+          <input type="text" class="text_pole event-timeline-filter" placeholder="筛选事件名或载荷，如 font: 或 styles">
+          <button class="mini-btn event-timeline-clear"><i class="fa fa-trash"></i> 清空</button>
+          <button class="mini-btn event-timeline-export"><i class="fa fa-file-export"></i> 导出</button>
+        </div>
+        <p class="hint-inline">开启调试模式时自动记录，保留最近 ${this.eventBus.timelineLimit} 个事件。耗时超过 ${SLOW_EVENT_MS}ms 的事件会标黄。</p>
+        <div class="event-timeline-summary"></div>
+        <div class="event-timeline-list"></div>
+      </div>
+    `;
+
+    this.$('.event-timeline-filter').value = this.filter;
+    this.renderList();
+  }
+
+  bindEvents() {
+    this.addEventListener(this.$('.event-timeline-recording'), 'change', (e) => {
+      this.eventBus.setRecording(e.target.checked);
+    });
+
+    this.addEventListener(this.$('.event-timeline-problems'), 'change', (e) => {
+      this.onlyProblems = e.target.checked;
+      this.renderList();
+    });
+
+    this.addEventListener(this.$('.event-timeline-filter'), 'input', (e) => {
+      this.filter = e.target.value.trim().toLowerCase();
+      this.renderList();
+    });
+
+    this.addEventListener(this.$('.event-timeline-clear'), 'click', () => {
+      this.eventBus.clearTimeline();
+    });
+
+    this.addEventListener(this.$('.event-timeline-export'), 'click', () => this.exportTimeline());
+  }
+
+  afterInit() {
+    // 新事件合并刷新，避免频繁事件（如输入框变化）时反复重绘
+    this.unwatch = this.eventBus.watchTimeline(() => {
+      clearTimeout(this.renderTimer);
+      this.renderTimer = setTimeout(() => this.renderList(), 200);
+    });
+  }
+
+  /**
+   * 渲染事件列表（从新到旧）
+   */
+  renderList() {
+    const list = this.$('.event-timeline-list');
+    if (!list) return;
+
+    const recording = this.$('.event-timeline-recording');
+    if (recording) recording.checked = this.eventBus.recording;
+
+    const timeline = this.eventBus.getTimeline();
+    const entries = timeline.filter(entry => this.matches(entry)).reverse();
+
+    this.$('.event-timeline-summary').textContent = this.filter || this.onlyProblems
+      ? `显示 ${entries.length} / ${timeline.length} 个事件`
+      : `共 ${timeline.length} 个事件`;
+
+    list.innerHTML = '';
+    if (entries.length === 0) {
+      list.textContent = this.eventBus.recording ? '暂无事件' : '未在记录事件';
+      return;
+    }
+
+    entries.slice(0, VISIBLE_ROWS).forEach(entry => {
+      const row = this.createElement(`
+        <div class="event-timeline-row">
+          <span class="event-timeline-time"></span>
+          <code class="event-timeline-name"></code>
+          <span class="event-timeline-stats"></span>
+          <span class="event-timeline-payload"></span>
+        </div>
+      `);
+
+      row.classList.toggle('slow', entry.duration > SLOW_EVENT_MS);
+      row.classList.toggle('failed', entry.errors.length > 0);
+
+      row.querySelector('.event-timeline-time').textContent = this.formatTime(entry.time);
+      row.querySelector('.event-timeline-name').textContent = entry.async ? `${entry.event} (async)` : entry.event;
+      row.querySelector('.event-timeline-stats').textContent =
+        `${entry.listeners} 个监听器 · ${entry.duration}ms` + (entry.errors.length ? ` · ${entry.errors.length} 个错误` : '');
+
+      const payload = row.querySelector('.event-timeline-payload');
+      payload.textContent = entry.payload;
+      payload.title = entry.errors.length ? `${entry.payload}\n错误：${entry.errors.join('\n')}` : entry.payload;
+
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * 是否符合筛选条件
+   */
+  matches(entry) {
+    if (this.onlyProblems && entry.errors.length === 0 && entry.duration <= SLOW_EVENT_MS) {
+      return false;
+    }
+    if (!this.filter) return true;
+
+    return entry.event.toLowerCase().includes(this.filter) ||
+      entry.payload.toLowerCase().includes(this.filter);
+  }
+
+  /**
+   * 时间格式：时:分:秒.毫秒
+   */
+  formatTime(time) {
+    const date = new Date(time);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+  }
+
+  /**
+   * 下载时间线JSON
+   */
+  exportTimeline() {
+    const blob = new Blob([this.eventBus.exportTimeline()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `enhanced-css-events-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  onDestroy() {
+    clearTimeout(this.renderTimer);
+    if (this.unwatch) {
+      this.unwatch();
+      this.unwatch = null;
+    }
+    this.cleanupListeners();
+  }
+}
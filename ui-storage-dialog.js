@@ -0,0 +1,256 @@
+/**
+ * 数据导出/导入对话框
+ * 功能：按模块选择要导出的数据；导入前列出新增、修改、删除的键和前后的值，只导入勾选的项
+ */
+
+import { UIBase } from './ui-base.js';
+
+// 模块显示名称
+const MODULE_LABELS = {
+  'font-manager': '字体管理',
+  'visual-editor': '可视化编辑器',
+  'css-enhance': 'CSS增强',
+  'css-variables': '样式变量',
+  core: '核心设置',
+  plugins: '插件',
+  other: '其他'
+};
+
+// 前后值预览的最大长度
+const VALUE_PREVIEW_LIMIT = 2000;
+
+/**
+ * 对话框基类：在页面上层打开，关闭时返回结果
+ */
+class StorageDialog extends UIBase {
+  /**
+   * @param {CoreStorage} storage - 存储实例
+   */
+  constructor(storage) {
+    super(storage);
+    this.storage = storage;
+    this.overlay = null;
+    this.resolve = null;
+  }
+
+  /**
+   * 打开对话框
+   * @returns {Promise<*>} 确认时为结果，取消时为null
+   */
+  open() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'storage-dialog-overlay';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'storage-dialog';
+    this.overlay.appendChild(dialog);
+    document.body.appendChild(this.overlay);
+
+    this.init(dialog);
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * 关闭对话框
+   */
+  close(result = null) {
+    this.cleanupListeners();
+    this.destroy();
+
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+
+    if (this.resolve) {
+      this.resolve(result);
+      this.resolve = null;
+    }
+  }
+
+  /**
+   * 绑定关闭按钮、遮罩点击和全选按钮
+   */
+  bindCommonEvents() {
+    this.addEventListener(this.$('.storage-dialog-cancel'), 'click', () => this.close(null));
+    this.addEventListener(this.overlay, 'click', (e) => {
+      if (e.target === this.overlay) this.close(null);
+    });
+
+    this.$$('[data-select]').forEach(button => {
+      this.addEventListener(button, 'click', () => {
+        const checked = button.dataset.select === 'all';
+        this.$$('.storage-dialog-list input[type="checkbox"]').forEach(checkbox => {
+          checkbox.checked = checked;
+        });
+      });
+    });
+  }
+
+  /**
+   * 已勾选的值
+   */
+  getCheckedValues() {
+    return Array.from(this.$$('.storage-dialog-list input[type="checkbox"]:checked'))
+      .map(checkbox => checkbox.value);
+  }
+
+  /**
+   * 模块显示名称
+   */
+  getModuleLabel(module) {
+    return MODULE_LABELS[module] || module;
+  }
+}
+
+/**
+ * 导出对话框：选择要导出的模块
+ */
+export class StorageExportDialog extends StorageDialog {
+  render() {
+    const counts = new Map();
+    this.storage.getAllKeys().forEach(fullKey => {
+      const module = this.storage.getKeyOwner(fullKey.replace(this.storage.prefix, ''));
+      counts.set(module, (counts.get(module) || 0) + 1);
+    });
+
+    this.container.innerHTML = `
+      <h4><i class="fa fa-file-export"></i> 导出数据</h4>
+      <p class="storage-dialog-hint">选择要导出的模块：</p>
+      <div class="storage-dialog-list"></div>
+      <div class="storage-dialog-actions">
+        <button class="mini-btn" data-select="all">全选</button>
+        <button class="mini-btn" data-select="none">全不选</button>
+        <span class="storage-dialog-spacer"></span>
+        <button class="menu_button storage-dialog-cancel">取消</button>
+        <button class="menu_button storage-dialog-confirm">导出</button>
+      </div>
+    `;
+
+    const list = this.$('.storage-dialog-list');
+    counts.forEach((count, module) => {
+      const row = this.createElement(`
+        <label class="storage-dialog-row">
+          <input type="checkbox" checked>
+          <span class="storage-dialog-key"></span>
+          <span class="storage-dialog-module">${count} 项</span>
+        </label>
+      `);
+      row.querySelector('input').value = module;
+      row.querySelector('.storage-dialog-key').textContent = this.getModuleLabel(module);
+      list.appendChild(row);
+    });
+  }
+
+  bindEvents() {
+    this.bindCommonEvents();
+
+    this.addEventListener(this.$('.storage-dialog-confirm'), 'click', () => {
+      const modules = this.getCheckedValues();
+      if (modules.length === 0) {
+        this.showMessage('请至少选择一个模块', 'error');
+        return;
+      }
+      this.close({ modules });
+    });
+  }
+}
+
+/**
+ * 导入对话框：显示导入预览，勾选要导入的键
+ */
+export class StorageImportDialog extends StorageDialog {
+  /**
+   * @param {CoreStorage} storage - 存储实例
+   * @param {Object} preview - CoreStorage.previewImport 的结果
+   */
+  constructor(storage, preview) {
+    super(storage);
+    this.preview = preview;
+  }
+
+  render() {
+    const { counts, exportDate } = this.preview;
+    const statusLabels = { added: '新增', changed: '修改', removed: '删除' };
+
+    this.container.innerHTML = `
+      <h4><i class="fa fa-file-import"></i> 导入数据</h4>
+      <p class="storage-dialog-hint"></p>
+      <div class="storage-dialog-list"></div>
+      <div class="storage-dialog-actions">
+        <button class="mini-btn" data-select="all">全选</button>
+        <button class="mini-btn" data-select="none">全不选</button>
+        <span class="storage-dialog-spacer"></span>
+        <button class="menu_button storage-dialog-cancel">取消</button>
+        <button class="menu_button storage-dialog-confirm">导入所选</button>
+      </div>
+    `;
+
+    const exportedAt = exportDate ? new Date(exportDate).toLocaleString('zh-CN') : '未知时间';
+    this.$('.storage-dialog-hint').textContent =
+      `导出于 ${exportedAt}：新增 ${counts.added}，修改 ${counts.changed}，删除 ${counts.removed}，相同 ${counts.unchanged}`;
+
+    const list = this.$('.storage-dialog-list');
+    const entries = this.preview.entries.filter(entry => entry.status !== 'unchanged');
+
+    if (entries.length === 0) {
+      list.textContent = '导入数据与当前数据完全相同';
+      return;
+    }
+
+    entries.forEach(entry => {
+      const row = this.createElement(`
+        <div class="storage-dialog-entry">
+          <label class="storage-dialog-row">
+            <input type="checkbox">
+            <span class="storage-dialog-status ${entry.status}">${statusLabels[entry.status]}</span>
+            <code class="storage-dialog-key"></code>
+            <span class="storage-dialog-module"></span>
+          </label>
+          <details>
+            <summary>查看前后对比</summary>
+            <div class="storage-dialog-diff">
+              <div><span>导入前</span><pre class="storage-dialog-before"></pre></div>
+              <div><span>导入后</span><pre class="storage-dialog-after"></pre></div>
+            </div>
+          </details>
+        </div>
+      `);
+
+      const checkbox = row.querySelector('input');
+      checkbox.value = entry.key;
+      // 删除默认不勾选，避免误删
+      checkbox.checked = entry.status !== 'removed';
+
+      row.querySelector('.storage-dialog-key').textContent = entry.key;
+      row.querySelector('.storage-dialog-module').textContent = this.getModuleLabel(entry.module);
+      row.querySelector('.storage-dialog-before').textContent = this.formatValue(entry.before);
+      row.querySelector('.storage-dialog-after').textContent = this.formatValue(entry.after);
+
+      list.appendChild(row);
+    });
+  }
+
+  bindEvents() {
+    this.bindCommonEvents();
+
+    this.addEventListener(this.$('.storage-dialog-confirm'), 'click', () => {
+      this.close(this.getCheckedValues());
+    });
+  }
+
+  /**
+   * 格式化前后值，过长时截断
+   */
+  formatValue(value) {
+    if (value === undefined) return '（无）';
+
+    const text = JSON.stringify(value, null, 2);
+    return text.length > VALUE_PREVIEW_LIMIT
+      ? `${text.slice(0, VALUE_PREVIEW_LIMIT)}\n…（共 ${text.length} 字符）`
+      : text;
+  }
+}
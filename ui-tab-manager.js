@@ -8,6 +8,9 @@
  * - 统一的设置界面渲染和事件处理
  */
 
+import { StorageExportDialog, StorageImportDialog } from './ui-storage-dialog.js';
+import { COLOR_SCHEMES, SCHEME_MODES } from './core-color-scheme.js';
+
 export class TabManager {
   constructor(extension) {
     this.extension = extension;
@@ -32,6 +35,37 @@ export class TabManager {
     // 应用标签页显示修复
     this.ensureTabVisibility();
 
+    // 本地与服务器数据冲突变化时刷新关于页中的列表
+    const storage = this.extension.storage;
+    storage.on('conflict', () => this.renderStorageConflicts());
+    storage.on('conflictResolved', () => this.renderStorageConflicts());
+
+    // 数据变化后刷新存储占用（合并短时间内的多次写入）
+    const refreshUsage = () => {
+      clearTimeout(this.usageRenderTimer);
+      this.usageRenderTimer = setTimeout(() => this.renderStorageUsage(), 500);
+    };
+    ['changed', 'removed', 'cleared', 'quota'].forEach(event => storage.on(event, refreshUsage));
+
+    // 配置档案变化
+    const eventBus = this.extension.eventBus;
+    ['profile:saved', 'profile:removed', 'profile:renamed'].forEach(event => {
+      eventBus.on(event, () => this.renderProfileSelector());
+    });
+    eventBus.on('colorScheme:changed', () => this.renderSchemeSelector());
+    eventBus.on('profile:switched', () => {
+      this.renderProfileSelector();
+      // 等待各模块重新加载完成后刷新界面
+      setTimeout(() => this.refreshModuleViews(), 100);
+    });
+
+    // 恢复点变化
+    ['snapshotCreated', 'snapshotRemoved'].forEach(event => storage.on(event, () => this.renderStorageSnapshots()));
+    storage.on('snapshotRestored', () => {
+      this.renderStorageSnapshots();
+      setTimeout(() => this.refreshModuleViews(), 100);
+    });
+
     console.log('[TabManager] 标签页管理器初始化完成');
   }
 
@@ -103,6 +137,20 @@ export class TabManager {
                 <input type="checkbox" id="enhanced-debug">
                 <span>调试模式</span>
               </label>
+              <label class="enhanced-scheme-mode" title="深色/浅色样式按此切换">
+                <i class="fa fa-circle-half-stroke"></i>
+                <select id="enhanced-scheme-mode" class="text_pole"></select>
+              </label>
+            </div>
+            <div class="enhanced-profile-bar">
+              <i class="fa fa-layer-group" title="配置档案"></i>
+              <select id="enhanced-profile-select" class="text_pole"></select>
+              <button id="enhanced-profile-save" class="mini-btn" title="把当前设置保存为档案">
+                <i class="fa fa-save"></i>
+              </button>
+              <button id="enhanced-profile-remove" class="mini-btn" title="删除当前档案">
+                <i class="fa fa-trash"></i>
+              </button>
             </div>
           </div>
           
@@ -203,14 +251,140 @@ export class TabManager {
         this.extension.eventBus.emit('debug:toggle', e.target.checked);
       });
     }
+
+    // 配色方案判断模式
+    const schemeSelect = document.getElementById('enhanced-scheme-mode');
+    if (schemeSelect) {
+      schemeSelect.addEventListener('change', async (e) => {
+        await this.extension.colorScheme.setMode(e.target.value);
+        this.renderSchemeSelector();
+      });
+      this.renderSchemeSelector();
+    }
+
+    this.bindProfileEvents();
+  }
+
+  /**
+   * 渲染配色方案下拉框，选项中标出当前判断结果
+   */
+  renderSchemeSelector() {
+    const select = document.getElementById('enhanced-scheme-mode');
+    if (!select) return;
+
+    const colorScheme = this.extension.colorScheme;
+    const current = COLOR_SCHEMES[colorScheme.getScheme()].label;
+
+    select.innerHTML = '';
+    Object.entries(SCHEME_MODES).forEach(([mode, label]) => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = mode === colorScheme.mode ? `${label}（当前${current}）` : label;
+      select.appendChild(option);
+    });
+    select.value = colorScheme.mode;
+  }
+
+  /**
+   * 绑定配置档案切换栏
+   */
+  bindProfileEvents() {
+    const profiles = this.extension.profiles;
+    const select = document.getElementById('enhanced-profile-select');
+    if (!select) return;
+
+    select.addEventListener('change', async () => {
+      if (!select.value) return;
+      try {
+        await profiles.switchTo(select.value);
+      } catch (error) {
+        alert(`切换档案失败：${error.message}`);
+        this.renderProfileSelector();
+      }
+    });
+
+    document.getElementById('enhanced-profile-save')?.addEventListener('click', async () => {
+      const active = await profiles.getActive();
+      const name = prompt('档案名称（同名会覆盖）：', active || '');
+      if (name === null) return;
+      try {
+        await profiles.save(name);
+      } catch (error) {
+        alert(`保存档案失败：${error.message}`);
+      }
+    });
+
+    document.getElementById('enhanced-profile-remove')?.addEventListener('click', async () => {
+      const active = await profiles.getActive();
+      if (!active) {
+        alert('当前没有使用档案');
+        return;
+      }
+      if (confirm(`确定要删除档案"${active}"吗？当前设置不会改变。`)) {
+        await profiles.remove(active);
+      }
+    });
+
+    this.renderProfileSelector();
+  }
+
+  /**
+   * 渲染配置档案下拉框
+   */
+  async renderProfileSelector() {
+    const select = document.getElementById('enhanced-profile-select');
+    if (!select) return;
+
+    const list = await this.extension.profiles.list();
+    const active = list.find(profile => profile.active);
+
+    select.innerHTML = '';
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = list.length > 0 ? '（未使用档案）' : '（暂无档案）';
+    select.appendChild(placeholder);
+
+    list.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.name;
+      option.textContent = profile.name;
+      select.appendChild(option);
+    });
+
+    select.value = active ? active.name : '';
+  }
+
+  /**
+   * 切换档案或恢复数据后同步顶部开关和已打开的标签页
+   */
+  refreshModuleViews() {
+    const settings = this.extension.settings;
+    const checkboxes = {
+      'enhanced-enabled': settings.enabled,
+      'enhanced-realtime': settings.realTimeUpdate,
+      'enhanced-debug': settings.debugMode
+    };
+    Object.entries(checkboxes).forEach(([id, checked]) => {
+      const checkbox = document.getElementById(id);
+      if (checkbox) checkbox.checked = checked;
+    });
+    this.renderSchemeSelector();
+
+    this.tabs.forEach(tab => {
+      if (tab.instance && typeof tab.instance.refresh === 'function') {
+        tab.instance.refresh();
+      }
+    });
   }
 
   /**
    * 注册标签页
    * @param {Object} config - 标签页配置
+   *   module: 传给UI的对象，默认为同名模块
    */
   registerTab(config) {
-    const { id, title, icon, ui, order = 999 } = config;
+    const { id, title, icon, ui, module = null, order = 999 } = config;
 
     // 保存标签页配置
     this.tabs.set(id, {
@@ -218,6 +392,7 @@ export class TabManager {
       title,
       icon,
       ui,
+      module,
       order,
       instance: null
     });
@@ -228,6 +403,25 @@ export class TabManager {
     console.log(`[TabManager] 注册标签页: ${id}`);
   }
 
+  /**
+   * 注销标签页
+   * @param {string} id - 标签页ID
+   */
+  unregisterTab(id) {
+    const tab = this.tabs.get(id);
+    if (!tab) return false;
+
+    if (tab.instance && tab.instance.destroy) {
+      tab.instance.destroy();
+    }
+    this.tabs.delete(id);
+
+    this.updateTabsUI();
+
+    console.log(`[TabManager] 注销标签页: ${id}`);
+    return true;
+  }
+
   /**
    * 更新标签页UI
    */
@@ -317,10 +511,22 @@ export class TabManager {
             <li>» @我叫丁春秋 为我大量测试，云端酒馆和各种操作问题，爱她。</li>
           </ul>
           
+          <div id="storage-usage" class="storage-usage-section"></div>
+
+          <div id="storage-conflicts" class="storage-conflicts-section"></div>
+
+          <div id="storage-snapshots" class="storage-snapshots-section"></div>
+
           <div class="about-actions">
             <a href="https://github.com/Hmkovo/EnhancedCustomCSS" target="_blank" class="menu_button">
               <i class="fab fa-github"></i> GitHub
             </a>
+            <button id="export-storage-data" class="menu_button">
+              <i class="fa fa-file-export"></i> 导出数据
+            </button>
+            <button id="import-storage-data" class="menu_button">
+              <i class="fa fa-file-import"></i> 导入数据
+            </button>
             <button id="reset-all-settings" class="menu_button danger">
               <i class="fa fa-undo"></i> 重置所有设置
             </button>
@@ -330,10 +536,147 @@ export class TabManager {
     `;
   }
 
+  /**
+   * 渲染本地存储占用（按模块和键）
+   */
+  renderStorageUsage() {
+    const container = document.getElementById('storage-usage');
+    if (!container) return;
+
+    const storage = this.extension.storage;
+    const usage = storage.getUsage();
+    const formatSize = (bytes) => bytes >= 1024 * 1024
+      ? `${(bytes / 1024 / 1024).toFixed(2)}MB`
+      : `${(bytes / 1024).toFixed(1)}KB`;
+    const moduleLabels = {
+      'font-manager': '字体管理',
+      'visual-editor': '可视化编辑器',
+      'css-enhance': 'CSS增强',
+      core: '核心设置',
+      plugins: '插件',
+      storage: '存储记录',
+      other: '其他'
+    };
+
+    container.innerHTML = `
+      <p><strong><i class="fa fa-database"></i> 本地存储占用：</strong></p>
+      <div class="storage-usage-bar ${usage.level}">
+        <div class="storage-usage-fill"></div>
+      </div>
+      <div class="storage-usage-summary"></div>
+      <ul class="storage-usage-modules"></ul>
+      <details class="storage-usage-keys">
+        <summary>占用最大的数据</summary>
+        <ul></ul>
+      </details>
+      <div class="storage-usage-budget">
+        <label>预算（MB）：</label>
+        <input type="number" class="text_pole" min="0.5" step="0.5">
+        <button class="mini-btn">保存</button>
+      </div>
+    `;
+
+    container.querySelector('.storage-usage-fill').style.width = `${Math.min(100, usage.ratio * 100)}%`;
+    container.querySelector('.storage-usage-summary').textContent =
+      `${formatSize(usage.total)} / ${formatSize(usage.budget)}（${Math.round(usage.ratio * 100)}%）` +
+      (usage.level === 'exceeded' ? '，已超出预算' : usage.level === 'warning' ? '，即将达到预算' : '');
+
+    const moduleList = container.querySelector('.storage-usage-modules');
+    usage.modules.forEach(entry => {
+      const li = document.createElement('li');
+      li.textContent = `» ${moduleLabels[entry.module] || entry.module}：${formatSize(entry.bytes)}（${entry.keys} 项）`;
+      moduleList.appendChild(li);
+    });
+
+    const keyList = container.querySelector('.storage-usage-keys ul');
+    usage.keys.slice(0, 8).forEach(item => {
+      const li = document.createElement('li');
+      const saved = item.compressed ? `，压缩前 ${formatSize(item.rawBytes)}` : '';
+      li.textContent = `» ${item.key}：${formatSize(item.bytes)}${saved}`;
+      keyList.appendChild(li);
+    });
+
+    const budgetInput = container.querySelector('.storage-usage-budget input');
+    budgetInput.value = (usage.budget / 1024 / 1024).toFixed(1);
+    container.querySelector('.storage-usage-budget button').addEventListener('click', () => {
+      const megabytes = parseFloat(budgetInput.value);
+      if (!(megabytes > 0)) {
+        alert('请输入大于0的预算');
+        return;
+      }
+      storage.setBudget(megabytes * 1024 * 1024);
+      this.renderStorageUsage();
+    });
+  }
+
+  /**
+   * 渲染本地与服务器数据冲突列表
+   */
+  renderStorageConflicts() {
+    const container = document.getElementById('storage-conflicts');
+    if (!container) return;
+
+    const conflicts = this.extension.storage.getConflicts();
+    container.innerHTML = '';
+    if (conflicts.length === 0) return;
+
+    const labels = { local: '本地', server: '云端', merged: '合并' };
+    const formatTime = (time) => time ? new Date(time).toLocaleString('zh-CN') : '未知';
+
+    const title = document.createElement('p');
+    title.innerHTML = '<strong><i class="fa fa-code-compare"></i> 数据同步冲突：</strong>';
+    container.appendChild(title);
+
+    const hint = document.createElement('p');
+    hint.className = 'storage-conflicts-hint';
+    hint.textContent = '以下数据在本设备和云端不一致，已自动处理。可以改选一方，选择后刷新页面生效。';
+    container.appendChild(hint);
+
+    conflicts.forEach(conflict => {
+      const item = document.createElement('div');
+      item.className = 'storage-conflict-item';
+      item.innerHTML = `
+        <div class="storage-conflict-info">
+          <code class="storage-conflict-key"></code>
+          <span class="storage-conflict-detail"></span>
+        </div>
+        <div class="storage-conflict-actions">
+          <button class="mini-btn" data-side="local">使用本地</button>
+          <button class="mini-btn" data-side="server">使用云端</button>
+          <button class="mini-btn" data-side="">保留当前</button>
+        </div>
+      `;
+      item.querySelector('.storage-conflict-key').textContent = conflict.key;
+      item.querySelector('.storage-conflict-detail').textContent =
+        `本地 ${formatTime(conflict.local.timestamp)} / 云端 ${formatTime(conflict.server.timestamp)}，当前使用${labels[conflict.resolution]}`;
+
+      item.querySelectorAll('button').forEach(button => {
+        button.addEventListener('click', async () => {
+          const side = button.dataset.side;
+          if (!side) {
+            this.extension.storage.dismissConflict(conflict.key);
+            return;
+          }
+          await this.extension.storage.resolveConflict(conflict.key, side);
+          if (confirm(`已使用${labels[side]}数据，是否立即刷新页面？`)) {
+            location.reload();
+          }
+        });
+      });
+
+      container.appendChild(item);
+    });
+  }
+
   /**
    * 绑定标签页事件
    */
   bindTabEvents() {
+    // 关于页中的存储占用和数据冲突列表
+    this.renderStorageUsage();
+    this.renderStorageConflicts();
+    this.renderStorageSnapshots();
+
     // 标签页切换
     document.querySelectorAll('.tab-button').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -342,13 +685,17 @@ export class TabManager {
       });
     });
 
+    // 数据导出/导入
+    document.getElementById('export-storage-data')?.addEventListener('click', () => this.exportStorageData());
+    document.getElementById('import-storage-data')?.addEventListener('click', () => this.importStorageData());
+
     // 重置所有设置按钮
     const resetBtn = document.getElementById('reset-all-settings');
     if (resetBtn) {
       resetBtn.addEventListener('click', async () => {
-        if (confirm('确定要重置所有设置吗？这将清除所有数据（包括字体、CSS设置等）。')) {
-          // 清空所有存储数据
-          await this.extension.storage.clear();
+        if (confirm('确定要重置所有设置吗？这将清除所有数据（包括字体、CSS设置等），可以在恢复点中撤销。')) {
+          // 清空所有存储数据（恢复点保存失败且用户取消时不再继续）
+          if (!await this.extension.clearStorage()) return;
 
           // 清理所有DOM元素和样式
           this.extension.coreEngine.clearAll();
@@ -366,6 +713,107 @@ export class TabManager {
     }
   }
 
+  /**
+   * 渲染恢复点列表（最近删除、清空前自动保存的数据）
+   */
+  renderStorageSnapshots() {
+    const container = document.getElementById('storage-snapshots');
+    if (!container) return;
+
+    const storage = this.extension.storage;
+    const snapshots = storage.getSnapshots();
+    container.innerHTML = '';
+    if (snapshots.length === 0) return;
+
+    const title = document.createElement('p');
+    title.innerHTML = '<strong><i class="fa fa-clock-rotate-left"></i> 恢复点：</strong>';
+    container.appendChild(title);
+
+    snapshots.forEach(snapshot => {
+      const item = document.createElement('div');
+      item.className = 'storage-conflict-item';
+      item.innerHTML = `
+        <div class="storage-conflict-info">
+          <span class="storage-snapshot-label"></span>
+          <span class="storage-conflict-detail"></span>
+        </div>
+        <div class="storage-conflict-actions">
+          <button class="mini-btn" data-action="restore">恢复</button>
+          <button class="mini-btn" data-action="delete">删除</button>
+        </div>
+      `;
+      item.querySelector('.storage-snapshot-label').textContent = snapshot.label;
+      item.querySelector('.storage-conflict-detail').textContent =
+        `${new Date(snapshot.createdAt).toLocaleString('zh-CN')}，${snapshot.keys.length} 项数据`;
+
+      item.querySelector('[data-action="restore"]').addEventListener('click', async () => {
+        if (!confirm(`确定恢复到"${snapshot.label}"之前的数据吗？当前数据会另存为新的恢复点。`)) return;
+        try {
+          await storage.restoreSnapshot(snapshot.id);
+        } catch (error) {
+          alert(`恢复失败：${error.message}`);
+        }
+      });
+      item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        storage.deleteSnapshot(snapshot.id);
+      });
+
+      container.appendChild(item);
+    });
+  }
+
+  /**
+   * 按模块导出数据
+   */
+  async exportStorageData() {
+    const storage = this.extension.storage;
+    const choice = await new StorageExportDialog(storage).open();
+    if (!choice) return;
+
+    const json = await storage.export({ modules: choice.modules });
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `enhanced-css-data-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * 导入数据：选择文件 → 预览差异 → 只导入勾选的键
+   */
+  importStorageData() {
+    const storage = this.extension.storage;
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      try {
+        // 以导入数据为准比较，导出范围内多出的键列为删除（默认不勾选）
+        const preview = await storage.previewImport(await file.text(), { merge: false });
+        const keys = await new StorageImportDialog(storage, preview).open();
+        if (!keys || keys.length === 0) return;
+
+        const result = await storage.applyImport(preview, keys);
+        const failed = result.failed.length ? `，${result.failed.length} 项失败` : '';
+        if (confirm(`导入完成：新增 ${result.added}，修改 ${result.changed}，删除 ${result.removed}${failed}。\n是否立即刷新页面使设置生效？`)) {
+          location.reload();
+        }
+      } catch (error) {
+        console.error('[TabManager] 导入数据失败:', error);
+        alert(`导入失败：${error.message}`);
+      }
+    };
+
+    input.click();
+  }
+
   /**
    * 切换标签页（修复版）
    */
@@ -432,7 +880,7 @@ export class TabManager {
     // 如果还没有实例化，创建实例
     if (!tab.instance) {
       // 获取对应的模块
-      const module = this.extension.getModule(tabId);
+      const module = tab.module || this.extension.getModule(tabId);
 
       if (!module) {
         console.warn(`[TabManager] 模块还未初始化: ${tabId}，延迟激活`);
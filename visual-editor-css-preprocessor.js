@@ -5,7 +5,7 @@
  * - 解析和处理@装饰语法（如：@用户消息：光环）
  * - 动态创建DOM装饰元素并应用样式
  * - 智能协调器：实时检测、延时处理、状态指示
- * - 与css-enhance模块协调，避免重复监听冲突
+ * - 作为CSS增强模块处理管线中的一个阶段运行，避免重复监听冲突
  */
 
 export class CSSPreprocessor {
@@ -15,6 +15,7 @@ export class CSSPreprocessor {
     this.appliedDecorations = new WeakMap();
     this.messageObserver = null;
     this.lastProcessedCSS = '';
+    this.lastCleanCSS = '';
 
     // 追踪所有装饰元素，方便清理
     this.allDecorationElements = new Set();
@@ -25,8 +26,6 @@ export class CSSPreprocessor {
       isActive: false,              // 是否处于智能模式
       timer: null,                  // 智能模式计时器
       editDetectionDelay: 3000,     // 3秒无操作后关闭智能模式
-      cssChangeListener: null,      // CSS变化监听器
-      lastProcessedContent: '',     // 上次处理的内容
 
       // 状态指示器元素
       statusIndicator: null,
@@ -49,7 +48,7 @@ export class CSSPreprocessor {
 
   processCSS(cssText) {
     if (cssText === this.lastProcessedCSS) {
-      return cssText;
+      return this.lastCleanCSS;
     }
 
     this.lastProcessedCSS = cssText;
@@ -90,6 +89,7 @@ export class CSSPreprocessor {
     // 关键修复：智能清理和应用装饰
     this.reconcileDecorations(oldRules);
 
+    this.lastCleanCSS = cleanCSS;
     return cleanCSS;
   }
 
@@ -160,6 +160,8 @@ export class CSSPreprocessor {
         decorations.delete(rule.id);
         if (decorations.size === 0) {
           this.appliedDecorations.delete(element);
+          // 元素上已没有装饰，恢复其overflow/position
+          this.rollbackHost({ element });
         }
       }
     });
@@ -476,7 +478,7 @@ export class CSSPreprocessor {
         // 3. 装饰元素使用 position: absolute 但相对于最近的非static祖先定位
 
         // 确保父元素允许溢出显示
-        element.style.overflow = 'visible';
+        this.setHostStyle(element, 'overflow', 'visible');
 
         // 不修改父元素的position，让装饰元素能够超出
 
@@ -485,15 +487,15 @@ export class CSSPreprocessor {
         // 确保父元素可以包含绝对定位的子元素
         if (rule.styles.position === 'absolute' &&
           getComputedStyle(element).position === 'static') {
-          element.style.position = 'relative';
+          this.setHostStyle(element, 'position', 'relative');
         }
 
         // 设置 overflow: hidden 来真正裁剪超出的内容
-        element.style.overflow = 'hidden';
+        this.setHostStyle(element, 'overflow', 'hidden');
 
       }
 
-      element.appendChild(decoration);
+      this.appendToHost(element, decoration);
 
       decorations.add(rule.id);
       this.appliedDecorations.set(element, decorations);
@@ -504,6 +506,49 @@ export class CSSPreprocessor {
     });
   }
 
+  /**
+   * 获取核心引擎的修改日志
+   */
+  getJournal() {
+    const coreEngine = this.module.extension && this.module.extension.coreEngine;
+    return coreEngine ? coreEngine.journal : null;
+  }
+
+  /**
+   * 修改被装饰元素的样式（记录到日志，清理时可以还原）
+   */
+  setHostStyle(element, property, value) {
+    const journal = this.getJournal();
+    if (journal) {
+      journal.setStyle(element, property, value, { source: 'decoration' });
+    } else {
+      element.style.setProperty(property, value);
+    }
+  }
+
+  /**
+   * 将装饰元素添加到被装饰元素（记录到日志）
+   */
+  appendToHost(element, decoration) {
+    const journal = this.getJournal();
+    if (journal) {
+      journal.appendChild(element, decoration, { source: 'decoration' });
+    } else {
+      element.appendChild(decoration);
+    }
+  }
+
+  /**
+   * 撤销装饰对宿主元素的修改
+   * @param {Object} filter - 额外的过滤条件，例如 {element}
+   */
+  rollbackHost(filter = {}) {
+    const journal = this.getJournal();
+    if (journal) {
+      journal.rollback({ ...filter, source: 'decoration' });
+    }
+  }
+
   /**
    * 修复的装饰元素创建方法
    * 增强：过滤掉内部控制属性，不应用到实际元素上
@@ -589,18 +634,18 @@ export class CSSPreprocessor {
 
               if (overflowMode === 'allow-overflow') {
                 // 允许超出
-                node.style.overflow = 'visible';
+                this.setHostStyle(node, 'overflow', 'visible');
               } else {
                 // 限制在父元素内
                 if (rule.styles.position === 'absolute' &&
                   getComputedStyle(node).position === 'static') {
-                  node.style.position = 'relative';
+                  this.setHostStyle(node, 'position', 'relative');
                 }
                 // 设置 overflow: hidden 来真正裁剪超出的内容
-                node.style.overflow = 'hidden';
+                this.setHostStyle(node, 'overflow', 'hidden');
               }
 
-              node.appendChild(decoration);
+              this.appendToHost(node, decoration);
 
               decorations.add(rule.id);
               this.appliedDecorations.set(node, decorations);
@@ -683,9 +728,15 @@ export class CSSPreprocessor {
     });
     this.allDecorationElements.clear();
 
+    // 恢复被装饰元素的overflow/position
+    this.rollbackHost();
+
     // 清空数据结构
     this.appliedDecorations = new WeakMap();
     this.decorationRules.clear();
+
+    // 相同的CSS再次处理时需要重新应用装饰
+    this.lastProcessedCSS = '';
   }
 
 
@@ -722,7 +773,7 @@ export class CSSPreprocessor {
 
   /**
    * 初始化智能装饰协调器
-   * 核心功能：监听CSS变化，智能检测@装饰语法编辑，按需激活实时处理
+   * 核心功能：绑定状态指示器和手动刷新按钮，@装饰语法由CSS处理管线的 decorations 阶段处理
    */
   initSmartCoordinator() {
 
@@ -731,9 +782,6 @@ export class CSSPreprocessor {
       return;
     }
 
-    // 设置EventBus监听器
-    this.setupEventListeners();
-
     // 绑定静态UI状态指示器
     const uiReady = this.bindStaticStatusIndicator();
 
@@ -748,58 +796,22 @@ export class CSSPreprocessor {
   }
 
   /**
-   * 设置事件监听器 - 通过EventBus监听CSS变化
-   * 与css-enhance的JavaScript提取功能协调工作
+   * CSS处理管线中的装饰阶段
+   * 包含@装饰语法时激活智能模式并更新状态指示器，返回移除装饰块后的CSS
+   * @param {string} cssText - CSS内容
+   * @returns {string} 移除装饰块后的CSS
    */
-  setupEventListeners() {
-    if (!this.module.eventBus) {
-      console.warn('[SmartCoordinator] EventBus不可用，降级到DOM监听模式');
-      this.setupDOMListener();
-      return;
-    }
-
-    // 监听CSS输入变化事件
-    this.smartCoordinator.cssChangeListener = (data) => {
-      this.handleCSSChange(data.cssText, data.source || 'unknown');
-    };
-
-    // 注册CSS变化监听器
-    this.module.eventBus.on('css:input:change', this.smartCoordinator.cssChangeListener);
-
-    // 监听visual editor的样式更新
-    this.module.eventBus.on('styles:updated', (data) => {
-      const customCSS = document.querySelector('#customCSS');
-      if (customCSS && customCSS.value) {
-        this.handleCSSChange(customCSS.value, 'visual-editor');
-      }
-    });
-
-  }
-
-  /**
-   * 🗑️ 已删除：setupDOMListener - 迁移到智能监听协调器
-   * 原功能：监听#customCSS输入框变化，检测@装饰语法
-   * 新方案：将在SmartListenerCoordinator中统一管理输入框监听和CSS编译
-   */
-  // setupDOMListener() - 已删除，功能迁移到智能协调器
-
-  /**
-   * 处理CSS变化的核心方法
-   * 智能检测@装饰语法，按需激活处理
-   */
-  handleCSSChange(cssText, source = 'unknown') {
-    // 防止重复处理相同内容
-    if (cssText === this.smartCoordinator.lastProcessedContent) {
-      return;
+  processPipelineStage(cssText) {
+    if (this.hasDecorationSyntax(cssText)) {
+      this.activateSmartMode();
+      return this.processWithCoordination(cssText);
     }
 
-    // 检测是否包含@装饰语法
-    if (this.hasDecorationSyntax(cssText)) {
-      this.activateSmartMode(cssText);
-    } else if (this.smartCoordinator.isActive) {
+    if (this.smartCoordinator.isActive) {
       // 如果当前是智能模式但没有装饰语法，开始倒计时关闭
       this.scheduleSmartModeDeactivation();
     }
+    return this.processCSS(cssText);
   }
 
   /**
@@ -812,9 +824,9 @@ export class CSSPreprocessor {
 
   /**
    * 激活智能模式
-   * 立即处理装饰语法并更新UI状态
+   * 更新UI状态，无操作一段时间后自动关闭
    */
-  activateSmartMode(cssText) {
+  activateSmartMode() {
     // 清除之前的定时器
     if (this.smartCoordinator.timer) {
       clearTimeout(this.smartCoordinator.timer);
@@ -827,12 +839,6 @@ export class CSSPreprocessor {
       this.updateStatusIndicator('active', '智能模式已激活');
     }
 
-    // 延迟处理，让css-enhance的JavaScript提取先完成
-    setTimeout(() => {
-      this.processWithCoordination(cssText);
-      this.smartCoordinator.lastProcessedContent = cssText;
-    }, 200);
-
     // 设置自动关闭定时器
     this.scheduleSmartModeDeactivation();
   }
@@ -1007,7 +1013,8 @@ export class CSSPreprocessor {
         } else {
           // 正常刷新处理
           const wasActive = this.smartCoordinator.isActive;
-          this.activateSmartMode(customCSS.value);
+          this.lastProcessedCSS = '';
+          this.module.runCssPipeline();
 
           if (!wasActive) {
             setTimeout(() => this.deactivateSmartMode(), 2000);
@@ -1068,12 +1075,6 @@ export class CSSPreprocessor {
       this.smartCoordinator.timer = null;
     }
 
-    // 清理EventBus监听器
-    if (this.module.eventBus && this.smartCoordinator.cssChangeListener) {
-      this.module.eventBus.off('css:input:change', this.smartCoordinator.cssChangeListener);
-      this.module.eventBus.off('styles:updated');
-    }
-
     // 清理UI元素
     const statusContainer = document.querySelector('.decoration-smart-status');
     if (statusContainer) {
@@ -1083,7 +1084,6 @@ export class CSSPreprocessor {
     // 重置状态
     this.smartCoordinator.initialized = false; // ⚡ 允许重新初始化
     this.smartCoordinator.isActive = false;
-    this.smartCoordinator.cssChangeListener = null;
     this.smartCoordinator.statusIndicator = null;
     this.smartCoordinator.statusText = null;
     this.smartCoordinator.refreshButton = null;
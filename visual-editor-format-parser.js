@@ -6,8 +6,15 @@
  * - 中文属性值翻译（如：红色↔red，居中↔center）
  * - 生成人类可读的中文格式CSS代码
  * - 解析现有CSS为中文格式，便于可视化编辑
+ * - 元素名后加（深色）/（浅色）表示只在该配色方案下生效，如"消息文本（深色） {"
  */
 
+import { COLOR_SCHEMES, scopeSelector, parseScopedSelector } from './core-color-scheme.js';
+
+// 元素名末尾的配色方案标记
+const SCHEME_SUFFIX_PATTERN = /[（(]\s*(深色|浅色|dark|light)\s*[）)]$/i;
+const SCHEME_SUFFIXES = { '深色': 'dark', '浅色': 'light', dark: 'dark', light: 'light' };
+
 /**
  * 智能缓存类 - 简单粗暴版
  * 功能：缓存CSS解析结果，提升性能
@@ -521,9 +528,9 @@ export class VisualEditorFormatParser {
           styles.set(currentElement, { ...currentStyles });
         }
 
-        // 开始新元素
-        const elementName = line.replace('{', '').trim();
-        currentElement = this.getSelector(elementName);
+        // 开始新元素（带配色方案标记时加上方案前缀）
+        const { name, scheme } = this.parseSchemeSuffix(line.replace('{', '').trim());
+        currentElement = scopeSelector(this.getSelector(name), scheme);
         currentStyles = {};
 
       } else if (line === '}') {
@@ -589,12 +596,17 @@ export class VisualEditorFormatParser {
 
       output += `# ${this.getCategoryTitle(category)}\n`;
 
-      for (const [selector, properties] of rules) {
+      for (const [scopedSelector, properties] of rules) {
+        const { scheme, selector } = parseScopedSelector(scopedSelector);
+
         // 🔧 修复：特殊图标选择器保持CSS格式，不转换为中文
         let elementName = selector;
         if (selector !== '#leftNavDrawerIcon' && selector !== '#rightNavDrawerIcon') {
           elementName = this.getElementName(selector);
         }
+        if (scheme) {
+          elementName += COLOR_SCHEMES[scheme].suffix;
+        }
         output += `${elementName} {\n`;
 
         // 转换属性
@@ -615,6 +627,22 @@ export class VisualEditorFormatParser {
     return output.trim();
   }
 
+  /**
+   * 拆出元素名末尾的配色方案标记
+   * @param {string} elementName - 如"消息文本（深色）"
+   * @returns {{name: string, scheme: string|null}} scheme 为 'dark' | 'light' | null
+   */
+  parseSchemeSuffix(elementName) {
+    const match = elementName.match(SCHEME_SUFFIX_PATTERN);
+    if (!match) {
+      return { name: elementName, scheme: null };
+    }
+    return {
+      name: elementName.slice(0, match.index).trim(),
+      scheme: SCHEME_SUFFIXES[match[1].toLowerCase()]
+    };
+  }
+
   /**
    * 获取CSS选择器
    */
@@ -1206,7 +1234,8 @@ export class VisualEditorFormatParser {
     };
 
     for (const [selector, properties] of styles) {
-      const category = this.detectCategory(selector);
+      // 深色/浅色样式和通用样式归入同一类别
+      const category = this.detectCategory(parseScopedSelector(selector).selector);
       categories[category].push([selector, properties]);
     }
 
@@ -1296,7 +1325,7 @@ export class VisualEditorFormatParser {
 
       if (line.endsWith('{')) {
         inBlock = true;
-        const elementName = line.replace('{', '').trim();
+        const elementName = this.parseSchemeSuffix(line.replace('{', '').trim()).name;
         if (!this.elementMap[elementName] && !elementName.startsWith('.') && !elementName.startsWith('#')) {
           warnings.push(`第 ${i + 1} 行：未知的元素名称 "${elementName}"`);
         }
@@ -6,6 +6,7 @@
  * - 管理中文格式CSS编辑和应用
  * - 协调子模块：UI渲染、格式解析、CSS预处理
  * - 提供撤销/重做、主题导入导出功能
+ * - 样式可以分别为深色/浅色配色方案设置，按方案前缀保存在同一个样式Map中
  */
 
 import { VisualEditorUI } from './visual-editor-ui.js';
@@ -17,6 +18,25 @@ import { VisualEditorFormatParser } from './visual-editor-format-parser.js';
 import { CSSPreprocessor } from './visual-editor-css-preprocessor.js';
 import { SmartListenerCoordinator } from './visual-editor-smart-listener.js';
 import initializeVisualEditor, { QuickStyleTemplates } from './visual-editor-elements-init.js';
+import { COLOR_SCHEMES, scopeSelector } from './core-color-scheme.js';
+
+/**
+ * 可视化编辑器数据的存储迁移（由CoreStorage在加载时执行）
+ */
+export const VISUAL_EDITOR_MIGRATIONS = [
+  {
+    key: 'visualEditor_appliedStyles',
+    version: 1,
+    description: '已应用样式统一为[选择器, 属性对象]条目',
+    migrate(value) {
+      // 早期版本保存为 {选择器: 属性对象}
+      if (value && !Array.isArray(value) && typeof value === 'object') {
+        return Object.entries(value);
+      }
+      return Array.isArray(value) ? value : [];
+    }
+  }
+];
 
 export class VisualEditorMain {
   constructor(extension) {
@@ -36,6 +56,9 @@ export class VisualEditorMain {
     this.historyIndex = -1;
     this.maxHistorySize = 50;
 
+    // 正在编辑的配色方案：null 为通用样式，'dark' | 'light' 为只在该方案下生效的样式
+    this.editScheme = null;
+
     // 样式数据结构 - 确保是独立的Map对象
     this.pendingStyles = new Map();
     this.appliedStyles = new Map();
@@ -84,6 +107,9 @@ export class VisualEditorMain {
     // 初始化CSS预处理器
     await this.initCSSPreprocessor();
 
+    // 注册CSS处理管线阶段
+    this.registerPipelineStages();
+
     // 加载设置
     await this.loadSettings();
 
@@ -111,6 +137,8 @@ export class VisualEditorMain {
     if (!enable) {
       // 清理辅助线与事件
       document.querySelectorAll('.ve-avatar-drag-overlay').forEach(el => el.remove());
+      // 恢复启用时修改的定位
+      this.extension.coreEngine.journal.rollback({ source: 'avatar-drag' });
       document.removeEventListener('pointerdown', this.__veAvatarPointerDown);
       document.removeEventListener('pointermove', this.__veAvatarPointerMove);
       document.removeEventListener('pointerup', this.__veAvatarPointerUp);
@@ -121,12 +149,13 @@ export class VisualEditorMain {
     // 仅在聊天区域头像容器上启用
     const selectors = ['.mes[is_user="true"] .avatar', '.mes[is_user="false"] .avatar'];
     const targets = document.querySelectorAll(selectors.join(','));
+    const journal = this.extension.coreEngine.journal;
 
     targets.forEach(target => {
       // 为父容器添加相对定位，避免绝对定位脱离参照
       const block = target.closest('.mes_block');
       if (block && getComputedStyle(block).position === 'static') {
-        block.style.position = 'relative';
+        journal.setStyle(block, 'position', 'relative', { source: 'avatar-drag' });
       }
 
       // 覆盖层用于提升可拖拽区域（不改变DOM结构）
@@ -138,8 +167,10 @@ export class VisualEditorMain {
       overlay.style.cursor = 'move';
       overlay.style.background = 'transparent';
       overlay.style.zIndex = '9999';
-      target.style.position = target.style.position || 'absolute';
-      target.appendChild(overlay);
+      if (!target.style.position) {
+        journal.setStyle(target, 'position', 'absolute', { source: 'avatar-drag' });
+      }
+      journal.appendChild(target, overlay, { source: 'avatar-drag' });
     });
 
     const parsePx = (v) => (typeof v === 'string' && v.endsWith('px')) ? parseFloat(v) : (parseFloat(v) || 0);
@@ -244,16 +275,29 @@ export class VisualEditorMain {
         if (customCSSBlock) {
           this.insertEditorPanel();
 
-          // 🔍 执行输入框操作检查
-          const customCSS = document.querySelector('#customCSS');
-          if (customCSS && customCSS.value.trim()) {
-            this.triggerCSSCompilation(customCSS.value);
-          }
+          // 🔍 编译输入框中的中文CSS和@装饰语法
+          this.runCssPipeline();
         }
       }, 500); // 延迟确保DOM已加载
     }
   }
 
+  /**
+   * 重新加载设置（切换配置档案后）
+   */
+  async reloadSettings() {
+    const wasEnabled = this.enabled;
+    this.enabled = await this.storage.get('visualEditor_enabled', false);
+    this.appliedStyles = new Map(await this.storage.get('visualEditor_appliedStyles', []));
+    this.currentTheme = await this.storage.get('visualEditor_currentTheme', null);
+
+    if (this.enabled !== wasEnabled) {
+      await this.setEnabled(this.enabled);
+    } else if (this.enabled) {
+      this.parseAppliedStyles();
+    }
+  }
+
   /**
    * 保存设置
    */
@@ -526,7 +570,7 @@ export class VisualEditorMain {
     this.registry.clearElementStyle(selector);
 
     // 清除主模块的数据
-    this.pendingStyles.delete(selector);
+    this.pendingStyles.delete(this.getStyleKey(selector));
 
     // ✅ 直接应用到CSS输入框，让原生机制处理
     this.applyStylesToCSS();
@@ -616,26 +660,6 @@ export class VisualEditorMain {
   }
 
 
-  /**
-   * 触发CSS编译
-   * 由智能协调器调用，处理输入框中的中文CSS
-   */
-  triggerCSSCompilation(cssText) {
-
-    try {
-      // 解析输入的中文CSS，更新pendingStyles
-      this.parseAndUpdateFromInput(cssText);
-
-      // 触发编译和应用
-      if (this.pendingStyles.size > 0) {
-        this.applyStylesToCSS();
-      }
-    } catch (error) {
-      console.error('[VisualEditor] CSS编译失败:', error);
-    }
-  }
-
-
   /**
    * 插入编辑器面板
    */
@@ -682,6 +706,11 @@ export class VisualEditorMain {
         this.ui = null;
       }
     }
+
+    // 面板关闭后结束深色/浅色样式的临时预览
+    if (this.editScheme) {
+      this.setEditScheme(null);
+    }
   }
 
   /**
@@ -697,16 +726,6 @@ export class VisualEditorMain {
         this.insertEditorPanel();
       }
 
-      // 启用CSS预处理器（智能协调器将在UI渲染后初始化）
-      if (this.cssPreprocessor) {
-        // 重新处理现有CSS
-        const customCSS = document.querySelector('#customCSS');
-        if (customCSS && customCSS.value) {
-          if (this.cssPreprocessor && this.enabled) {
-            this.cssPreprocessor.processCSS(customCSS.value);
-          }
-        }
-      }
     } else {
       this.removeEditorPanel();
 
@@ -716,6 +735,9 @@ export class VisualEditorMain {
       }
     }
 
+    // 重新处理现有CSS：启用时编译中文格式和装饰，禁用时移除编译结果
+    this.runCssPipeline();
+
     this.eventBus.emit('visualEditor:enabledChanged', enabled);
   }
 
@@ -859,8 +881,8 @@ export class VisualEditorMain {
     }
 
     // 处理装饰语法
-    if (this.cssPreprocessor && this.enabled && cssText) {
-      this.cssPreprocessor.processCSS(cssText);
+    if (this.enabled && cssText) {
+      this.runCssPipeline();
     }
   }
 
@@ -874,7 +896,8 @@ export class VisualEditorMain {
   /**
    * 更新样式
    */
-  updateStyle(selector, property, value) {
+  updateStyle(elementSelector, property, value) {
+    const selector = this.getStyleKey(elementSelector);
     if (!this.pendingStyles.has(selector)) {
       this.pendingStyles.set(selector, {});
     }
@@ -989,6 +1012,8 @@ export class VisualEditorMain {
       context.saveSettingsDebounced();
     }
 
+    // 输入框被直接改写，不会触发输入事件，手动重新处理装饰等内容
+    this.runCssPipeline();
   }
 
   /**
@@ -1065,9 +1090,11 @@ export class VisualEditorMain {
    * @param {string} selector - CSS选择器
    * @param {Object} styles - 样式对象 {property: value, ...}
    */
-  updateStyles(selector, styles) {
+  updateStyles(elementSelector, styles) {
     if (!styles || typeof styles !== 'object') return;
 
+    const selector = this.getStyleKey(elementSelector);
+
     // 获取现有样式或创建新的样式对象
     let currentStyles = this.pendingStyles.get(selector) || {};
 
@@ -1484,18 +1511,10 @@ export class VisualEditorMain {
 
         // 2. 等待一小段时间让DOM更新
         setTimeout(() => {
-          // 3. 重新获取并处理新主题的CSS
-          const customCSS = document.querySelector('#customCSS');
-          if (customCSS && customCSS.value && this.enabled) {
-            if (this.cssPreprocessor) {
-              this.cssPreprocessor.processCSS(customCSS.value);
-            }
-          }
-
-          // 4. 重新解析CSS内容
+          // 3. 重新解析新主题的CSS（同时重新应用装饰）
           this.parseExistingCSS();
 
-          // 5. 刷新UI
+          // 4. 刷新UI
           if (this.ui) {
             this.ui.refresh();
           }
@@ -1514,6 +1533,21 @@ export class VisualEditorMain {
       this.handleThemeChange();
     });
 
+    // 核心引擎清理后装饰元素可能已被移除，重置装饰状态，下次处理时重新生成
+    this.eventBus.on('engine:cleared', () => {
+      if (this.cssPreprocessor) {
+        this.cssPreprocessor.clearAllDecorations();
+      }
+    });
+
+    // 切换配置档案
+    this.eventBus.on('profile:switched', () => this.reloadSettings());
+    this.eventBus.on('storage:restored', ({ keys }) => {
+      if (keys.some(key => key.startsWith('visualEditor_'))) {
+        this.reloadSettings();
+      }
+    });
+
     // 监听设置按钮点击
     document.addEventListener('click', (e) => {
       if (e.target.closest('#rm_button_settings')) {
@@ -1546,8 +1580,13 @@ export class VisualEditorMain {
     // 🔧 启用简化CSS优先级管理机制
     this.initSimpleCSSManager();
 
-    // 🎯 启用实时CSS编译机制
-    this.initRealtimeCSSCompiler();
+    // 输入框内容变化时同步中文CSS到编辑器（编译由处理管线完成）
+    this.eventBus.on('css:input:change', ({ cssText }) => {
+      if (this.runningPipeline || !this.enabled) return;
+      if (this.smartListener && this.smartListener.mode === 'creator') {
+        this.triggerCSSCompilation(cssText);
+      }
+    });
 
   }
 
@@ -1563,9 +1602,32 @@ export class VisualEditorMain {
 
   /**
    * 获取元素样式
+   * 编辑深色/浅色样式时，未单独设置的属性显示通用样式的值
    */
   getElementStyles(selector) {
-    return this.pendingStyles.get(selector) || {};
+    const baseStyles = this.pendingStyles.get(selector) || {};
+    if (!this.editScheme) {
+      return baseStyles;
+    }
+    return { ...baseStyles, ...(this.pendingStyles.get(this.getStyleKey(selector)) || {}) };
+  }
+
+  /**
+   * 元素在样式Map中的键：通用样式为选择器本身，深色/浅色样式加上配色方案前缀
+   * @param {string} selector - 元素选择器
+   * @returns {string}
+   */
+  getStyleKey(selector) {
+    return scopeSelector(selector, this.editScheme);
+  }
+
+  /**
+   * 切换正在编辑的配色方案，编辑深色/浅色样式时页面临时以该方案显示
+   * @param {string|null} scheme - 'dark' | 'light' | null（通用样式）
+   */
+  setEditScheme(scheme) {
+    this.editScheme = COLOR_SCHEMES[scheme] ? scheme : null;
+    this.extension.colorScheme.preview(this.editScheme);
   }
 
   /**
@@ -1592,229 +1654,99 @@ export class VisualEditorMain {
 
 
   /**
-   * 🎯 初始化实时CSS编译机制
-   * 功能：监听输入框中文CSS变化，实时编译为标准CSS并应用（创作者模式）
+   * 同步输入框中的中文CSS到编辑器 - 创作者模式下输入时调用
+   * 解析CSS并发送解析事件，供反向同步使用；编译为标准CSS由处理管线的 chinese-format 阶段完成
    */
-  initRealtimeCSSCompiler() {
-
-    // 编译缓存（避免重复编译）
-    this.cssCompilerCache = new Map();
-    this.compilerModeActive = false;
-    this.compilerTimer = null;
-
-    // 查找CSS输入框（延迟查找，确保DOM已加载）
-    const initCompiler = () => {
-      const customCSS = document.querySelector('#customCSS');
-      if (customCSS) {
-        this.bindRealtimeCSSCompiler(customCSS);
-      } else {
-        // 延迟重试
-        setTimeout(initCompiler, 500);
-      }
-    };
+  triggerCSSCompilation(cssText) {
+    try {
+      // 解析中文CSS为内部数据结构
+      const parsedStyles = this.formatParser.parseChineseFormat(cssText);
 
-    // 延迟初始化
-    setTimeout(initCompiler, 100);
-  }
+      if (parsedStyles && parsedStyles.size > 0) {
+        // 更新待处理样式
+        this.pendingStyles = parsedStyles;
 
-  /**
-   * 绑定实时CSS编译器
-   */
-  bindRealtimeCSSCompiler(customCSS) {
-    // 防抖处理（300ms）
-    const debouncedCompiler = this.debounce((cssText) => {
-      this.compileAndApplyCSS(cssText);
-    }, 300);
-
-    // 监听输入事件
-    customCSS.addEventListener('input', (e) => {
-      // 激活创作者模式（1分钟）
-      this.activateCompilerMode();
-
-      // 如果在创作者模式下，进行实时编译
-      if (this.compilerModeActive) {
-        debouncedCompiler(e.target.value);
+        // 发送解析事件（供反向同步使用）
+        this.eventBus.emit('styles:parsed', parsedStyles);
       }
-    });
-
-    // 监听粘贴事件（处理导入场景）
-    customCSS.addEventListener('paste', (e) => {
-      setTimeout(() => {
-        this.activateCompilerMode();
-        if (this.compilerModeActive) {
-          debouncedCompiler(e.target.value);
-        }
-      }, 100);
-    });
-  }
-
-  /**
-   * 激活创作者编译模式（临时1分钟）
-   */
-  activateCompilerMode() {
-    if (!this.compilerModeActive) {
-      this.compilerModeActive = true;
-    }
-
-    // 重置定时器（每次编辑都重新计时1分钟）
-    if (this.compilerTimer) {
-      clearTimeout(this.compilerTimer);
+    } catch (error) {
+      console.error('[VisualEditor] CSS解析失败:', error);
     }
-
-    // 1分钟后自动关闭
-    this.compilerTimer = setTimeout(() => {
-      this.compilerModeActive = false;
-    }, 60000); // 60秒
   }
 
   /**
-   * 编译并应用CSS
+   * 在CSS增强模块的处理管线中注册@装饰和中文格式编译阶段
+   * 装饰块先于中文格式移除，避免"@用户消息：光环 {"被当作中文格式解析
    */
-  compileAndApplyCSS(cssText) {
-    if (!cssText || !cssText.trim()) return;
-
-    // 缓存检查
-    const cacheKey = cssText.trim();
-    if (this.cssCompilerCache.has(cacheKey)) {
-      const cachedResult = this.cssCompilerCache.get(cacheKey);
-      this.applyCompiledCSS(cachedResult.input, cachedResult.compiled);
+  registerPipelineStages() {
+    const cssModule = this.extension.getModule('css-enhance');
+    if (!cssModule) {
+      console.warn('[VisualEditor] CSS增强模块未加载，@装饰和中文格式不会被编译');
       return;
     }
 
-    try {
-      // 检测是否包含中文CSS
-      const chineseFormatRegex = /[\u4e00-\u9fff]+\s*\{/;
-      if (chineseFormatRegex.test(cssText)) {
-
-        // 解析中文CSS
-        const parsedStyles = this.formatParser.parseChineseFormat(cssText);
-
-        if (parsedStyles && parsedStyles.size > 0) {
-          // 编译为标准CSS
-          const compiledCSS = this.generator.generate(parsedStyles, {
-            minify: false,
-            addComments: false
-          });
-
-          // 缓存结果（最多缓存10个）
-          if (this.cssCompilerCache.size >= 10) {
-            const firstKey = this.cssCompilerCache.keys().next().value;
-            this.cssCompilerCache.delete(firstKey);
-          }
-          this.cssCompilerCache.set(cacheKey, { input: cssText, compiled: compiledCSS });
-
-          // 应用编译后的CSS
-          this.applyCompiledCSS(cssText, compiledCSS);
-
-        }
-      }
-      // 如果不是中文CSS，则不处理（保持原样）
-
-    } catch (error) {
-      console.error('[VisualEditor] ❌ CSS编译失败:', error);
-    }
+    this.unregisterStages = [
+      // 装饰会修改页面，页面被清理后需要重新生成，不能使用缓存
+      cssModule.stages.register({
+        name: 'decorations',
+        priority: 200,
+        standalone: true,
+        cache: false,
+        enabled: () => this.enabled && !!this.cssPreprocessor,
+        run: (css) => this.cssPreprocessor.processPipelineStage(css)
+      }),
+      cssModule.stages.register({
+        name: 'chinese-format',
+        priority: 150,
+        standalone: true,
+        enabled: () => this.enabled,
+        run: (css) => this.compileChineseFormat(css)
+      })
+    ];
   }
 
   /**
-   * 应用编译后的CSS - 重构版：直接应用，避免循环
-   * ✅ 解决循环问题：不再触发input事件
+   * 把CSS中的中文格式块编译为标准CSS，其他内容保持不变
+   * @param {string} cssText - CSS内容
+   * @returns {string} 编译后的CSS
    */
-  applyCompiledCSS(originalCSS, compiledCSS) {
-    if (!compiledCSS) return;
-
-
-    // 🎯 保存中文CSS到SillyTavern数据层（安全的覆盖式保存）
-    const context = typeof SillyTavern !== 'undefined' ? SillyTavern.getContext() : null;
-    if (context?.powerUserSettings) {
-      context.powerUserSettings.custom_css = originalCSS; // 保存中文CSS
-
-      // 防抖保存设置（不会重复累积）
-      if (context.saveSettingsDebounced) {
-        context.saveSettingsDebounced();
-      }
-    }
+  compileChineseFormat(cssText) {
+    if (!/[\u4e00-\u9fff]+(?:[（(][^）)]*[）)])?\s*\{/.test(cssText)) return cssText;
 
-    // 🎨 直接应用标准CSS到应用层（不触发input事件！）
-    let style = document.getElementById('custom-style');
-    if (!style) {
-      style = document.createElement('style');
-      style.setAttribute('type', 'text/css');
-      style.setAttribute('id', 'custom-style');
-      document.head.appendChild(style);
-    }
+    const parsedStyles = this.formatParser.parseChineseFormat(cssText);
+    if (!parsedStyles || parsedStyles.size === 0) return cssText;
 
-    // ✅ 关键修复：直接更新CSS内容，不触发任何事件
-    style.innerHTML = compiledCSS;
+    const compiledCSS = this.generator.generate(parsedStyles, {
+      minify: false,
+      addComments: false
+    });
 
-    // 🔄 确保输入框显示与数据层同步（不触发事件）
-    this.syncInputBoxDisplay(originalCSS);
+    // 去掉中文格式原文，只保留编译结果
+    const bounds = this.findChineseFormatBounds(cssText);
+    const rest = bounds ? cssText.substring(0, bounds.start) + cssText.substring(bounds.end) : cssText;
 
-    // 🚫 删除这些导致循环的代码：
-    // customCSS.value = compiledCSS;  ← 这会触发SmartListener
-    // customCSS.dispatchEvent(new Event('input')); ← 这会导致无限循环
-    // setTimeout(() => { customCSS.value = originalValue; }, 50); ← 这也会触发循环
+    return `${rest.trim()}\n${compiledCSS}`.trim();
   }
 
   /**
-   * 🔄 同步输入框显示内容（不触发事件）
-   * 确保用户看到的是中文CSS，而不是编译后的标准CSS
+   * 清除本模块阶段的缓存并重新执行处理管线
+   * 装饰被清理或启用状态变化后，即使输入框内容不变也要重新处理
    */
-  syncInputBoxDisplay(chineseCSS) {
-    const customCSS = document.querySelector('#customCSS');
-    if (customCSS && customCSS.value !== chineseCSS) {
-      // 🚨 关键：临时移除事件监听器，避免触发循环
-      const smartListener = this.smartListener;
-      if (smartListener && typeof smartListener.setupInputFocusDetection === 'function') {
-        // 暂时标记为"正在同步"状态
-        smartListener.isSync = true;
-      }
+  runCssPipeline() {
+    const cssModule = this.extension.getModule('css-enhance');
+    if (!cssModule) return;
 
-      // 直接更新输入框内容
-      customCSS.value = chineseCSS;
+    cssModule.stages.invalidate('chinese-format');
 
-      // 恢复事件监听状态
-      setTimeout(() => {
-        if (smartListener) {
-          smartListener.isSync = false;
-        }
-      }, 10); // 非常短的延迟，确保当前调用栈完成
-    }
-  }
-
-  /**
-   * 触发CSS编译 - 供SmartListenerCoordinator调用
-   * 解析CSS并发送解析事件，供反向同步使用
-   */
-  triggerCSSCompilation(cssText) {
+    // 由本模块触发的重新处理不再反向同步到编辑器
+    this.runningPipeline = true;
     try {
-      // 解析中文CSS为内部数据结构
-      const parsedStyles = this.formatParser.parseChineseFormat(cssText);
-
-      if (parsedStyles && parsedStyles.size > 0) {
-        // 更新待处理样式
-        this.pendingStyles = parsedStyles;
-
-        // 发送解析事件（供反向同步使用）
-        this.eventBus.emit('styles:parsed', parsedStyles);
-
-        // 编译并应用CSS
-        this.compileAndApplyCSS(cssText);
-
-      }
-    } catch (error) {
-      console.error('[VisualEditor] CSS编译失败:', error);
+      cssModule.reprocess();
+    } finally {
+      this.runningPipeline = false;
     }
   }
 
-  /**
-   * 从输入框解析并更新 - 供反向同步使用
-   * 这是备用方法，主要逻辑在triggerCSSCompilation中
-   */
-  parseAndUpdateFromInput(cssText) {
-    // 直接调用主要方法
-    this.triggerCSSCompilation(cssText);
-  }
-
   /**
    * 销毁模块
    * 清理所有资源
@@ -1838,15 +1770,11 @@ export class VisualEditorMain {
       this.themeChangeTimer = null;
     }
 
-    // 清理CSS编译器
-    if (this.compilerTimer) {
-      clearTimeout(this.compilerTimer);
-      this.compilerTimer = null;
-    }
-    if (this.cssCompilerCache) {
-      this.cssCompilerCache.clear();
+    // 注销处理管线阶段
+    if (this.unregisterStages) {
+      this.unregisterStages.forEach(unregister => unregister());
+      this.unregisterStages = null;
     }
-    this.compilerModeActive = false;
 
     // 销毁CSS预处理器
     if (this.cssPreprocessor) {
@@ -82,8 +82,15 @@ export class VisualEditorPanelsFactory {
             numberInput.value = numericValue;
           }
         } else if (control.type === 'color') {
-          // ✅ 颜色控件：保持RGB格式，无需转换
-          control.value = value;
+          // ✅ 颜色控件：保持RGB格式，无需转换；绑定变量时显示变量当前的颜色
+          const variables = this.registry.getVariablesModule();
+          const token = variables ? variables.parseReference(value) : null;
+          control.value = token ? this.registry.normalizeColor(variables.resolve(value)) : value;
+
+          const tokenSelect = control.parentElement.querySelector('.ve-control-token');
+          if (tokenSelect) {
+            tokenSelect.value = token || '';
+          }
         } else if (control.tagName === 'SELECT') {
           // 下拉选择控件
           control.value = value;
@@ -749,6 +756,12 @@ export class VisualEditorPanelsFactory {
       this.addListener(input, 'input', handler);
     });
 
+    container.querySelectorAll('.ve-control-token').forEach(select => {
+      const handler = (e) => this.handleColorTokenChange(e);
+      select.addEventListener('change', handler);
+      this.addListener(select, 'change', handler);
+    });
+
     // 滑块控件
     container.querySelectorAll('.ve-control-slider').forEach(input => {
       const handler = (e) => this.handleSliderChange(e);
@@ -981,6 +994,12 @@ export class VisualEditorPanelsFactory {
       textInput.value = value;
     }
 
+    // 直接取色时解除变量绑定
+    const tokenSelect = e.target.parentElement.querySelector('.ve-control-token');
+    if (tokenSelect) {
+      tokenSelect.value = '';
+    }
+
     this.updateProperty(property, value);
   }
 
@@ -993,8 +1012,41 @@ export class VisualEditorPanelsFactory {
 
     // 同步颜色选择器
     const colorInput = e.target.parentElement.querySelector('.ve-control-color');
-    if (colorInput && value.match(/^#[0-9a-fA-F]{6}$/)) {
-      colorInput.value = value;
+    const variables = this.registry.getVariablesModule();
+    const resolved = variables ? variables.resolve(value) : value;
+    if (colorInput && resolved.match(/^#[0-9a-fA-F]{6}$/)) {
+      colorInput.value = resolved;
+    }
+
+    // 手动输入 var(--pp-名称) 时同步变量选择
+    const tokenSelect = e.target.parentElement.querySelector('.ve-control-token');
+    if (tokenSelect) {
+      tokenSelect.value = (variables && variables.parseReference(value)) || '';
+    }
+
+    this.updateProperty(property, value);
+  }
+
+  /**
+   * 处理颜色变量绑定变化
+   * 绑定时写入 var(--pp-名称)；解除绑定时保留变量当前的颜色
+   */
+  handleColorTokenChange(e) {
+    const property = e.target.dataset.property;
+    const variables = this.registry.getVariablesModule();
+    const colorInput = e.target.parentElement.querySelector('.ve-control-color');
+    const textInput = e.target.parentElement.querySelector('.ve-control-color-text');
+
+    let value = colorInput ? colorInput.value : '';
+    if (e.target.value && variables) {
+      value = variables.reference(e.target.value);
+      if (colorInput) {
+        colorInput.value = this.registry.normalizeColor(variables.resolve(value));
+      }
+    }
+
+    if (textInput) {
+      textInput.value = value;
     }
 
     this.updateProperty(property, value);
@@ -445,13 +445,35 @@ export class VisualEditorRegistry {
 
   // ========== 基础控件渲染方法 ==========
 
+  /**
+   * 获取样式变量模块（未加载时返回null）
+   */
+  getVariablesModule() {
+    const extension = this.module && this.module.extension;
+    return extension ? extension.getModule('css-variables') || null : null;
+  }
+
   /**
    * 渲染颜色控件
+   * 有颜色变量时附带变量选择，绑定后值为 var(--pp-名称)，取色器显示变量当前的颜色
    */
   renderColorControl(property, value, config) {
     const id = `ve-${property}-${Date.now()}`;
     const hint = config.hint ? `<span class="ve-hint">${config.hint}</span>` : '';
 
+    const variables = this.getVariablesModule();
+    const tokens = variables ? variables.getVariables('color') : [];
+    const boundToken = variables ? variables.parseReference(value) : null;
+    const displayColor = variables ? variables.resolve(value || config.defaultValue) : (value || config.defaultValue);
+
+    const tokenSelect = tokens.length === 0 ? '' : `
+          <select data-property="${property}" class="ve-control-token" title="绑定到颜色变量">
+            <option value="">不使用变量</option>
+            ${tokens.map(token => `
+              <option value="${token.name}" ${token.name === boundToken ? 'selected' : ''}>--pp-${token.name}</option>
+            `).join('')}
+          </select>`;
+
     return `
       <div class="ve-control-item ve-color-control">
         <label for="${id}">${config.label}</label>
@@ -460,13 +482,13 @@ export class VisualEditorRegistry {
           <input type="color" 
                  id="${id}"
                  data-property="${property}"
-                 value="${this.normalizeColor(value || config.defaultValue)}"
+                 value="${this.normalizeColor(displayColor)}"
                  class="ve-control-color">
           <input type="text" 
                  data-property="${property}"
                  value="${value || config.defaultValue || ''}"
                  placeholder="${config.placeholder || '#000000'}"
-                 class="ve-control-color-text">
+                 class="ve-control-color-text">${tokenSelect}
           <button class="ve-btn-small ve-clear-btn" data-property="${property}">×</button>
         </div>
       </div>
@@ -3,7 +3,7 @@
  * 
  * 核心功能：
  * - 创作者/使用者模式智能切换
- * - 统一输入框监听（CSS编译 + 装饰检测）  
+ * - 输入框监听：输入时切换到创作者模式（CSS编译和装饰处理由CSS增强模块的处理管线完成）
  * - 智能聊天区监听（仅在需要时启用）
  * - 智能设置面板检测（仅创作者模式）
  * - 性能优化：按需启用监听器
@@ -27,17 +27,9 @@ export class SmartListenerCoordinator {
       input: null           // 输入框监听器（不是Observer）
     };
 
-    // 防抖处理
-    this.debounceTimer = null;
-    this.debounceDelay = 300;
-
-    // 缓存
-    this.lastProcessedCSS = '';
+    // 最近一次输入时间
     this.lastInputActivity = 0;
 
-    // 🔄 同步状态标志（防循环）
-    this.isSync = false;
-
   }
 
   /**
@@ -69,100 +61,18 @@ export class SmartListenerCoordinator {
       this.switchToCreatorMode('input-focus');
     });
 
-    customCSS.addEventListener('input', (e) => {
+    customCSS.addEventListener('input', () => {
+      this.lastInputActivity = Date.now();
       this.switchToCreatorMode('input-change');
-      this.handleInputChange(e.target.value);
     });
 
-    customCSS.addEventListener('paste', (e) => {
-      setTimeout(() => {
-        this.switchToCreatorMode('input-paste');
-        this.handleInputChange(e.target.value);
-      }, 50);
+    customCSS.addEventListener('paste', () => {
+      this.lastInputActivity = Date.now();
+      this.switchToCreatorMode('input-paste');
     });
 
   }
 
-  /**
-   * 处理输入框内容变化
-   * 防抖处理，统一分发给各功能模块
-   */
-  handleInputChange(cssText) {
-    // 🚨 防循环检查：如果正在同步输入框显示，跳过处理
-    if (this.isSync) {
-      return;
-    }
-
-    // 记录活动时间
-    this.lastInputActivity = Date.now();
-
-    // 防抖处理
-    if (this.debounceTimer) {
-      clearTimeout(this.debounceTimer);
-    }
-
-    this.debounceTimer = setTimeout(() => {
-      this.processInputChange(cssText);
-    }, this.debounceDelay);
-  }
-
-  /**
-   * 处理输入内容变化的核心逻辑
-   * 分发给CSS编译器和装饰处理器
-   */
-  processInputChange(cssText) {
-    if (cssText === this.lastProcessedCSS) {
-      return; // 避免重复处理
-    }
-
-    this.lastProcessedCSS = cssText;
-
-
-    // 1. CSS编译检测和处理
-    this.handleCSSCompilation(cssText);
-
-    // 2. 装饰语法检测和处理  
-    this.handleDecorationSyntax(cssText);
-  }
-
-  /**
-   * 处理CSS编译
-   * 检测中文CSS并触发实时编译
-   */
-  handleCSSCompilation(cssText) {
-    // 检测是否包含中文CSS
-    const hasChineseCSS = this.detectChineseCSS(cssText);
-
-    if (hasChineseCSS && this.mode === 'creator') {
-
-      // 触发CSS编译（调用visual-editor的编译逻辑）
-      if (this.visualEditor && typeof this.visualEditor.triggerCSSCompilation === 'function') {
-        this.visualEditor.triggerCSSCompilation(cssText);
-      } else {
-        console.warn('[SmartListener] CSS编译方法不可用');
-      }
-    }
-  }
-
-  /**
-   * 处理装饰语法
-   * 检测@装饰语法并触发处理
-   */
-  handleDecorationSyntax(cssText) {
-    // 检测是否包含@装饰语法
-    const hasDecorationSyntax = this.detectDecorationSyntax(cssText);
-
-    if (hasDecorationSyntax) {
-
-      // 触发装饰处理
-      if (this.cssPreprocessor && typeof this.cssPreprocessor.handleCSSChange === 'function') {
-        this.cssPreprocessor.handleCSSChange(cssText, 'smart-coordinator');
-      } else {
-        console.warn('[SmartListener] 装饰处理方法不可用');
-      }
-    }
-  }
-
   /**
    * 切换到创作者模式
    */
@@ -312,24 +222,6 @@ export class SmartListenerCoordinator {
     }
   }
 
-  /**
-   * 检测中文CSS
-   */
-  detectChineseCSS(cssText) {
-    return /[\u4e00-\u9fa5]/.test(cssText) &&
-      (cssText.includes('字体大小') ||
-        cssText.includes('像素') ||
-        cssText.includes('消息文本') ||
-        cssText.includes('时间戳'));
-  }
-
-  /**
-   * 检测装饰语法
-   */
-  detectDecorationSyntax(cssText) {
-    return /@[^:：{]+[：:][^{]+\s*\{[^}]+\}/g.test(cssText);
-  }
-
   /**
    * 获取当前状态
    */
@@ -352,9 +244,6 @@ export class SmartListenerCoordinator {
     if (this.modeTimer) {
       clearTimeout(this.modeTimer);
     }
-    if (this.debounceTimer) {
-      clearTimeout(this.debounceTimer);
-    }
 
     // 断开所有观察器
     this.disableSettingsListener();
@@ -6,8 +6,11 @@
  * - 管理标签页切换和交互事件绑定
  * - 提供撤销/重做、重置等操作界面
  * - 智能@装饰语法管理器状态指示器UI
+ * - 切换编辑通用、深色或浅色样式
  */
 
+import { COLOR_SCHEMES } from './core-color-scheme.js';
+
 export class VisualEditorUI {
   constructor(module, registry, panelsFactory) {
     this.module = module;
@@ -81,6 +84,13 @@ export class VisualEditorUI {
               </button>
             ` : ''}
             
+            <select id="ve-edit-scheme" class="ve-select" title="深色/浅色样式只在该配色方案下生效，编辑时页面临时以该方案显示">
+              <option value="" ${!this.module.editScheme ? 'selected' : ''}>通用样式</option>
+              ${Object.entries(COLOR_SCHEMES).map(([scheme, config]) => `
+                <option value="${scheme}" ${this.module.editScheme === scheme ? 'selected' : ''}>${config.label}样式</option>
+              `).join('')}
+            </select>
+
             <div class="ve-info-display">
               <span class="ve-info-text">
                 <i class="fa fa-magic"></i> 原生实时预览已启用
@@ -468,7 +478,7 @@ export class VisualEditorUI {
     }
 
     return elements.map(el => {
-      const styles = this.module.pendingStyles.get(el.selector);
+      const styles = this.module.pendingStyles.get(this.module.getStyleKey(el.selector));
       const hasStyles = styles && Object.keys(styles).length > 0;
       const isSelected = this.selectedElement === el.selector;
 
@@ -729,6 +739,12 @@ export class VisualEditorUI {
     });
 
 
+    // 编辑的配色方案
+    this.addEvent('#ve-edit-scheme', 'change', (e) => {
+      this.module.setEditScheme(e.target.value || null);
+      this.refresh();
+    });
+
     // 撤销/重做
     this.addEvent('#ve-undo', 'click', () => {
       this.module.undo();